@@ -31,7 +31,10 @@ async function build(target, { watch = false } = {}) {
     'src/content.js',
     'src/pages/settings/settings.js',
     'src/popup/popup.js',
-    'src/pages/onboarding/onboarding.js'
+    'src/pages/onboarding/onboarding.js',
+    'src/pages/archive/archive.js',
+    'src/pages/events/events.js',
+    'src/offscreen/offscreen.js'
   ];
 
   const isProd = process.env.NODE_ENV === 'production';
@@ -71,6 +74,9 @@ async function build(target, { watch = false } = {}) {
     ['src/popup/popup.html', path.join(outdir, 'popup/popup.html')],
     ['src/pages/settings/settings.html', path.join(outdir, 'pages/settings/settings.html')],
     ['src/pages/onboarding/onboarding.html', path.join(outdir, 'pages/onboarding/onboarding.html')],
+    ['src/pages/archive/archive.html', path.join(outdir, 'pages/archive/archive.html')],
+    ['src/pages/events/events.html', path.join(outdir, 'pages/events/events.html')],
+    ['src/offscreen/offscreen.html', path.join(outdir, 'offscreen/offscreen.html')],
     ['manifest.json', path.join(outdir, 'manifest.json')]
   ];
 
@@ -89,6 +95,8 @@ async function build(target, { watch = false } = {}) {
     // Keep MV3 and bump Gecko strict_min_version for service worker support
     if (!manifest.applications) manifest.applications = { gecko: {} };
     if (!manifest.applications.gecko) manifest.applications.gecko = {};
+    // Offscreen documents are Chrome-only; Firefox background pages parse HTML directly
+    manifest.permissions = (manifest.permissions || []).filter(p => p !== 'offscreen');
     manifest.applications.gecko.strict_min_version = manifest.applications.gecko.strict_min_version || '115.0';
     await fse.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
   } else if (target === 'firefox-mv2') {
@@ -100,7 +108,7 @@ async function build(target, { watch = false } = {}) {
     firefoxManifest.description = manifest.description;
 
     // Merge host_permissions into permissions for MV2
-    const mergedPerms = new Set([...(manifest.permissions || [])]);
+    const mergedPerms = new Set((manifest.permissions || []).filter(p => p !== 'offscreen'));
     (manifest.host_permissions || []).forEach((p) => mergedPerms.add(p));
     firefoxManifest.permissions = Array.from(mergedPerms);
 
@@ -136,6 +144,11 @@ async function build(target, { watch = false } = {}) {
       firefoxManifest.commands = manifest.commands;
     }
 
+    // Omnibox keyword is the same in MV2
+    if (manifest.omnibox) {
+      firefoxManifest.omnibox = manifest.omnibox;
+    }
+
     // MV2 web_accessible_resources must be array of strings
     firefoxManifest.web_accessible_resources = [
       'dictionary.json',
@@ -152,7 +165,7 @@ async function build(target, { watch = false } = {}) {
     if (manifest.icons) firefoxManifest.icons = manifest.icons;
 
     // MV2 CSP string (mirror allowed hosts)
-    firefoxManifest.content_security_policy = "script-src 'self'; object-src 'self'; img-src 'self' data: https:; style-src 'self' 'unsafe-inline'; connect-src https://scp-wiki.wikidot.com https://wanderers-library.wikidot.com https://scp-ru.wikidot.com https://scp-jp.wikidot.com https://scp-es.wikidot.com https://scp-pl.wikidot.com https://scp-fr.wikidot.com https://scp-de.wikidot.com https://scp-it.wikidot.com https://scp-ko.wikidot.com https://scp-zh.wikidot.com https://scp-zh-tr.wikidot.com https://scp-th.wikidot.com https://scp-vn.wikidot.com https://scp-cs.wikidot.com";
+    firefoxManifest.content_security_policy = "script-src 'self'; object-src 'self'; img-src 'self' data: blob: https:; style-src 'self' 'unsafe-inline'; connect-src https://scp-wiki.wikidot.com https://wanderers-library.wikidot.com https://scp-ru.wikidot.com https://scp-jp.wikidot.com https://scp-es.wikidot.com https://scp-pl.wikidot.com https://scp-fr.wikidot.com https://scp-de.wikidot.com https://scp-it.wikidot.com https://scp-ko.wikidot.com https://scp-zh.wikidot.com https://scp-zh-tr.wikidot.com https://scp-th.wikidot.com https://scp-vn.wikidot.com https://scp-cs.wikidot.com https://*.wdfiles.com";
 
     await fse.writeFile(manifestPath, JSON.stringify(firefoxManifest, null, 2));
   } else {
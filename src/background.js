@@ -6,24 +6,176 @@ if (typeof globalThis.browser === 'undefined') {
 
 // Import utilities
 import { logger, errorHandler, StorageManager, BrowserCompatibility } from './utils/index.js';
+import { resolvePageIdentity, parsePageId, formatPageLabel, pageUrlFromId } from './modules/page-identity.js';
+import { runMigrations } from './modules/storage-migrations.js';
+import { mergeHistories, stampEntry, isTombstone } from './modules/history-merge.js';
+import { READING_LOG_KEY, createReadingEvent, classifyReadEvent, applyReadingEvent, appendReadingEvents } from './modules/reading-log.js';
+import { READING_TIME_KEY, addReadingTime, takePendingTime, pendingSecondsOf } from './modules/reading-timer.js';
+import {
+  READING_QUEUE_KEY, normalizeQueue, pendingQueueItems, doneQueueItems, addToQueue, removeFromQueue,
+  reorderQueue, setQueueNote, completeQueueItem, queuedTabProperties
+} from './modules/reading-queue.js';
+import { planHistoryImport } from './modules/history-import.js';
+import { restoreBackup } from './modules/backup.js';
+import { createMessageRouter } from './modules/message-router.js';
+import { MESSAGE_ACTIONS, MessageError, sendMessage } from './modules/message-client.js';
+import { parsePageMetadata, isCurrentMetadata } from './modules/page-metadata.js';
+import { PreviewCache } from './modules/preview-cache.js';
+import { captureArticle } from './modules/article-capture.js';
+import { REVISION_CHECKS_KEY, REVISION_SNAPSHOTS_KEY, snapshotFromMetadata, applyRevisionCheck, pickRevisionChecks } from './modules/revision-check.js';
+import { OfflineArchive, buildArchiveRecord, fetchArchiveImages } from './modules/offline-archive.js';
+import { FetchScheduler, HttpError, parseRetryAfter, isAbortError } from './modules/fetch-scheduler.js';
+import { isChunkPartKey, manifestKey, ChunkQuotaError } from './utils/chunked-storage.js';
+import { badgeForPage, badgeForQueue } from './modules/toolbar-badge.js';
+import { buildContextMenuItems, parseContextMenuClick, READER_LAUNCH_HASH } from './modules/context-menus.js';
+import { parseOmniboxInput, describeReadingStatus, searchOmnibox, formatOmniboxDescription } from './modules/omnibox.js';
+import { READING_GOALS_KEY, GOAL_PERIODS, normalizeGoals, computeGoalProgress, buildReminderMessage, nextReminderAt } from './modules/reading-goals.js';
+import { ANALYTICS_EVENTS_KEY, EVENT_RETENTION_KEY, normalizeRetention, applyRetention } from './modules/analytics-events.js';
+import { DEFAULTS, FEATURES, VALIDATION } from './config.js';
 
 // Create global storage manager instances
 const storageManager = new StorageManager('sync');
 const localStorageManager = new StorageManager('local');
 
-// Link preview metadata cache settings
-const LINK_PREVIEW_CACHE_KEY = 'linkPreviewCache';
-const LINK_PREVIEW_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+// Bring stored data up to the current schema version; storage-backed handlers wait on this
+let migrationsReady = Promise.resolve();
+
+function startMigrations(reason) {
+  migrationsReady = runMigrations({ logger, reason })
+    .then((result) => {
+      if (result.applied.length) {
+        storageManager.clearCache();
+        localStorageManager.clearCache();
+        previewCache.invalidate();
+      }
+      return result;
+    })
+    .catch(error => {
+      errorHandler.handleError(error, { action: 'run_storage_migrations', reason });
+    });
+  return migrationsReady;
+}
+
+// Serialized read-modify-write of the synced reading history.
+// `mutate` receives the current map and returns the next one (or null for no change);
+// entries must be stamped (stampEntry/makeTombstone) so the change wins on other devices.
+let historyWrites = Promise.resolve();
+
+function updateReadHistory(mutate) {
+  const run = historyWrites.then(() => migrationsReady).then(async () => {
+    // Always start from storage: other devices may have changed it since it was cached
+    storageManager.clearCache(['readSCPs']);
+    const result = await storageManager.get(['readSCPs']);
+    const next = mutate((result && result.readSCPs) || {});
+    if (!next) return false;
+    // Drop expired tombstones on the way out
+    const { merged } = mergeHistories(next, {});
+    try {
+      await storageManager.set({ readSCPs: merged });
+      await storageManager.flush();
+    } catch (error) {
+      // Nothing was written; the history stays as it was
+      if (error instanceof ChunkQuotaError) {
+        throw new MessageError(`Reading history is too large to sync (${error.bytes} of ${error.limit} bytes)`, 'history_too_large');
+      }
+      throw error;
+    }
+    return true;
+  });
+  historyWrites = run.catch(() => {});
+  return run;
+}
+
+// Record reading events: fold each into its synced history entry, then append the events
+// that changed something to the local event log. 'read' events are classified against the
+// current entry (read / re-read / manual) at apply time.
+let logWrites = Promise.resolve();
+
+function recordReadingEvents(events) {
+  const applied = [];
+  return updateReadHistory((readSCPs) => {
+    for (const candidate of events.filter(Boolean)) {
+      const existing = readSCPs[candidate.id];
+      const event = candidate.type === 'read'
+        ? { ...candidate, type: classifyReadEvent(existing, candidate.source) }
+        : candidate;
+      const next = applyReadingEvent(existing, event);
+      if (next === existing || (isTombstone(next) && (!existing || isTombstone(existing)))) continue;
+      readSCPs[event.id] = stampEntry(next, existing, event.ts);
+      applied.push(event);
+    }
+    return applied.length ? readSCPs : null;
+  }).then((changed) => {
+    if (!changed) return [];
+    logWrites = logWrites.then(async () => {
+      const res = await localStorageManager.get([READING_LOG_KEY]);
+      const log = appendReadingEvents(res && res[READING_LOG_KEY], applied);
+      await localStorageManager.set({ [READING_LOG_KEY]: log });
+    }).catch(error => {
+      errorHandler.handleError(error, { action: 'append_reading_log' });
+    });
+    return logWrites.then(() => applied);
+  });
+}
+
+// Serialized read-modify-write of the per-device reading time (reading-timer.js). It stays in
+// storage.local: time reports do not stamp or rewrite synced entries.
+let timeWrites = Promise.resolve();
+
+function updateReadingTime(mutate) {
+  const run = timeWrites.then(async () => {
+    const res = await localStorageManager.get([READING_TIME_KEY]);
+    const next = mutate((res && res[READING_TIME_KEY]) || {});
+    if (next) await localStorageManager.set({ [READING_TIME_KEY]: next });
+  });
+  timeWrites = run.catch(() => {});
+  return run;
+}
+
+// Serialized read-modify-write of the reading queue.
+// `mutate` receives the normalized queue and returns the next one (or null for no change).
+let queueWrites = Promise.resolve();
+
+function updateReadingQueue(mutate) {
+  const run = queueWrites.then(() => migrationsReady).then(async () => {
+    storageManager.clearCache([READING_QUEUE_KEY]);
+    const res = await storageManager.get([READING_QUEUE_KEY]);
+    const stored = (res && res[READING_QUEUE_KEY]) || [];
+    const current = normalizeQueue(stored);
+    const next = mutate(current) || current;
+    if (JSON.stringify(next) !== JSON.stringify(stored)) {
+      await storageManager.set({ [READING_QUEUE_KEY]: next });
+      await storageManager.flush();
+    }
+    return next;
+  });
+  queueWrites = run.catch(() => {});
+  return run;
+}
+
+// Open a freshly queued item according to the `queueAddBehavior` setting.
+// Resolves to whether a tab was opened.
+function openQueuedItem(item, behavior, sender) {
+  const props = queuedTabProperties(item, behavior, sender && sender.tab);
+  if (!props) return Promise.resolve(false);
+  return browser.tabs.create(props).then(() => true).catch((e) => {
+    logger.warn('Failed to open queued item', e);
+    return false;
+  });
+}
+
+function queueResponse(queue) {
+  return { queue: pendingQueueItems(queue), done: doneQueueItems(queue) };
+}
+
+// Link preview metadata cache: bounded LRU in storage.local, pruned by the 'pruneLinkPreviewCache' alarm
+const previewCache = new PreviewCache(browser.storage.local);
 
 async function getCachedMetadata(url) {
   try {
-    const res = await localStorageManager.get([LINK_PREVIEW_CACHE_KEY]);
-    const cache = (res && res[LINK_PREVIEW_CACHE_KEY]) || {};
-    const entry = cache[url];
-    if (entry && entry.ts && (Date.now() - entry.ts) < LINK_PREVIEW_TTL_MS) {
-      return entry.data;
-    }
-    return null;
+    const data = await previewCache.get(url);
+    // Records from an older extractor version are fetched again
+    return isCurrentMetadata(data) ? data : null;
   } catch (e) {
     errorHandler.handleError(e, { action: 'get_cached_metadata' });
     return null;
@@ -32,62 +184,173 @@ async function getCachedMetadata(url) {
 
 async function setCachedMetadata(url, data) {
   try {
-    const res = await localStorageManager.get([LINK_PREVIEW_CACHE_KEY]);
-    const cache = (res && res[LINK_PREVIEW_CACHE_KEY]) || {};
-    cache[url] = { data, ts: Date.now() };
-    await localStorageManager.set({ [LINK_PREVIEW_CACHE_KEY]: cache });
+    await previewCache.set(url, data);
   } catch (e) {
     errorHandler.handleError(e, { action: 'set_cached_metadata' });
   }
 }
 
-function parseMetadataFromHtml(url, html) {
-  try {
-    const safe = (s) => (s || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
-    // Title: try #page-title first, then <title>
-    let title = url;
-    const h1Match = html.match(/id=["']page-title["'][^>]*>([\s\S]*?)<\//i);
-    if (h1Match && h1Match[1]) {
-      title = safe(h1Match[1]);
-    } else {
-      const tMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-      if (tMatch && tMatch[1]) title = safe(tMatch[1]);
-    }
-    // Summary: first <p> inside #page-content, else first <p>
-    let summary = '';
-    const contentBlock = html.match(/id=["']page-content["'][\s\S]*?$/i);
-    let pMatch = null;
-    if (contentBlock && contentBlock[0]) {
-      pMatch = contentBlock[0].match(/<p[^>]*>([\s\S]*?)<\/p>/i);
-    }
-    if (!pMatch) {
-      pMatch = html.match(/<p[^>]*>([\s\S]*?)<\/p>/i);
-    }
-    if (pMatch && pMatch[1]) summary = safe(pMatch[1]).slice(0, 400);
-    // Rating: look for .rate-points content
-    let rating = null;
-    const rMatch = html.match(/class=["']rate-points["'][^>]*>(-?\d+)</i);
-    if (rMatch && rMatch[1]) rating = parseInt(rMatch[1], 10);
-    const type = /\/scp-(\d+)/i.test(url) ? 'scp' : 'tale';
-    return { url, title, summary, rating, type };
-  } catch (e) {
-    errorHandler.handleError(e, { action: 'parse_metadata' });
-    return { url, title: url, summary: '', rating: null, type: /\/scp-(\d+)/i.test(url) ? 'scp' : 'tale' };
+// Parse fetched HTML where the background has a DOM (Firefox event page); Chrome's service
+// worker has no DOMParser, so there the page is parsed in an offscreen document
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+  const offscreen = globalThis.chrome ? globalThis.chrome.offscreen : null;
+  if (!offscreen) throw new Error('No DOM parser available in this context');
+  if (typeof offscreen.hasDocument === 'function' && await offscreen.hasDocument()) return;
+  if (!offscreenCreating) {
+    offscreenCreating = offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['DOM_PARSER'],
+      justification: 'Read titles, classes and summaries of wiki pages for link previews'
+    }).catch((e) => {
+      // Another caller created it first
+      if (!/single offscreen document/i.test(String(e && e.message))) throw e;
+    }).finally(() => {
+      offscreenCreating = null;
+    });
   }
+  await offscreenCreating;
 }
 
-async function fetchMetadata(url) {
+async function parseFetchedPage(url, html) {
+  if (typeof DOMParser !== 'undefined') return parsePageMetadata(html, url);
+  await ensureOffscreenDocument();
+  return sendMessage(MESSAGE_ACTIONS.OFFSCREEN_PARSE_METADATA, { target: 'offscreen', url, html });
+}
+
+// `fresh` skips the HTTP cache (revision checks must see the current page)
+async function fetchPage(url, signal, { fresh = false } = {}) {
+  const resp = await fetch(url, { credentials: 'omit', cache: fresh ? 'no-cache' : 'force-cache', mode: 'cors', signal });
+  if (!resp.ok) throw new HttpError(resp.status, parseRetryAfter(resp.headers.get('Retry-After')));
+  const html = await resp.text();
+  return parseFetchedPage(url, html);
+}
+
+// Wiki fetches for previews: rate limited per host, coalesced, cancellable, retried on 429/5xx
+const fetchScheduler = new FetchScheduler(fetchPage, { logger });
+
+/**
+ * Fetch and parse a page's metadata through the scheduler.
+ * @param {string} url
+ * @param {Object} [options] - { signal, priority, fresh }
+ * @returns {Promise<Object|null>} null when the fetch failed
+ * @throws {MessageError} 'cancelled' when every caller gave up on the request
+ */
+async function fetchMetadata(url, options = {}) {
   try {
-    const resp = await fetch(url, { credentials: 'omit', cache: 'force-cache', mode: 'cors' });
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    const html = await resp.text();
-    return parseMetadataFromHtml(url, html);
+    return await fetchScheduler.request(url, options);
   } catch (e) {
+    if (isAbortError(e)) throw new MessageError('Request cancelled', 'cancelled');
     errorHandler.handleError(e, { action: 'fetch_metadata', url });
     return null;
   }
 }
 
+// Offline archive (IndexedDB, shared with the popup and the archive page)
+const offlineArchive = new OfflineArchive();
+
+async function isArchiveEnabled() {
+  const settings = await browser.storage.sync.get(['offlineArchiveEnabled']);
+  return !!(settings && settings.offlineArchiveEnabled === true);
+}
+
+async function saveToArchive(capture, reason) {
+  const images = await fetchArchiveImages(capture.images);
+  const record = buildArchiveRecord(capture, images, { reason });
+  await offlineArchive.put(record);
+  logger.info(`Archived ${capture.url} (${record.page.imageCount} images, ${record.page.missingImages} missing)`);
+  return record.page;
+}
+
+// Queued pages are not open anywhere, so fetch and capture them here
+async function archiveFromNetwork(url) {
+  const resp = await fetch(url, { credentials: 'omit', mode: 'cors' });
+  if (!resp.ok) throw new HttpError(resp.status);
+  const html = await resp.text();
+  let capture;
+  if (typeof DOMParser !== 'undefined') {
+    capture = captureArticle(new DOMParser().parseFromString(html, 'text/html'), url);
+  } else {
+    await ensureOffscreenDocument();
+    capture = await sendMessage(MESSAGE_ACTIONS.OFFSCREEN_CAPTURE_ARTICLE, { target: 'offscreen', url, html });
+  }
+  if (!capture) throw new Error(`No article content on ${url}`);
+  return saveToArchive(capture, 'queued');
+}
+
+// Serialized read-modify-write of this device's revision check state: when each page was last
+// checked and the snapshots taken when pages were read (revision-check.js).
+// `mutate` receives `{ checks, snapshots }` and returns the next state.
+let revisionWrites = Promise.resolve();
+
+function updateRevisionState(mutate) {
+  const run = revisionWrites.then(async () => {
+    const res = await localStorageManager.get([REVISION_CHECKS_KEY, REVISION_SNAPSHOTS_KEY]);
+    const next = mutate({
+      checks: { ...((res && res[REVISION_CHECKS_KEY]) || {}) },
+      snapshots: { ...((res && res[REVISION_SNAPSHOTS_KEY]) || {}) }
+    });
+    await localStorageManager.set({ [REVISION_CHECKS_KEY]: next.checks, [REVISION_SNAPSHOTS_KEY]: next.snapshots });
+  });
+  revisionWrites = run.catch(() => {});
+  return run;
+}
+
+// Rewrite detection: compare fresh metadata with the snapshot taken when the page was read.
+// Resolves with the entry's `changed` flag (or null).
+async function checkRevision(id, metadata) {
+  const now = Date.now();
+  const res = await localStorageManager.get([REVISION_SNAPSHOTS_KEY]);
+  const stored = ((res && res[REVISION_SNAPSHOTS_KEY]) || {})[id] || null;
+  let changed = null;
+  let snapshot = null;
+  await updateReadHistory((readSCPs) => {
+    const existing = readSCPs[id];
+    const result = applyRevisionCheck(existing, stored, metadata, now);
+    snapshot = result.snapshot;
+    changed = (result.entry || existing || {}).changed || null;
+    if (!result.entry) return null;
+    readSCPs[id] = stampEntry(result.entry, existing, now);
+    return readSCPs;
+  });
+  await updateRevisionState(({ checks, snapshots }) => ({
+    checks: { ...checks, [id]: now },
+    snapshots: snapshot ? { ...snapshots, [id]: snapshot } : snapshots
+  }));
+  if (changed && changed.detectedAt === now) logger.info('Read page changed since it was read:', id);
+  return changed;
+}
+
+function markRevisionChecked(ids, now = Date.now()) {
+  return updateRevisionState(({ checks, snapshots }) => {
+    ids.forEach((id) => { checks[id] = now; });
+    return { checks, snapshots };
+  });
+}
+
+// Periodic alarm: re-check a few read pages, oldest checks first (low fetch budget).
+// Pages are fetched past every cache, or a rewrite could go unnoticed.
+async function runRevisionChecks() {
+  await migrationsReady;
+  storageManager.clearCache(['readSCPs']);
+  const [history, local] = await Promise.all([
+    storageManager.get(['readSCPs']),
+    localStorageManager.get([REVISION_CHECKS_KEY])
+  ]);
+  const readSCPs = (history && history.readSCPs) || {};
+  const ids = pickRevisionChecks(readSCPs, local && local[REVISION_CHECKS_KEY]);
+  for (const id of ids) {
+    const url = readSCPs[id].url || pageUrlFromId(id);
+    const metadata = url ? await fetchMetadata(url, { priority: 'low', fresh: true }) : null;
+    if (metadata) await setCachedMetadata(url, metadata);
+    // Failed fetches count against the budget too; the page is retried next interval
+    if (metadata) await checkRevision(id, metadata);
+    else await markRevisionChecked([id]);
+  }
+}
+
 // Check browser compatibility
 const compatibility = BrowserCompatibility.checkCompatibility();
 if (!compatibility.compatible) {
@@ -109,260 +372,490 @@ function sanitizeTags(tags) {
   }
 }
 
-// Listen for messages from content script
-browser.runtime.onMessage.addListener((message, sender) => {
-  logger.info("Background received message:", message.action);
-  
-  if (message.action === "scpDetected") {
-    // Validate message structure
-    if (!message.scpNumber || !message.url) {
-      logger.warn("Invalid scpDetected message:", message);
-      return;
+// Toolbar badge: current page status or reading queue length, per the `badgeMode` setting
+// (MV3 uses browser.action; MV2 uses browser.browserAction)
+const actionApi = browser.action || browser.browserAction || null;
+const DEFAULT_ACTION_TITLE = 'SCP Tracker';
+
+async function getBadgeMode() {
+  const res = await browser.storage.sync.get(['badgeMode']);
+  const mode = res && res.badgeMode;
+  return VALIDATION.SETTINGS.BADGE_MODE.includes(mode) ? mode : DEFAULTS.SETTINGS.BADGE_MODE;
+}
+
+// Queue mode shows the same count everywhere, so it is set as the global badge
+async function updateGlobalBadge(mode) {
+  let badge = { text: '', color: null, title: DEFAULT_ACTION_TITLE };
+  if (mode === 'queue') {
+    const res = await storageManager.get([READING_QUEUE_KEY]);
+    badge = badgeForQueue(pendingQueueItems(normalizeQueue((res && res[READING_QUEUE_KEY]) || [])).length);
+  }
+  await actionApi.setBadgeText({ text: badge.text });
+  if (badge.color) await actionApi.setBadgeBackgroundColor({ color: badge.color });
+  await actionApi.setTitle({ title: badge.title });
+  return badge;
+}
+
+// Status mode overrides the global badge on tabs showing a tracked page; other tabs fall back
+// to the global badge (a null text), with any earlier per-tab color and title replaced
+async function updateTabBadge(tab, mode, readSCPs, globalBadge) {
+  if (!tab || tab.id === undefined || tab.id < 0) return;
+  const identity = mode === 'status' && tab.url ? resolvePageIdentity(tab.url) : null;
+  const badge = identity ? badgeForPage(readSCPs[identity.id]) : { ...globalBadge, text: null };
+  try {
+    await actionApi.setBadgeText({ tabId: tab.id, text: badge.text });
+    if (badge.color) await actionApi.setBadgeBackgroundColor({ tabId: tab.id, color: badge.color });
+    await actionApi.setTitle({ tabId: tab.id, title: badge.title });
+  } catch (e) {
+    // The tab may have closed in the meantime
+    logger.debug('Could not update badge for tab:', tab.id, e);
+  }
+}
+
+/**
+ * Refresh the toolbar badge.
+ * @param {Object} [options]
+ * @param {Object[]} [options.tabs] - tabs to update; defaults to the active tab of every window
+ * @param {boolean} [options.allTabs] - update every open tab (after a mode change)
+ * @returns {Promise<void>}
+ */
+async function refreshBadges({ tabs = null, allTabs = false } = {}) {
+  if (!actionApi || !actionApi.setBadgeText) return;
+  try {
+    const mode = await getBadgeMode();
+    const globalBadge = await updateGlobalBadge(mode);
+    const targets = tabs || await browser.tabs.query(allTabs ? {} : { active: true });
+    if (!targets.length) return;
+    const res = mode === 'status' ? await storageManager.get(['readSCPs']) : null;
+    const readSCPs = (res && res.readSCPs) || {};
+    await Promise.all(targets.map(tab => updateTabBadge(tab, mode, readSCPs, globalBadge)));
+  } catch (e) {
+    errorHandler.handleError(e, { action: 'refresh_toolbar_badge' });
+  }
+}
+
+// Background message handlers; every response is a `{ ok, data, error }` envelope
+const router = createMessageRouter({
+  extensionOrigin: browser.runtime.getURL(''),
+  logger,
+  onError: (error, context) => errorHandler.handleError(error, context)
+});
+
+// Record an opened page (only the first visit creates an entry)
+router.register(MESSAGE_ACTIONS.SCP_DETECTED, {
+  from: ['content'],
+  schema: { url: 'string', scpTitle: 'string?', metadata: 'object?' },
+  errorContext: 'store_scp_detection',
+  handler: async (message, sender) => {
+    const identity = resolvePageIdentity(message.url);
+    if (!identity) throw new MessageError('URL is not a trackable wiki page', 'invalid_url');
+    // Metadata read from the live page saves a fetch when the page is previewed later
+    if (isCurrentMetadata(message.metadata) && message.metadata.url === message.url) {
+      await setCachedMetadata(message.url, message.metadata);
     }
-    
-    // Store that this SCP has been visited
-    storageManager.get(['readSCPs']).then(result => {
-      let readSCPs = result.readSCPs || {};
-      
-      if (!readSCPs[message.scpNumber]) {
-        readSCPs[message.scpNumber] = {
-          read: false, // Not marked as read yet
-          detected: true,
-          timestamp: Date.now(),
-          title: message.scpTitle || `SCP-${message.scpNumber}`,
-          url: message.url,
-          type: message.type || 'unknown'
-        };
-        
-        return storageManager.set({readSCPs: readSCPs});
-      }
-    }).catch(error => {
-      errorHandler.handleError(error, {
-        action: 'store_scp_detection',
-        scpNumber: message.scpNumber
+    const applied = await recordReadingEvents([createReadingEvent({
+      id: identity.id,
+      type: 'visit',
+      source: 'page',
+      title: message.scpTitle || formatPageLabel(identity.id),
+      url: message.url,
+      kind: identity.kind
+    })]);
+    // A visit is a free re-check of a read page
+    const changed = isCurrentMetadata(message.metadata) && message.metadata.url === message.url
+      ? await checkRevision(identity.id, message.metadata)
+      : null;
+    if (sender && sender.tab) refreshBadges({ tabs: [sender.tab] });
+    return { recorded: applied.length > 0, changed };
+  }
+});
+
+// Record a read (bottom of the page reached or marked manually)
+router.register(MESSAGE_ACTIONS.BOTTOM_REACHED, {
+  from: ['content'],
+  schema: { url: 'string?', scpTitle: 'string?', tags: 'array?', source: 'string?', depth: 'number?', minutes: 'number?', metadata: 'object?' },
+  errorContext: 'mark_as_read',
+  handler: async (message, sender) => {
+    // Prefer message-provided fields; fall back to the sending tab
+    const tab = (sender && sender.tab) || {};
+    const url = message.url || tab.url;
+    const title = message.url ? message.scpTitle : tab.title;
+    const identity = url ? resolvePageIdentity(url) : null;
+    if (!identity) throw new MessageError('URL is not a trackable wiki page', 'invalid_url');
+
+    // What the page looked like when read, to notice later rewrites
+    const snapshot = message.metadata && message.metadata.url === url ? snapshotFromMetadata(message.metadata) : null;
+    // Time measured on this device since the last read is added to the entry with this read
+    let seconds = 0;
+    await updateReadingTime((store) => {
+      seconds = pendingSecondsOf(store, identity.id);
+      return null;
+    });
+    const applied = await recordReadingEvents([createReadingEvent({
+      id: identity.id,
+      type: 'read',
+      source: message.source === 'manual' ? 'manual' : 'scroll',
+      depth: message.depth,
+      minutes: message.minutes,
+      seconds,
+      title: title || formatPageLabel(identity.id),
+      url,
+      kind: identity.kind,
+      // Reads marked from a context menu carry no tags; the stored ones are kept
+      tags: message.url ? (message.tags ? sanitizeTags(message.tags) : undefined) : []
+    })]);
+    logger.info('Marked as read:', identity.id, applied.map(e => e.type).join(','));
+    if (seconds && applied.some(e => e.seconds)) {
+      await updateReadingTime(store => takePendingTime(store, identity.id, seconds).store);
+    }
+    if (snapshot && applied.length > 0) {
+      await updateRevisionState(({ checks, snapshots }) => ({ checks, snapshots: { ...snapshots, [identity.id]: snapshot } }));
+    }
+    if (applied.length > 0) {
+      // A queued page that has been read moves to "done"
+      let completed = null;
+      await updateReadingQueue((queue) => {
+        const result = completeQueueItem(queue, identity.id);
+        completed = result.completed;
+        return result.queue;
       });
+      if (completed) logger.info('Completed queued item:', identity.id);
+    }
+    if (sender && sender.tab) refreshBadges({ tabs: [sender.tab] });
+    return { recorded: applied.map(e => e.type) };
+  }
+});
+
+// Active reading time measured by the content script (reading-timer.js). It adds up on this
+// device and reaches the synced entry with the page's next read.
+router.register(MESSAGE_ACTIONS.READING_TIME, {
+  from: ['content'],
+  schema: { url: 'string', seconds: 'number' },
+  errorContext: 'record_reading_time',
+  handler: async (message) => {
+    const identity = resolvePageIdentity(message.url);
+    if (!identity) throw new MessageError('URL is not a trackable wiki page', 'invalid_url');
+    let recorded = false;
+    await updateReadingTime((store) => {
+      const next = addReadingTime(store, identity.id, message.seconds);
+      recorded = Boolean(next);
+      return next;
     });
+    return { recorded };
   }
-  
-  if (message.action === "bottomReached") {
-    logger.info("Bottom reached message received");
-
-    // Prefer message-provided fields; fallback to active tab parsing
-    const msg = message || {};
-    const msgUrl = typeof msg.url === 'string' ? msg.url : null;
-    const msgType = typeof msg.type === 'string' ? msg.type : null;
-    const msgNumber = typeof msg.scpNumber === 'string' || typeof msg.scpNumber === 'number' ? String(msg.scpNumber) : null;
-    const msgTitle = typeof msg.scpTitle === 'string' ? msg.scpTitle : null;
-    const msgTags = sanitizeTags(msg.tags);
-
-    const tryPersist = (identifier, url, type, title, tags) => {
-      if (!identifier || !url) {
-        logger.warn('Cannot persist read entry: missing identifier or url');
-        return;
-      }
-      storageManager.get(['readSCPs']).then(result => {
-        const readSCPs = result.readSCPs || {};
-        readSCPs[identifier] = {
-          read: true,
-          timestamp: Date.now(),
-          title: title || `SCP-${identifier}`,
-          url,
-          type: type || (/\/scp-(\d+)/i.test(url) ? 'scp' : 'tale'),
-          tags: tags || []
-        };
-        return storageManager.set({ readSCPs });
-      }).then(() => {
-        logger.info('Marked as read:', identifier);
-      }).catch(error => {
-        errorHandler.handleError(error, { action: 'mark_as_read', identifier });
-      });
-    };
+});
 
-    if (msgUrl) {
-      // Derive identifier/type from message when possible
-      let identifier = msgNumber || null;
-      let type = msgType || 'unknown';
-      if (!identifier) {
-        const scpMatch = msgUrl.match(/scp-(\d+)/i);
-        const taleMatch = msgUrl.match(/scp-wiki\.wikidot\.com\/(.*?)$/i);
-        if (scpMatch && scpMatch[1]) {
-          identifier = scpMatch[1];
-          type = 'scp';
-        } else if (taleMatch && taleMatch[1] && !taleMatch[1].includes('/') &&
-                   taleMatch[1] !== '' && !taleMatch[1].startsWith('system:') &&
-                   taleMatch[1] !== 'main' && taleMatch[1] !== 'forum' &&
-                   taleMatch[1] !== 'nav:side') {
-          identifier = taleMatch[1];
-          type = 'tale';
-        }
-      }
-      tryPersist(identifier, msgUrl, type, msgTitle, msgTags);
-      return;
-    }
+// The entry becomes a tombstone so stale devices do not bring it back
+router.register(MESSAGE_ACTIONS.MARK_UNREAD, {
+  schema: { id: 'string?', url: 'string?', source: 'string?' },
+  errorContext: 'mark_unread',
+  handler: async (message) => {
+    const identity = message.url ? resolvePageIdentity(message.url) : null;
+    const id = (message.id && parsePageId(message.id)) ? message.id : (identity && identity.id);
+    if (!id) throw new MessageError('Missing page id or url', 'invalid_payload');
+    const applied = await recordReadingEvents([createReadingEvent({ id, type: 'unread', source: message.source || 'popup' })]);
+    return { changed: applied.length > 0 };
+  }
+});
 
-    // Fallback: query active tab as before
-    browser.tabs.query({ active: true, currentWindow: true }).then(tabs => {
-      if (!tabs || !tabs[0]) {
-        logger.warn('No active tab found');
-        return;
-      }
-      const tab = tabs[0];
-      const url = tab.url;
-      if (!url || !url.includes('scp-wiki.wikidot.com')) {
-        logger.warn('Invalid URL for bottomReached:', url);
-        return;
-      }
-      const scpMatch = url.match(/scp-(\d+)/i);
-      const taleMatch = url.match(/scp-wiki\.wikidot\.com\/(.*?)$/i);
-      let identifier = null;
-      let type = 'unknown';
-      if (scpMatch && scpMatch[1]) {
-        identifier = scpMatch[1];
-        type = 'scp';
-      } else if (taleMatch && taleMatch[1] && !taleMatch[1].includes('/') &&
-                 taleMatch[1] !== '' && !taleMatch[1].startsWith('system:') &&
-                 taleMatch[1] !== 'main' && taleMatch[1] !== 'forum' &&
-                 taleMatch[1] !== 'nav:side') {
-        identifier = taleMatch[1];
-        type = 'tale';
-      }
-      tryPersist(identifier, url, type, tab.title || null, []);
-    }).catch(error => {
-      errorHandler.handleError(error, { action: 'bottomReached_tab_query' });
+// Tombstone every entry (an empty map would be overwritten by the next device to sync) and
+// delete the local reading log, reading time and read snapshots
+router.register(MESSAGE_ACTIONS.CLEAR_HISTORY, {
+  from: ['extension'],
+  errorContext: 'clear_history',
+  handler: async () => {
+    await migrationsReady;
+    const result = await storageManager.get(['readSCPs']);
+    const ids = Object.keys((result && result.readSCPs) || {});
+    const applied = await recordReadingEvents(ids.map(id => createReadingEvent({ id, type: 'unread', source: 'clear' })));
+    // The local event log holds URLs and titles and feeds analytics; it goes too
+    const cleared = logWrites.then(() => localStorageManager.remove([READING_LOG_KEY]));
+    logWrites = cleared.catch(() => {});
+    await cleared;
+    await updateRevisionState(() => ({ checks: {}, snapshots: {} }));
+    const timeCleared = timeWrites.then(() => localStorageManager.remove([READING_TIME_KEY]));
+    timeWrites = timeCleared.catch(() => {});
+    await timeCleared;
+    return { changed: applied.length > 0 };
+  }
+});
+
+// Imported entries are pre-stamped by planHistoryImport, so they win the merge
+router.register(MESSAGE_ACTIONS.HISTORY_IMPORT, {
+  from: ['extension'],
+  schema: { patch: 'object' },
+  errorContext: 'import_history',
+  handler: async (message) => {
+    const entries = Object.entries(message.patch).filter(([id, entry]) => parsePageId(id) && entry && typeof entry === 'object');
+    await updateReadHistory((readSCPs) => {
+      const { merged, changed } = mergeHistories(readSCPs, Object.fromEntries(entries));
+      return changed ? merged : null;
     });
+    logger.info(`Imported ${entries.length} reading history entries`);
+    return { applied: entries.length };
   }
-  
-  if (message.action === "markUnread") {
-    if (!message.scpNumber) {
-      logger.warn("Invalid markUnread message: missing scpNumber");
-      return;
+});
+
+router.register(MESSAGE_ACTIONS.BACKUP_RESTORE, {
+  from: ['extension'],
+  schema: { bundle: 'object' },
+  errorContext: 'restore_backup',
+  handler: async (message) => {
+    // Wait for pending history writes; storage-backed handlers wait for the restore
+    const restore = historyWrites.then(() => migrationsReady).then(() => restoreBackup(message.bundle, { logger }));
+    migrationsReady = restore.then(() => undefined, () => undefined);
+    let result;
+    try {
+      result = await restore;
+    } catch (error) {
+      // Nothing was changed; report why the bundle was refused
+      throw new MessageError(error.message, 'restore_failed');
     }
-    
-    storageManager.get(['readSCPs']).then(result => {
-      let readSCPs = result.readSCPs || {};
-      if (readSCPs[message.scpNumber]) {
-        delete readSCPs[message.scpNumber];
-        return storageManager.set({readSCPs: readSCPs});
-      }
-    }).catch(error => {
-      errorHandler.handleError(error, {
-        action: 'mark_unread',
-        scpNumber: message.scpNumber
-      });
+    storageManager.clearCache();
+    localStorageManager.clearCache();
+    previewCache.invalidate();
+    // Replace the synced history with stamped entries and tombstones so it sticks on other devices
+    let summary = null;
+    await updateReadHistory((readSCPs) => {
+      const plan = planHistoryImport(readSCPs, result.history, { mode: 'replace' });
+      summary = plan.summary;
+      const { merged, changed } = mergeHistories(readSCPs, plan.patch);
+      return changed ? merged : null;
     });
+    return { restored: result.restored, history: summary, migrations: result.migrations.applied };
   }
-  
-  if (message.action === "getSettings") {
-    return browser.storage.sync.get(null);
+});
+
+router.register(MESSAGE_ACTIONS.GET_SETTINGS, {
+  handler: () => browser.storage.sync.get(null)
+});
+
+router.register(MESSAGE_ACTIONS.SAVE_SETTINGS, {
+  from: ['extension'],
+  schema: { settings: 'object' },
+  errorContext: 'saveSettings',
+  handler: async (message) => {
+    await browser.storage.sync.set(message.settings);
+    return null;
   }
-  
-  if (message.action === "saveSettings") {
-    if (!message.settings || typeof message.settings !== 'object') {
-      logger.warn("Invalid saveSettings message:", message);
-      return Promise.reject(new Error('Invalid settings object'));
+});
+
+// Interactive preview requests that can still be cancelled, by `<tab id>:<request id>`
+const previewRequests = new Map();
+
+function previewRequestKey(sender, requestId) {
+  return `${sender && sender.tab ? sender.tab.id : 'extension'}:${requestId}`;
+}
+
+// Link preview: get metadata (with cache)
+router.register(MESSAGE_ACTIONS.PREVIEW_METADATA, {
+  schema: { url: 'string', requestId: 'string?' },
+  errorContext: 'link_preview_get_metadata',
+  handler: async (message, sender) => {
+    const cached = await getCachedMetadata(message.url);
+    if (cached) return { metadata: cached, cached: true };
+    const controller = new AbortController();
+    const key = message.requestId ? previewRequestKey(sender, message.requestId) : null;
+    if (key) previewRequests.set(key, controller);
+    try {
+      const metadata = await fetchMetadata(message.url, { signal: controller.signal, priority: 'high' });
+      if (!metadata) throw new MessageError('Metadata unavailable', 'fetch_failed');
+      await setCachedMetadata(message.url, metadata);
+      return { metadata, cached: false };
+    } finally {
+      if (key) previewRequests.delete(key);
     }
-    return browser.storage.sync.set(message.settings);
-  }
-
-  // Link preview: get metadata (with cache)
-  if (message.action === 'linkPreview:getMetadata') {
-    const url = message.url;
-    if (!url || typeof url !== 'string') return Promise.resolve({ ok: false, error: 'invalid_url' });
-    return (async () => {
-      try {
-        const cached = await getCachedMetadata(url);
-        if (cached) return { ok: true, data: cached, cached: true };
-        const data = await fetchMetadata(url);
-        if (data) await setCachedMetadata(url, data);
-        return data ? { ok: true, data } : { ok: false };
-      } catch (e) {
-        errorHandler.handleError(e, { action: 'link_preview_get_metadata' });
-        return { ok: false };
-      }
-    })();
   }
+});
 
-  // Link preview: prefetch a batch of URLs
-  if (message.action === 'linkPreview:prefetch') {
-    const urls = Array.isArray(message.urls) ? message.urls : [];
-    (async () => {
-      for (const u of urls) {
-        try {
-          const cached = await getCachedMetadata(u);
-          if (!cached) {
-            const data = await fetchMetadata(u);
-            if (data) await setCachedMetadata(u, data);
-          }
-        } catch (e) {
-          // ignore individual failures
-          logger.debug('Prefetch failed for', u, e);
-        }
-      }
-    })();
-    return; // no response expected
-  }
-
-  // Link preview: add to reading queue
-  if (message.action === 'linkPreview:queue:add') {
-    const item = message.item || {};
-    const toStore = {
-      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-      url: item.url,
-      title: item.title,
-      type: item.type || (/\/scp-(\d+)/i.test(item.url || '') ? 'scp' : 'tale'),
-      addedAt: Date.now()
-    };
-    return storageManager.get(['readingQueue']).then(res => {
-      const q = res.readingQueue || [];
-      q.push(toStore);
-      return storageManager.set({ readingQueue: q });
-    })
-      .then(() => {
-        // Also open the URL in a new tab after queuing
-        try {
-          return browser.tabs.create({ url: toStore.url });
-        } catch (_) {
-          // ignore tab open failures and proceed
-          return null;
-        }
-      })
-      .then(() => ({ ok: true, item: toStore }))
-      .catch(e => {
-        errorHandler.handleError(e, { action: 'queue_add' });
-        return { ok: false };
+// Link preview: the tooltip closed before its metadata arrived
+router.register(MESSAGE_ACTIONS.PREVIEW_CANCEL, {
+  schema: { requestId: 'string' },
+  handler: (message, sender) => {
+    const controller = previewRequests.get(previewRequestKey(sender, message.requestId));
+    if (controller) controller.abort();
+    return { cancelled: !!controller };
+  }
+});
+
+router.register(MESSAGE_ACTIONS.PREVIEW_CACHE_STATS, {
+  from: ['extension'],
+  errorContext: 'preview_cache_stats',
+  handler: () => previewCache.stats()
+});
+
+router.register(MESSAGE_ACTIONS.PREVIEW_CACHE_CLEAR, {
+  from: ['extension'],
+  errorContext: 'preview_cache_clear',
+  handler: async () => {
+    const removed = await previewCache.clear();
+    logger.info(`Cleared ${removed} link preview cache entries`);
+    return { removed };
+  }
+});
+
+// Link preview: prefetch a batch of URLs; answers right away, the scheduler paces the fetches
+router.register(MESSAGE_ACTIONS.PREVIEW_PREFETCH, {
+  from: ['content'],
+  schema: { urls: 'string[]' },
+  handler: (message) => {
+    message.urls.forEach((u) => {
+      (async () => {
+        if (await getCachedMetadata(u)) return;
+        const data = await fetchMetadata(u, { priority: 'low' });
+        if (data) await setCachedMetadata(u, data);
+      })().catch((e) => {
+        // ignore individual failures
+        logger.debug('Prefetch failed for', u, e);
       });
+    });
+    return null;
   }
-  
-  // Analytics: receive events from popup and store in local storage
-  if (message.action === 'analytics:event') {
-    const ev = (message && message.event) || {};
+});
+
+// Offline archive: save an article captured by the content script
+router.register(MESSAGE_ACTIONS.ARCHIVE_SAVE, {
+  from: ['content'],
+  schema: { capture: 'object', reason: 'string?' },
+  errorContext: 'archive_save',
+  handler: async (message) => {
+    const { capture } = message;
+    const valid = typeof capture.url === 'string' && typeof capture.html === 'string'
+      && Array.isArray(capture.images) && capture.images.every(u => typeof u === 'string');
+    if (!valid || !resolvePageIdentity(capture.url)) throw new MessageError('Invalid article capture', 'invalid_payload');
+    if (!(await isArchiveEnabled())) throw new MessageError('Offline archive is turned off', 'disabled');
+    const page = await saveToArchive(capture, message.reason === 'queued' ? 'queued' : 'read');
+    return { page };
+  }
+});
+
+// Link preview: add to reading queue
+router.register(MESSAGE_ACTIONS.QUEUE_ADD, {
+  schema: { item: 'object' },
+  errorContext: 'queue_add',
+  handler: async (message, sender) => {
+    const item = message.item;
+    if (typeof item.url !== 'string') throw new MessageError('item.url must be string', 'invalid_payload');
+    let result = null;
+    await updateReadingQueue((queue) => {
+      result = addToQueue(queue, { url: item.url, title: item.title, type: item.type });
+      return result.queue;
+    });
+    if (!result.item) throw new MessageError('URL is not a wiki page', 'invalid_url');
+    // Only newly queued items are opened, and only if the user asked for it
+    let opened = false;
+    if (result.added) {
+      const settings = await browser.storage.sync.get(['queueAddBehavior', 'offlineArchiveEnabled']);
+      opened = await openQueuedItem(result.item, settings && settings.queueAddBehavior, sender);
+      if (settings && settings.offlineArchiveEnabled === true) {
+        archiveFromNetwork(result.item.url).catch((e) => {
+          errorHandler.handleError(e, { action: 'archive_queued_page', url: result.item.url });
+        });
+      }
+    }
+    return { item: result.item, added: result.added, opened };
+  }
+});
+
+// Reading queue management (popup queue tab)
+const QUEUE_OPERATIONS = [
+  [MESSAGE_ACTIONS.QUEUE_LIST, {}, () => queue => queue],
+  [MESSAGE_ACTIONS.QUEUE_REMOVE, { itemId: 'string' }, message => queue => removeFromQueue(queue, message.itemId)],
+  [MESSAGE_ACTIONS.QUEUE_REORDER, { order: 'string[]' }, message => queue => reorderQueue(queue, message.order)],
+  [MESSAGE_ACTIONS.QUEUE_NOTE, { itemId: 'string', note: 'string?' }, message => queue => setQueueNote(queue, message.itemId, message.note)],
+  [MESSAGE_ACTIONS.QUEUE_CLEAR_DONE, {}, () => queue => queue.filter(i => i.status !== 'done')],
+];
+QUEUE_OPERATIONS.forEach(([action, schema, operation]) => {
+  router.register(action, {
+    from: ['extension'],
+    schema,
+    errorContext: 'queue_update',
+    handler: message => updateReadingQueue(operation(message)).then(queueResponse)
+  });
+});
+
+router.register(MESSAGE_ACTIONS.QUEUE_OPEN_NEXT, {
+  from: ['extension'],
+  errorContext: 'queue_open_next',
+  handler: async () => {
+    const queue = await updateReadingQueue(queue => queue);
+    const next = pendingQueueItems(queue)[0];
+    if (!next) throw new MessageError('The reading queue is empty', 'queue_empty');
+    await browser.tabs.create({ url: next.url });
+    return { item: next };
+  }
+});
+
+// Serialized read-modify-write of the analytics event log (see analytics-events.js).
+// `mutate` receives the stored events and the normalized retention and returns
+// `{ events, retention? }`; a returned retention is stored too. Retention is applied before writing.
+let analyticsWrites = Promise.resolve();
+
+function updateAnalyticsEvents(mutate) {
+  const run = analyticsWrites.then(async () => {
+    localStorageManager.clearCache([ANALYTICS_EVENTS_KEY, EVENT_RETENTION_KEY]);
+    const res = await localStorageManager.get([ANALYTICS_EVENTS_KEY, EVENT_RETENTION_KEY]);
+    const stored = Array.isArray(res && res[ANALYTICS_EVENTS_KEY]) ? res[ANALYTICS_EVENTS_KEY] : [];
+    const next = mutate(stored, normalizeRetention(res && res[EVENT_RETENTION_KEY]));
+    const retention = normalizeRetention(next.retention || (res && res[EVENT_RETENTION_KEY]));
+    const events = applyRetention(next.events, retention);
+    await localStorageManager.set(next.retention
+      ? { [ANALYTICS_EVENTS_KEY]: events, [EVENT_RETENTION_KEY]: retention }
+      : { [ANALYTICS_EVENTS_KEY]: events });
+    return { events, retention, removed: Math.max(0, next.events.length - events.length) };
+  });
+  analyticsWrites = run.catch(() => {});
+  return run;
+}
+
+// Analytics: receive events and store them in local storage
+router.register(MESSAGE_ACTIONS.ANALYTICS_EVENT, {
+  schema: { event: 'object?' },
+  errorContext: 'analytics_event_store',
+  handler: async (message, sender) => {
     const entry = {
-      ...ev,
+      ...(message.event || {}),
       ts: Date.now(),
       sender: {
         tabId: (sender && sender.tab && sender.tab.id) || null,
         url: (sender && sender.tab && sender.tab.url) || null
       }
     };
-    return localStorageManager.get(['analyticsEvents']).then(res => {
-      const events = Array.isArray(res.analyticsEvents) ? res.analyticsEvents : [];
-      events.push(entry);
-      // Keep only the latest 500 events
-      if (events.length > 500) {
-        events.splice(0, events.length - 500);
-      }
-      return localStorageManager.set({ analyticsEvents: events });
-    }).then(() => ({ ok: true }))
-      .catch(e => {
-        errorHandler.handleError(e, { action: 'analytics_event_store' });
-        return { ok: false };
-      });
+    await updateAnalyticsEvents(events => ({ events: events.concat([entry]) }));
+    return null;
+  }
+});
+
+// Event dashboard: deleting the log and changing the retention go through the same queue as
+// new events, so an event stored meanwhile cannot bring back the old list
+router.register(MESSAGE_ACTIONS.ANALYTICS_EVENTS_CLEAR, {
+  from: ['extension'],
+  errorContext: 'analytics_events_clear',
+  handler: async () => {
+    let removed = 0;
+    await updateAnalyticsEvents((events) => {
+      removed = events.length;
+      return { events: [] };
+    });
+    return { removed };
   }
-  
-  // Unhandled message type
-  logger.warn("Unhandled message action:", message.action);
 });
 
+router.register(MESSAGE_ACTIONS.ANALYTICS_RETENTION_SET, {
+  from: ['extension'],
+  schema: { retention: 'object' },
+  errorContext: 'analytics_retention_set',
+  handler: async (message) => {
+    const { retention, removed } = await updateAnalyticsEvents(events => ({
+      events,
+      retention: normalizeRetention(message.retention)
+    }));
+    return { retention, removed };
+  }
+});
+
+browser.runtime.onMessage.addListener(router.listener);
+
 // Check if this is the first time running the extension
 function isFirstTimeRun() {
   return new Promise((resolve) => {
@@ -393,8 +886,10 @@ function openOnboardingPage() {
 }
 
 // Initialize default settings
-browser.runtime.onInstalled.addListener(() => {
+browser.runtime.onInstalled.addListener((details) => {
   logger.info("Extension installed/updated");
+
+  startMigrations((details && details.reason) || 'install');
   
   const defaultSettings = {
     dictionaryEnabled: true,
@@ -404,7 +899,9 @@ browser.runtime.onInstalled.addListener(() => {
     readerEnabled: false,
     readerTheme: 'default',
     readerTypography: { fontSize: '100%', lineHeight: 1.6, maxWidth: '800px' },
-    readerCustomCSS: ''
+    readerCustomCSS: '',
+    offlineArchiveEnabled: false,
+    badgeMode: DEFAULTS.SETTINGS.BADGE_MODE
   };
   
   browser.storage.sync.get(Object.keys(defaultSettings)).then(settings => {
@@ -428,9 +925,6 @@ browser.runtime.onInstalled.addListener(() => {
     });
   });
   
-  // Initialize default weekly goal if missing
-  // Removed: weekly goal initialization (deprecated)
-  
   // Check if this is the first run and open settings page
   isFirstTimeRun().then(isFirstRun => {
     if (isFirstRun) {
@@ -448,12 +942,8 @@ browser.runtime.onInstalled.addListener(() => {
   });
 });
 
-// Listen for extension icon click to open settings (MV3 uses browser.action)
 // Listen for extension icon click to open settings (MV3 uses browser.action; MV2 uses browser.browserAction)
 try {
-  const actionApi = (typeof browser !== 'undefined' && browser.action)
-    || (typeof browser !== 'undefined' && browser.browserAction)
-    || null;
   if (actionApi && actionApi.onClicked && actionApi.onClicked.addListener) {
     actionApi.onClicked.addListener(() => {
       logger.info("Extension icon clicked");
@@ -464,6 +954,186 @@ try {
   // Ignore if action APIs are unavailable
 }
 
+// Context menus on wiki pages and on links to wiki pages (see context-menus.js)
+const contextMenusApi = browser.contextMenus || browser.menus || null;
+
+// Wiki hosts are the ones the content script runs on
+function wikiUrlPatterns() {
+  const scripts = browser.runtime.getManifest().content_scripts || [];
+  return scripts.flatMap(script => script.matches || []);
+}
+
+async function registerContextMenus() {
+  if (!contextMenusApi) return;
+  try {
+    await contextMenusApi.removeAll();
+    buildContextMenuItems(wikiUrlPatterns(), { reader: FEATURES.ENABLE_READER }).forEach((item) => {
+      contextMenusApi.create(item);
+    });
+  } catch (e) {
+    errorHandler.handleError(e, { action: 'register_context_menus' });
+  }
+}
+
+// Clicks go through the message handlers, as if sent by the content script of the tab
+async function handleContextMenuClick(info, tab) {
+  const click = parseContextMenuClick(info, tab);
+  const identity = click && click.url ? resolvePageIdentity(click.url) : null;
+  if (!identity || !tab) {
+    logger.debug('Ignoring context menu click on an untracked page:', info && info.menuItemId);
+    return;
+  }
+  const runtime = { sendMessage: message => router.dispatch(message, { tab, url: tab.url }) };
+  const onPage = click.context === 'page';
+  switch (click.action) {
+    case 'markRead':
+      // The page itself is marked by its content script, like the manual read button
+      if (onPage) return browser.tabs.sendMessage(tab.id, { action: 'markRead' });
+      return sendMessage(MESSAGE_ACTIONS.BOTTOM_REACHED, { url: click.url, source: 'manual' }, { runtime });
+    case 'markUnread':
+      return sendMessage(MESSAGE_ACTIONS.MARK_UNREAD, { url: click.url, source: 'context_menu' }, { runtime });
+    case 'queueAdd':
+      return sendMessage(MESSAGE_ACTIONS.QUEUE_ADD, {
+        item: { url: click.url, title: onPage ? undefined : click.title, type: identity.kind }
+      }, { runtime });
+    case 'openReader':
+      if (onPage) return browser.tabs.sendMessage(tab.id, { action: 'openReader' });
+      return browser.tabs.create({
+        url: `${click.url.split('#')[0]}${READER_LAUNCH_HASH}`,
+        index: tab.index + 1,
+        openerTabId: tab.id
+      });
+    case 'copyId':
+      return browser.tabs.sendMessage(tab.id, { action: 'copyText', text: identity.id });
+    default:
+      return undefined;
+  }
+}
+
+if (contextMenusApi) {
+  contextMenusApi.onClicked.addListener((info, tab) => {
+    Promise.resolve(handleContextMenuClick(info, tab)).catch((e) => {
+      errorHandler.handleError(e, { action: 'context_menu_click', menuItemId: info && info.menuItemId });
+    });
+  });
+  browser.runtime.onInstalled.addListener(registerContextMenus);
+  // Firefox does not keep menus of persistent background pages across browser restarts;
+  // registering again is safe since registerContextMenus starts with removeAll
+  if (browser.runtime.onStartup) browser.runtime.onStartup.addListener(registerContextMenus);
+}
+
+// Omnibox keyword: open an article by number or search tracked and queued pages (see omnibox.js)
+// Chrome parses suggestion descriptions as XML; Firefox (which has getBrowserInfo) does not
+const omniboxMarkup = typeof browser.runtime.getBrowserInfo !== 'function';
+const OMNIBOX_HINT = 'Open an SCP by number (173, 173-j, 173 ru) or search your reading history';
+
+async function omniboxSources() {
+  const res = await storageManager.get(['readSCPs', READING_QUEUE_KEY]);
+  return { readSCPs: (res && res.readSCPs) || {}, queue: (res && res[READING_QUEUE_KEY]) || [] };
+}
+
+async function suggestFromOmnibox(text, suggest) {
+  const sources = await omniboxSources();
+  const page = parseOmniboxInput(text);
+  if (page) {
+    const entry = sources.readSCPs[page.id];
+    const queued = pendingQueueItems(sources.queue).some(item => item.pageId === page.id);
+    const description = formatOmniboxDescription({
+      label: formatPageLabel(page.id),
+      title: entry && !isTombstone(entry) ? entry.title : null,
+      status: describeReadingStatus(entry, queued)
+    }, { markup: omniboxMarkup });
+    browser.omnibox.setDefaultSuggestion({ description: `Open ${description}` });
+  } else {
+    browser.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+  }
+  const matches = searchOmnibox(text, sources).filter(match => !page || match.id !== page.id);
+  suggest(matches.map(match => ({
+    content: match.url,
+    description: formatOmniboxDescription(match, { markup: omniboxMarkup })
+  })));
+}
+
+// The entered text is a chosen suggestion (a page URL), an article number or a search
+async function openFromOmnibox(text, disposition) {
+  const input = String(text || '').trim();
+  let url = resolvePageIdentity(input) ? input : null;
+  if (!url) {
+    const page = parseOmniboxInput(input);
+    url = page ? page.url : null;
+  }
+  if (!url && input) {
+    const [best] = searchOmnibox(input, await omniboxSources(), { limit: 1 });
+    url = best ? best.url : `https://scp-wiki.wikidot.com/search:site/q/${encodeURIComponent(input)}`;
+  }
+  if (!url) return;
+  if (disposition === 'currentTab') {
+    await browser.tabs.update({ url });
+  } else {
+    await browser.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+  }
+}
+
+if (browser.omnibox) {
+  browser.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+  browser.omnibox.onInputChanged.addListener((text, suggest) => {
+    suggestFromOmnibox(text, suggest).catch((e) => {
+      errorHandler.handleError(e, { action: 'omnibox_suggest' });
+    });
+  });
+  browser.omnibox.onInputEntered.addListener((text, disposition) => {
+    openFromOmnibox(text, disposition).catch((e) => {
+      errorHandler.handleError(e, { action: 'omnibox_open' });
+    });
+  });
+}
+
+// Merge reading history written by other devices.
+// When sync delivers a shard written elsewhere, its oldValue holds what this device had stored;
+// entries the other device had not seen yet are merged back so neither side's changes are lost.
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  const historyKeys = Object.keys(changes)
+    .filter(key => key === 'readSCPs' || (isChunkPartKey('readSCPs', key) && key !== manifestKey('readSCPs')));
+  if (historyKeys.length === 0) return;
+  const previous = historyKeys.reduce((acc, key) => mergeHistories(acc, changes[key].oldValue).merged, {});
+
+  updateReadHistory((readSCPs) => {
+    const { merged, changed } = mergeHistories(readSCPs, previous);
+    if (changed) logger.info('Merged reading history changes from another device');
+    return changed ? merged : null;
+  }).catch(error => {
+    errorHandler.handleError(error, { action: 'merge_synced_history' });
+  });
+});
+
+// Keep the toolbar badge in step with the active tab, the reading history and the queue
+browser.tabs.onActivated.addListener(({ tabId }) => {
+  browser.tabs.get(tabId)
+    .then(tab => refreshBadges({ tabs: [tab] }))
+    .catch(e => logger.debug('Could not read activated tab:', tabId, e));
+});
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Navigation resets per-tab badges
+  if (changeInfo.url || changeInfo.status === 'complete') refreshBadges({ tabs: [tab] });
+});
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  const keys = Object.keys(changes);
+  if (changes.badgeMode) {
+    refreshBadges({ allTabs: true });
+  } else if (keys.some(key => key === 'readSCPs' || isChunkPartKey('readSCPs', key))) {
+    // Marked unread in the popup, imported or synced from another device
+    storageManager.clearCache(['readSCPs']);
+    refreshBadges();
+  } else if (changes[READING_QUEUE_KEY]) {
+    storageManager.clearCache([READING_QUEUE_KEY]);
+    refreshBadges({ tabs: [] });
+  }
+});
+
 // Listen for storage changes and notify content scripts
 browser.storage.onChanged.addListener((changes, areaName) => {
   // Only handle sync storage changes (where settings are stored)
@@ -479,7 +1149,8 @@ browser.storage.onChanged.addListener((changes, areaName) => {
       'readerEnabled',
       'readerTheme',
       'readerTypography',
-      'readerCustomCSS'
+      'readerCustomCSS',
+      'offlineArchiveEnabled'
     ];
     const changedSettings = {};
     let hasRelevantChanges = false;
@@ -492,9 +1163,9 @@ browser.storage.onChanged.addListener((changes, areaName) => {
       }
     }
     
-    // If relevant settings changed, notify all SCP Wiki tabs
+    // If relevant settings changed, notify every tab the content script runs on (all branches)
     if (hasRelevantChanges) {
-      browser.tabs.query({url: '*://scp-wiki.wikidot.com/*'}).then(tabs => {
+      browser.tabs.query({url: wikiUrlPatterns()}).then(tabs => {
         logger.info(`Notifying ${tabs.length} tabs about settings changes`);
         
         tabs.forEach(tab => {
@@ -535,11 +1206,62 @@ try {
   // Ignore if commands API is unavailable (e.g., some MV2 environments)
 }
 
+// Reading goal reminders (see reading-goals.js): a one-shot alarm at the next reminder hour,
+// scheduled again each time it fires or the goals change
+const GOAL_REMINDER_ALARM = 'goalReminder';
+
+async function loadReadingGoals() {
+  const res = await browser.storage.sync.get([READING_GOALS_KEY]);
+  return normalizeGoals(res && res[READING_GOALS_KEY]);
+}
+
+async function scheduleGoalReminder() {
+  const goals = await loadReadingGoals();
+  await browser.alarms.clear(GOAL_REMINDER_ALARM);
+  if (goals.reminder.enabled && GOAL_PERIODS.some(period => goals[period].target > 0)) {
+    browser.alarms.create(GOAL_REMINDER_ALARM, { when: nextReminderAt(goals.reminder.hour) });
+  }
+}
+
+async function sendGoalReminder() {
+  if (!browser.notifications) return;
+  const goals = await loadReadingGoals();
+  if (!goals.reminder.enabled) return;
+  storageManager.clearCache(['readSCPs']);
+  const res = await storageManager.get(['readSCPs']);
+  const message = buildReminderMessage(computeGoalProgress((res && res.readSCPs) || {}, goals));
+  if (!message) return;
+  await browser.notifications.create(GOAL_REMINDER_ALARM, {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon128.png'),
+    title: 'SCP Tracker reading goals',
+    message
+  });
+}
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[READING_GOALS_KEY]) {
+    scheduleGoalReminder().catch(e => errorHandler.handleError(e, { action: 'schedule_goal_reminder' }));
+  }
+});
+
+// Creating an alarm under an existing name restarts its period, and the worker wakes far more
+// often than the longer periods, so periodic alarms are only created when missing
+async function ensurePeriodicAlarm(name, periodInMinutes) {
+  const existing = await browser.alarms.get(name);
+  if (!existing) browser.alarms.create(name, { periodInMinutes });
+}
+
 // MV3-friendly periodic tasks using alarms (service workers may be suspended)
 function registerAlarms() {
   try {
     browser.alarms.create('resetErrorCounts', { periodInMinutes: 5 });
-    logger.debug('Alarm registered: resetErrorCounts every 5 minutes');
+    ensurePeriodicAlarm('pruneLinkPreviewCache', 60)
+      .catch(e => logger.warn('Failed to create alarm pruneLinkPreviewCache', e));
+    ensurePeriodicAlarm('checkReadRevisions', 6 * 60)
+      .catch(e => logger.warn('Failed to create alarm checkReadRevisions', e));
+    logger.debug('Alarms registered: resetErrorCounts every 5 minutes, pruneLinkPreviewCache hourly, checkReadRevisions every 6 hours');
+    scheduleGoalReminder().catch(e => errorHandler.handleError(e, { action: 'schedule_goal_reminder' }));
   } catch (e) {
     logger.warn('Failed to create alarm', e);
   }
@@ -549,13 +1271,30 @@ browser.alarms.onAlarm.addListener((alarm) => {
   if (alarm && alarm.name === 'resetErrorCounts' && errorHandler) {
     errorHandler.resetErrorCounts();
   }
+  if (alarm && alarm.name === 'pruneLinkPreviewCache') {
+    previewCache.cleanup()
+      .then(removed => { if (removed) logger.debug(`Pruned ${removed} link preview cache entries`); })
+      .catch(e => errorHandler.handleError(e, { action: 'prune_link_preview_cache' }));
+  }
+  if (alarm && alarm.name === GOAL_REMINDER_ALARM) {
+    sendGoalReminder()
+      .catch(e => errorHandler.handleError(e, { action: 'send_goal_reminder' }))
+      .finally(() => scheduleGoalReminder().catch(e => errorHandler.handleError(e, { action: 'schedule_goal_reminder' })));
+  }
+  if (alarm && alarm.name === 'checkReadRevisions') {
+    runRevisionChecks().catch(e => errorHandler.handleError(e, { action: 'check_read_revisions' }));
+  }
 });
 
 // Ensure alarms are set on install and browser startup
 browser.runtime.onInstalled.addListener(registerAlarms);
 if (browser.runtime && browser.runtime.onStartup && browser.runtime.onStartup.addListener) {
   browser.runtime.onStartup.addListener(registerAlarms);
+  browser.runtime.onStartup.addListener(() => startMigrations('startup'));
 }
 
 // Also attempt to register immediately in case the worker is active now
-registerAlarms();
\ No newline at end of file
+registerAlarms();
+
+// Badges are not persisted across browser restarts
+refreshBadges({ allTabs: true });
\ No newline at end of file
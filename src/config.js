@@ -19,6 +19,10 @@ export const DEFAULTS = {
     SHOW_READING_TIME: true,
     AUTO_MARK_READ: false,
     SCROLL_THRESHOLD: 0.8,
+    // What "Add to queue" does besides queuing: 'queue' | 'background' | 'adjacent'
+    QUEUE_ADD_BEHAVIOR: 'queue',
+    // What the toolbar badge shows: 'status' (current page) | 'queue' (queue length) | 'off'
+    BADGE_MODE: 'status',
   },
   
   // API endpoints
@@ -92,6 +96,8 @@ export const VALIDATION = {
       MIN: 0.1,
       MAX: 1.0,
     },
+    QUEUE_ADD_BEHAVIOR: ['queue', 'background', 'adjacent'],
+    BADGE_MODE: ['status', 'queue', 'off'],
   },
 };
 
@@ -20,6 +20,12 @@ try {
 
 import { logger, errorHandler, StorageManager } from './utils/index.js';
 import { FEATURES, DEFAULTS, VALIDATION } from './config.js';
+import { resolvePageIdentity, formatPageLabel, isWikiUrl } from './modules/page-identity.js';
+import { sendMessage, MESSAGE_ACTIONS } from './modules/message-client.js';
+import { extractPageMetadata } from './modules/page-metadata.js';
+import { captureArticle } from './modules/article-capture.js';
+import { READER_LAUNCH_HASH } from './modules/context-menus.js';
+import { ActiveReadingTimer } from './modules/reading-timer.js';
 
 // Heavy modules loaded dynamically to reduce initial bundle size
 let scpDetectorNS; // namespace object from scp-detector.js (UMD) { createDetector, utils, constants }
@@ -147,25 +153,63 @@ async function maybeEnableReader() {
       logger.debug('Reader disabled via user settings');
       return;
     }
-    if (!readerModule) {
-      const mod = await import(/* webpackChunkName: "reader" */ './modules/reader.js');
-      readerModule = mod.default;
-    }
-    if (readerModule && typeof readerModule.initialize === 'function') {
-      await readerModule.initialize({
-        enabled: true,
-        theme: globalState.settings.readerTheme,
-        typography: globalState.settings.readerTypography,
-        customCSS: globalState.settings.readerCustomCSS
-      });
-      readerModule.enable();
-      logger.debug('Reader module initialized and enabled');
-    }
+    await enableReader();
   } catch (error) {
     logger.warn('Failed to enable reader module:', error);
   }
 }
 
+// Load and enable the reader with the current reader settings
+async function enableReader() {
+  if (!readerModule) {
+    const mod = await import(/* webpackChunkName: "reader" */ './modules/reader.js');
+    readerModule = mod.default;
+  }
+  if (readerModule && typeof readerModule.initialize === 'function') {
+    await readerModule.initialize({
+      enabled: true,
+      theme: globalState.settings.readerTheme,
+      typography: globalState.settings.readerTypography,
+      customCSS: globalState.settings.readerCustomCSS
+    });
+    readerModule.enable();
+    logger.debug('Reader module initialized and enabled');
+  }
+}
+
+// "Open in Immersive Reader" from the context menu: for this page only, whatever the setting
+async function openReaderOnce() {
+  if (!FEATURES.ENABLE_READER) return;
+  try {
+    await enableReader();
+  } catch (error) {
+    logger.warn('Failed to open the reader:', error);
+  }
+}
+
+// Links opened "in Immersive Reader" carry a marker fragment; drop it from the address
+function consumeReaderLaunchHash() {
+  if (window.location.hash !== READER_LAUNCH_HASH) return false;
+  history.replaceState(history.state, '', window.location.href.split('#')[0]);
+  return true;
+}
+
+// Copy text for the context menu (the background has no clipboard access in Chrome)
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (_) {
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    document.execCommand('copy');
+    area.remove();
+  }
+}
+
 function disableReader() {
   try {
     if (readerModule && typeof readerModule.disable === 'function') {
@@ -229,6 +273,11 @@ const globalState = {
   isInitialized: false,
   isProcessing: false,
   lastScrollPosition: 0,
+  maxScrollDepth: 0, // deepest scroll progress (0..1) reached on this page view
+  readRecorded: false, // a scroll read is recorded at most once per page view
+  readingTimer: null, // active reading time of the detected page (reading-timer.js)
+  readingTimerUrl: null,
+  readingTimerInterval: null,
   scrollThreshold: 0.8, // 80% of page height
   storageManager: null,
   settings: {
@@ -256,6 +305,7 @@ const sanitizeSCP = (info) => {
   if (!info) return null;
   try {
     return {
+      id: info.id,
       number: securityModule ? securityModule.sanitize('text', info.number) : info.number,
       title: securityModule ? securityModule.sanitize('text', info.title) : info.title,
       type: securityModule ? securityModule.sanitize('text', info.type) : info.type,
@@ -287,30 +337,6 @@ const sanitizeTags = (tags) => {
 // Keep a reference to debounced handlers for cleanup
 let debouncedHandleScroll;
 
-// Extract tags from DOM (replaces legacy scpDetector.extractTags)
-function extractTagsFromDOM() {
-  try {
-    const selectors = [
-      '.page-tags a',
-      '.page-tags-list a',
-      '.tags a',
-      '#page-tags a'
-    ];
-    const set = new Set();
-    for (const sel of selectors) {
-      const nodes = (document && document.querySelectorAll) ? document.querySelectorAll(sel) : [];
-      nodes.forEach((n) => {
-        const txt = (n && n.textContent) ? n.textContent.trim().toLowerCase() : '';
-        if (txt) set.add(txt);
-      });
-    }
-    return Array.from(set).sort();
-  } catch (e) {
-    logger.warn('Error extracting tags from DOM:', e);
-    return [];
-  }
-}
-
 // Generic title extractor that prefers on-page title elements, falls back to provided default
 function extractPageTitle(defaultTitle) {
   try {
@@ -340,68 +366,16 @@ function extractPageTitle(defaultTitle) {
   }
 }
 
-// Determine if a tale-like slug is valid (ported from legacy)
-function isValidTalePath(slug) {
-  if (!slug || slug === '') return false;
-  if (slug.includes('/')) return false;
-  const s = String(slug).toLowerCase();
-  const baseBlockedPrefixes = [
-    'system:', 'forum:', 'user:', 'fragment:', 'component:', 'sandbox:', 'theme:', 'nav:', 'admin:'
-  ];
-  const baseBlockedExact = new Set([
-    'main', 'forum', 'login', 'logout', 'start', 'about', 'help', 'guide', 'contact',
-    'license', 'image-license', 'image-licensing', 'policy', 'tags', 'page-tags',
-    'list-all-pages', 'recent-changes', 'random', 'history', 'edit', 'notify', 'search',
-    'site-manager', 'nav:side', 'nav:top', 'members', 'join', 'signup', 'profile'
-  ]);
-  if (baseBlockedPrefixes.some(p => s.startsWith(p))) return false;
-  if (baseBlockedExact.has(s)) return false;
-  if (/^scp-\d+/i.test(s)) return false; // looks like SCP entry
-  if (/^series-[ivx]+$/i.test(s)) return false;
-  return /^[a-z0-9-]+$/i.test(s);
-}
-
-// Compute current page info using new-detector utils + URL/DOM
+// Compute current page info using the shared page-identity resolver + DOM
 function computeCurrentSCPInfo() {
   try {
     const href = window.location.href;
-    const urlObj = new URL(href);
-    const path = (urlObj.pathname || '/').replace(/^\/+/, '').toLowerCase();
-    const isSCPPathExact = /^scp-(\d{1,4})$/i.test(path);
-    const seriesMatch = /^series-([ivx]+)$/i.exec(path);
-
-    if (isSCPPathExact) {
-      const num = path.match(/^scp-(\d{1,4})$/i)[1];
-      const title = extractPageTitle(`SCP-${num}`);
-      return { number: num, title, type: 'scp', url: href };
-    }
+    const identity = resolvePageIdentity(href);
+    if (!identity) return null;
 
-    if (seriesMatch && seriesMatch[1]) {
-      const roman = seriesMatch[1];
-      const title = extractPageTitle(`Series ${roman.toUpperCase()}`);
-      return { number: roman, title, type: 'series', url: href };
-    }
-
-    if (isValidTalePath(path)) {
-      const title = extractPageTitle(path);
-      return { number: path, title, type: 'tale', url: href };
-    }
-
-    // As a final check, try new-detector classification to guard false positives
-    try {
-      if (scpDetectorNS && scpDetectorNS.utils && typeof scpDetectorNS.utils.classifyPage === 'function') {
-        const cls = scpDetectorNS.utils.classifyPage(urlObj, document.title);
-        if (cls && cls.type === 'scp_article') {
-          const m = /(?:^|\/)scp-(\d{1,4})(?:\b|$)/i.exec(path);
-          if (m && m[1]) {
-            const title = extractPageTitle(`SCP-${m[1]}`);
-            return { number: m[1], title, type: 'scp', url: href };
-          }
-        }
-      }
-    } catch (_) { /* ignore classification errors */ }
-
-    return null;
+    const defaultTitle = formatPageLabel(identity.id);
+    const title = extractPageTitle(defaultTitle);
+    return { id: identity.id, number: identity.name, title, type: identity.kind, url: href };
   } catch (e) {
     errorHandler.handleError(e, { action: 'compute_current_scp_info' });
     return null;
@@ -431,8 +405,8 @@ async function initialize() {
     // Initialize resource manager
     await resourceManager.initialize();
     
-    // Check if we're on SCP Wiki
-    if (!window.location.href.includes('scp-wiki.wikidot.com')) {
+    // Check if we're on a supported wiki
+    if (!isWikiUrl(window.location.href)) {
       logger.debug('Not on SCP Wiki, skipping initialization');
       return;
     }
@@ -450,6 +424,7 @@ async function initialize() {
     await maybeEnableAccessibility();
     // Conditionally enable reader features
     await maybeEnableReader();
+    if (consumeReaderLaunchHash()) await openReaderOnce();
     // Conditionally enable link previews
     await maybeEnableLinkPreviews();
     
@@ -508,7 +483,8 @@ async function loadSettings() {
       'readerTheme',
       'readerTypography',
       'readerCustomCSS',
-      'scrollThreshold'
+      'scrollThreshold',
+      'offlineArchiveEnabled'
     ]);
 
     const {
@@ -522,7 +498,8 @@ async function loadSettings() {
       readerTheme,
       readerTypography,
       readerCustomCSS,
-      scrollThreshold
+      scrollThreshold,
+      offlineArchiveEnabled
     } = settings || {};
 
     // Apply settings with defaults
@@ -536,7 +513,8 @@ async function loadSettings() {
       readerEnabled: readerEnabled ?? false,
       readerTheme: readerTheme ?? 'default',
       readerTypography: readerTypography ?? { fontSize: '100%', lineHeight: 1.6, maxWidth: '800px' },
-      readerCustomCSS: readerCustomCSS ?? ''
+      readerCustomCSS: readerCustomCSS ?? '',
+      offlineArchiveEnabled: offlineArchiveEnabled ?? false
     };
     // Apply scroll threshold with validation
     try {
@@ -639,6 +617,9 @@ function handleScroll() {
     
     // Calculate scroll progress
     const scrollProgress = scrollPosition / (scrollHeight - clientHeight);
+    if (Number.isFinite(scrollProgress)) {
+      globalState.maxScrollDepth = Math.max(globalState.maxScrollDepth, Math.min(1, scrollProgress));
+    }
     
     // Update progress indicator
     if (globalState.settings.showProgress) {
@@ -662,14 +643,15 @@ function handleScroll() {
 // Handle bottom reached
 async function handleBottomReached() {
   try {
-    if (globalState.isProcessing) return;
+    if (globalState.isProcessing || globalState.readRecorded) return;
     
     globalState.isProcessing = true;
     
     // Extract SCP info
     const scpInfo = sanitizeSCP(computeCurrentSCPInfo());
     if (scpInfo) {
-      await handleSCPRead(scpInfo);
+      await handleSCPRead(scpInfo, 'scroll');
+      globalState.readRecorded = true;
     }
     
     globalState.isProcessing = false;
@@ -687,76 +669,137 @@ async function handleSCPDetected(scpInfo) {
   try {
     logger.debug('SCP detected:', scpInfo);
     
-    // Send message to background script
-    browser.runtime.sendMessage({
-      action: 'scpDetected',
+    // Send message to background script; the live page's metadata refreshes the preview cache
+    // and is compared with the snapshot taken when the page was read
+    sendMessage(MESSAGE_ACTIONS.SCP_DETECTED, {
+      id: scpInfo.id,
       scpNumber: scpInfo.number,
       scpTitle: scpInfo.title,
       url: scpInfo.url,
-      type: scpInfo.type
+      type: scpInfo.type,
+      metadata: extractPageMetadata(document, scpInfo.url)
+    }).then(data => {
+      if (data && data.changed) uiComponents.showChangedNotice(data.changed);
     }).catch(error => {
       logger.warn('Failed to send scpDetected message:', error);
     });
+    startReadingTimer(scpInfo.url);
     
   } catch (error) {
     errorHandler.handleError(error, {
       action: 'handle_scp_detected',
-      scpNumber: scpInfo.number
+      id: scpInfo.id
     });
   }
 }
 
-// Handle SCP read (when bottom is reached)
-async function handleSCPRead(scpInfo) {
+// Active reading time is reported at most this often while reading, and whenever reading pauses
+const READING_TIME_REPORT_MS = 5 * 60 * 1000;
+const READING_ACTIVITY_EVENTS = ['scroll', 'wheel', 'keydown', 'mousemove', 'pointerdown', 'touchstart'];
+
+// Measure active reading time on the detected page
+function startReadingTimer(url) {
+  if (globalState.readingTimer) return;
+  globalState.readingTimer = new ActiveReadingTimer({ visible: !document.hidden, focused: document.hasFocus() });
+  globalState.readingTimerUrl = url;
+  READING_ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleReadingActivity, { passive: true }));
+  window.addEventListener('focus', handleWindowFocus);
+  window.addEventListener('blur', handleWindowBlur);
+  window.addEventListener('pagehide', reportReadingTime);
+  globalState.readingTimerInterval = setInterval(reportReadingTime, READING_TIME_REPORT_MS);
+  // Opening the page counts as activity
+  globalState.readingTimer.activity();
+}
+
+function stopReadingTimer() {
+  if (!globalState.readingTimer) return;
+  reportReadingTime();
+  READING_ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleReadingActivity, { passive: true }));
+  window.removeEventListener('focus', handleWindowFocus);
+  window.removeEventListener('blur', handleWindowBlur);
+  window.removeEventListener('pagehide', reportReadingTime);
+  clearInterval(globalState.readingTimerInterval);
+  globalState.readingTimer = null;
+  globalState.readingTimerUrl = null;
+  globalState.readingTimerInterval = null;
+}
+
+function handleReadingActivity() {
+  if (globalState.readingTimer) globalState.readingTimer.activity();
+}
+
+function handleWindowFocus() {
+  if (globalState.readingTimer) globalState.readingTimer.setFocused(true);
+}
+
+function handleWindowBlur() {
+  if (!globalState.readingTimer) return;
+  globalState.readingTimer.setFocused(false);
+  reportReadingTime();
+}
+
+// Send the active seconds counted since the last report; the background keeps them on this device
+function reportReadingTime() {
+  if (!globalState.readingTimer) return;
+  const seconds = globalState.readingTimer.takeUnreported();
+  if (seconds <= 0) return;
+  sendMessage(MESSAGE_ACTIONS.READING_TIME, { url: globalState.readingTimerUrl, seconds }).catch(error => {
+    logger.warn('Failed to report reading time:', error);
+  });
+}
+
+// Save the article for offline reading once its read is recorded (opt-in)
+function archiveCurrentPage(url) {
+  if (!FEATURES.ENABLE_OFFLINE || !globalState.settings || !globalState.settings.offlineArchiveEnabled) return;
+  const capture = captureArticle(document, url);
+  if (!capture) return;
+  sendMessage(MESSAGE_ACTIONS.ARCHIVE_SAVE, { capture, reason: 'read' }).catch(error => {
+    logger.warn('Failed to archive page:', error);
+  });
+}
+
+// Handle SCP read (when bottom is reached or marked manually)
+// Reads of already-read pages are sent too; the background records them as re-reads.
+async function handleSCPRead(scpInfo, source) {
   try {
-    logger.debug('SCP read:', scpInfo);
-    
-    // Check if already marked as read
-    const existingData = await globalState.storageManager.get(['readSCPs']);
-    const readSCPs = existingData.readSCPs || {};
-    
-    if (readSCPs[scpInfo.number] && readSCPs[scpInfo.number].read) {
-      logger.debug('SCP already marked as read:', scpInfo.number);
-      return;
-    }
-    
-    // Extract and sanitize tags from page
-    const rawTags = extractTagsFromDOM();
-    const tags = sanitizeTags(rawTags);
-
-    // Mark as read
-    readSCPs[scpInfo.number] = {
-      read: true,
-      timestamp: Date.now(),
-      title: scpInfo.title,
-      url: scpInfo.url,
-      type: scpInfo.type,
-      tags
-    };
+    logger.debug('SCP read:', scpInfo, source);
     
-    await globalState.storageManager.set({ readSCPs });
+    // Extract and sanitize tags from page; the metadata also snapshots the read version
+    const metadata = extractPageMetadata(document, scpInfo.url);
+    const tags = sanitizeTags(metadata.tags);
     
     // Show feedback
     uiComponents.showReadFeedback();
     
-    // Send message to background script
-    browser.runtime.sendMessage({
-      action: 'bottomReached',
+    // Report the time counted so far first: it is added to the entry with this read
+    reportReadingTime();
+
+    // Send message to background script, which records the reading event
+    sendMessage(MESSAGE_ACTIONS.BOTTOM_REACHED, {
+      id: scpInfo.id,
       scpNumber: scpInfo.number,
       scpTitle: scpInfo.title,
       url: scpInfo.url,
       type: scpInfo.type,
-      tags
+      tags,
+      source,
+      depth: globalState.maxScrollDepth,
+      // Counted towards minute goals: the active time measured on this visit, or the estimated
+      // reading time of the article when it was read too quickly to measure
+      minutes: Math.round((globalState.readingTimer ? globalState.readingTimer.totalSeconds() : 0) / 60) || uiComponents.estimateReadingTime(),
+      metadata
+    }).then(() => {
+      archiveCurrentPage(scpInfo.url);
     }).catch(error => {
       logger.warn('Failed to send bottomReached message:', error);
     });
     
-    logger.info('SCP marked as read:', scpInfo.number);
+    logger.info('SCP marked as read:', scpInfo.id);
     
   } catch (error) {
     errorHandler.handleError(error, {
       action: 'handle_scp_read',
-      scpNumber: scpInfo.number
+      id: scpInfo.id
     });
   }
 }
@@ -766,7 +809,7 @@ async function handleManualRead() {
   try {
     const scpInfo = sanitizeSCP(computeCurrentSCPInfo());
     if (scpInfo) {
-      await handleSCPRead(scpInfo);
+      await handleSCPRead(scpInfo, 'manual');
     } else {
       logger.warn('No SCP info extracted for manual read');
       // Show feedback even if no SCP detected
@@ -782,9 +825,11 @@ async function handleManualRead() {
 // Handle visibility changes
 function handleVisibilityChange() {
   try {
+    if (globalState.readingTimer) globalState.readingTimer.setVisible(!document.hidden);
     if (document.hidden) {
       logger.debug('Page hidden, pausing monitoring');
       // Pause any active monitoring
+      reportReadingTime();
     } else {
       logger.debug('Page visible, resuming monitoring');
       // Resume monitoring
@@ -831,6 +876,18 @@ function handleBackgroundMessage(message, sender, sendResponse) {
       case 'getSettings':
         sendResponse(globalState.settings);
         break;
+      // Context menu actions on this page
+      case 'markRead':
+        handleManualRead();
+        break;
+      case 'openReader':
+        openReaderOnce();
+        break;
+      case 'copyText':
+        if (typeof message.text === 'string') {
+          copyText(message.text).catch(error => logger.warn('Failed to copy text:', error));
+        }
+        break;
       default:
         logger.warn('Unknown message action:', message.action);
     }
@@ -1003,6 +1060,9 @@ function cleanup() {
       uiComponents.cleanupAll();
     }
     
+    // Report the last reading time before the listeners go
+    stopReadingTimer();
+
     // Remove event listeners
     document.removeEventListener('scpManualRead', handleManualRead);
     if (debouncedHandleScroll) {
@@ -0,0 +1,146 @@
+// Local analytics event log for SCP Tracker
+// Extension pages and content scripts report events with the `analytics:event` message; the
+// background keeps them in storage.local (`analyticsEvents`) and they never leave the device.
+// The event dashboard (pages/events) lists, filters, charts and exports them.
+// Retention (`analyticsEventRetention`, also in storage.local) caps the log by number of events
+// and by age; it is applied whenever an event is stored and when the dashboard changes it.
+
+import { csvCell } from './history-export.js';
+
+export const ANALYTICS_EVENTS_KEY = 'analyticsEvents';
+export const EVENT_RETENTION_KEY = 'analyticsEventRetention';
+
+const DEFAULT_MAX_EVENTS = 500;
+const MIN_MAX_EVENTS = 50;
+const MAX_MAX_EVENTS = 5000;
+const MAX_AGE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/**
+ * Complete, validated retention settings. A `maxAgeDays` of 0 keeps events of any age.
+ * @param {Object} [raw] - stored value
+ * @returns {{maxEvents: number, maxAgeDays: number}}
+ */
+export function normalizeRetention(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  return {
+    maxEvents: clampInt(src.maxEvents, MIN_MAX_EVENTS, MAX_MAX_EVENTS, DEFAULT_MAX_EVENTS),
+    maxAgeDays: clampInt(src.maxAgeDays, 0, MAX_AGE_DAYS, 0),
+  };
+}
+
+/**
+ * Drop malformed events, events older than the retention age and the oldest beyond the cap.
+ * @param {Object[]} events - oldest first
+ * @param {Object} retention - normalized retention
+ * @param {number} [now]
+ * @returns {Object[]}
+ */
+export function applyRetention(events, { maxEvents, maxAgeDays }, now = Date.now()) {
+  const oldest = maxAgeDays ? now - maxAgeDays * DAY_MS : -Infinity;
+  const kept = (Array.isArray(events) ? events : [])
+    .filter(e => e && typeof e === 'object' && Number.isFinite(e.ts) && e.ts >= oldest);
+  return kept.length > maxEvents ? kept.slice(kept.length - maxEvents) : kept;
+}
+
+/**
+ * What an event reports: its `action` (or `name` / `type`).
+ * @param {Object} event
+ * @returns {string}
+ */
+export function eventAction(event) {
+  const action = event && (event.action || event.name || event.type);
+  return typeof action === 'string' && action ? action : 'unknown';
+}
+
+/**
+ * URL of the tab that sent an event, without query or fragment; '' for extension pages.
+ * @param {Object} event
+ * @returns {string}
+ */
+export function eventPage(event) {
+  const url = event && event.sender && event.sender.url;
+  if (typeof url !== 'string' || !url) return '';
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  } catch (_) {
+    return url;
+  }
+}
+
+// Local calendar date, e.g. 2025-10-19
+function eventDay(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Events matching a filter, newest first.
+ * @param {Object[]} events
+ * @param {Object} [filter]
+ * @param {string} [filter.action] - exact action
+ * @param {string} [filter.url] - text the tab URL must contain
+ * @param {number} [filter.from] - earliest timestamp (inclusive, ms)
+ * @param {number} [filter.to] - latest timestamp (inclusive, ms)
+ * @returns {Object[]}
+ */
+export function filterEvents(events, { action, url, from, to } = {}) {
+  const urlText = String(url || '').trim().toLowerCase();
+  return (Array.isArray(events) ? events : [])
+    .filter((event) => {
+      if (!event || !Number.isFinite(event.ts)) return false;
+      if (action && eventAction(event) !== action) return false;
+      if (urlText && !eventPage(event).toLowerCase().includes(urlText)) return false;
+      if (Number.isFinite(from) && event.ts < from) return false;
+      if (Number.isFinite(to) && event.ts > to) return false;
+      return true;
+    })
+    .sort((a, b) => b.ts - a.ts);
+}
+
+/**
+ * Event counts by action, tab URL or local day. Days are in date order, the rest by count.
+ * @param {Object[]} events
+ * @param {'action'|'url'|'day'} by
+ * @returns {Array<{key: string, count: number}>}
+ */
+export function groupEvents(events, by) {
+  const keyOf = { action: eventAction, url: e => eventPage(e) || '(extension page)', day: e => eventDay(e.ts) }[by];
+  if (!keyOf) return [];
+  const counts = new Map();
+  (Array.isArray(events) ? events : []).forEach((event) => {
+    if (!event || !Number.isFinite(event.ts)) return;
+    const key = keyOf(event);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const groups = Array.from(counts, ([key, count]) => ({ key, count }));
+  return by === 'day'
+    ? groups.sort((a, b) => a.key.localeCompare(b.key))
+    : groups.sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+/**
+ * CSV with one row per event; the reported fields go in `data` as JSON.
+ * @param {Object[]} events
+ * @returns {string}
+ */
+export function eventsToCSV(events) {
+  const lines = [['time', 'action', 'tab_url', 'tab_id', 'data'].join(',')];
+  (Array.isArray(events) ? events : []).forEach((event) => {
+    const { ts, sender, ...data } = event;
+    lines.push([
+      new Date(ts).toISOString(),
+      eventAction(event),
+      (sender && sender.url) || '',
+      (sender && sender.tabId) ?? '',
+      Object.keys(data).length ? JSON.stringify(data) : '',
+    ].map(csvCell).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
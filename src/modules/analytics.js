@@ -2,6 +2,10 @@
 // New focus: type split (SCP vs Tale) and tag-based statistics
 
 import { FEATURES } from '../config.js';
+import { readCountOf, activeSecondsOf } from './reading-log.js';
+import { pendingSecondsOf, timeBucketsOf } from './reading-timer.js';
+import { normalizeGoals, computeGoalProgress, periodStart } from './reading-goals.js';
+import { formatPageLabel } from './page-identity.js';
 
 // Simple memoization based on lengths and max timestamp
 let _memo = { key: null, result: null };
@@ -9,84 +13,148 @@ let _memo = { key: null, result: null };
 function buildKey(readSCPs) {
   const entries = Object.values(readSCPs || {});
   let maxTs = 0;
+  let reads = 0;
+  let seconds = 0;
   for (const e of entries) {
     if (e && e.timestamp && e.read) maxTs = Math.max(maxTs, e.timestamp);
+    reads += readCountOf(e);
+    seconds += activeSecondsOf(e);
   }
-  return `${entries.length}|${maxTs}`;
+  return `${entries.length}|${maxTs}|${reads}|${seconds}`;
 }
 
-function fmtDate(d) {
-  const y = d.getFullYear();
-  const m = `${d.getMonth() + 1}`.padStart(2, '0');
-  const da = `${d.getDate()}`.padStart(2, '0');
-  return `${y}-${m}-${da}`;
+function logKey(log) {
+  const events = Array.isArray(log) ? log : [];
+  const last = events[events.length - 1];
+  return `${events.length}|${last ? last.ts : 0}`;
 }
 
-function startOfWeek(date) {
-  const d = new Date(date);
-  const day = d.getDay(); // 0 Sun - 6 Sat
-  const diff = (day + 6) % 7; // make Monday the start of week
-  d.setDate(d.getDate() - diff);
-  d.setHours(0, 0, 0, 0);
-  return d;
+function timeKey(readingTime) {
+  let buckets = 0;
+  let seconds = 0;
+  for (const id of Object.keys(readingTime || {})) {
+    for (const [, s] of timeBucketsOf(readingTime, id)) {
+      buckets += 1;
+      seconds += s;
+    }
+    seconds += pendingSecondsOf(readingTime, id);
+  }
+  return `${buckets}|${seconds}`;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_LEVELS = 4;
+const zoneFormats = new Map();
+
+// Calendar date and hour of a timestamp in an IANA time zone; the browser's zone when none (or
+// an unknown one) is given
+function zonedParts(ts, timeZone) {
+  const zone = timeZone || '';
+  let format = zoneFormats.get(zone);
+  if (!format) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23' };
+    try {
+      format = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined });
+    } catch (_) {
+      format = new Intl.DateTimeFormat('en-US', options);
+    }
+    zoneFormats.set(zone, format);
+  }
+  const parts = {};
+  format.formatToParts(ts).forEach(({ type, value }) => { parts[type] = value; });
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) % 24 };
+}
+
+// Calendar day ('YYYY-MM-DD') of a timestamp
+function dayKey(ts, timeZone) {
+  return zonedParts(ts, timeZone).day;
+}
+
+// Day keys are plain calendar dates, so day arithmetic on them is done in UTC where every day
+// has 24 hours (no DST shifts)
+function dayIndex(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
 }
 
-function isSameDay(a, b) {
-  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+function keyOfIndex(index) {
+  return new Date(index * DAY_MS).toISOString().slice(0, 10);
 }
 
-function groupByDay(entries) {
+// Pages read per day. A page counts on the day of its first and of its latest read (the synced
+// history keeps no dates in between).
+function groupByDay(readSCPsObj, timeZone) {
   const byDay = new Map();
-  for (const e of entries) {
-    if (!e.read) continue;
-    const d = new Date(e.timestamp);
-    const key = fmtDate(new Date(d.getFullYear(), d.getMonth(), d.getDate()));
-    byDay.set(key, (byDay.get(key) || 0) + 1);
+  for (const [id, e] of Object.entries(readSCPsObj || {})) {
+    if (!e || e.deleted || !e.read) continue;
+    const times = [e.firstReadAt, e.lastReadAt || e.timestamp].filter(ts => Number.isFinite(ts) && ts > 0);
+    const days = new Set(times.map(ts => dayKey(ts, timeZone)));
+    days.forEach((key) => {
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push({ id, title: e.title || formatPageLabel(id) });
+    });
   }
   return byDay;
 }
 
-function computeStreak(byDay) {
-  let streak = 0;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  let cursor = new Date(today);
-  while (true) {
-    const key = fmtDate(cursor);
-    const count = byDay.get(key) || 0;
-    if (count > 0) {
-      streak += 1;
-      cursor.setDate(cursor.getDate() - 1);
-    } else {
-      break;
-    }
+// Current and longest run of reading days. Up to `graceDays` missed days in a row don't break a
+// run (nor count towards it), and the current run stays alive while today has no read yet.
+function computeStreak(byDay, today, graceDays = 0) {
+  const todayIndex = dayIndex(today);
+  const days = Array.from(byDay.keys()).map(dayIndex).filter(i => i <= todayIndex).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const day of days) {
+    run = prev !== null && day - prev <= graceDays + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = day;
   }
-  return streak;
+  const current = prev !== null && todayIndex - prev <= graceDays + 1 ? run : 0;
+  return { current, longest, graceDays };
 }
 
-function computeCalendar(byDay, weeks = 12) {
-  // Build weeks x 7 grid ending on current week
-  const today = new Date();
-  const start = startOfWeek(new Date(today));
+// weeks x 7 grid (Monday first) ending with the week of `today`; days after today are marked
+// `future`. `level` (0-4) is the day's count relative to the busiest day shown.
+function computeCalendar(byDay, today, weeks = 12) {
+  const todayIndex = dayIndex(today);
+  // 1970-01-01 (index 0) was a Thursday
+  const weekStart = todayIndex - ((todayIndex + 3) % 7);
   const grid = [];
   const labels = [];
+  let max = 0;
   for (let w = weeks - 1; w >= 0; w--) {
-    const weekStart = new Date(start);
-    weekStart.setDate(start.getDate() - w * 7);
+    const start = weekStart - w * 7;
     const week = [];
     for (let i = 0; i < 7; i++) {
-      const date = new Date(weekStart);
-      date.setDate(weekStart.getDate() + i);
-      const key = fmtDate(date);
-      week.push({ date: key, count: byDay.get(key) || 0 });
+      const date = keyOfIndex(start + i);
+      const pages = byDay.get(date) || [];
+      const day = { date, count: pages.length, pages };
+      if (start + i > todayIndex) day.future = true;
+      max = Math.max(max, day.count);
+      week.push(day);
     }
     grid.push(week);
-    labels.push(fmtDate(weekStart));
+    labels.push(keyOfIndex(start));
   }
-  // Find max for normalization
-  let max = 0;
-  grid.forEach(week => week.forEach(d => { if (d.count > max) max = d.count; }));
-  return { grid, labels, max };
+  grid.forEach(week => week.forEach((day) => {
+    day.level = day.count ? Math.ceil((day.count / max) * HEATMAP_LEVELS) : 0;
+  }));
+  return { grid, labels, max, weeks };
+}
+
+/**
+ * Tooltip text of a heatmap day: the date, the number of pages and their titles.
+ * @param {{date: string, count: number, pages: Array<{id: string, title: string}>}} day
+ * @param {Object} [options] - { limit }
+ * @returns {string}
+ */
+export function describeCalendarDay({ date, count, pages = [] }, { limit = 10 } = {}) {
+  if (!count) return `${date}: nothing read`;
+  const lines = [`${date}: ${count} ${count === 1 ? 'page' : 'pages'}`];
+  pages.slice(0, limit).forEach(page => lines.push(`• ${page.title}`));
+  if (pages.length > limit) lines.push(`…and ${pages.length - limit} more`);
+  return lines.join('\n');
 }
 
 // Aggregate tag counts from read entries
@@ -111,16 +179,161 @@ function aggregateTagCounts(entries) {
   return { counts: arr, totalUniqueTags: arr.length };
 }
 
-// Legacy-safe placeholder to avoid popup breakage until UI updated
-function placeholderTimeOfDay() { return new Array(24).fill(0); }
+// Read counts derived from the reading event log (readCount per entry)
+function aggregateRereads(readSCPsObj, limit = 5) {
+  let totalReads = 0;
+  let rereadArticles = 0;
+  const top = [];
+  for (const [id, e] of Object.entries(readSCPsObj || {})) {
+    const count = readCountOf(e);
+    totalReads += count;
+    if (count > 1) {
+      rereadArticles += 1;
+      top.push({ id, title: e.title || id, count, firstReadAt: e.firstReadAt || e.timestamp || 0, lastReadAt: e.lastReadAt || e.timestamp || 0 });
+    }
+  }
+  top.sort((a, b) => b.count - a.count || b.lastReadAt - a.lastReadAt);
+  return { totalReads, rereadArticles, mostReread: top.slice(0, limit) };
+}
 
-// Legacy-safe weekly placeholder
-function placeholderWeekly() { return { count: 0, goal: 0, percent: 0 }; }
+const READ_EVENT_TYPES = new Set(['read', 'reread', 'manual']);
 
-export function computeAnalytics(readSCPsObj) {
+// Active reading time over all tracked pages, read or still in progress; time measured on this
+// device since a page's last read is not in its entry yet
+function aggregateReadingTime(readSCPsObj, readingTime, limit = 5) {
+  let totalSeconds = 0;
+  const timed = [];
+  for (const [id, e] of Object.entries(readSCPsObj || {})) {
+    if (!e || e.deleted) continue;
+    const seconds = activeSecondsOf(e) + pendingSecondsOf(readingTime, id);
+    if (!seconds) continue;
+    totalSeconds += seconds;
+    timed.push({ id, title: e.title || formatPageLabel(id), seconds, read: e.read === true });
+  }
+  const readTimed = timed.filter(t => t.read);
+  const readSeconds = readTimed.reduce((sum, t) => sum + t.seconds, 0);
+  timed.sort((a, b) => b.seconds - a.seconds || a.id.localeCompare(b.id));
+  return {
+    totalSeconds,
+    pages: timed.length,
+    // Per read page, so unfinished pages don't pull the average down
+    averageSeconds: readTimed.length ? Math.round(readSeconds / readTimed.length) : 0,
+    longest: timed.slice(0, limit),
+  };
+}
+
+function matchesPatternFilter(kind, tags, { type, tag } = {}) {
+  if (type && String(kind || '').toLowerCase() !== type) return false;
+  if (tag) {
+    const wanted = tag.trim().toLowerCase();
+    if (!(Array.isArray(tags) ? tags : []).some(t => typeof t === 'string' && t.trim().toLowerCase() === wanted)) return false;
+  }
+  return true;
+}
+
+// Whether a logged read still stands: its page was not cleared or marked unread since
+// (a read again afterwards starts a new `firstReadAt`)
+function isCurrentRead(entry, event) {
+  if (!entry || typeof entry !== 'object' || entry.deleted) return false;
+  return entry.read === true && !(entry.firstReadAt > event.ts);
+}
+
+/**
+ * When reading happens: reads per hour of the day and per weekday (Monday first).
+ * Reads come from this device's reading event log, as long as the page is still read; pages
+ * without such events (read on another device, or imported) count their first and latest read
+ * from the synced history.
+ * With `weight: 'minutes'` the active reading time measured on this device is counted instead
+ * (hourly, for pages still tracked); reads of pages without measured time count their estimated
+ * reading time.
+ * @param {Object[]} readingLog - reading events (reading-log.js)
+ * @param {Object} readSCPsObj - live reading history
+ * @param {Object} [options]
+ * @param {string} [options.type] - only pages of this kind ('scp', 'tale', ...)
+ * @param {string} [options.tag] - only pages with this tag
+ * @param {'reads'|'minutes'} [options.weight='reads']
+ * @param {Object} [options.readingTime] - this device's measured reading time (reading-timer.js)
+ * @param {string} [options.timeZone]
+ * @returns {{hours: number[], weekdays: number[], total: number}}
+ */
+export function computeTimePatterns(readingLog, readSCPsObj, { type, tag, weight = 'reads', readingTime = {}, timeZone } = {}) {
+  const hours = new Array(24).fill(0);
+  const weekdays = new Array(7).fill(0);
+  let total = 0;
+  const add = (ts, minutes) => {
+    const amount = weight === 'minutes' ? (Number.isFinite(minutes) ? minutes : 0) : 1;
+    if (!amount) return;
+    const { day, hour } = zonedParts(ts, timeZone);
+    hours[hour] += amount;
+    // 1970-01-01 (day 0) was a Thursday
+    weekdays[(dayIndex(day) + 3) % 7] += amount;
+    total += amount;
+  };
+
+  const history = readSCPsObj || {};
+  const events = (Array.isArray(readingLog) ? readingLog : []).filter(e => e && Number.isFinite(e.ts));
+  const measured = new Set();
+  if (weight === 'minutes') {
+    Object.keys(readingTime || {}).forEach((id) => {
+      const entry = history[id];
+      const buckets = timeBucketsOf(readingTime, id);
+      if (!entry || entry.deleted || !buckets.length) return;
+      measured.add(id);
+      if (!matchesPatternFilter(entry.type, entry.tags, { type, tag })) return;
+      buckets.forEach(([hour, seconds]) => add(hour, seconds / 60));
+    });
+  }
+  const logged = new Set();
+  events.forEach((event) => {
+    if (!READ_EVENT_TYPES.has(event.type)) return;
+    const entry = history[event.id];
+    if (!isCurrentRead(entry, event)) return;
+    logged.add(event.id);
+    if (!matchesPatternFilter(event.kind || entry.type, event.tags || entry.tags, { type, tag })) return;
+    if (weight !== 'minutes' || !measured.has(event.id)) add(event.ts, event.minutes);
+  });
+  Object.entries(history).forEach(([id, e]) => {
+    if (!e || e.deleted || !e.read || logged.has(id)) return;
+    if (weight === 'minutes' && measured.has(id)) return;
+    if (!matchesPatternFilter(e.type, e.tags, { type, tag })) return;
+    const last = e.lastReadAt || e.timestamp;
+    if (e.firstReadAt && e.firstReadAt !== last) add(e.firstReadAt, undefined);
+    if (last) add(last, e.minutes);
+  });
+  if (weight === 'minutes') {
+    const round = n => Math.round(n * 10) / 10;
+    return { hours: hours.map(round), weekdays: weekdays.map(round), total: round(total) };
+  }
+  return { hours, weekdays, total };
+}
+
+// This week's progress in the weekly goal's unit (articles when no weekly goal is set)
+function computeWeekly(readSCPsObj, goals, now) {
+  const weekly = goals.weekly.target > 0 ? goals.weekly : { target: 1, unit: 'articles' };
+  const [progress] = computeGoalProgress(readSCPsObj, { weekly }, now);
+  const goal = goals.weekly.target;
+  return { count: progress.value, goal, unit: weekly.unit, percent: goal ? progress.percent : 0 };
+}
+
+/**
+ * Reading statistics for the popup.
+ * @param {Object} readSCPsObj - live reading history
+ * @param {Object} [readingGoals] - stored goal settings (reading-goals.js)
+ * @param {Object} [options]
+ * @param {number} [options.weeks=12] - weeks shown in the calendar heatmap
+ * @param {string} [options.timeZone] - IANA zone days are counted in (default: the browser's)
+ * @param {Object[]} [options.readingLog] - this device's reading events, for the time patterns
+ * @param {Object} [options.readingTime] - this device's measured reading time (reading-timer.js)
+ * @param {number} [options.now]
+ * @returns {Object|null}
+ */
+export function computeAnalytics(readSCPsObj, readingGoals, { weeks = 12, timeZone, readingLog = [], readingTime = {}, now = Date.now() } = {}) {
   if (!FEATURES.ENABLE_ANALYTICS) return null;
   const entries = Object.values(readSCPsObj || {});
-  const key = buildKey(readSCPsObj || {});
+  const goals = normalizeGoals(readingGoals);
+  const today = dayKey(now, timeZone);
+  // Goals, streaks and the calendar also change when the settings do or a new day starts
+  const key = `${buildKey(readSCPsObj || {})}|${JSON.stringify(goals)}|${periodStart('daily', now)}|${today}|${weeks}|${timeZone || ''}|${logKey(readingLog)}|${timeKey(readingTime)}`;
   if (_memo.key === key) return _memo.result;
 
   // Filter read entries
@@ -142,24 +355,26 @@ export function computeAnalytics(readSCPsObj) {
 
   const tagStats = aggregateTagCounts(readEntries);
 
-  // Legacy-safe placeholders so existing UI doesn't break before we update it
-  const byDay = groupByDay(readEntries);
-  const streak = 0; // legacy feature removed
-  const calendar = { grid: [], labels: [], max: 0 }; // legacy feature removed
-  const series = {}; // legacy feature removed
-  const hours = placeholderTimeOfDay(); // legacy feature removed
-  const weekly = placeholderWeekly(); // legacy feature removed
+  const byDay = groupByDay(readSCPsObj, timeZone);
+  const streak = computeStreak(byDay, today, goals.streak.graceDays);
+  const calendar = computeCalendar(byDay, today, weeks);
+
+  const patterns = computeTimePatterns(readingLog, readSCPsObj, { timeZone });
+
+  const weekly = computeWeekly(readSCPsObj, goals, now);
 
   const result = {
     typeSplit: { scp, tale, unknown, total: readEntries.length, scpPercent, talePercent },
     tagStats,
+    rereads: aggregateRereads(readSCPsObj),
+    readingTime: aggregateReadingTime(readSCPsObj, readingTime),
+    goals: computeGoalProgress(readSCPsObj, goals, now),
+    weekly,
     lastReadTs,
-    // legacy fields
     streak,
     calendar,
-    series,
-    hours,
-    weekly,
+    patterns,
+    hours: patterns.hours,
   };
   _memo = { key, result };
   return result;
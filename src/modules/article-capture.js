@@ -0,0 +1,108 @@
+// Article capture for the SCP Tracker offline archive
+// Turns a wiki page's `#page-content` into self-contained HTML: collapsibles and tab views are
+// expanded, footnote references point at their footnotes, links are absolute and scripts, frames,
+// forms and event handlers are removed. Images are listed (absolute URLs) and their `src` is
+// replaced by `data-archive-image="<index>"`; the background stores the image data next to the
+// HTML and the archive page swaps it back in.
+
+import { resolvePageIdentity, formatPageLabel } from './page-identity.js';
+
+// Elements that never belong in an archived article
+const STRIPPED = [
+  'script', 'style', 'link', 'meta', 'noscript', 'iframe', 'frame', 'object', 'embed',
+  'form', 'input', 'button', 'select', 'textarea',
+  '.page-rate-widget-box', '.creditRate', '.credit-rate', '.rate-box-with-credit-button'
+].join(', ');
+const UNSAFE_URL = /^\s*(?:javascript|vbscript|data):/i;
+// WIKIDOT.page.utils.scrollToReference('footnote-1')
+const FOOTNOTE_TARGET = /scrollToReference\(\s*['"]([\w-]+)['"]\s*\)/;
+
+function absolute(value, base) {
+  try { return new URL(value, base).href; } catch (_) { return null; }
+}
+
+// Show what the reader would have to click open
+function expandCollapsibles(root) {
+  root.querySelectorAll('.collapsible-block-folded').forEach(node => node.remove());
+  root.querySelectorAll('.collapsible-block-unfolded').forEach((node) => { node.style.display = ''; });
+  // Keep the "hide" link's label as a heading for the expanded block
+  root.querySelectorAll('.collapsible-block-unfolded-link').forEach((node) => {
+    const label = node.ownerDocument.createElement('strong');
+    label.textContent = (node.textContent || '').trim();
+    node.replaceWith(label);
+  });
+  // Tab views: every tab's content, one after another
+  root.querySelectorAll('.yui-navset .yui-content > div').forEach((node) => { node.style.display = ''; });
+}
+
+function rewriteLinks(root, url) {
+  root.querySelectorAll('a').forEach((a) => {
+    const onclick = a.getAttribute('onclick') || '';
+    const footnote = FOOTNOTE_TARGET.exec(onclick);
+    const href = a.getAttribute('href');
+    if (footnote) {
+      a.setAttribute('href', `#${footnote[1]}`);
+    } else if (href && !href.startsWith('#')) {
+      const target = UNSAFE_URL.test(href) ? null : absolute(href, url);
+      if (target) a.setAttribute('href', target); else a.removeAttribute('href');
+    }
+  });
+}
+
+function stripUnsafeAttributes(root) {
+  root.querySelectorAll('*').forEach((el) => {
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (name.startsWith('on') || name === 'srcset' || ((name === 'href' || name === 'src') && UNSAFE_URL.test(attr.value))) {
+        el.removeAttribute(attr.name);
+      }
+    });
+  });
+}
+
+// Replace image sources by indexes into the returned image list
+function collectImages(root, url) {
+  const images = [];
+  root.querySelectorAll('img').forEach((img) => {
+    const src = absolute(img.getAttribute('src') || '', url);
+    img.removeAttribute('src');
+    if (!src || !/^https?:/.test(src)) return;
+    let index = images.indexOf(src);
+    if (index === -1) index = images.push(src) - 1;
+    img.setAttribute('data-archive-image', String(index));
+    img.setAttribute('data-archive-src', src);
+  });
+  return images;
+}
+
+/**
+ * Capture a page's article for offline reading.
+ * @param {Document} doc - live document or a parsed copy of the page
+ * @param {string} url - page URL (resolves relative links and images)
+ * @returns {{url: string, pageId: string|null, title: string, html: string, images: string[], textLength: number}|null}
+ *   null when the page has no article content
+ */
+export function captureArticle(doc, url) {
+  const content = doc.querySelector('#page-content');
+  if (!content) return null;
+  const root = content.cloneNode(true);
+  // Footnote references are wired up by onclick handlers; read them before stripping
+  rewriteLinks(root, url);
+  root.querySelectorAll(STRIPPED).forEach(node => node.remove());
+  expandCollapsibles(root);
+  stripUnsafeAttributes(root);
+  const images = collectImages(root, url);
+
+  const identity = resolvePageIdentity(url);
+  const pageTitle = doc.querySelector('#page-title');
+  const title = (pageTitle && pageTitle.textContent.replace(/\s+/g, ' ').trim())
+    || (identity ? formatPageLabel(identity.id) : url);
+  return {
+    url,
+    pageId: identity ? identity.id : null,
+    title,
+    html: root.innerHTML.trim(),
+    images,
+    textLength: (root.textContent || '').replace(/\s+/g, ' ').trim().length,
+  };
+}
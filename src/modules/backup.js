@@ -0,0 +1,176 @@
+// Full backups for SCP Tracker
+// A backup bundle holds every key of both storage areas (settings, reading history, queue,
+// preview cache, popup state, reading log and anything added later) plus a manifest of the keys
+// and a SHA-256 checksum of the data:
+//   { format: 'scp-tracker-backup', version, createdAt, extensionVersion, schemaVersion,
+//     manifest: { sync: { keys, count }, local: { keys, count } }, checksum, data: { sync, local } }
+// Chunked sync keys are stored reassembled, so a bundle does not depend on the shard layout.
+//
+// Restoring replaces both areas with the bundle's data at the bundle's schema version and then
+// runs the storage migrations, so older bundles are upgraded like an old install would be.
+// Synced reading history is left to the caller: it has to be merged with stamped entries and
+// tombstones (see planHistoryImport) or other devices would sync the old entries back.
+
+import { readChunked, isChunkPartKey, stableStringify } from '../utils/chunked-storage.js';
+import {
+  runMigrations, snapshotArea, restoreArea,
+  SCHEMA_VERSION_KEY, BACKUP_KEY as MIGRATION_BACKUP_KEY, CURRENT_SCHEMA_VERSION
+} from './storage-migrations.js';
+
+export const BACKUP_FORMAT = 'scp-tracker-backup';
+export const BACKUP_VERSION = 1;
+
+// Sync keys stored as manifest + shards (see chunked-storage.js)
+const CHUNKED_SYNC_KEYS = ['readSCPs'];
+// Local keys that describe this install rather than user data
+const LOCAL_EXCLUDED_KEYS = [SCHEMA_VERSION_KEY, MIGRATION_BACKUP_KEY];
+
+function isObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isChunkedSyncPart(key) {
+  return CHUNKED_SYNC_KEYS.some(base => key === base || isChunkPartKey(base, key));
+}
+
+function resolveSubtle(subtle) {
+  const impl = subtle || (globalThis.crypto && globalThis.crypto.subtle);
+  if (!impl) throw new Error('SHA-256 is not available in this context');
+  return impl;
+}
+
+/**
+ * SHA-256 checksum of backup data, over its key-sorted JSON.
+ * @param {{sync: Object, local: Object}} data
+ * @param {SubtleCrypto} [subtle]
+ * @returns {Promise<string>} e.g. 'sha256:ab12…'
+ */
+export async function checksumBackupData(data, subtle) {
+  const bytes = new TextEncoder().encode(stableStringify(data));
+  const digest = await resolveSubtle(subtle).digest('SHA-256', bytes);
+  const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
+
+function describeArea(items) {
+  const keys = Object.keys(items).sort();
+  return { keys, count: keys.length };
+}
+
+/**
+ * Read both storage areas into a backup bundle.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - storage namespace (defaults to browser.storage)
+ * @param {string} [options.extensionVersion]
+ * @param {number} [options.now]
+ * @param {SubtleCrypto} [options.subtle]
+ * @returns {Promise<Object>} bundle
+ */
+export async function createBackup({ storage = browser.storage, extensionVersion = null, now = Date.now(), subtle } = {}) {
+  const syncAll = (await storage.sync.get(null)) || {};
+  const localAll = (await storage.local.get(null)) || {};
+
+  const sync = {};
+  for (const [key, value] of Object.entries(syncAll)) {
+    if (!isChunkedSyncPart(key)) sync[key] = value;
+  }
+  for (const key of CHUNKED_SYNC_KEYS) {
+    const { value } = await readChunked(storage.sync, key);
+    if (value !== undefined) sync[key] = value;
+  }
+
+  const local = {};
+  for (const [key, value] of Object.entries(localAll)) {
+    if (!LOCAL_EXCLUDED_KEYS.includes(key)) local[key] = value;
+  }
+  const schemaVersion = Number.isInteger(localAll[SCHEMA_VERSION_KEY]) ? localAll[SCHEMA_VERSION_KEY] : 0;
+
+  const data = { sync, local };
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: now,
+    extensionVersion,
+    schemaVersion,
+    manifest: { sync: describeArea(sync), local: describeArea(local) },
+    checksum: await checksumBackupData(data, subtle),
+    data,
+  };
+}
+
+/**
+ * Check a parsed backup file before restoring it.
+ * @param {*} bundle
+ * @param {Object} [options]
+ * @param {SubtleCrypto} [options.subtle]
+ * @returns {Promise<{ok: boolean, error: string|null}>}
+ */
+export async function verifyBackup(bundle, { subtle } = {}) {
+  const fail = error => ({ ok: false, error });
+  if (!isObject(bundle) || bundle.format !== BACKUP_FORMAT) return fail('Not an SCP Tracker backup file');
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) return fail('Backup version is missing');
+  if (bundle.version > BACKUP_VERSION) return fail('Backup was made by a newer version of SCP Tracker');
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 0) return fail('Backup schema version is missing');
+  if (bundle.schemaVersion > CURRENT_SCHEMA_VERSION) return fail('Backup data is newer than this version of SCP Tracker');
+
+  const data = bundle.data;
+  if (!isObject(data) || !isObject(data.sync) || !isObject(data.local)) return fail('Backup data is missing');
+  for (const area of ['sync', 'local']) {
+    const listed = bundle.manifest && bundle.manifest[area];
+    const actual = describeArea(data[area]);
+    if (!listed || !Array.isArray(listed.keys) || JSON.stringify([...listed.keys].sort()) !== JSON.stringify(actual.keys)) {
+      return fail(`Backup manifest does not match its ${area} data`);
+    }
+  }
+  if (typeof bundle.checksum !== 'string' || bundle.checksum !== await checksumBackupData(data, subtle)) {
+    return fail('Backup checksum does not match; the file is damaged or was edited');
+  }
+  return { ok: true, error: null };
+}
+
+// Replace an area's keys with `items`, keeping the keys `keep` accepts
+async function replaceArea(area, items, keep) {
+  const current = (await area.get(null)) || {};
+  const stale = Object.keys(current).filter(k => !(k in items) && !keep(k));
+  if (stale.length) await area.remove(stale);
+  if (Object.keys(items).length) await area.set(items);
+}
+
+/**
+ * Restore a verified backup into both storage areas and migrate it to the current schema.
+ * Synced reading history is not written; it is returned for the caller to merge.
+ * On failure both areas are put back as they were and the error is rethrown.
+ * @param {Object} bundle
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - storage namespace (defaults to browser.storage)
+ * @param {Object} [options.logger]
+ * @param {SubtleCrypto} [options.subtle]
+ * @returns {Promise<{history: Object, migrations: Object, restored: {sync: number, local: number}}>}
+ */
+export async function restoreBackup(bundle, { storage = browser.storage, logger = console, subtle } = {}) {
+  const check = await verifyBackup(bundle, { subtle });
+  if (!check.ok) throw new Error(check.error);
+
+  const { sync, local } = storage;
+  const before = { sync: await snapshotArea(sync), local: await snapshotArea(local) };
+  const { readSCPs: history, ...syncItems } = bundle.data.sync;
+  const localItems = { ...bundle.data.local, [SCHEMA_VERSION_KEY]: bundle.schemaVersion };
+  delete localItems[MIGRATION_BACKUP_KEY];
+
+  try {
+    await replaceArea(sync, syncItems, isChunkedSyncPart);
+    await replaceArea(local, localItems, key => key === MIGRATION_BACKUP_KEY);
+    const migrations = await runMigrations({ storage, logger, reason: 'restore' });
+    logger.info(`Restored backup from ${new Date(Number(bundle.createdAt) || 0).toISOString()}`);
+    return {
+      history: isObject(history) ? history : {},
+      migrations,
+      restored: { sync: Object.keys(bundle.data.sync).length, local: Object.keys(bundle.data.local).length },
+    };
+  } catch (error) {
+    logger.warn('Backup restore failed; putting the previous data back', error);
+    await restoreArea(sync, before.sync);
+    await restoreArea(local, before.local);
+    throw error;
+  }
+}
@@ -0,0 +1,61 @@
+// Context menu entries for SCP Tracker
+// The same actions are offered for the wiki page itself ('page' context) and for links to wiki
+// pages ('link' context). Menus are limited to wiki hosts (the content script's match
+// patterns), so the content script is always there to act on the page. The background turns a
+// click into the matching message action (see background.js).
+
+// Opening a link "in Immersive Reader" loads it with this fragment; the content script removes
+// it and enables the reader for that tab only
+export const READER_LAUNCH_HASH = '#scp-tracker-reader';
+
+const MENU_ACTIONS = [
+  { action: 'markRead', page: 'Mark page as read', link: 'Mark linked page as read' },
+  { action: 'markUnread', page: 'Mark page as unread', link: 'Mark linked page as unread' },
+  { action: 'queueAdd', page: 'Add page to reading queue', link: 'Add link to reading queue' },
+  { action: 'openReader', page: 'Open page in Immersive Reader', link: 'Open link in Immersive Reader', reader: true },
+  { action: 'copyId', page: 'Copy page ID', link: 'Copy linked page ID' },
+];
+
+/**
+ * `contextMenus.create` properties for every entry.
+ * @param {string[]} urlPatterns - match patterns of the wiki hosts
+ * @param {Object} [options]
+ * @param {boolean} [options.reader] - include the Immersive Reader entries
+ * @returns {Object[]}
+ */
+export function buildContextMenuItems(urlPatterns, { reader = true } = {}) {
+  const items = [];
+  ['page', 'link'].forEach((context) => {
+    MENU_ACTIONS.forEach((entry) => {
+      if (entry.reader && !reader) return;
+      const item = {
+        id: `${context}:${entry.action}`,
+        title: entry[context],
+        contexts: [context],
+        documentUrlPatterns: urlPatterns,
+      };
+      if (context === 'link') item.targetUrlPatterns = urlPatterns;
+      items.push(item);
+    });
+  });
+  return items;
+}
+
+/**
+ * What a menu click applies to.
+ * @param {Object} info - contextMenus.OnClickData
+ * @param {Object} [tab]
+ * @returns {{action: string, context: 'page'|'link', url: string|null, title: string|null}|null}
+ */
+export function parseContextMenuClick(info, tab) {
+  const [context, action] = String((info && info.menuItemId) || '').split(':');
+  if (!MENU_ACTIONS.some(entry => entry.action === action)) return null;
+  if (context === 'link') {
+    const title = typeof info.linkText === 'string' ? info.linkText.replace(/\s+/g, ' ').trim() : '';
+    return { action, context, url: info.linkUrl || null, title: title || null };
+  }
+  if (context === 'page') {
+    return { action, context, url: info.pageUrl || (tab && tab.url) || null, title: (tab && tab.title) || null };
+  }
+  return null;
+}
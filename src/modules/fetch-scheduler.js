@@ -0,0 +1,212 @@
+// Background fetch scheduler for SCP Tracker link previews
+// Runs `worker(url, signal)` for queued URLs with:
+//   - a bounded concurrency pool,
+//   - a minimum interval between requests to the same host,
+//   - coalescing: concurrent requests for one URL share a single run,
+//   - cancellation: each caller may pass an AbortSignal; a run is aborted (or dropped from the
+//     queue) once every caller waiting on it has cancelled,
+//   - exponential backoff, per host, when the worker fails with HTTP 429 or 5xx.
+// Interactive requests (`priority: 'high'`) are started before prefetches.
+
+const SCHEDULER_DEFAULTS = {
+  concurrency: 2,
+  hostIntervalMs: 500,
+  maxRetries: 3,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 60 * 1000,
+};
+
+/**
+ * HTTP failure reported by a worker; 429 and 5xx are retried with backoff.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {number|null} [retryAfterMs] - server-requested delay (Retry-After)
+   */
+  constructor(status, retryAfterMs = null) {
+    super(`HTTP ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or an HTTP date).
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function abortError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} true when a request was cancelled by its callers
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch (_) { return ''; }
+}
+
+export class FetchScheduler {
+  /**
+   * @param {function(string, AbortSignal, Object): Promise<*>} worker - fetches one URL; the third
+   *   argument is `{ fresh }`
+   * @param {Object} [options] - { concurrency, hostIntervalMs, maxRetries, backoffBaseMs,
+   *   backoffMaxMs, now, setTimer, clearTimer, logger }
+   */
+  constructor(worker, options = {}) {
+    const { now, setTimer, clearTimer, logger, ...limits } = options;
+    this.worker = worker;
+    this.config = { ...SCHEDULER_DEFAULTS, ...limits };
+    this.now = now || (() => Date.now());
+    this.setTimer = setTimer || ((fn, ms) => setTimeout(fn, ms));
+    this.clearTimer = clearTimer || (id => clearTimeout(id));
+    this.logger = logger || null;
+    this._jobs = new Map(); // url -> job (queued or running)
+    this._queue = []; // queued jobs, in arrival order
+    this._running = 0;
+    this._hostReadyAt = new Map(); // host -> earliest start time of its next request
+    this._wakeTimer = null;
+  }
+
+  /**
+   * Fetch a URL through the scheduler.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - cancels this caller's interest in the result
+   * @param {'high'|'low'} [options.priority]
+   * @param {boolean} [options.fresh] - the response must not come from a cache (passed to the worker)
+   * @returns {Promise<*>} the worker's result; rejects with an AbortError when cancelled
+   */
+  request(url, { signal = null, priority = 'low', fresh = false } = {}) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    let job = this._jobs.get(url);
+    if (!job) {
+      job = { url, host: hostOf(url), high: false, fresh: false, attempt: 0, notBefore: 0, waiters: new Set(), controller: null };
+      this._jobs.set(url, job);
+      this._queue.push(job);
+    }
+    if (priority === 'high') job.high = true;
+    // Only takes effect while the fetch is still queued
+    if (fresh) job.fresh = true;
+
+    const promise = new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => this._cancelWaiter(job, waiter);
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      job.waiters.add(waiter);
+    });
+    this._pump();
+    return promise;
+  }
+
+  _cancelWaiter(job, waiter) {
+    if (!job.waiters.delete(waiter)) return;
+    waiter.reject(abortError());
+    if (job.waiters.size > 0) return;
+    // Nobody wants the result any more
+    this._jobs.delete(job.url);
+    if (job.controller) {
+      job.controller.abort();
+    } else {
+      this._queue = this._queue.filter(j => j !== job);
+    }
+  }
+
+  _settle(job, fn) {
+    if (this._jobs.get(job.url) === job) this._jobs.delete(job.url);
+    job.waiters.forEach((waiter) => {
+      if (waiter.signal && waiter.onAbort) waiter.signal.removeEventListener('abort', waiter.onAbort);
+      fn(waiter);
+    });
+    job.waiters.clear();
+  }
+
+  _readyAt(job) {
+    return Math.max(job.notBefore, this._hostReadyAt.get(job.host) || 0);
+  }
+
+  // Start as many ready jobs as the pool allows, then sleep until the next one is ready
+  _pump() {
+    if (this._wakeTimer) {
+      this.clearTimer(this._wakeTimer);
+      this._wakeTimer = null;
+    }
+    while (this._running < this.config.concurrency) {
+      const now = this.now();
+      const ready = this._queue.filter(job => this._readyAt(job) <= now);
+      if (!ready.length) break;
+      const next = ready.find(job => job.high) || ready[0];
+      this._queue = this._queue.filter(job => job !== next);
+      this._start(next, now);
+    }
+    if (this._queue.length && this._running < this.config.concurrency) {
+      const wakeAt = Math.min(...this._queue.map(job => this._readyAt(job)));
+      this._wakeTimer = this.setTimer(() => {
+        this._wakeTimer = null;
+        this._pump();
+      }, Math.max(0, wakeAt - this.now()));
+    }
+  }
+
+  _start(job, now) {
+    this._running += 1;
+    this._hostReadyAt.set(job.host, Math.max(this._hostReadyAt.get(job.host) || 0, now + this.config.hostIntervalMs));
+    job.controller = new AbortController();
+    const { signal } = job.controller;
+    Promise.resolve()
+      .then(() => this.worker(job.url, signal, { fresh: job.fresh }))
+      .then(
+        (result) => {
+          if (!signal.aborted) this._settle(job, waiter => waiter.resolve(result));
+        },
+        (error) => {
+          if (signal.aborted) return;
+          if (error instanceof HttpError && error.retryable && job.attempt < this.config.maxRetries) {
+            this._retry(job, error);
+          } else {
+            this._settle(job, waiter => waiter.reject(error));
+          }
+        }
+      )
+      .finally(() => {
+        this._running -= 1;
+        this._pump();
+      });
+  }
+
+  _retry(job, error) {
+    const backoff = Math.min(this.config.backoffMaxMs, this.config.backoffBaseMs * 2 ** job.attempt);
+    const delay = Math.max(backoff, error.retryAfterMs || 0);
+    const readyAt = this.now() + delay;
+    job.attempt += 1;
+    job.notBefore = readyAt;
+    job.controller = null;
+    // The whole host is throttled, not just this URL
+    this._hostReadyAt.set(job.host, Math.max(this._hostReadyAt.get(job.host) || 0, readyAt));
+    this._queue.push(job);
+    if (this.logger) this.logger.debug(`Retrying ${job.url} in ${delay}ms after ${error.message}`);
+  }
+}
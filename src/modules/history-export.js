@@ -0,0 +1,245 @@
+// Reading history export for SCP Tracker
+// Turns `readSCPs` into JSON, CSV, a Markdown reading journal or a standalone HTML report.
+// Filters (date range, page kinds, tags, search text) are applied before formatting; the popup
+// passes its own search/type state so "export what I see" works.
+
+import { parsePageId, formatPageLabel, pageUrlFromId } from './page-identity.js';
+import { liveEntries } from './history-merge.js';
+import { readCountOf } from './reading-log.js';
+
+export const EXPORT_FORMATS = {
+  json: { mime: 'application/json', extension: 'json', label: 'JSON' },
+  csv: { mime: 'text/csv', extension: 'csv', label: 'CSV' },
+  markdown: { mime: 'text/markdown', extension: 'md', label: 'Markdown journal' },
+  html: { mime: 'text/html', extension: 'html', label: 'HTML report' },
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Local calendar date, e.g. 2025-10-19
+function formatDate(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatDateTime(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  return `${formatDate(ts)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdown(value) {
+  return String(value == null ? '' : value).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+// Parentheses and whitespace would end a Markdown link target
+const MARKDOWN_URL_ESCAPES = { '(': '%28', ')': '%29' };
+
+function markdownUrl(url) {
+  return String(url).replace(/[()\s]/g, c => MARKDOWN_URL_ESCAPES[c] || '%20');
+}
+
+/**
+ * Quote a CSV cell and neutralize spreadsheet formulas (cells starting with = + - @).
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  let s = String(value == null ? '' : value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Select and flatten history entries for export, newest first.
+ * @param {Object} readSCPs
+ * @param {Object} [filter]
+ * @param {number} [filter.from] - earliest timestamp (inclusive, ms)
+ * @param {number} [filter.to] - latest timestamp (inclusive, ms)
+ * @param {string[]} [filter.types] - page kinds to include ('scp', 'tale', 'series'); all when empty
+ * @param {string[]} [filter.tags] - entries must carry every listed tag
+ * @param {string} [filter.search] - matched against label, ID and title
+ * @param {boolean} [filter.readOnly] - skip detected-but-unread entries
+ * @returns {Object[]} rows
+ */
+export function filterHistory(readSCPs, filter = {}) {
+  const types = Array.isArray(filter.types) && filter.types.length ? new Set(filter.types) : null;
+  const tags = (Array.isArray(filter.tags) ? filter.tags : [])
+    .map(t => String(t).trim().toLowerCase())
+    .filter(Boolean);
+  const search = String(filter.search || '').trim().toLowerCase();
+  const from = Number.isFinite(filter.from) ? filter.from : null;
+  const to = Number.isFinite(filter.to) ? filter.to : null;
+
+  const rows = [];
+  for (const [id, entry] of Object.entries(liveEntries(readSCPs))) {
+    const parsed = parsePageId(id);
+    const kind = (parsed && parsed.kind) || entry.type || 'tale';
+    const ts = typeof entry.timestamp === 'number' ? entry.timestamp : 0;
+    const label = formatPageLabel(id);
+    const entryTags = Array.isArray(entry.tags) ? entry.tags : [];
+
+    if (filter.readOnly && !entry.read) continue;
+    if (types && !types.has(kind)) continue;
+    if (from !== null && ts < from) continue;
+    if (to !== null && ts > to) continue;
+    if (tags.length && !tags.every(t => entryTags.includes(t))) continue;
+    if (search && ![label, id, entry.title || ''].some(v => v.toLowerCase().includes(search))) continue;
+
+    rows.push({
+      id,
+      label,
+      title: entry.title || label,
+      kind,
+      branch: parsed ? parsed.branch : '',
+      read: !!entry.read,
+      timestamp: ts,
+      firstReadAt: entry.read ? (entry.firstReadAt || ts) : null,
+      lastReadAt: entry.read ? (entry.lastReadAt || ts) : null,
+      readCount: readCountOf(entry),
+      url: entry.url || pageUrlFromId(id) || '',
+      tags: entryTags.slice(),
+      entry,
+    });
+  }
+  rows.sort((a, b) => b.timestamp - a.timestamp || a.id.localeCompare(b.id));
+  return rows;
+}
+
+/**
+ * CSV with one row per page.
+ * @param {Object[]} rows - from filterHistory
+ * @returns {string}
+ */
+export function historyToCSV(rows) {
+  const header = ['id', 'label', 'title', 'type', 'branch', 'read', 'first_read', 'last_read', 'read_count', 'url', 'tags'];
+  const lines = [header.join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.id, r.label, r.title, r.kind, r.branch, r.read ? 'yes' : 'no',
+      formatDateTime(r.firstReadAt), formatDateTime(r.lastReadAt), r.readCount, r.url, r.tags.join(' ')
+    ].map(csvCell).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Markdown reading journal grouped by month (newest first).
+ * @param {Object[]} rows - from filterHistory
+ * @param {Object} [options]
+ * @param {number} [options.generatedAt]
+ * @returns {string}
+ */
+export function historyToMarkdown(rows, { generatedAt = Date.now() } = {}) {
+  const out = ['# SCP Reading Journal', '', `_Exported ${formatDate(generatedAt)} · ${rows.length} entries_`];
+  let month = null;
+  for (const r of rows) {
+    const d = new Date(r.timestamp || 0);
+    const key = r.timestamp ? `${MONTHS[d.getMonth()]} ${d.getFullYear()}` : 'Undated';
+    if (key !== month) {
+      month = key;
+      out.push('', `## ${key}`, '');
+    }
+    const name = r.title && r.title !== r.label ? `${r.label} — ${r.title}` : r.label;
+    let line = `- ${formatDate(r.timestamp) || '—'} · [${escapeMarkdown(name)}](${markdownUrl(r.url)})`;
+    if (!r.read) line += ' _(not finished)_';
+    if (r.readCount > 1) line += ` · read ${r.readCount}×`;
+    if (r.tags.length) line += ` · ${r.tags.map(t => `\`${t}\``).join(' ')}`;
+    out.push(line);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Standalone HTML report (inline styles, no external resources).
+ * @param {Object[]} rows - from filterHistory
+ * @param {Object} [options]
+ * @param {number} [options.generatedAt]
+ * @param {string} [options.filterDescription]
+ * @returns {string}
+ */
+export function historyToHTML(rows, { generatedAt = Date.now(), filterDescription = '' } = {}) {
+  const read = rows.filter(r => r.read);
+  const byKind = read.reduce((acc, r) => { acc[r.kind] = (acc[r.kind] || 0) + 1; return acc; }, {});
+  const rereads = read.filter(r => r.readCount > 1).length;
+  const body = rows.map(r => `      <tr>
+        <td><a href="${escapeHtml(r.url)}">${escapeHtml(r.label)}</a></td>
+        <td>${escapeHtml(r.title)}</td>
+        <td>${escapeHtml(r.kind)}</td>
+        <td>${r.read ? escapeHtml(formatDate(r.firstReadAt)) : 'not finished'}</td>
+        <td>${escapeHtml(formatDate(r.lastReadAt))}</td>
+        <td>${r.readCount}</td>
+        <td>${r.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join(' ')}</td>
+      </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>SCP Reading Report</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+    h1 { color: #8b0000; }
+    .summary { display: flex; gap: 16px; flex-wrap: wrap; margin: 12px 0 20px; }
+    .summary div { background: #f3f3f3; border-radius: 6px; padding: 8px 12px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #fafafa; }
+    .tag { display: inline-block; background: #eee; border-radius: 3px; padding: 0 4px; margin: 1px; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1>SCP Reading Report</h1>
+  <p>Generated ${escapeHtml(formatDateTime(generatedAt))}${filterDescription ? ` · ${escapeHtml(filterDescription)}` : ''}</p>
+  <div class="summary">
+    <div><strong>${read.length}</strong> read</div>
+    <div><strong>${byKind.scp || 0}</strong> SCPs</div>
+    <div><strong>${byKind.tale || 0}</strong> tales</div>
+    <div><strong>${rereads}</strong> re-read</div>
+    <div><strong>${rows.length - read.length}</strong> not finished</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Page</th><th>Title</th><th>Type</th><th>First read</th><th>Last read</th><th>Reads</th><th>Tags</th></tr>
+    </thead>
+    <tbody>
+${body}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build an export file.
+ * @param {Object} readSCPs
+ * @param {string} format - key of EXPORT_FORMATS
+ * @param {Object} [filter] - see filterHistory
+ * @param {Object} [options] - { generatedAt, filterDescription }
+ * @returns {{content: string, mime: string, extension: string, count: number}}
+ */
+export function buildHistoryExport(readSCPs, format, filter = {}, options = {}) {
+  const spec = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const rows = filterHistory(readSCPs, filter);
+  let content;
+  if (format === 'csv') content = historyToCSV(rows);
+  else if (format === 'markdown') content = historyToMarkdown(rows, options);
+  else if (format === 'html') content = historyToHTML(rows, options);
+  else content = JSON.stringify(Object.fromEntries(rows.map(r => [r.id, r.entry])), null, 2);
+  return { content, mime: spec.mime, extension: spec.extension, count: rows.length };
+}
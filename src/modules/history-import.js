@@ -0,0 +1,148 @@
+// Reading history import for SCP Tracker
+// Accepts the JSON files produced by the popup export (a bare `readSCPs` map), the settings
+// export (`{ readSCPs, settings }`) and versioned backups (`{ format, version, data }`).
+// Every entry is validated and re-keyed to a canonical page ID, then compared with the current
+// history to build a dry-run plan. The plan's `patch` is a map of stamped entries and tombstones
+// that the background merges into the synced history, so the import also wins on other devices.
+
+import { resolvePageIdentity, parsePageId, migrateReadSCPsKeys, pageUrlFromId } from './page-identity.js';
+import { isTombstone, stampEntry, makeTombstone, liveEntries } from './history-merge.js';
+import { sanitizeRevisionFields } from './revision-check.js';
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_TAGS = 100;
+// Timestamps further in the future than this are treated as invalid
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+const KNOWN_TYPES = new Set(['scp', 'tale', 'series']);
+
+function isObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function validTime(value, now) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n <= now + MAX_CLOCK_SKEW_MS ? n : null;
+}
+
+/**
+ * Extract the `readSCPs` map from a parsed export or backup file.
+ * @param {*} json
+ * @returns {{readSCPs: Object, format: string, version: number|null}}
+ * @throws {Error} when the file is not a recognised export
+ */
+export function extractImportedHistory(json) {
+  if (!isObject(json)) throw new Error('File does not contain an SCP Tracker export');
+  if (typeof json.format === 'string' && isObject(json.data)) {
+    const data = json.data;
+    const readSCPs = isObject(data.readSCPs) ? data.readSCPs : (isObject(data.sync) && isObject(data.sync.readSCPs) ? data.sync.readSCPs : null);
+    if (!readSCPs) throw new Error('Backup does not contain reading history');
+    return { readSCPs, format: json.format, version: Number.isInteger(json.version) ? json.version : null };
+  }
+  if (isObject(json.readSCPs)) return { readSCPs: json.readSCPs, format: 'settings-export', version: null };
+  return { readSCPs: json, format: 'history-export', version: null };
+}
+
+/**
+ * Validate and normalize one imported entry.
+ * @param {string} key
+ * @param {*} entry
+ * @param {number} [now]
+ * @returns {{entry: Object|null, error: string|null}}
+ */
+export function validateImportedEntry(key, entry, now = Date.now()) {
+  if (!String(key || '').trim()) return { entry: null, error: 'empty key' };
+  if (!isObject(entry)) return { entry: null, error: 'not an object' };
+  if (isTombstone(entry)) return { entry: null, error: 'removed entry' };
+  if (typeof entry.read !== 'boolean') return { entry: null, error: 'missing read flag' };
+  const timestamp = validTime(entry.timestamp, now);
+  if (!timestamp) return { entry: null, error: 'invalid timestamp' };
+
+  const out = { read: entry.read, timestamp };
+  if (typeof entry.url === 'string') {
+    const identity = resolvePageIdentity(entry.url);
+    if (!identity) return { entry: null, error: 'URL is not a wiki page' };
+    // The canonical URL is derived from the page ID; only others are kept
+    if (entry.url !== pageUrlFromId(identity.id)) out.url = entry.url;
+  }
+  if (typeof entry.title === 'string' && entry.title.trim()) out.title = entry.title.trim().slice(0, MAX_TITLE_LENGTH);
+  if (KNOWN_TYPES.has(entry.type)) out.type = entry.type;
+  if (Array.isArray(entry.tags)) {
+    out.tags = Array.from(new Set(entry.tags
+      .filter(t => typeof t === 'string')
+      .map(t => t.trim().toLowerCase())
+      .filter(Boolean))).sort().slice(0, MAX_TAGS);
+  }
+  if (entry.detected === true && !entry.read) out.detected = true;
+  if (Number.isInteger(entry.readCount) && entry.readCount > 0 && entry.read) out.readCount = entry.readCount;
+  for (const field of ['firstReadAt', 'lastReadAt', 'updatedAt']) {
+    const t = validTime(entry[field], now);
+    if (t) out[field] = t;
+  }
+  if (Number.isInteger(entry.minutes) && entry.minutes > 0 && entry.minutes <= 600) out.minutes = entry.minutes;
+  if (Number.isInteger(entry.activeSeconds) && entry.activeSeconds > 0) out.activeSeconds = entry.activeSeconds;
+  if (entry.read) Object.assign(out, sanitizeRevisionFields(entry));
+  return { entry: out, error: null };
+}
+
+// Entry content without sync bookkeeping, for "is this the same entry" comparisons
+function comparable(entry) {
+  const fields = Object.keys(entry || {}).filter(k => k !== 'updatedAt').sort();
+  return JSON.stringify(fields.map(k => [k, entry[k]]));
+}
+
+function clockOf(entry) {
+  return Number((entry && (entry.updatedAt || entry.timestamp)) || 0);
+}
+
+/**
+ * Build a dry-run import plan against the current history.
+ * Statuses: `new` (not tracked yet), `updated` (imported entry is newer), `conflicting`
+ * (current entry is newer and differs; merge keeps the current one), `unchanged`, `invalid`,
+ * and in replace mode `removed` (tracked now but missing from the file).
+ * @param {Object} currentHistory - current readSCPs (tombstones allowed)
+ * @param {Object} importedHistory - raw imported readSCPs map
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode]
+ * @param {number} [options.now]
+ * @returns {{mode: string, summary: Object, items: Object[], patch: Object}}
+ */
+export function planHistoryImport(currentHistory, importedHistory, { mode = 'merge', now = Date.now() } = {}) {
+  const items = [];
+  const valid = {};
+  for (const [key, raw] of Object.entries(isObject(importedHistory) ? importedHistory : {})) {
+    const { entry, error } = validateImportedEntry(key, raw, now);
+    if (error) items.push({ id: key, status: 'invalid', reason: error });
+    else valid[key] = entry;
+  }
+  // Legacy keys (bare numbers/slugs) resolve to canonical IDs, merging duplicates
+  const { readSCPs: incoming } = migrateReadSCPsKeys(valid);
+
+  const current = liveEntries(currentHistory);
+  const patch = {};
+  for (const [id, entry] of Object.entries(incoming)) {
+    if (!parsePageId(id)) {
+      items.push({ id, status: 'invalid', reason: 'unrecognised page' });
+      continue;
+    }
+    const before = current[id];
+    let status;
+    if (!before) status = 'new';
+    else if (comparable(before) === comparable(entry)) status = 'unchanged';
+    else status = clockOf(entry) > clockOf(before) ? 'updated' : 'conflicting';
+    items.push({ id, status, before: before || null, after: entry });
+
+    const apply = status === 'new' || status === 'updated' || (mode === 'replace' && status === 'conflicting');
+    if (apply) patch[id] = stampEntry(entry, (currentHistory || {})[id], now);
+  }
+  if (mode === 'replace') {
+    for (const id of Object.keys(current)) {
+      if (incoming[id] && parsePageId(id)) continue;
+      items.push({ id, status: 'removed', before: current[id], after: null });
+      patch[id] = makeTombstone(current[id], now);
+    }
+  }
+
+  const summary = { new: 0, updated: 0, conflicting: 0, unchanged: 0, invalid: 0, removed: 0 };
+  items.forEach((item) => { summary[item.status] += 1; });
+  return { mode, summary, items, patch };
+}
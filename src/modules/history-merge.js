@@ -0,0 +1,113 @@
+// Conflict-free merging of reading history (readSCPs) across devices
+// Every entry carries an `updatedAt` clock; when two devices disagree about an entry the one
+// written last wins. Unread/removed entries are kept as tombstones (`{deleted: true, updatedAt}`)
+// instead of being deleted, so a device that has not seen the removal cannot resurrect the entry.
+// Merging is commutative, associative and idempotent, so every device converges on the same map
+// regardless of the order in which sync delivers changes.
+
+// Tombstones older than this are dropped; a device offline for longer may resurrect the entry
+const TOMBSTONE_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+
+function isObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Whether an entry is a tombstone for an unread/removed page.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isTombstone(entry) {
+  return isObject(entry) && entry.deleted === true;
+}
+
+// Logical clock of an entry; legacy entries fall back to their read timestamp
+function entryClock(entry) {
+  if (!isObject(entry)) return 0;
+  const t = Number(entry.updatedAt || entry.timestamp || 0);
+  return Number.isFinite(t) ? t : 0;
+}
+
+// Deterministic tie-break so merge(a, b) === merge(b, a) even for equal clocks
+function tieRank(entry) {
+  if (isTombstone(entry)) return 2;
+  return entry.read ? 1 : 0;
+}
+
+function pickWinner(a, b) {
+  if (!isObject(a)) return b;
+  if (!isObject(b)) return a;
+  const ca = entryClock(a);
+  const cb = entryClock(b);
+  if (ca !== cb) return cb > ca ? b : a;
+  const ra = tieRank(a);
+  const rb = tieRank(b);
+  if (ra !== rb) return rb > ra ? b : a;
+  return JSON.stringify(b) > JSON.stringify(a) ? b : a;
+}
+
+function isExpiredTombstone(entry, now) {
+  return isTombstone(entry) && now - entryClock(entry) > TOMBSTONE_TTL_MS;
+}
+
+/**
+ * Merge an incoming history map into a base map, entry by entry (last writer wins).
+ * Expired tombstones are dropped from the result.
+ * @param {Object} base - the map currently held by this device
+ * @param {Object} incoming - a map (or partial map) from another device or an older snapshot
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {{merged: Object, changed: boolean}} `changed` is true when `merged` differs from `base`
+ */
+export function mergeHistories(base, incoming, { now = Date.now() } = {}) {
+  const merged = {};
+  let changed = false;
+  const baseMap = isObject(base) ? base : {};
+  const incomingMap = isObject(incoming) ? incoming : {};
+  const ids = new Set([...Object.keys(baseMap), ...Object.keys(incomingMap)]);
+  for (const id of ids) {
+    const winner = pickWinner(baseMap[id], incomingMap[id]);
+    if (!isObject(winner) || isExpiredTombstone(winner, now)) {
+      if (id in baseMap) changed = true;
+      continue;
+    }
+    merged[id] = winner;
+    if (winner !== baseMap[id]) changed = true;
+  }
+  return { merged, changed };
+}
+
+/**
+ * Stamp an entry with a fresh clock so it wins over every earlier version.
+ * The clock never goes backwards relative to the previous version, even if the system time did.
+ * @param {Object} entry
+ * @param {Object} [previous]
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function stampEntry(entry, previous, now = Date.now()) {
+  return { ...entry, updatedAt: Math.max(now, entryClock(previous) + 1) };
+}
+
+/**
+ * Tombstone replacing an entry that was marked unread or cleared.
+ * @param {Object} [previous]
+ * @param {number} [now]
+ * @returns {{deleted: true, updatedAt: number}}
+ */
+export function makeTombstone(previous, now = Date.now()) {
+  return stampEntry({ deleted: true }, previous, now);
+}
+
+/**
+ * History without tombstones, for display, analytics and export.
+ * @param {Object} readSCPs
+ * @returns {Object}
+ */
+export function liveEntries(readSCPs) {
+  const out = {};
+  for (const [id, entry] of Object.entries(readSCPs || {})) {
+    if (isObject(entry) && !isTombstone(entry)) out[id] = entry;
+  }
+  return out;
+}
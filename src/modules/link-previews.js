@@ -3,6 +3,8 @@
  * Scans for SCP/tale links and shows a hover tooltip with metadata.
  */
 
+import { sendMessage, MESSAGE_ACTIONS } from './message-client.js';
+
 // Ensure browser API is available (content script already polyfills, but be safe)
 // eslint-disable-next-line no-undef
 const browserApi = (typeof browser !== 'undefined') ? browser : (typeof globalThis !== 'undefined' ? globalThis.browser : null);
@@ -27,7 +29,8 @@ class LinkPreviewsModule {
     this._boundOnMouseLeave = null;
     this._boundTooltipEnter = null;
     this._boundTooltipLeave = null;
-    this._prefetched = new Set();
+    this._pendingRequest = null; // { controller } of the metadata request for the open tooltip
+    this._requestSeq = 0;
   }
 
   async initialize() {
@@ -59,6 +62,7 @@ class LinkPreviewsModule {
     // Clear timers
     if (this._hoverTimer) clearTimeout(this._hoverTimer);
     if (this._hideTimer) clearTimeout(this._hideTimer);
+    this._cancelPendingRequest();
   }
 
   _installTooltip() {
@@ -133,11 +137,7 @@ class LinkPreviewsModule {
     if (this._hoverTimer) clearTimeout(this._hoverTimer);
     this._hoverTimer = setTimeout(async () => {
       this._activeAnchor = anchor;
-      // Prefetch if not already
-      if (!this._prefetched.has(href)) {
-        this._prefetched.add(href);
-        this._prefetch([href]).catch(() => {});
-      }
+      // Fetched (and cached) by the background; cancelled if the tooltip closes first
       const meta = await this._getMetadata(href).catch(() => null);
       if (!meta) return;
       this._render(anchor, meta);
@@ -151,28 +151,53 @@ class LinkPreviewsModule {
   _scheduleHide() {
     if (this._hideTimer) clearTimeout(this._hideTimer);
     this._hideTimer = setTimeout(() => {
+      if (this._hoverTimer) { clearTimeout(this._hoverTimer); this._hoverTimer = null; }
       if (this._tooltip) this._tooltip.style.display = 'none';
       this._activeAnchor = null;
+      // The background stops fetching metadata nobody will see
+      this._cancelPendingRequest();
     }, this.config.hideDelay);
   }
 
+  _cancelPendingRequest() {
+    if (this._pendingRequest) {
+      this._pendingRequest.controller.abort();
+      this._pendingRequest = null;
+    }
+  }
+
   async _getMetadata(url) {
     if (!browserApi || !browserApi.runtime || !browserApi.runtime.sendMessage) return null;
+    // One tooltip at a time: a new hover supersedes the previous request
+    this._cancelPendingRequest();
     const controller = new AbortController();
+    const request = { controller };
+    this._pendingRequest = request;
+    const requestId = `${Date.now().toString(36)}-${++this._requestSeq}`;
+    const onAbort = () => {
+      sendMessage(MESSAGE_ACTIONS.PREVIEW_CANCEL, { requestId }, { runtime: browserApi.runtime }).catch(() => {});
+    };
+    controller.signal.addEventListener('abort', onAbort, { once: true });
+    const aborted = new Promise(resolve => controller.signal.addEventListener('abort', () => resolve(null), { once: true }));
     const t = setTimeout(() => controller.abort(), this.config.metadataTimeout);
     try {
-      const res = await browserApi.runtime.sendMessage({ action: 'linkPreview:getMetadata', url, signalId: null });
-      return res && res.ok ? res.data : null;
+      const data = await Promise.race([
+        sendMessage(MESSAGE_ACTIONS.PREVIEW_METADATA, { url, requestId }, { runtime: browserApi.runtime }),
+        aborted,
+      ]);
+      return data ? data.metadata : null;
     } catch (e) {
       return null;
     } finally {
       clearTimeout(t);
+      controller.signal.removeEventListener('abort', onAbort);
+      if (this._pendingRequest === request) this._pendingRequest = null;
     }
   }
 
   async _prefetch(urls) {
     if (!browserApi || !browserApi.runtime || !browserApi.runtime.sendMessage) return;
-    try { await browserApi.runtime.sendMessage({ action: 'linkPreview:prefetch', urls }); } catch(_){}
+    try { await sendMessage(MESSAGE_ACTIONS.PREVIEW_PREFETCH, { urls }, { runtime: browserApi.runtime }); } catch(_){}
   }
 
   _render(anchor, meta) {
@@ -183,6 +208,8 @@ class LinkPreviewsModule {
     const rating = meta.rating != null ? `Rating: ${meta.rating}` : '';
     const summary = safe(meta.summary || '');
     const type = meta.type || '';
+    const objectClass = meta.objectClass ? safe(meta.objectClass) : '';
+    const author = meta.author ? `by ${safe(meta.author)}` : '';
 
     this._tooltipInner.innerHTML = '';
     const hdr = document.createElement('div');
@@ -191,7 +218,7 @@ class LinkPreviewsModule {
 
     const info = document.createElement('div');
     info.className = 'scp-link-preview__meta';
-    info.textContent = [type, rating].filter(Boolean).join(' \u00b7 ');
+    info.textContent = [type, objectClass, author, rating].filter(Boolean).join(' \u00b7 ');
 
     const body = document.createElement('div');
     body.className = 'scp-link-preview__summary';
@@ -206,9 +233,12 @@ class LinkPreviewsModule {
     btn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      if (browserApi && browserApi.runtime && browserApi.runtime.sendMessage) {
-        browserApi.runtime.sendMessage({ action: 'linkPreview:queue:add', item: { url: meta.url || anchor.href, title, type } }).catch(() => {});
-      }
+      if (!browserApi || !browserApi.runtime || !browserApi.runtime.sendMessage) return;
+      btn.disabled = true;
+      btn.textContent = 'Adding…';
+      sendMessage(MESSAGE_ACTIONS.QUEUE_ADD, { item: { url: meta.url || anchor.href, title, type } }, { runtime: browserApi.runtime })
+        .then(res => this._showQueueResult(btn, res))
+        .catch(() => this._showQueueResult(btn, null));
     });
 
     actions.appendChild(btn);
@@ -226,6 +256,21 @@ class LinkPreviewsModule {
     this._tooltip.style.top = `${top}px`;
     this._tooltip.style.display = 'block';
   }
+
+  // Confirmation state for the "Add to queue" button; `res` is null when queuing failed
+  _showQueueResult(btn, res) {
+    btn.classList.remove('is-error', 'is-done');
+    if (!res) {
+      btn.disabled = false;
+      btn.textContent = 'Could not queue — retry';
+      btn.classList.add('is-error');
+      return;
+    }
+    btn.textContent = res.added
+      ? (res.opened ? 'Queued ✓ (opened)' : 'Queued ✓')
+      : 'Already in queue';
+    btn.classList.add('is-done');
+  }
 }
 
 export default new LinkPreviewsModule();
@@ -0,0 +1,100 @@
+// Client side of the background message router (see message-router.js)
+// Every background action answers with an envelope `{ ok, data, error }`; `sendMessage` unwraps
+// it, resolving with `data` or rejecting with a MessageError carrying the error code.
+
+/**
+ * Background actions. Payload fields travel next to `action`; the comment gives the payload
+ * and the `data` the action resolves with.
+ */
+export const MESSAGE_ACTIONS = Object.freeze({
+  // { url, scpTitle?, metadata? } -> { recorded, changed } (changed: rewrite flag of a read page or null)
+  SCP_DETECTED: 'scpDetected',
+  // { url?, scpTitle?, tags?, source?, depth?, minutes?, metadata? } -> { recorded: string[] } (applied event types)
+  BOTTOM_REACHED: 'bottomReached',
+  // { url, seconds } -> { recorded: boolean } (active reading time since the last report, kept on this device)
+  READING_TIME: 'readingTime',
+  // { id? | url?, source? } -> { changed }
+  MARK_UNREAD: 'markUnread',
+  // {} -> { changed }
+  CLEAR_HISTORY: 'clearHistory',
+  // { patch } -> { applied }
+  HISTORY_IMPORT: 'history:import',
+  // { bundle } -> { restored, history, migrations }
+  BACKUP_RESTORE: 'backup:restore',
+  // {} -> sync storage contents
+  GET_SETTINGS: 'getSettings',
+  // { settings } -> null
+  SAVE_SETTINGS: 'saveSettings',
+  // { url, requestId? } -> { metadata, cached } (requestId lets PREVIEW_CANCEL abort the fetch)
+  PREVIEW_METADATA: 'linkPreview:getMetadata',
+  // { requestId } -> { cancelled }
+  PREVIEW_CANCEL: 'linkPreview:cancel',
+  // {} -> { entries, bytes, hits, misses, evictions, hitRate, maxEntries, maxBytes }
+  PREVIEW_CACHE_STATS: 'linkPreview:cache:stats',
+  // {} -> { removed }
+  PREVIEW_CACHE_CLEAR: 'linkPreview:cache:clear',
+  // { urls } -> null (fetching continues in the background)
+  PREVIEW_PREFETCH: 'linkPreview:prefetch',
+  // { item: { url, title?, type? } } -> { item, added, opened }
+  QUEUE_ADD: 'linkPreview:queue:add',
+  // {} -> { queue, done }
+  QUEUE_LIST: 'queue:list',
+  // { itemId } -> { queue, done }
+  QUEUE_REMOVE: 'queue:remove',
+  // { order } -> { queue, done }
+  QUEUE_REORDER: 'queue:reorder',
+  // { itemId, note } -> { queue, done }
+  QUEUE_NOTE: 'queue:note',
+  // {} -> { queue, done }
+  QUEUE_CLEAR_DONE: 'queue:clearDone',
+  // {} -> { item }
+  QUEUE_OPEN_NEXT: 'queue:openNext',
+  // { event } -> null
+  ANALYTICS_EVENT: 'analytics:event',
+  // {} -> { removed }
+  ANALYTICS_EVENTS_CLEAR: 'analytics:events:clear',
+  // { retention: { maxEvents, maxAgeDays } } -> { retention, removed } (normalized retention, events dropped)
+  ANALYTICS_RETENTION_SET: 'analytics:retention:set',
+  // { capture, reason? } -> { page } (capture from article-capture.js; reason 'read' | 'queued')
+  ARCHIVE_SAVE: 'archive:save',
+  // { target: 'offscreen', url, html } -> page metadata record (handled by the offscreen document)
+  OFFSCREEN_PARSE_METADATA: 'offscreen:parseMetadata',
+  // { target: 'offscreen', url, html } -> article capture or null (handled by the offscreen document)
+  OFFSCREEN_CAPTURE_ARTICLE: 'offscreen:captureArticle',
+});
+
+/**
+ * Error reported by a background handler (or by messaging itself).
+ */
+export class MessageError extends Error {
+  constructor(message, code = 'failed') {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+  }
+}
+
+/**
+ * Send an action to the background and unwrap the response envelope.
+ * @param {string} action - one of MESSAGE_ACTIONS
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {Object} [options.runtime] - runtime API (defaults to browser.runtime)
+ * @returns {Promise<*>} the handler's data
+ * @throws {MessageError} when the background rejects the message or cannot be reached
+ */
+export async function sendMessage(action, payload = {}, { runtime } = {}) {
+  const api = runtime || (typeof browser !== 'undefined' ? browser.runtime : null);
+  if (!api || typeof api.sendMessage !== 'function') {
+    throw new MessageError('Extension messaging is not available', 'unavailable');
+  }
+  const res = await api.sendMessage({ ...payload, action });
+  if (!res || typeof res.ok !== 'boolean') {
+    throw new MessageError(`No response to ${action}`, 'no_response');
+  }
+  if (!res.ok) {
+    const error = res.error || {};
+    throw new MessageError(error.message || `${action} failed`, error.code || 'failed');
+  }
+  return res.data;
+}
@@ -0,0 +1,126 @@
+// Background message router for SCP Tracker
+// Handlers are registered per action with a payload schema and the senders allowed to use it.
+// Every message gets an envelope back: `{ ok: true, data, error: null }` on success and
+// `{ ok: false, data: null, error: { code, message } }` otherwise, including unknown actions,
+// rejected senders and invalid payloads. Handlers return data (or a promise of it) and signal
+// expected failures by throwing a MessageError; anything else is reported as `internal_error`.
+
+import { MessageError } from './message-client.js';
+
+// Senders: 'content' = content script in a tab, 'extension' = popup, settings and other pages
+const ALL_SENDERS = ['content', 'extension'];
+
+const CHECKS = {
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  boolean: v => typeof v === 'boolean',
+  object: v => !!v && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  'string[]': v => Array.isArray(v) && v.every(x => typeof x === 'string'),
+};
+
+/**
+ * Classify the sender of a runtime message.
+ * @param {Object} sender - runtime.MessageSender
+ * @param {string} extensionOrigin - runtime.getURL('')
+ * @returns {'content'|'extension'|null}
+ */
+export function senderKind(sender, extensionOrigin) {
+  if (!sender) return null;
+  const url = typeof sender.url === 'string' ? sender.url : '';
+  if (extensionOrigin && url.startsWith(extensionOrigin)) return 'extension';
+  if (sender.tab) return 'content';
+  return null;
+}
+
+/**
+ * Check a message against a schema of `field: type` pairs.
+ * Types are the keys of CHECKS; a trailing '?' makes the field optional (undefined or null).
+ * @param {Object} schema
+ * @param {Object} message
+ * @returns {string|null} the first problem, or null when valid
+ */
+export function validatePayload(schema, message) {
+  for (const [field, spec] of Object.entries(schema || {})) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = message[field];
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      return `${field} is required`;
+    }
+    const check = CHECKS[type];
+    if (!check) throw new Error(`Unknown schema type: ${type}`);
+    if (!check(value)) return `${field} must be ${type}`;
+  }
+  return null;
+}
+
+function failure(code, message) {
+  return { ok: false, data: null, error: { code, message } };
+}
+
+/**
+ * Create a router to pass as the runtime.onMessage listener.
+ * @param {Object} [options]
+ * @param {string} [options.extensionOrigin] - runtime.getURL(''), to recognise extension pages
+ * @param {Object} [options.logger]
+ * @param {Function} [options.onError] - (error, context) for unexpected handler errors
+ * @returns {{register: Function, dispatch: Function, listener: Function, actions: Function}}
+ */
+export function createMessageRouter({ extensionOrigin = '', logger = console, onError = null } = {}) {
+  const routes = new Map();
+
+  const router = {
+    /**
+     * @param {string} action
+     * @param {Object} route
+     * @param {Function} route.handler - (message, sender) => data | Promise<data>
+     * @param {Object} [route.schema] - payload schema (see validatePayload)
+     * @param {string[]} [route.from] - allowed sender kinds (default: all)
+     * @param {string} [route.errorContext] - action name reported to onError
+     */
+    register(action, { handler, schema = {}, from = ALL_SENDERS, errorContext = null }) {
+      if (routes.has(action)) throw new Error(`Duplicate message handler: ${action}`);
+      routes.set(action, { handler, schema, from, errorContext });
+      return router;
+    },
+
+    async dispatch(message, sender) {
+      const action = message && typeof message.action === 'string' ? message.action : null;
+      const route = action ? routes.get(action) : null;
+      if (!route) {
+        logger.warn('Unhandled message action:', action);
+        return failure('unknown_action', `Unknown action: ${action}`);
+      }
+      const kind = senderKind(sender, extensionOrigin);
+      if (!route.from.includes(kind)) {
+        logger.warn(`Rejected ${action} message from ${kind || 'unknown sender'}`);
+        return failure('forbidden', `${action} is not available to this sender`);
+      }
+      const problem = validatePayload(route.schema, message);
+      if (problem) {
+        logger.warn(`Invalid ${action} message: ${problem}`);
+        return failure('invalid_payload', problem);
+      }
+      try {
+        const data = await route.handler(message, sender);
+        return { ok: true, data: data === undefined ? null : data, error: null };
+      } catch (error) {
+        if (error instanceof MessageError) return failure(error.code, error.message);
+        if (onError) onError(error, { action: route.errorContext || action });
+        return failure('internal_error', (error && error.message) || `${action} failed`);
+      }
+    },
+
+    // runtime.onMessage listener: always answers with an envelope
+    listener(message, sender) {
+      return router.dispatch(message, sender);
+    },
+
+    actions() {
+      return Array.from(routes.keys());
+    },
+  };
+  return router;
+}
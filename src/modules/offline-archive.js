@@ -0,0 +1,181 @@
+// Offline article archive for SCP Tracker (IndexedDB)
+// Two object stores, both keyed by page URL and written together:
+//   pages:    { url, pageId, title, savedAt, reason, bytes, imageCount, missingImages } (listing)
+//   contents: { url, html, images: [{ url, blob }] } (blob is null when the image was unavailable)
+// The database lives in the extension origin, so the background, the popup and the archive page
+// share it; content scripts send captures to the background instead (ARCHIVE_SAVE).
+
+const ARCHIVE_DB_NAME = 'scp-tracker-archive';
+const ARCHIVE_DB_VERSION = 1;
+const PAGES = 'pages';
+const CONTENTS = 'contents';
+
+export const ARCHIVE_LIMITS = {
+  maxImageBytes: 5 * 1024 * 1024,
+  maxArticleImageBytes: 25 * 1024 * 1024,
+  maxImages: 100,
+};
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Archive transaction aborted'));
+  });
+}
+
+/**
+ * Build the stored records for a capture (see article-capture.js).
+ * @param {Object} capture - { url, pageId, title, html, images: string[] }
+ * @param {Array<{url: string, blob: Blob|null}>} images - fetched image data, in capture order
+ * @param {Object} [options] - { reason: 'read'|'queued', now }
+ * @returns {{page: Object, content: Object}}
+ */
+export function buildArchiveRecord(capture, images, { reason = 'read', now = Date.now() } = {}) {
+  const imageBytes = images.reduce((sum, img) => sum + (img.blob ? img.blob.size : 0), 0);
+  return {
+    page: {
+      url: capture.url,
+      pageId: capture.pageId || null,
+      title: capture.title || capture.url,
+      savedAt: now,
+      reason,
+      bytes: capture.html.length + imageBytes,
+      imageCount: images.length,
+      missingImages: images.filter(img => !img.blob).length,
+    },
+    content: { url: capture.url, html: capture.html, images },
+  };
+}
+
+/**
+ * Download a capture's images within the archive limits; failures are recorded as null blobs.
+ * @param {string[]} urls
+ * @param {Object} [options] - { fetch, limits }
+ * @returns {Promise<Array<{url: string, blob: Blob|null}>>}
+ */
+export async function fetchArchiveImages(urls, { fetch = globalThis.fetch, limits = ARCHIVE_LIMITS } = {}) {
+  const out = [];
+  let total = 0;
+  for (const [index, url] of urls.entries()) {
+    let blob = null;
+    if (index < limits.maxImages) {
+      try {
+        const resp = await fetch(url, { credentials: 'omit' });
+        if (resp.ok) {
+          const data = await resp.blob();
+          if (data.size <= limits.maxImageBytes && total + data.size <= limits.maxArticleImageBytes) {
+            blob = data;
+            total += data.size;
+          }
+        }
+      } catch (_) {
+        // kept as a missing image
+      }
+    }
+    out.push({ url, blob });
+  }
+  return out;
+}
+
+export class OfflineArchive {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB] - defaults to the global indexedDB
+   */
+  constructor({ indexedDB = globalThis.indexedDB } = {}) {
+    this.factory = indexedDB;
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      if (!this.factory) return Promise.reject(new Error('IndexedDB is not available'));
+      const request = this.factory.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PAGES)) db.createObjectStore(PAGES, { keyPath: 'url' });
+        if (!db.objectStoreNames.contains(CONTENTS)) db.createObjectStore(CONTENTS, { keyPath: 'url' });
+      };
+      this._db = promisify(request).catch((error) => {
+        this._db = null;
+        throw error;
+      });
+    }
+    return this._db;
+  }
+
+  async _write(fn) {
+    const db = await this._open();
+    const tx = db.transaction([PAGES, CONTENTS], 'readwrite');
+    const done = transactionDone(tx);
+    fn(tx.objectStore(PAGES), tx.objectStore(CONTENTS));
+    await done;
+  }
+
+  /**
+   * Save (or replace) an article.
+   * @param {{page: Object, content: Object}} record - from buildArchiveRecord
+   * @returns {Promise<void>}
+   */
+  put(record) {
+    return this._write((pages, contents) => {
+      pages.put(record.page);
+      contents.put(record.content);
+    });
+  }
+
+  /**
+   * Saved articles, newest first (without their contents).
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const db = await this._open();
+    const pages = await promisify(db.transaction(PAGES, 'readonly').objectStore(PAGES).getAll());
+    return pages.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * An article with its contents.
+   * @param {string} url
+   * @returns {Promise<{page: Object, content: Object}|null>}
+   */
+  async get(url) {
+    const db = await this._open();
+    const tx = db.transaction([PAGES, CONTENTS], 'readonly');
+    const [page, content] = await Promise.all([
+      promisify(tx.objectStore(PAGES).get(url)),
+      promisify(tx.objectStore(CONTENTS).get(url)),
+    ]);
+    return page && content ? { page, content } : null;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  delete(url) {
+    return this._write((pages, contents) => {
+      pages.delete(url);
+      contents.delete(url);
+    });
+  }
+
+  /**
+   * Remove every saved article.
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._write((pages, contents) => {
+      pages.clear();
+      contents.clear();
+    });
+  }
+}
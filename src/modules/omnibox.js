@@ -0,0 +1,93 @@
+// Omnibox keyword (`scp`) for SCP Tracker
+// A number jumps straight to the article: `scp 173` opens SCP-173 and `scp 173-j ru` opens
+// SCP-173-J on the Russian branch. Any other text is matched against the titles of tracked pages
+// and of the reading queue. Suggestion descriptions include the page's reading status.
+
+import { resolvePageIdentity, formatPageLabel, branchPageUrl, pageUrlFromId } from './page-identity.js';
+import { liveEntries } from './history-merge.js';
+import { readCountOf } from './reading-log.js';
+import { pendingQueueItems } from './reading-queue.js';
+
+// [scp-]<number>[-suffix...] [branch]
+const PAGE_INPUT = /^(?:scp-?)?(\d{1,5})((?:-[a-z0-9]+)*)(?:\s+([a-z]{2}(?:-[a-z]{2})?))?$/i;
+
+/**
+ * The article an input names directly, if any.
+ * @param {string} text
+ * @returns {Object|null} page identity (page-identity.js)
+ */
+export function parseOmniboxInput(text) {
+  const match = PAGE_INPUT.exec(String(text || '').trim());
+  if (!match) return null;
+  const url = branchPageUrl(match[3] || 'en', `scp-${match[1]}${match[2].toLowerCase()}`);
+  return url ? resolvePageIdentity(url) : null;
+}
+
+/**
+ * Reading status of a page, as shown in suggestions.
+ * @param {Object|undefined} entry - readSCPs entry
+ * @param {boolean} [queued]
+ * @returns {string}
+ */
+export function describeReadingStatus(entry, queued = false) {
+  const reads = readCountOf(entry);
+  let status;
+  if (reads > 1) status = `read ${reads}×`;
+  else if (reads === 1) status = 'read';
+  else if (entry && !entry.deleted) status = 'in progress';
+  else status = 'not read';
+  return queued ? `${status}, in reading queue` : status;
+}
+
+/**
+ * Tracked and queued pages whose label or title contains every word of the query, title
+ * prefix matches first, then most recent.
+ * @param {string} query
+ * @param {Object} sources - { readSCPs, queue }
+ * @param {Object} [options] - { limit }
+ * @returns {Array<{id: string, url: string, label: string, title: string, status: string}>}
+ */
+export function searchOmnibox(query, { readSCPs = {}, queue = [] } = {}, { limit = 6 } = {}) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const history = liveEntries(readSCPs);
+  const queued = new Map(pendingQueueItems(queue).map(item => [item.pageId, item]));
+
+  const candidates = new Map();
+  Object.entries(history).forEach(([id, entry]) => {
+    candidates.set(id, { id, url: entry.url || pageUrlFromId(id), title: entry.title, at: entry.lastReadAt || entry.timestamp || 0 });
+  });
+  queued.forEach((item, id) => {
+    if (!candidates.has(id)) candidates.set(id, { id, url: item.url, title: item.title, at: item.addedAt || 0 });
+  });
+
+  return Array.from(candidates.values())
+    .map((page) => {
+      const label = formatPageLabel(page.id);
+      const title = page.title || label;
+      const text = `${label} ${title}`.toLowerCase();
+      if (!page.url || !words.every(word => text.includes(word))) return null;
+      return { ...page, label, title, prefix: title.toLowerCase().startsWith(words[0]) || label.toLowerCase().startsWith(words[0]) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Number(b.prefix) - Number(a.prefix) || b.at - a.at)
+    .slice(0, limit)
+    .map(({ id, url, label, title }) => ({ id, url, label, title, status: describeReadingStatus(history[id], queued.has(id)) }));
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+/**
+ * Suggestion description. Chrome parses it as XML (with `<dim>` and friends); Firefox shows it
+ * as plain text.
+ * @param {{label: string, title?: string, status: string}} page
+ * @param {Object} [options] - { markup }
+ * @returns {string}
+ */
+export function formatOmniboxDescription({ label, title, status }, { markup = false } = {}) {
+  const name = title && title !== label ? `${label} – ${title}` : label;
+  if (!markup) return `${name} (${status})`;
+  return `${escapeXml(name)} <dim>(${escapeXml(status)})</dim>`;
+}
@@ -0,0 +1,272 @@
+// Page identity resolution for SCP Tracker
+// Turns any supported wiki URL into a canonical, site-qualified identifier of the form
+// `<branch>:<kind>:<name>[:<variant>]`, e.g. `en:scp:173`, `ru:scp:173`, `en:scp:049:j`,
+// `en:tale:some-tale`. Shared by the content script, background and popup so every
+// context derives the same key for the same page.
+
+// Branch code -> wiki hosts (first host is canonical)
+const BRANCH_HOSTS = {
+  en: ['scp-wiki.wikidot.com', 'www.scp-wiki.wikidot.com', 'scpwiki.com', 'www.scpwiki.com'],
+  wl: ['wanderers-library.wikidot.com'],
+  ru: ['scp-ru.wikidot.com'],
+  jp: ['scp-jp.wikidot.com'],
+  es: ['scp-es.wikidot.com'],
+  pl: ['scp-pl.wikidot.com'],
+  fr: ['scp-fr.wikidot.com'],
+  de: ['scp-de.wikidot.com'],
+  it: ['scp-it.wikidot.com'],
+  ko: ['scp-ko.wikidot.com'],
+  zh: ['scp-zh.wikidot.com'],
+  'zh-tr': ['scp-zh-tr.wikidot.com'],
+  th: ['scp-th.wikidot.com'],
+  vn: ['scp-vn.wikidot.com'],
+  cs: ['scp-cs.wikidot.com'],
+};
+
+const HOST_TO_BRANCH = Object.entries(BRANCH_HOSTS).reduce((acc, [branch, hosts]) => {
+  hosts.forEach((h) => { acc[h] = branch; });
+  return acc;
+}, {});
+
+// Article suffixes that denote a variant of the base article rather than a different one
+const VARIANT_SUFFIXES = new Set(['j', 'ex', 'arc', 'd']);
+
+const KINDS = new Set(['scp', 'tale', 'series']);
+
+const ROMAN = { i: 1, v: 5, x: 10 };
+
+function romanToInt(roman) {
+  let total = 0;
+  const s = String(roman || '').toLowerCase();
+  for (let i = 0; i < s.length; i++) {
+    const cur = ROMAN[s[i]] || 0;
+    const next = ROMAN[s[i + 1]] || 0;
+    total += cur < next ? -cur : cur;
+  }
+  return total;
+}
+
+function padNumber(num) {
+  const n = parseInt(num, 10);
+  return Number.isFinite(n) ? String(n).padStart(3, '0') : null;
+}
+
+// Determine if a tale-like slug is valid (ported from content.js)
+function isValidTalePath(slug) {
+  if (!slug || slug === '') return false;
+  if (slug.includes('/')) return false;
+  const s = String(slug).toLowerCase();
+  const baseBlockedPrefixes = [
+    'system:', 'forum:', 'user:', 'fragment:', 'component:', 'sandbox:', 'theme:', 'nav:', 'admin:'
+  ];
+  const baseBlockedExact = new Set([
+    'main', 'forum', 'login', 'logout', 'start', 'about', 'help', 'guide', 'contact',
+    'license', 'image-license', 'image-licensing', 'policy', 'tags', 'page-tags',
+    'list-all-pages', 'recent-changes', 'random', 'history', 'edit', 'notify', 'search',
+    'site-manager', 'nav:side', 'nav:top', 'members', 'join', 'signup', 'profile'
+  ]);
+  if (baseBlockedPrefixes.some(p => s.startsWith(p))) return false;
+  if (baseBlockedExact.has(s)) return false;
+  if (/^scp-\d+/i.test(s)) return false; // looks like SCP entry
+  if (/^(?:scp-)?series(?:-[0-9ivx]+)?$/i.test(s)) return false;
+  return /^[a-z0-9-]+$/i.test(s);
+}
+
+function safeURL(href) {
+  try {
+    return new URL(href);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Build a canonical page ID from its parts.
+ * @param {{branch: string, kind: string, name: string, variant?: string|null}} parts
+ * @returns {string}
+ */
+function buildPageId({ branch, kind, name, variant }) {
+  return [branch, kind, name].concat(variant ? [variant] : []).join(':');
+}
+
+/**
+ * Parse a canonical page ID into its parts.
+ * @param {string} id - e.g. `en:scp:049:j`
+ * @returns {{id: string, branch: string, kind: string, name: string, variant: string|null, number: number|null}|null}
+ */
+export function parsePageId(id) {
+  if (typeof id !== 'string') return null;
+  const parts = id.split(':');
+  if (parts.length < 3 || parts.length > 4) return null;
+  const [branch, kind, name, variant = null] = parts;
+  if (!BRANCH_HOSTS[branch] || !KINDS.has(kind) || !name) return null;
+  const numMatch = /^(\d+)/.exec(name);
+  const number = (kind === 'scp' || kind === 'series') && numMatch ? parseInt(numMatch[1], 10) : null;
+  return { id, branch, kind, name, variant, number };
+}
+
+/**
+ * Resolve a wiki URL into its canonical identity.
+ * Only the page name (first path segment) matters; Wikidot options such as
+ * `/norender/true`, query strings and fragments are ignored.
+ * @param {string} href - Page URL
+ * @returns {{id: string, branch: string, kind: string, name: string, variant: string|null, number: number|null, url: string}|null}
+ */
+export function resolvePageIdentity(href) {
+  const urlObj = safeURL(href);
+  if (!urlObj) return null;
+  const branch = HOST_TO_BRANCH[(urlObj.hostname || '').toLowerCase()];
+  if (!branch) return null;
+
+  let page;
+  try {
+    page = decodeURIComponent((urlObj.pathname || '/').replace(/^\/+/, '').split('/')[0] || '').toLowerCase();
+  } catch (_) {
+    // Malformed percent-escape
+    return null;
+  }
+  if (!page) return null;
+
+  let kind = null;
+  let name = null;
+  let variant = null;
+
+  const scpMatch = /^scp-(\d{1,5})((?:-[a-z0-9]+)*)$/.exec(page);
+  const seriesMatch = /^(?:scp-series(?:-(\d+))?|series-([ivx]+))$/.exec(page);
+
+  if (scpMatch && branch !== 'wl') {
+    kind = 'scp';
+    const suffixes = scpMatch[2] ? scpMatch[2].slice(1).split('-') : [];
+    const nameParts = [padNumber(scpMatch[1])];
+    for (const suffix of suffixes) {
+      if (!variant && VARIANT_SUFFIXES.has(suffix)) {
+        variant = suffix;
+      } else {
+        nameParts.push(suffix);
+      }
+    }
+    name = nameParts.join('-');
+  } else if (seriesMatch) {
+    kind = 'series';
+    name = String(seriesMatch[2] ? romanToInt(seriesMatch[2]) : parseInt(seriesMatch[1] || '1', 10));
+  } else if (isValidTalePath(page)) {
+    kind = 'tale';
+    name = page;
+  } else {
+    return null;
+  }
+
+  const parsed = parsePageId(buildPageId({ branch, kind, name, variant }));
+  if (!parsed) return null;
+  return { ...parsed, url: `https://${BRANCH_HOSTS[branch][0]}/${page}` };
+}
+
+/**
+ * URL of a page on a branch's main host.
+ * @param {string} branch - branch code, e.g. `en`, `ru`, `zh-tr`
+ * @param {string} page - page name (first path segment)
+ * @returns {string|null} null for unknown branches
+ */
+export function branchPageUrl(branch, page) {
+  const hosts = BRANCH_HOSTS[String(branch || '').toLowerCase()];
+  return hosts ? `https://${hosts[0]}/${encodeURIComponent(page)}` : null;
+}
+
+/**
+ * Whether a URL belongs to one of the supported wiki hosts.
+ * @param {string} href
+ * @returns {boolean}
+ */
+export function isWikiUrl(href) {
+  const urlObj = safeURL(href);
+  return !!(urlObj && HOST_TO_BRANCH[(urlObj.hostname || '').toLowerCase()]);
+}
+
+/**
+ * Human-readable label for a page ID, e.g. `SCP-049-J`, `SCP-173 (RU)`, `some-tale`.
+ * @param {string} id
+ * @returns {string}
+ */
+export function formatPageLabel(id) {
+  const p = parsePageId(id);
+  if (!p) return String(id || '');
+  let label;
+  if (p.kind === 'scp') {
+    label = `SCP-${p.name.toUpperCase()}${p.variant ? `-${p.variant.toUpperCase()}` : ''}`;
+  } else if (p.kind === 'series') {
+    label = `Series ${p.name}`;
+  } else {
+    label = p.name;
+  }
+  return p.branch === 'en' ? label : `${label} (${p.branch.toUpperCase()})`;
+}
+
+/**
+ * Canonical page URL for an ID (used when an entry has no stored URL).
+ * @param {string} id
+ * @returns {string|null}
+ */
+export function pageUrlFromId(id) {
+  const p = parsePageId(id);
+  if (!p) return null;
+  const host = BRANCH_HOSTS[p.branch][0];
+  let page;
+  if (p.kind === 'scp') {
+    page = `scp-${p.name}${p.variant ? `-${p.variant}` : ''}`;
+  } else if (p.kind === 'series') {
+    page = p.number === 1 ? 'scp-series' : `scp-series-${p.number}`;
+  } else {
+    page = p.name;
+  }
+  return `https://${host}/${page}`;
+}
+
+// Map a pre-canonical `readSCPs` key (bare number or slug) to a canonical ID
+function legacyKeyToPageId(key, entry) {
+  if (parsePageId(key)) return key;
+  const fromUrl = entry && typeof entry.url === 'string' ? resolvePageIdentity(entry.url) : null;
+  if (fromUrl) return fromUrl.id;
+  const k = String(key || '').trim().toLowerCase();
+  if (/^\d+$/.test(k)) return buildPageId({ branch: 'en', kind: 'scp', name: padNumber(k) });
+  if (entry && entry.type === 'series' && /^[ivx]+$/.test(k)) {
+    return buildPageId({ branch: 'en', kind: 'series', name: String(romanToInt(k)) });
+  }
+  if (isValidTalePath(k)) return buildPageId({ branch: 'en', kind: 'tale', name: k });
+  return null;
+}
+
+// Combine two entries that resolve to the same ID, keeping the read/newest one and all tags
+function combineEntries(a, b) {
+  const aRank = [a.read ? 1 : 0, a.timestamp || 0];
+  const bRank = [b.read ? 1 : 0, b.timestamp || 0];
+  const [winner, loser] = (bRank[0] > aRank[0] || (bRank[0] === aRank[0] && bRank[1] > aRank[1])) ? [b, a] : [a, b];
+  const tags = Array.from(new Set([].concat(winner.tags || [], loser.tags || []))).sort();
+  return { ...loser, ...winner, tags };
+}
+
+/**
+ * Re-key a `readSCPs` map from legacy bare numbers/slugs to canonical IDs.
+ * Timestamps, tags and other entry fields are preserved; unresolvable keys are kept as-is.
+ * @param {Object} readSCPs
+ * @returns {{readSCPs: Object, changed: boolean}}
+ */
+export function migrateReadSCPsKeys(readSCPs) {
+  const out = {};
+  let changed = false;
+  for (const [key, entry] of Object.entries(readSCPs || {})) {
+    const id = legacyKeyToPageId(key, entry) || key;
+    if (id !== key) changed = true;
+    const value = entry && typeof entry === 'object' ? { ...entry } : entry;
+    if (value && typeof value === 'object' && id !== key && !value.url) {
+      const url = pageUrlFromId(id);
+      if (url) value.url = url;
+    }
+    if (out[id] && value && typeof value === 'object') {
+      out[id] = combineEntries(out[id], value);
+      changed = true;
+    } else {
+      out[id] = value;
+    }
+  }
+  return { readSCPs: out, changed };
+}
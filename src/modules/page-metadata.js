@@ -0,0 +1,192 @@
+// Wiki page metadata extraction for SCP Tracker
+// Reads a parsed Wikidot page (a DOMParser document in the background/offscreen document, or the
+// live document in content scripts) into a versioned record:
+//   { version, url, pageId, type, title, altTitle, objectClass, author, tags, rating,
+//     createdAt, lastEditedAt, revision, summary, fingerprint }
+// `fingerprint` hashes the article text (without rating/credit furniture), so rewrites can be
+// told apart from votes and tag edits.
+// Missing fields are null (tags: []). Bump PAGE_METADATA_VERSION whenever the record changes so
+// cached records from older versions are re-extracted.
+
+import { resolvePageIdentity, formatPageLabel } from './page-identity.js';
+
+export const PAGE_METADATA_VERSION = 2;
+
+const SUMMARY_LENGTH = 400;
+const MAX_CLASS_LENGTH = 40;
+
+// Page furniture that is not article text (rating/credit modules, license boxes, navigation)
+const NON_ARTICLE = [
+  '.creditRate', '.credit-rate', '.rate-box-with-credit-button', '.page-rate-widget-box',
+  '.info-container', '.anom-bar-container', '.licensebox', '.footer-wikiwalk-nav',
+  '.collapsible-block-folded', '.footnotes-footer', '.authorlink-wrapper'
+].join(', ');
+const CREDIT_CONTAINERS = ['.info-container', '[class*="credit"]', '.authorlink-wrapper'];
+const TAG_SELECTORS = ['.page-tags a', '.page-tags-list a', '#page-tags a'];
+// Article field labels (English and the Russian branch)
+const CLASS_LABEL = /^(?:Object\s+Class|Containment\s+Class|Класс\s+объекта)\s*:\s*(.+)$/i;
+const DESCRIPTION_LABEL = /^(?:Description|Описание)\s*:\s*/i;
+const FIELD_LABEL = /^(?:Item\s*#|Объект\s*№|(?:Object|Containment|Disruption|Risk)\s+Class|Класс\s+объекта|Special\s+Containment\s+Procedures|Особые\s+условия\s+содержания)\s*:/i;
+
+function text(node) {
+  return node ? String(node.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
+
+function firstMatch(root, selectors) {
+  for (const selector of selectors) {
+    const node = root.querySelector(selector);
+    if (node && text(node)) return node;
+  }
+  return null;
+}
+
+// Wikidot renders dates as <span class="odate time_1704708000 ...">
+function odateOf(node) {
+  const match = node && /(?:^|\s)time_(\d+)/.exec(node.className || '');
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+function articleParagraphs(content) {
+  return Array.from(content.querySelectorAll('p')).filter(p => !p.closest(NON_ARTICLE));
+}
+
+function extractTitle(doc, identity) {
+  const onPage = text(doc.querySelector('#page-title'));
+  if (onPage) return onPage;
+  const head = text(doc.querySelector('title')).split(' - ')[0];
+  return head || (identity ? formatPageLabel(identity.id) : '');
+}
+
+// The <title> minus the trailing site name, when it says more than the page title
+function extractAltTitle(doc, title) {
+  const parts = text(doc.querySelector('title')).split(' - ');
+  if (parts.length < 2) return null;
+  const alt = parts.slice(0, -1).join(' - ').trim();
+  return alt && alt.toLowerCase() !== title.toLowerCase() ? alt : null;
+}
+
+function extractObjectClass(doc, paragraphs) {
+  // Anomaly classification bar (ACS): primary class first, then the older object class box
+  const bar = firstMatch(doc, ['.anom-bar .contain-class .class-text', '.anom-bar .object-class .class-text', '.contain-class .class-text']);
+  if (bar) return text(bar).slice(0, MAX_CLASS_LENGTH);
+  for (const p of paragraphs) {
+    const match = CLASS_LABEL.exec(text(p));
+    if (match) return match[1].replace(/[.;]+$/, '').trim().slice(0, MAX_CLASS_LENGTH) || null;
+  }
+  return null;
+}
+
+function extractAuthor(doc, paragraphs) {
+  for (const container of CREDIT_CONTAINERS) {
+    const user = doc.querySelector(`${container} .printuser`);
+    if (user && text(user)) return text(user);
+  }
+  // "by <user>" / "Author: <user>" lines near the top of the article
+  for (const p of paragraphs.slice(0, 5)) {
+    const user = p.querySelector('.printuser');
+    if (user && /^(?:by|written by|author:?)\s/i.test(text(p))) return text(user);
+  }
+  return null;
+}
+
+function extractTags(doc) {
+  const set = new Set();
+  TAG_SELECTORS.forEach((selector) => {
+    doc.querySelectorAll(selector).forEach((node) => {
+      const tag = text(node).toLowerCase();
+      if (tag) set.add(tag);
+    });
+  });
+  return Array.from(set).sort();
+}
+
+function extractRating(doc) {
+  const node = firstMatch(doc, ['.rate-points .number', '.rate-points', '.page-rate-widget-box .number']);
+  const match = node && /[+-]?\d+/.exec(text(node));
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function extractDates(doc) {
+  const info = doc.querySelector('#page-info');
+  const revisionMatch = /revision:\s*(\d+)/i.exec(text(info));
+  const revision = revisionMatch ? parseInt(revisionMatch[1], 10) : null;
+  const lastEditedAt = info ? odateOf(info.querySelector('.odate')) : null;
+  let createdAt = null;
+  for (const container of CREDIT_CONTAINERS) {
+    createdAt = odateOf(doc.querySelector(`${container} .odate`));
+    if (createdAt) break;
+  }
+  // An unrevised page was created when it was last edited
+  if (!createdAt && revision === 0) createdAt = lastEditedAt;
+  return { createdAt, lastEditedAt, revision };
+}
+
+function extractSummary(paragraphs) {
+  const texts = paragraphs.map(text).filter(Boolean);
+  const description = texts.find(t => DESCRIPTION_LABEL.test(t));
+  const chosen = description
+    ? description.replace(DESCRIPTION_LABEL, '')
+    : texts.find(t => t.length >= 40 && !FIELD_LABEL.test(t)) || texts[0] || '';
+  return chosen.length > SUMMARY_LENGTH ? `${chosen.slice(0, SUMMARY_LENGTH - 1).trimEnd()}…` : chosen;
+}
+
+// FNV-1a over the normalized article text, as 8 hex digits
+function extractFingerprint(content) {
+  const root = content.cloneNode(true);
+  if (root.querySelectorAll) root.querySelectorAll(NON_ARTICLE).forEach(node => node.remove());
+  const normalized = text(root).toLowerCase();
+  if (!normalized) return null;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    h ^= normalized.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+/**
+ * Extract metadata from a wiki page document.
+ * @param {Document} doc - parsed page (DOMParser) or the live document
+ * @param {string} url - page URL
+ * @returns {Object} versioned metadata record
+ */
+export function extractPageMetadata(doc, url) {
+  const identity = resolvePageIdentity(url);
+  const content = doc.querySelector('#page-content') || doc.body || doc;
+  const paragraphs = articleParagraphs(content);
+  const title = extractTitle(doc, identity) || url;
+  return {
+    version: PAGE_METADATA_VERSION,
+    url,
+    pageId: identity ? identity.id : null,
+    type: identity ? identity.kind : 'tale',
+    title,
+    altTitle: extractAltTitle(doc, title),
+    objectClass: extractObjectClass(doc, paragraphs),
+    author: extractAuthor(doc, paragraphs),
+    tags: extractTags(doc),
+    rating: extractRating(doc),
+    ...extractDates(doc),
+    summary: extractSummary(paragraphs),
+    fingerprint: extractFingerprint(content),
+  };
+}
+
+/**
+ * Parse page HTML and extract its metadata (needs DOMParser).
+ * @param {string} html
+ * @param {string} url
+ * @returns {Object} versioned metadata record
+ */
+export function parsePageMetadata(html, url) {
+  return extractPageMetadata(new DOMParser().parseFromString(html, 'text/html'), url);
+}
+
+/**
+ * True when a (cached) record was produced by the current extractor.
+ * @param {*} record
+ * @returns {boolean}
+ */
+export function isCurrentMetadata(record) {
+  return !!record && typeof record === 'object' && record.version === PAGE_METADATA_VERSION;
+}
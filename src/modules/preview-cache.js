@@ -0,0 +1,218 @@
+// Link preview metadata cache for SCP Tracker
+// A bounded LRU cache in storage.local. Each record lives under its own key
+// (`previewCache:<n>`), so an insert writes one small item instead of the whole cache; a compact
+// index (`previewCacheIndex`) tracks URLs, sizes, access times and hit/miss statistics.
+// Entries expire after `ttlMs`; the least recently used entries are evicted once the cache holds
+// more than `maxEntries` records or `maxBytes` of serialized data. Lookups only update the index
+// in memory; it is written by the next insert or cleanup, or `indexFlushMs` after the first
+// lookup that changed it, so hovering links does not rewrite the index every time.
+//
+// The background is the only writer. Operations are serialized, and the index is kept in memory
+// between calls (call `invalidate()` after something else rewrote storage.local).
+
+import { utf8Length } from '../utils/chunked-storage.js';
+
+export const PREVIEW_CACHE_INDEX_KEY = 'previewCacheIndex';
+export const PREVIEW_CACHE_ENTRY_PREFIX = 'previewCache:';
+
+const PREVIEW_CACHE_DEFAULTS = {
+  maxEntries: 300,
+  maxBytes: 2 * 1024 * 1024,
+  ttlMs: 12 * 60 * 60 * 1000, // 12 hours
+  indexFlushMs: 60 * 1000,
+};
+
+function emptyIndex() {
+  return { version: 1, nextId: 1, entries: {}, stats: { hits: 0, misses: 0, evictions: 0 } };
+}
+
+export class PreviewCache {
+  /**
+   * @param {Object} area - browser.storage.local (or a stand-in with get/set/remove)
+   * @param {Object} [options] - { maxEntries, maxBytes, ttlMs, indexFlushMs, now }
+   */
+  constructor(area, options = {}) {
+    this.area = area;
+    const { now, ...limits } = options;
+    this.config = { ...PREVIEW_CACHE_DEFAULTS, ...limits };
+    this.now = typeof now === 'function' ? now : () => Date.now();
+    this._index = null;
+    this._pending = Promise.resolve();
+    this._flushTimer = null;
+  }
+
+  // Run `fn` after every earlier operation; failures do not block later ones
+  _serialize(fn) {
+    const run = this._pending.then(fn);
+    this._pending = run.catch(() => {});
+    return run;
+  }
+
+  async _loadIndex() {
+    if (!this._index) {
+      const res = (await this.area.get([PREVIEW_CACHE_INDEX_KEY])) || {};
+      const stored = res[PREVIEW_CACHE_INDEX_KEY];
+      this._index = stored && stored.version === 1 && stored.entries ? stored : emptyIndex();
+    }
+    return this._index;
+  }
+
+  _saveIndex() {
+    this._cancelIndexFlush();
+    return this.area.set({ [PREVIEW_CACHE_INDEX_KEY]: this._index });
+  }
+
+  // Write the index later; a lost write only loses access times and statistics, and index
+  // entries whose record is gone are dropped on lookup
+  _scheduleIndexSave() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this._serialize(() => (this._index ? this._saveIndex() : undefined)).catch(() => {});
+    }, this.config.indexFlushMs);
+  }
+
+  _cancelIndexFlush() {
+    if (this._flushTimer) clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+  }
+
+  _isExpired(meta, now) {
+    return now - meta.storedAt >= this.config.ttlMs;
+  }
+
+  // Drop expired entries, then least recently used ones until within limits.
+  // Returns the storage keys to remove.
+  _evict(index, now) {
+    const removed = [];
+    const drop = (url, counted) => {
+      removed.push(index.entries[url].key);
+      delete index.entries[url];
+      if (counted) index.stats.evictions += 1;
+    };
+    Object.entries(index.entries).forEach(([url, meta]) => {
+      if (this._isExpired(meta, now)) drop(url, false);
+    });
+    const byAge = Object.entries(index.entries).sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    let count = byAge.length;
+    let bytes = byAge.reduce((sum, [, meta]) => sum + meta.bytes, 0);
+    for (const [url, meta] of byAge) {
+      if (count <= this.config.maxEntries && bytes <= this.config.maxBytes) break;
+      drop(url, true);
+      count -= 1;
+      bytes -= meta.bytes;
+    }
+    return removed;
+  }
+
+  /**
+   * Cached data for a URL, or null on a miss (absent or expired).
+   * @param {string} url
+   * @returns {Promise<*|null>}
+   */
+  get(url) {
+    return this._serialize(async () => {
+      const index = await this._loadIndex();
+      const meta = index.entries[url];
+      const now = this.now();
+      let data = null;
+      if (meta && !this._isExpired(meta, now)) {
+        const res = (await this.area.get([meta.key])) || {};
+        data = res[meta.key] === undefined ? null : res[meta.key];
+      }
+      if (data === null) {
+        index.stats.misses += 1;
+        if (meta) {
+          delete index.entries[url];
+          await this.area.remove([meta.key]);
+        }
+      } else {
+        index.stats.hits += 1;
+        meta.accessedAt = now;
+      }
+      this._scheduleIndexSave();
+      return data;
+    });
+  }
+
+  /**
+   * Store data for a URL, evicting as needed.
+   * @param {string} url
+   * @param {*} data - JSON-serializable
+   * @returns {Promise<void>}
+   */
+  set(url, data) {
+    return this._serialize(async () => {
+      const index = await this._loadIndex();
+      const now = this.now();
+      const existing = index.entries[url];
+      const key = existing ? existing.key : `${PREVIEW_CACHE_ENTRY_PREFIX}${index.nextId++}`;
+      const bytes = utf8Length(JSON.stringify(data));
+      index.entries[url] = { key, bytes, storedAt: now, accessedAt: now };
+      await this.area.set({ [key]: data });
+      const removed = this._evict(index, now);
+      if (removed.length) await this.area.remove(removed);
+      await this._saveIndex();
+    });
+  }
+
+  /**
+   * Remove expired entries and enforce the size limits (periodic alarm).
+   * @returns {Promise<number>} entries removed
+   */
+  cleanup() {
+    return this._serialize(async () => {
+      const index = await this._loadIndex();
+      const removed = this._evict(index, this.now());
+      if (removed.length) await this.area.remove(removed);
+      await this._saveIndex();
+      return removed.length;
+    });
+  }
+
+  /**
+   * Remove every entry and reset the statistics.
+   * @returns {Promise<number>} entries removed
+   */
+  clear() {
+    return this._serialize(async () => {
+      const index = await this._loadIndex();
+      // Also catch entries an interrupted write left out of the index
+      const all = (await this.area.get(null)) || {};
+      const keys = Object.keys(all).filter(k => k.startsWith(PREVIEW_CACHE_ENTRY_PREFIX));
+      const count = Object.keys(index.entries).length;
+      if (keys.length) await this.area.remove(keys);
+      this._index = emptyIndex();
+      await this._saveIndex();
+      return count;
+    });
+  }
+
+  /**
+   * Size and hit/miss statistics.
+   * @returns {Promise<{entries: number, bytes: number, hits: number, misses: number, evictions: number, hitRate: number|null, maxEntries: number, maxBytes: number}>}
+   */
+  stats() {
+    return this._serialize(async () => {
+      const index = await this._loadIndex();
+      const metas = Object.values(index.entries);
+      const { hits, misses, evictions } = index.stats;
+      return {
+        entries: metas.length,
+        bytes: metas.reduce((sum, meta) => sum + meta.bytes, 0),
+        hits,
+        misses,
+        evictions,
+        hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+        maxEntries: this.config.maxEntries,
+        maxBytes: this.config.maxBytes,
+      };
+    });
+  }
+
+  // Forget the in-memory index (and its unsaved changes); the next operation reloads it from storage
+  invalidate() {
+    this._cancelIndexFlush();
+    this._index = null;
+  }
+}
@@ -0,0 +1,119 @@
+// Reading goals for SCP Tracker
+// Goals live in sync storage (`readingGoals`), one per period:
+//   { daily: { target, unit }, weekly: { target, unit }, monthly: { target, unit },
+//     reminder: { enabled, hour }, streak: { graceDays } }
+// A target of 0 turns the goal off. Units are 'articles' (pages read in the period) or 'minutes'
+// (reading time of those pages). Progress is computed from the synced reading history, so reads
+// on every device count: a page counts in the period of its latest read.
+// The reminder fires once a day at `hour` (local time) while a goal is still open.
+// `streak.graceDays` is how many missed days in a row a reading streak survives (analytics.js).
+
+export const READING_GOALS_KEY = 'readingGoals';
+
+export const GOAL_PERIODS = ['daily', 'weekly', 'monthly'];
+const GOAL_UNITS = ['articles', 'minutes'];
+const MAX_TARGET = 10000;
+const MAX_GRACE_DAYS = 3;
+
+const PERIOD_LABELS = { daily: 'today', weekly: 'this week', monthly: 'this month' };
+
+/**
+ * Complete, validated goal settings.
+ * @param {Object} [raw] - stored value
+ * @returns {Object}
+ */
+export function normalizeGoals(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const goals = {};
+  GOAL_PERIODS.forEach((period) => {
+    const goal = src[period] && typeof src[period] === 'object' ? src[period] : {};
+    const target = Math.floor(Number(goal.target));
+    goals[period] = {
+      target: Number.isFinite(target) ? Math.min(MAX_TARGET, Math.max(0, target)) : 0,
+      unit: GOAL_UNITS.includes(goal.unit) ? goal.unit : 'articles',
+    };
+  });
+  const reminder = src.reminder && typeof src.reminder === 'object' ? src.reminder : {};
+  const hour = Math.floor(Number(reminder.hour));
+  goals.reminder = {
+    enabled: reminder.enabled === true,
+    hour: Number.isFinite(hour) && hour >= 0 && hour <= 23 ? hour : 20,
+  };
+  const streak = src.streak && typeof src.streak === 'object' ? src.streak : {};
+  const graceDays = Math.floor(Number(streak.graceDays));
+  goals.streak = { graceDays: Number.isFinite(graceDays) ? Math.min(MAX_GRACE_DAYS, Math.max(0, graceDays)) : 0 };
+  return goals;
+}
+
+/**
+ * Start of the period containing `now` (local time; weeks start on Monday).
+ * @param {string} period - 'daily' | 'weekly' | 'monthly'
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function periodStart(period, now = Date.now()) {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  if (period === 'weekly') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (period === 'monthly') d.setDate(1);
+  return d.getTime();
+}
+
+function lastReadAt(entry) {
+  return entry.lastReadAt || entry.timestamp || 0;
+}
+
+/**
+ * Progress of every active goal.
+ * @param {Object} readSCPs - live reading history
+ * @param {Object} goals - normalized goals
+ * @param {number} [now]
+ * @returns {Array<{period: string, unit: string, target: number, value: number, percent: number, done: boolean}>}
+ */
+export function computeGoalProgress(readSCPs, goals, now = Date.now()) {
+  const reads = Object.values(readSCPs || {}).filter(e => e && !e.deleted && e.read === true);
+  return GOAL_PERIODS
+    .filter(period => goals[period] && goals[period].target > 0)
+    .map((period) => {
+      const { target, unit } = goals[period];
+      const start = periodStart(period, now);
+      const inPeriod = reads.filter(e => lastReadAt(e) >= start && lastReadAt(e) <= now);
+      const value = unit === 'minutes'
+        ? inPeriod.reduce((sum, e) => sum + (Number.isFinite(e.minutes) ? e.minutes : 0), 0)
+        : inPeriod.length;
+      return { period, unit, target, value, percent: Math.min(100, Math.round((value / target) * 100)), done: value >= target };
+    });
+}
+
+/**
+ * "3 of 5 articles today"
+ * @param {Object} progress - one item of computeGoalProgress
+ * @returns {string}
+ */
+export function describeGoalProgress({ period, unit, target, value }) {
+  return `${value} of ${target} ${unit} ${PERIOD_LABELS[period]}`;
+}
+
+/**
+ * Reminder notification text, or null when every goal is met.
+ * @param {Object[]} progress - computeGoalProgress result
+ * @returns {string|null}
+ */
+export function buildReminderMessage(progress) {
+  const open = progress.filter(p => !p.done);
+  if (!open.length) return null;
+  return open.map(p => `${describeGoalProgress(p)} (${p.target - p.value} to go)`).join('\n');
+}
+
+/**
+ * Next time the daily reminder is due.
+ * @param {number} hour - 0..23, local time
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function nextReminderAt(hour, now = Date.now()) {
+  const d = new Date(now);
+  d.setHours(hour, 0, 0, 0);
+  if (d.getTime() <= now) d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
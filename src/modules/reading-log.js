@@ -0,0 +1,168 @@
+// Append-only reading event log for SCP Tracker
+// Every interaction with an article is recorded as an event; the `readSCPs` entry for the
+// article is the fold of its events (see deriveEntry), so re-reads and the first read date are
+// never lost when a later read overwrites `timestamp`. Active reading time measured on this
+// device since the last read (reading-timer.js) rides along with the next read event as
+// `seconds` and adds up in the entry's `activeSeconds`.
+//
+// The log itself is kept per device in storage.local (`readingLog`) because it grows without
+// bound; the derived entries are what sync between devices. They stay lean to fit the sync
+// quota: the scroll depth of a read stays in its event, and a URL is only kept when it differs
+// from the one derived from the page ID.
+
+import { pageUrlFromId } from './page-identity.js';
+
+export const READING_LOG_KEY = 'readingLog';
+
+// Oldest events are dropped beyond this many; derived entries are unaffected
+const MAX_LOG_EVENTS = 10000;
+
+const EVENT_TYPES = new Set(['visit', 'read', 'reread', 'unread', 'manual']);
+const READ_TYPES = new Set(['read', 'reread', 'manual']);
+
+// Upper bound for the reading time recorded with one read
+const MAX_EVENT_MINUTES = 600;
+
+function clampDepth(depth) {
+  const d = Number(depth);
+  if (!Number.isFinite(d)) return null;
+  return Math.round(Math.min(1, Math.max(0, d)) * 100) / 100;
+}
+
+function isLiveRead(entry) {
+  return !!entry && typeof entry === 'object' && !entry.deleted && entry.read === true;
+}
+
+/**
+ * Number of times an entry has been read, counting legacy entries without a readCount once.
+ * @param {Object} entry
+ * @returns {number}
+ */
+export function readCountOf(entry) {
+  if (!isLiveRead(entry)) return 0;
+  return Number.isInteger(entry.readCount) && entry.readCount > 0 ? entry.readCount : 1;
+}
+
+/**
+ * Active reading time recorded for an entry, in seconds.
+ * @param {Object} entry
+ * @returns {number}
+ */
+export function activeSecondsOf(entry) {
+  if (!entry || typeof entry !== 'object' || entry.deleted) return 0;
+  return Number.isFinite(entry.activeSeconds) && entry.activeSeconds > 0 ? entry.activeSeconds : 0;
+}
+
+/**
+ * Classify a "reached the end / marked as read" action against the current entry.
+ * Manual marks are always recorded as such; they only count as a read the first time.
+ * @param {Object} entry - current readSCPs entry (may be missing or a tombstone)
+ * @param {string} source - 'scroll' | 'manual' | ...
+ * @returns {'read'|'reread'|'manual'}
+ */
+export function classifyReadEvent(entry, source) {
+  if (source === 'manual') return 'manual';
+  return isLiveRead(entry) ? 'reread' : 'read';
+}
+
+/**
+ * Build a normalized event.
+ * @param {Object} fields
+ * @param {string} fields.id - canonical page ID
+ * @param {string} fields.type - one of visit | read | reread | unread | manual
+ * @param {string} [fields.source] - what triggered it, e.g. 'scroll', 'manual', 'popup'
+ * @param {number} [fields.ts]
+ * @param {number} [fields.depth] - scroll depth 0..1 at the time of the event
+ * @param {number} [fields.minutes] - reading time of the page, for minute goals (reading-goals.js)
+ * @param {number} [fields.seconds] - active reading time measured since the last read (reads only)
+ * @returns {Object|null}
+ */
+export function createReadingEvent({ id, type, source = 'unknown', ts = Date.now(), depth = null, url, title, kind, tags, minutes, seconds }) {
+  if (typeof id !== 'string' || !id || !EVENT_TYPES.has(type)) return null;
+  const event = { id, type, source: String(source), ts: Number(ts) || Date.now() };
+  const s = Math.round(Number(seconds));
+  if (READ_TYPES.has(type) && Number.isFinite(s) && s > 0) event.seconds = s;
+  const d = clampDepth(depth);
+  if (d !== null) event.depth = d;
+  if (typeof url === 'string') event.url = url;
+  if (typeof title === 'string') event.title = title;
+  if (typeof kind === 'string') event.kind = kind;
+  if (Array.isArray(tags)) event.tags = tags;
+  if (Number.isFinite(minutes) && minutes > 0) event.minutes = Math.min(MAX_EVENT_MINUTES, Math.round(minutes));
+  return event;
+}
+
+/**
+ * Apply one event to the current entry for its page.
+ * Returns the next entry, a `{deleted: true}` marker for unread, or the entry unchanged when
+ * the event does not affect it (e.g. a visit to an already tracked page).
+ * @param {Object|undefined} entry
+ * @param {Object} event
+ * @returns {Object|undefined}
+ */
+export function applyReadingEvent(entry, event) {
+  const live = entry && typeof entry === 'object' && !entry.deleted ? entry : null;
+  const meta = {};
+  if (event.title) meta.title = event.title;
+  if (event.url && event.url !== pageUrlFromId(event.id)) meta.url = event.url;
+  if (event.kind) meta.type = event.kind;
+
+  switch (event.type) {
+    case 'visit':
+      if (live) return entry;
+      return { read: false, detected: true, timestamp: event.ts, ...meta };
+    case 'read':
+    case 'reread':
+    case 'manual': {
+      const base = live || {};
+      const next = {
+        ...base,
+        ...meta,
+        read: true,
+        timestamp: event.ts,
+        firstReadAt: isLiveRead(base) ? (base.firstReadAt || base.timestamp || event.ts) : event.ts,
+        lastReadAt: event.ts,
+        readCount: readCountOf(base) + (event.type === 'manual' && isLiveRead(base) ? 0 : 1)
+      };
+      if (Array.isArray(event.tags)) next.tags = event.tags;
+      if (typeof event.minutes === 'number') next.minutes = event.minutes;
+      if (typeof event.seconds === 'number') next.activeSeconds = activeSecondsOf(base) + event.seconds;
+      // Reading the page again acknowledges any rewrite since the last read; its new snapshot
+      // is kept on the device (revision-check.js), older versions stored it here
+      delete next.snapshot;
+      delete next.changed;
+      delete next.detected;
+      // Older versions synced these too
+      delete next.lastDepth;
+      if (next.url === pageUrlFromId(event.id)) delete next.url;
+      return next;
+    }
+    case 'unread':
+      return { deleted: true };
+    default:
+      return entry;
+  }
+}
+
+/**
+ * Derive an entry from the full event history of one page.
+ * @param {Object[]} events
+ * @returns {Object|undefined}
+ */
+export function deriveEntry(events) {
+  return (events || [])
+    .slice()
+    .sort((a, b) => a.ts - b.ts)
+    .reduce((entry, event) => applyReadingEvent(entry, event), undefined);
+}
+
+/**
+ * Append events to a log, dropping the oldest beyond the size cap.
+ * @param {Object[]} log
+ * @param {Object[]} events
+ * @returns {Object[]}
+ */
+export function appendReadingEvents(log, events) {
+  const next = (Array.isArray(log) ? log : []).concat((events || []).filter(Boolean));
+  return next.length > MAX_LOG_EVENTS ? next.slice(next.length - MAX_LOG_EVENTS) : next;
+}
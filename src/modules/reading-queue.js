@@ -0,0 +1,194 @@
+// Reading queue operations for SCP Tracker
+// The queue (`readingQueue` in sync storage) is an ordered array of items. Items are
+// deduplicated by canonical page ID, so the same article queued from different hosts or with
+// Wikidot options in the URL appears once. Reading a queued page moves it to "done".
+//
+// All functions are pure: they take the stored array and return a new one.
+
+import { resolvePageIdentity, formatPageLabel } from './page-identity.js';
+
+export const READING_QUEUE_KEY = 'readingQueue';
+
+// Completed items kept for the "done" list; older ones are dropped
+const MAX_DONE_ITEMS = 25;
+const MAX_NOTE_LENGTH = 280;
+
+function makeItemId(now) {
+  return `${now}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Bring a stored item (possibly from an older version without pageId/status) to the current shape.
+// Items queued before URLs were validated keep their raw http(s) URL as page ID; anything else
+// that is not a wiki page is dropped.
+function normalizeItem(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.url !== 'string') return null;
+  const identity = resolvePageIdentity(raw.url);
+  if (!identity && !/^https?:\/\//i.test(raw.url)) return null;
+  const item = {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : makeItemId(raw.addedAt || Date.now()),
+    pageId: identity ? identity.id : raw.url,
+    url: identity ? identity.url : raw.url,
+    title: typeof raw.title === 'string' && raw.title ? raw.title : (identity ? formatPageLabel(identity.id) : raw.url),
+    type: raw.type || (identity ? identity.kind : 'tale'),
+    addedAt: Number(raw.addedAt) || Date.now(),
+    status: raw.status === 'done' ? 'done' : 'queued',
+  };
+  if (typeof raw.note === 'string' && raw.note) item.note = raw.note.slice(0, MAX_NOTE_LENGTH);
+  if (item.status === 'done') item.doneAt = Number(raw.doneAt) || item.addedAt;
+  return item;
+}
+
+/**
+ * Normalize a stored queue: fill in canonical IDs, drop invalid items and merge duplicates
+ * (the earliest queued position wins; a queued duplicate beats a done one).
+ * @param {Object[]} queue
+ * @returns {Object[]}
+ */
+export function normalizeQueue(queue) {
+  const byPage = new Map();
+  const out = [];
+  for (const raw of Array.isArray(queue) ? queue : []) {
+    const item = normalizeItem(raw);
+    if (!item) continue;
+    const existing = byPage.get(item.pageId);
+    if (!existing) {
+      byPage.set(item.pageId, item);
+      out.push(item);
+      continue;
+    }
+    let kept = existing;
+    let other = item;
+    if (existing.status === 'done' && item.status === 'queued') {
+      out[out.indexOf(existing)] = item;
+      byPage.set(item.pageId, item);
+      [kept, other] = [item, existing];
+    }
+    if (!kept.note && other.note) kept.note = other.note;
+  }
+  const done = out.filter(i => i.status === 'done').sort((a, b) => b.doneAt - a.doneAt);
+  const dropped = new Set(done.slice(MAX_DONE_ITEMS));
+  return out.filter(i => !dropped.has(i));
+}
+
+/**
+ * Items still to read, in queue order.
+ * @param {Object[]} queue
+ * @returns {Object[]}
+ */
+export function pendingQueueItems(queue) {
+  return normalizeQueue(queue).filter(i => i.status === 'queued');
+}
+
+/**
+ * Completed items, most recent first.
+ * @param {Object[]} queue
+ * @returns {Object[]}
+ */
+export function doneQueueItems(queue) {
+  return normalizeQueue(queue).filter(i => i.status === 'done').sort((a, b) => b.doneAt - a.doneAt);
+}
+
+/**
+ * Add a page to the end of the queue unless it is already queued.
+ * Re-adding a page that is in "done" queues it again. URLs that are not wiki pages are rejected
+ * (`item` is null).
+ * @param {Object[]} queue
+ * @param {{url: string, title?: string, type?: string}} entry
+ * @param {number} [now]
+ * @returns {{queue: Object[], item: Object|null, added: boolean}}
+ */
+export function addToQueue(queue, entry, now = Date.now()) {
+  const current = normalizeQueue(queue);
+  if (!entry || typeof entry.url !== 'string' || !resolvePageIdentity(entry.url)) {
+    return { queue: current, item: null, added: false };
+  }
+  const item = normalizeItem({ ...entry, id: makeItemId(now), addedAt: now, status: 'queued', doneAt: undefined });
+  if (!item) return { queue: current, item: null, added: false };
+  const existing = current.find(i => i.pageId === item.pageId);
+  if (existing && existing.status === 'queued') return { queue: current, item: existing, added: false };
+  const next = current.filter(i => i !== existing);
+  next.push(existing && existing.note ? { ...item, note: existing.note } : item);
+  return { queue: next, item: next[next.length - 1], added: true };
+}
+
+/**
+ * Remove an item (queued or done).
+ * @param {Object[]} queue
+ * @param {string} itemId
+ * @returns {Object[]}
+ */
+export function removeFromQueue(queue, itemId) {
+  return normalizeQueue(queue).filter(i => i.id !== itemId);
+}
+
+/**
+ * Reorder queued items. IDs missing from `orderedIds` keep their relative order after the
+ * listed ones, so a reorder based on a stale list never drops items added meanwhile.
+ * @param {Object[]} queue
+ * @param {string[]} orderedIds
+ * @returns {Object[]}
+ */
+export function reorderQueue(queue, orderedIds) {
+  const current = normalizeQueue(queue);
+  const pending = current.filter(i => i.status === 'queued');
+  const rank = new Map((orderedIds || []).map((id, idx) => [id, idx]));
+  const sorted = pending
+    .map((item, idx) => ({ item, key: rank.has(item.id) ? rank.get(item.id) : rank.size + idx }))
+    .sort((a, b) => a.key - b.key)
+    .map(x => x.item);
+  return sorted.concat(current.filter(i => i.status === 'done'));
+}
+
+/**
+ * Set or clear the note of an item.
+ * @param {Object[]} queue
+ * @param {string} itemId
+ * @param {string} note
+ * @returns {Object[]}
+ */
+export function setQueueNote(queue, itemId, note) {
+  const text = String(note || '').trim().slice(0, MAX_NOTE_LENGTH);
+  return normalizeQueue(queue).map((item) => {
+    if (item.id !== itemId) return item;
+    const next = { ...item };
+    if (text) next.note = text;
+    else delete next.note;
+    return next;
+  });
+}
+
+/**
+ * Move the queued item for a page to "done" (called when the page is marked as read).
+ * @param {Object[]} queue
+ * @param {string} pageId - canonical page ID
+ * @param {number} [now]
+ * @returns {{queue: Object[], completed: Object|null}}
+ */
+export function completeQueueItem(queue, pageId, now = Date.now()) {
+  const current = normalizeQueue(queue);
+  const target = current.find(i => i.pageId === pageId && i.status === 'queued');
+  if (!target) return { queue: current, completed: null };
+  const completed = { ...target, status: 'done', doneAt: now };
+  const next = current.filter(i => i !== target).concat(completed);
+  return { queue: normalizeQueue(next), completed };
+}
+
+/**
+ * `tabs.create` properties for opening a newly queued item, per the `queueAddBehavior` setting:
+ * 'queue' (default) opens nothing, 'background' opens an inactive tab, 'adjacent' opens an
+ * inactive tab right after the tab the request came from.
+ * @param {Object} item - queue item
+ * @param {string} behavior
+ * @param {Object} [senderTab] - tab that sent the request
+ * @returns {Object|null} null when no tab should be opened
+ */
+export function queuedTabProperties(item, behavior, senderTab) {
+  if (!item || (behavior !== 'background' && behavior !== 'adjacent')) return null;
+  const props = { url: item.url, active: false };
+  if (behavior === 'adjacent' && senderTab && typeof senderTab.index === 'number') {
+    props.index = senderTab.index + 1;
+    if (typeof senderTab.windowId === 'number') props.windowId = senderTab.windowId;
+    if (typeof senderTab.id === 'number') props.openerTabId = senderTab.id;
+  }
+  return props;
+}
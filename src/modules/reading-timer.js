@@ -0,0 +1,209 @@
+// Active reading time for SCP Tracker
+// Time on a page only counts while the reader is plausibly reading it: the page is visible,
+// its window has focus and there was scroll, keyboard, mouse or touch activity within the idle
+// timeout. The content script feeds the timer with those signals and periodically sends the
+// counted seconds to the background.
+//
+// The background keeps measured time per device in storage.local (`readingTime`, page ID ->
+// record), so time reports never touch synced storage or the reading log:
+//   { pending, hours: { <hour start, ms>: seconds } }
+// `pending` is time not yet added to the synced entry; it is folded into the entry's
+// `activeSeconds` with the next read of the page (reading-log.js). The hourly buckets feed the
+// reading time patterns (analytics.js); the oldest are dropped beyond MAX_TIME_BUCKETS.
+
+export const DEFAULT_IDLE_TIMEOUT_MS = 60 * 1000;
+
+export const READING_TIME_KEY = 'readingTime';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper bound for the active reading time of one report
+const MAX_REPORT_SECONDS = 4 * 60 * 60;
+
+const MAX_TIME_BUCKETS = 5000;
+
+export class ActiveReadingTimer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeoutMs] - time without activity after which reading pauses
+   * @param {Function} [options.now] - clock, for tests
+   * @param {boolean} [options.visible] - initial page visibility
+   * @param {boolean} [options.focused] - initial window focus
+   */
+  constructor({ idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS, now = () => Date.now(), visible = true, focused = true } = {}) {
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.now = now;
+    this.visible = visible;
+    this.focused = focused;
+    this.lastActivity = -Infinity;
+    this.countingSince = null;
+    this.countedMs = 0;
+    this.reportedMs = 0;
+  }
+
+  // Add the time counted up to `at` and decide whether counting continues from there
+  settle(at) {
+    if (this.countingSince !== null) {
+      const end = Math.min(at, this.lastActivity + this.idleTimeoutMs);
+      if (end > this.countingSince) this.countedMs += end - this.countingSince;
+    }
+    this.countingSince = this.isActive(at) ? at : null;
+  }
+
+  /**
+   * Whether time counts right now.
+   * @param {number} [at]
+   * @returns {boolean}
+   */
+  isActive(at = this.now()) {
+    return this.visible && this.focused && at < this.lastActivity + this.idleTimeoutMs;
+  }
+
+  /**
+   * Scroll, key, mouse or touch activity on the page.
+   */
+  activity() {
+    const at = this.now();
+    this.settle(at);
+    this.lastActivity = at;
+    if (this.isActive(at)) this.countingSince = at;
+  }
+
+  /**
+   * Page visibility changed; coming back counts as activity.
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.settle(this.now());
+    this.visible = visible;
+    if (visible) this.activity();
+    else this.countingSince = null;
+  }
+
+  /**
+   * Window focus changed; coming back counts as activity.
+   * @param {boolean} focused
+   */
+  setFocused(focused) {
+    this.settle(this.now());
+    this.focused = focused;
+    if (focused) this.activity();
+    else this.countingSince = null;
+  }
+
+  /**
+   * Active time counted so far, in seconds.
+   * @returns {number}
+   */
+  totalSeconds() {
+    this.settle(this.now());
+    return Math.floor(this.countedMs / 1000);
+  }
+
+  /**
+   * Whole seconds counted since the last call; the remainder carries over.
+   * @returns {number}
+   */
+  takeUnreported() {
+    this.settle(this.now());
+    const seconds = Math.floor((this.countedMs - this.reportedMs) / 1000);
+    this.reportedMs += seconds * 1000;
+    return seconds;
+  }
+}
+
+/**
+ * Short human-readable duration, e.g. "45 s", "12 min", "2 h 5 min".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(Number(seconds) || 0));
+  if (s < 60) return `${s} s`;
+  const minutes = Math.round(s / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+function recordOf(store, id) {
+  const record = store && typeof store === 'object' ? store[id] : null;
+  if (!record || typeof record !== 'object') return { pending: 0, hours: {} };
+  return {
+    pending: Number.isFinite(record.pending) && record.pending > 0 ? record.pending : 0,
+    hours: record.hours && typeof record.hours === 'object' ? record.hours : {},
+  };
+}
+
+// Drop the oldest hourly buckets beyond the cap, and records left without any
+function pruneTimeStore(store) {
+  const buckets = [];
+  Object.entries(store).forEach(([id, record]) => {
+    Object.keys(record.hours).forEach(hour => buckets.push([Number(hour), id]));
+  });
+  if (buckets.length > MAX_TIME_BUCKETS) {
+    buckets.sort((a, b) => a[0] - b[0]).slice(0, buckets.length - MAX_TIME_BUCKETS).forEach(([hour, id]) => {
+      const hours = { ...store[id].hours };
+      delete hours[hour];
+      store[id] = { ...store[id], hours };
+    });
+  }
+  Object.keys(store).forEach((id) => {
+    if (!Object.keys(store[id].hours).length) delete store[id];
+  });
+  return store;
+}
+
+/**
+ * Add reported active time for a page to the per-device store.
+ * @param {Object} store - stored `readingTime`
+ * @param {string} id - canonical page ID
+ * @param {number} seconds
+ * @param {number} [ts] - report time
+ * @returns {Object|null} the next store, or null when there is nothing to add
+ */
+export function addReadingTime(store, id, seconds, ts = Date.now()) {
+  const s = Math.min(MAX_REPORT_SECONDS, Math.round(Number(seconds)));
+  if (typeof id !== 'string' || !id || !Number.isFinite(s) || s <= 0) return null;
+  const record = recordOf(store, id);
+  const hour = Math.floor(ts / HOUR_MS) * HOUR_MS;
+  const next = { ...(store && typeof store === 'object' ? store : {}) };
+  next[id] = { pending: record.pending + s, hours: { ...record.hours, [hour]: (record.hours[hour] || 0) + s } };
+  return pruneTimeStore(next);
+}
+
+/**
+ * Take a page's time not yet added to its synced entry.
+ * @param {Object} store - stored `readingTime`
+ * @param {string} id
+ * @param {number} [limit] - take at most this many seconds (time reported since stays pending)
+ * @returns {{store: Object, seconds: number}} the next store and the seconds taken
+ */
+export function takePendingTime(store, id, limit = Infinity) {
+  const record = recordOf(store, id);
+  const seconds = Math.min(record.pending, Math.max(0, Number(limit) || 0));
+  if (!seconds) return { store: store || {}, seconds: 0 };
+  return { store: pruneTimeStore({ ...store, [id]: { ...record, pending: record.pending - seconds } }), seconds };
+}
+
+/**
+ * Measured time of a page on this device that its synced entry does not include yet.
+ * @param {Object} store - stored `readingTime`
+ * @param {string} id
+ * @returns {number} seconds
+ */
+export function pendingSecondsOf(store, id) {
+  return recordOf(store, id).pending;
+}
+
+/**
+ * Hourly buckets of a page's measured time on this device.
+ * @param {Object} store - stored `readingTime`
+ * @param {string} id
+ * @returns {Array<[number, number]>} [hour start (ms), seconds]
+ */
+export function timeBucketsOf(store, id) {
+  return Object.entries(recordOf(store, id).hours)
+    .map(([hour, seconds]) => [Number(hour), Number(seconds)])
+    .filter(([hour, seconds]) => Number.isFinite(hour) && Number.isFinite(seconds) && seconds > 0);
+}
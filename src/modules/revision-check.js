@@ -0,0 +1,116 @@
+// Rewrite detection for read articles
+// A read records a snapshot of the page in storage.local (`revisionSnapshots`, page ID ->
+// snapshot), next to the background check times; snapshots stay on the device so they don't
+// take synced quota:
+//   { fingerprint, revision, lastEditedAt, title, takenAt }
+// Later metadata for the page (from a visit or a background check) is compared with it; a
+// different article fingerprint or title flags the synced entry, so every device shows it:
+//   changed: { fingerprint, revision, lastEditedAt, title, retitled, detectedAt }
+// Reading the page again replaces the snapshot and clears the flag (see reading-log.js).
+// Reads without a snapshot on this device (read elsewhere, or before snapshots existed) get
+// one from the first metadata seen (a baseline); older versions kept it on the entry itself.
+
+import { isCurrentMetadata } from './page-metadata.js';
+
+export const REVISION_CHECKS_KEY = 'revisionChecks';
+export const REVISION_SNAPSHOTS_KEY = 'revisionSnapshots';
+
+// Background check budget: a few pages per run, each at most once a week
+const REVISION_CHECK_DEFAULTS = {
+  budget: 3,
+  minIntervalMs: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Snapshot of a page's current state from its metadata record.
+ * @param {Object} metadata - page metadata (page-metadata.js)
+ * @param {number} [now]
+ * @returns {Object|null} null when the record has no fingerprint
+ */
+export function snapshotFromMetadata(metadata, now = Date.now()) {
+  if (!isCurrentMetadata(metadata) || !metadata.fingerprint) return null;
+  return {
+    fingerprint: metadata.fingerprint,
+    revision: Number.isInteger(metadata.revision) ? metadata.revision : null,
+    lastEditedAt: Number.isFinite(metadata.lastEditedAt) ? metadata.lastEditedAt : null,
+    title: metadata.title || null,
+    takenAt: now,
+  };
+}
+
+function validSnapshot(value) {
+  if (!value || typeof value !== 'object' || typeof value.fingerprint !== 'string' || !/^[0-9a-f]{8}$/.test(value.fingerprint)) return null;
+  return {
+    fingerprint: value.fingerprint,
+    revision: Number.isInteger(value.revision) && value.revision >= 0 ? value.revision : null,
+    lastEditedAt: Number.isFinite(value.lastEditedAt) ? value.lastEditedAt : null,
+    title: typeof value.title === 'string' ? value.title.slice(0, 200) : null,
+  };
+}
+
+/**
+ * Validated `changed` flag of an imported entry (dropped when malformed).
+ * @param {Object} entry
+ * @returns {Object} { changed? }
+ */
+export function sanitizeRevisionFields(entry) {
+  const changed = validSnapshot(entry && entry.changed);
+  if (!changed) return {};
+  return {
+    changed: {
+      ...changed,
+      retitled: entry.changed.retitled === true,
+      detectedAt: Number.isFinite(entry.changed.detectedAt) ? entry.changed.detectedAt : null,
+    },
+  };
+}
+
+function isLiveRead(entry) {
+  return !!entry && typeof entry === 'object' && !entry.deleted && entry.read === true;
+}
+
+/**
+ * Compare a read entry with fresh metadata for its page.
+ * @param {Object} entry - readSCPs entry
+ * @param {Object|null} snapshot - this device's snapshot of the page
+ * @param {Object} metadata - page metadata record
+ * @param {number} [now]
+ * @returns {{entry: Object|null, snapshot: Object|null}} what to store: the flagged entry and/or
+ *   a baseline snapshot (null for nothing)
+ */
+export function applyRevisionCheck(entry, snapshot, metadata, now = Date.now()) {
+  const none = { entry: null, snapshot: null };
+  if (!isLiveRead(entry)) return none;
+  const current = snapshotFromMetadata(metadata, now);
+  if (!current) return none;
+  const base = validSnapshot(snapshot) || validSnapshot(entry.snapshot);
+  if (!base) return { entry: null, snapshot: current };
+
+  // A snapshot still on the synced entry moves to this device
+  const moved = validSnapshot(snapshot) ? null : { ...base, takenAt: Number.isFinite(entry.snapshot.takenAt) ? entry.snapshot.takenAt : now };
+  const retitled = !!(base.title && current.title && base.title !== current.title);
+  const unchanged = current.fingerprint === base.fingerprint && !retitled;
+  // Already flagged for this version of the page
+  const flagged = entry.changed && entry.changed.fingerprint === current.fingerprint && entry.changed.title === current.title;
+  if (unchanged || flagged) return { entry: null, snapshot: moved };
+  const { fingerprint, revision, lastEditedAt, title } = current;
+  const next = { ...entry, changed: { fingerprint, revision, lastEditedAt, title, retitled, detectedAt: now } };
+  delete next.snapshot;
+  return { entry: next, snapshot: moved };
+}
+
+/**
+ * Read entries due for a background check, least recently checked first.
+ * @param {Object} readSCPs
+ * @param {Object} checkedAt - page ID -> last check time (storage.local)
+ * @param {Object} [options] - { budget, minIntervalMs, now }
+ * @returns {string[]} page IDs
+ */
+export function pickRevisionChecks(readSCPs, checkedAt, { budget = REVISION_CHECK_DEFAULTS.budget, minIntervalMs = REVISION_CHECK_DEFAULTS.minIntervalMs, now = Date.now() } = {}) {
+  const last = id => (checkedAt && checkedAt[id]) || 0;
+  return Object.entries(readSCPs || {})
+    .filter(([id, entry]) => isLiveRead(entry) && now - last(id) >= minIntervalMs)
+    .sort((a, b) => last(a[0]) - last(b[0]) || (a[1].lastReadAt || a[1].timestamp || 0) - (b[1].lastReadAt || b[1].timestamp || 0))
+    .slice(0, budget)
+    .map(([id]) => id);
+}
@@ -0,0 +1,104 @@
+// Series completion progress for SCP Tracker
+// Series I covers SCP-001 to SCP-999, every later series a full thousand (Series II is
+// SCP-1000 to SCP-1999, Series XI is SCP-10000 to SCP-10999, ...). Progress is computed from
+// the canonical IDs in `readSCPs`: a number counts as read when its main article is read on any
+// branch (the translations keep the number), while branch originals (`scp-1001-ru`) and
+// variants don't. Joke, explained and archived articles (`-j`, `-ex`, `-arc`) are listed
+// separately since they have no fixed range.
+
+import { parsePageId, formatPageLabel } from './page-identity.js';
+
+// Highest series open on the wiki; later series appear as soon as one of their articles is read
+export const LATEST_SERIES = 10;
+
+const SERIES_SIZE = 1000;
+
+const VARIANT_LISTS = [
+  { list: 'joke', variant: 'j', label: 'Joke SCPs' },
+  { list: 'explained', variant: 'ex', label: 'Explained SCPs' },
+  { list: 'archived', variant: 'arc', label: 'Archived SCPs' },
+];
+
+const ROMAN_NUMERALS = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+
+function toRoman(n) {
+  let rest = n;
+  let out = '';
+  ROMAN_NUMERALS.forEach(([value, numeral]) => {
+    while (rest >= value) {
+      out += numeral;
+      rest -= value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Series a main-list number belongs to.
+ * @param {number} number
+ * @returns {number} 1-based series, 0 for numbers outside every series
+ */
+export function seriesOfNumber(number) {
+  if (!Number.isInteger(number) || number < 1) return 0;
+  return Math.floor(number / SERIES_SIZE) + 1;
+}
+
+/**
+ * Number range of a series.
+ * @param {number} series - 1-based
+ * @returns {{start: number, end: number}}
+ */
+export function seriesRange(series) {
+  return { start: series === 1 ? 1 : (series - 1) * SERIES_SIZE, end: series * SERIES_SIZE - 1 };
+}
+
+/**
+ * Read progress per series and the joke / explained / archived lists.
+ * @param {Object} readSCPs - live reading history
+ * @param {Object} [options] - { latestSeries }
+ * @returns {{series: Array<{series: number, label: string, start: number, end: number, total: number, read: number, percent: number, readNumbers: number[]}>,
+ *   lists: Array<{list: string, label: string, read: number, pages: Array<{id: string, label: string, title: string}>}>}}
+ */
+export function computeSeriesProgress(readSCPs, { latestSeries = LATEST_SERIES } = {}) {
+  const numbers = new Set();
+  const listed = new Map(VARIANT_LISTS.map(({ variant }) => [variant, []]));
+
+  Object.entries(readSCPs || {}).forEach(([id, entry]) => {
+    if (!entry || entry.deleted || entry.read !== true) return;
+    const page = parsePageId(id);
+    if (!page || page.kind !== 'scp') return;
+    if (page.variant) {
+      if (listed.has(page.variant)) {
+        listed.get(page.variant).push({ id, label: formatPageLabel(id), title: entry.title || formatPageLabel(id) });
+      }
+      return;
+    }
+    if (/^\d+$/.test(page.name) && page.number > 0) numbers.add(page.number);
+  });
+
+  const readNumbers = Array.from(numbers).sort((a, b) => a - b);
+  const last = Math.max(latestSeries, seriesOfNumber(readNumbers[readNumbers.length - 1] || 0));
+  const series = [];
+  for (let n = 1; n <= last; n++) {
+    const { start, end } = seriesRange(n);
+    const inSeries = readNumbers.filter(number => number >= start && number <= end);
+    const total = end - start + 1;
+    series.push({
+      series: n,
+      label: `Series ${toRoman(n)}`,
+      start,
+      end,
+      total,
+      read: inSeries.length,
+      percent: Math.round((inSeries.length / total) * 1000) / 10,
+      readNumbers: inSeries,
+    });
+  }
+
+  const lists = VARIANT_LISTS.map(({ list, variant, label }) => {
+    const pages = listed.get(variant).sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+    return { list, label, read: pages.length, pages };
+  });
+
+  return { series, lists };
+}
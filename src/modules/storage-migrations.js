@@ -0,0 +1,164 @@
+// Versioned storage schema and migration runner for SCP Tracker
+// Each migration upgrades the stored data (readSCPs, readingQueue, link preview cache, settings)
+// by one schema version. Steps must be idempotent: sync data may already have been migrated
+// by another device, so a step must leave already-migrated data untouched.
+//
+// The schema version lives in storage.local because it describes what *this install* has
+// migrated, including local-only keys. Before running pending steps the runner snapshots the
+// keys those steps declare (with their chunk shards) in both storage areas; if any step throws,
+// the snapshot is restored and the version is left unchanged so the run is retried on the next
+// install/update/startup event. Logs and caches are never part of the snapshot, so it stays small
+// enough to store. After a successful run it is kept until the next run finds nothing to do.
+
+import { migrateReadSCPsKeys } from './page-identity.js';
+import { manifestKey, isChunkPartKey, writeChunked } from '../utils/chunked-storage.js';
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+export const BACKUP_KEY = 'schemaBackup';
+
+// Ordered list of migrations; `version` is the schema version the step upgrades to and `keys`
+// the keys it writes in each area (backed up before the run)
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'canonical-page-ids',
+    keys: { sync: ['readSCPs'], local: ['readSCPs'] },
+    // Re-key readSCPs from bare numbers/slugs to site-qualified canonical page IDs
+    async up({ sync, local }) {
+      for (const area of [sync, local]) {
+        const res = await area.get(['readSCPs']);
+        if (!res || !res.readSCPs) continue;
+        const { readSCPs, changed } = migrateReadSCPsKeys(res.readSCPs);
+        if (changed) await area.set({ readSCPs });
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'chunked-read-history',
+    keys: { sync: ['readSCPs'], local: [] },
+    // Split the single sync `readSCPs` item into manifest-tracked shards (per-item quota)
+    async up({ sync }) {
+      const res = await sync.get(['readSCPs', manifestKey('readSCPs')]);
+      if (!res || !res.readSCPs || res[manifestKey('readSCPs')]) return;
+      await writeChunked(sync, 'readSCPs', res.readSCPs);
+    }
+  },
+  {
+    version: 3,
+    name: 'bounded-preview-cache',
+    // Only drops a cache, nothing worth restoring
+    keys: { sync: [], local: [] },
+    // Drop the unbounded single-item link preview cache; previews are cached per entry now
+    // (see preview-cache.js) and are simply fetched again
+    async up({ local }) {
+      await local.remove(['linkPreviewCache']);
+    }
+  },
+];
+
+// Schema version written once every migration has run
+export const CURRENT_SCHEMA_VERSION = Math.max(0, ...MIGRATIONS.map(m => m.version));
+
+// Whether `key` is one of `keys` or a chunk shard / manifest of one; every key without a list
+function inKeys(keys, key) {
+  return !keys || keys.some(base => key === base || isChunkPartKey(base, key));
+}
+
+/**
+ * Copy of a storage area except the migration backup, optionally limited to some keys.
+ * @param {Object} area
+ * @param {string[]} [keys] - keys to copy, chunk shards included (default: all)
+ * @returns {Promise<Object>}
+ */
+export async function snapshotArea(area, keys) {
+  if (keys && keys.length === 0) return {};
+  const all = (await area.get(null)) || {};
+  delete all[BACKUP_KEY];
+  return Object.fromEntries(Object.entries(all).filter(([k]) => inKeys(keys, k)));
+}
+
+/**
+ * Make a storage area match a snapshot taken with snapshotArea (with the same keys).
+ * @param {Object} area
+ * @param {Object} snapshot
+ * @param {string[]} [keys] - keys the snapshot covers (default: all)
+ */
+export async function restoreArea(area, snapshot, keys) {
+  if (keys && keys.length === 0) return;
+  const current = (await area.get(null)) || {};
+  const extraneous = Object.keys(current).filter(k => k !== BACKUP_KEY && inKeys(keys, k) && !(k in snapshot));
+  if (extraneous.length) await area.remove(extraneous);
+  if (Object.keys(snapshot).length) await area.set(snapshot);
+}
+
+async function readSchemaVersion(local) {
+  const res = await local.get([SCHEMA_VERSION_KEY]);
+  const v = res && res[SCHEMA_VERSION_KEY];
+  return Number.isInteger(v) && v >= 0 ? v : 0;
+}
+
+let inFlight = null;
+
+/**
+ * Run all pending migrations in order.
+ * Concurrent calls share the same run; calling again once up to date is a no-op.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - storage namespace (defaults to browser.storage)
+ * @param {Object} [options.logger] - logger with info/warn
+ * @param {string} [options.reason] - trigger, e.g. 'install' | 'update' | 'startup'
+ * @returns {Promise<{from: number, to: number, applied: string[]}>}
+ */
+export function runMigrations(options = {}) {
+  if (inFlight) return inFlight;
+  inFlight = doRunMigrations(options).finally(() => { inFlight = null; });
+  return inFlight;
+}
+
+async function doRunMigrations({ storage = browser.storage, logger = console, reason = 'unknown' } = {}) {
+  const { sync, local } = storage;
+  const from = await readSchemaVersion(local);
+  const pending = MIGRATIONS
+    .filter(m => m.version > from)
+    .sort((a, b) => a.version - b.version);
+
+  if (pending.length === 0) {
+    await local.remove([BACKUP_KEY]);
+    return { from, to: from, applied: [] };
+  }
+
+  logger.info(`Running ${pending.length} storage migration(s) from v${from} (${reason})`);
+
+  // Back up the pre-migration data the pending steps write
+  const keys = {
+    sync: [...new Set(pending.flatMap(m => m.keys.sync))],
+    local: [...new Set(pending.flatMap(m => m.keys.local))]
+  };
+  const backup = {
+    fromVersion: from,
+    createdAt: Date.now(),
+    keys,
+    sync: await snapshotArea(sync, keys.sync),
+    local: await snapshotArea(local, keys.local)
+  };
+  await local.set({ [BACKUP_KEY]: backup });
+
+  const applied = [];
+  let current = from;
+  try {
+    for (const migration of pending) {
+      await migration.up({ sync, local, logger });
+      applied.push(migration.name);
+      current = migration.version;
+    }
+    await local.set({ [SCHEMA_VERSION_KEY]: current });
+  } catch (error) {
+    logger.warn(`Storage migration failed after [${applied.join(', ')}]; rolling back to v${from}`, error);
+    await restoreArea(sync, backup.sync, keys.sync);
+    await restoreArea(local, backup.local, keys.local);
+    throw error;
+  }
+
+  logger.info(`Storage schema migrated v${from} -> v${current}`);
+  return { from, to: current, applied };
+}
@@ -0,0 +1,50 @@
+// Toolbar badge for SCP Tracker
+// The `badgeMode` setting picks what the action badge shows:
+//   'status' - per tab: whether the wiki page in the tab is unread, in progress or read
+//   'queue'  - the number of pending reading queue items (the same in every tab)
+//   'off'    - nothing
+// A page is "in progress" once it has been opened (the `scpDetected` visit entry) until its
+// end is reached (`bottomReached`); pages without a live entry are unread.
+
+const PAGE_BADGES = {
+  unread: { text: '•', color: '#2563eb', title: 'Not read yet' },
+  progress: { text: '…', color: '#d97706', title: 'In progress' },
+  read: { text: '✓', color: '#16a34a', title: 'Read' },
+};
+
+const QUEUE_BADGE_COLOR = '#6b21a8';
+const QUEUE_BADGE_MAX = 99;
+
+/**
+ * Reading state of a page from its readSCPs entry.
+ * @param {Object|undefined} entry
+ * @returns {'unread'|'progress'|'read'}
+ */
+export function pageBadgeState(entry) {
+  if (!entry || typeof entry !== 'object' || entry.deleted) return 'unread';
+  return entry.read === true ? 'read' : 'progress';
+}
+
+/**
+ * Badge for a tab showing a tracked wiki page.
+ * @param {Object|undefined} entry - readSCPs entry of the page
+ * @returns {{text: string, color: string, title: string}}
+ */
+export function badgeForPage(entry) {
+  const badge = PAGE_BADGES[pageBadgeState(entry)];
+  return { ...badge, title: `SCP Tracker: ${badge.title}` };
+}
+
+/**
+ * Badge for the reading queue length; empty when nothing is queued.
+ * @param {number} count - pending queue items
+ * @returns {{text: string, color: string, title: string}}
+ */
+export function badgeForQueue(count) {
+  const n = Math.max(0, Math.floor(Number(count) || 0));
+  return {
+    text: n === 0 ? '' : (n > QUEUE_BADGE_MAX ? `${QUEUE_BADGE_MAX}+` : String(n)),
+    color: QUEUE_BADGE_COLOR,
+    title: `SCP Tracker: ${n} ${n === 1 ? 'page' : 'pages'} in the reading queue`,
+  };
+}
@@ -360,6 +360,79 @@ class UIComponents {
     element.style.pointerEvents = 'none';
   }
 
+  /**
+   * Show that the page has changed since it was read
+   * @param {Object} changed - `changed` flag of the reading history entry (revision-check.js)
+   */
+  showChangedNotice(changed) {
+    try {
+      const existing = document.getElementById('scp-changed-notice');
+      if (existing) {
+        existing.remove();
+      }
+
+      const notice = document.createElement('div');
+      notice.id = 'scp-changed-notice';
+      notice.setAttribute('role', 'status');
+
+      const text = document.createElement('span');
+      const details = [];
+      if (changed.revision !== null && changed.revision !== undefined) details.push(`revision ${changed.revision}`);
+      if (changed.lastEditedAt) details.push(`edited ${new Date(changed.lastEditedAt).toLocaleDateString()}`);
+      text.textContent = changed.retitled && changed.title
+        ? `Retitled "${changed.title}" since you read it`
+        : 'Changed since you read it';
+      if (details.length) text.textContent += ` (${details.join(', ')})`;
+
+      const dismiss = document.createElement('button');
+      dismiss.type = 'button';
+      dismiss.textContent = '×';
+      dismiss.setAttribute('aria-label', 'Dismiss');
+      dismiss.style.background = 'none';
+      dismiss.style.border = 'none';
+      dismiss.style.color = 'inherit';
+      dismiss.style.fontSize = '16px';
+      dismiss.style.cursor = 'pointer';
+      dismiss.addEventListener('click', () => {
+        notice.remove();
+        this.components.delete('changedNotice');
+      });
+
+      notice.appendChild(text);
+      notice.appendChild(dismiss);
+      this.applyChangedNoticeStyles(notice);
+      document.body.appendChild(notice);
+
+      this.components.set('changedNotice', notice);
+
+    } catch (error) {
+      errorHandler.handleError(error, {
+        action: 'show_changed_notice'
+      });
+    }
+  }
+
+  /**
+   * Apply styles to the changed notice
+   * @param {HTMLElement} element - Notice element
+   */
+  applyChangedNoticeStyles(element) {
+    element.style.position = 'fixed';
+    element.style.top = '20px';
+    element.style.right = '20px';
+    element.style.backgroundColor = 'rgba(217, 119, 6, 0.95)';
+    element.style.color = 'white';
+    element.style.padding = '8px 12px';
+    element.style.borderRadius = '6px';
+    element.style.zIndex = '10000';
+    element.style.fontFamily = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+    element.style.fontSize = '13px';
+    element.style.display = 'flex';
+    element.style.alignItems = 'center';
+    element.style.gap = '8px';
+    element.style.boxShadow = '0 4px 12px rgba(0,0,0,0.15)';
+  }
+
   /**
    * Estimate reading time based on content length
    * @returns {number} Estimated reading time in minutes
@@ -0,0 +1,41 @@
+// Offscreen document for SCP Tracker (Chrome)
+// The MV3 service worker has no DOMParser, so the background sends fetched wiki pages here to
+// extract their metadata or capture their article for the offline archive. Only messages
+// addressed to this document are answered; everything else is left to the background.
+
+// Ensure browser.* API in Chrome via polyfill
+import browserPolyfill from 'webextension-polyfill';
+if (typeof globalThis.browser === 'undefined') {
+  globalThis.browser = browserPolyfill;
+}
+
+import { logger, errorHandler } from '../utils/index.js';
+import { createMessageRouter } from '../modules/message-router.js';
+import { MESSAGE_ACTIONS } from '../modules/message-client.js';
+import { parsePageMetadata } from '../modules/page-metadata.js';
+import { captureArticle } from '../modules/article-capture.js';
+
+const router = createMessageRouter({
+  extensionOrigin: browser.runtime.getURL(''),
+  logger,
+  onError: (error, context) => errorHandler.handleError(error, context)
+});
+
+router.register(MESSAGE_ACTIONS.OFFSCREEN_PARSE_METADATA, {
+  from: ['extension'],
+  schema: { url: 'string', html: 'string' },
+  errorContext: 'parse_page_metadata',
+  handler: message => parsePageMetadata(message.html, message.url)
+});
+
+router.register(MESSAGE_ACTIONS.OFFSCREEN_CAPTURE_ARTICLE, {
+  from: ['extension'],
+  schema: { url: 'string', html: 'string' },
+  errorContext: 'capture_article',
+  handler: message => captureArticle(new DOMParser().parseFromString(message.html, 'text/html'), message.url)
+});
+
+browser.runtime.onMessage.addListener((message, sender) => {
+  if (!message || message.target !== 'offscreen') return undefined;
+  return router.listener(message, sender);
+});
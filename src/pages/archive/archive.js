@@ -0,0 +1,170 @@
+// Offline archive page for SCP Tracker
+// Without parameters it lists saved articles; `?url=<page url>` shows one article with the
+// Immersive Reader styles, using the stored images, so it works while the wiki is unreachable.
+
+// Ensure browser.* API in Chrome via polyfill
+import browserPolyfill from 'webextension-polyfill';
+if (typeof globalThis.browser === 'undefined') {
+  globalThis.browser = browserPolyfill;
+}
+
+import { OfflineArchive } from '../../modules/offline-archive.js';
+import reader from '../../modules/reader.js';
+
+const archive = new OfflineArchive();
+
+const listSection = document.getElementById('archiveList');
+const summaryEl = document.getElementById('archiveSummary');
+const searchInput = document.getElementById('archiveSearch');
+const clearButton = document.getElementById('archiveClear');
+const itemsEl = document.getElementById('archiveItems');
+const articleSection = document.getElementById('archiveArticle');
+const titleEl = document.getElementById('articleTitle');
+const metaEl = document.getElementById('articleMeta');
+const contentEl = document.getElementById('page-content');
+const errorEl = document.getElementById('archiveError');
+
+let savedPages = [];
+
+function showError(message) {
+  errorEl.textContent = message;
+  errorEl.hidden = false;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describePage(page) {
+  const parts = [
+    `Saved ${new Date(page.savedAt).toLocaleString()}`,
+    page.reason === 'queued' ? 'from the reading queue' : 'after reading',
+    formatBytes(page.bytes),
+  ];
+  if (page.missingImages) parts.push(`${page.missingImages} image${page.missingImages === 1 ? '' : 's'} unavailable`);
+  return parts.join(' · ');
+}
+
+function buildListItem(page) {
+  const li = document.createElement('li');
+  const main = document.createElement('div');
+  main.className = 'archive-item-main';
+  const link = document.createElement('a');
+  link.href = `archive.html?url=${encodeURIComponent(page.url)}`;
+  link.textContent = page.title;
+  const meta = document.createElement('span');
+  meta.className = 'archive-meta';
+  meta.textContent = describePage(page);
+  main.append(link, meta);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn';
+  remove.textContent = 'Delete';
+  remove.setAttribute('aria-label', `Delete ${page.title} from the archive`);
+  remove.addEventListener('click', async () => {
+    try {
+      await archive.delete(page.url);
+      savedPages = savedPages.filter(p => p.url !== page.url);
+      renderList();
+    } catch (error) {
+      console.error('Error deleting archived article:', error);
+      showError('Failed to delete the article');
+    }
+  });
+  li.append(main, remove);
+  return li;
+}
+
+function renderList() {
+  const query = searchInput.value.trim().toLowerCase();
+  const shown = query
+    ? savedPages.filter(p => p.title.toLowerCase().includes(query) || (p.pageId || '').includes(query))
+    : savedPages;
+  const total = savedPages.reduce((sum, p) => sum + p.bytes, 0);
+  summaryEl.textContent = savedPages.length
+    ? `${savedPages.length} saved article${savedPages.length === 1 ? '' : 's'} · ${formatBytes(total)}`
+    : 'No saved articles yet. Turn on "Save Articles for Offline Reading" in the settings.';
+  clearButton.disabled = savedPages.length === 0;
+  itemsEl.innerHTML = '';
+  shown.forEach(page => itemsEl.appendChild(buildListItem(page)));
+}
+
+async function showList() {
+  listSection.hidden = false;
+  savedPages = await archive.list();
+  renderList();
+}
+
+// Point archived images at their stored data
+function attachImages(root, images) {
+  root.querySelectorAll('img[data-archive-image]').forEach((img) => {
+    const stored = images[Number(img.getAttribute('data-archive-image'))];
+    if (stored && stored.blob) {
+      img.src = URL.createObjectURL(stored.blob);
+      return;
+    }
+    const placeholder = document.createElement('span');
+    placeholder.className = 'archive-missing-image';
+    placeholder.textContent = img.getAttribute('alt') || 'Image not saved';
+    img.replaceWith(placeholder);
+  });
+}
+
+async function applyReaderSettings() {
+  const settings = await browser.storage.sync.get(['readerTheme', 'readerTypography', 'readerCustomCSS']);
+  await reader.initialize({
+    enabled: true,
+    theme: settings.readerTheme || 'default',
+    typography: settings.readerTypography || {},
+    customCSS: settings.readerCustomCSS || ''
+  });
+}
+
+async function showArticle(url) {
+  const [record] = await Promise.all([archive.get(url), applyReaderSettings()]);
+  if (!record) {
+    showError('This article is not in the offline archive.');
+    return;
+  }
+  const { page, content } = record;
+  document.title = `${page.title} - Offline Archive`;
+  titleEl.textContent = page.title;
+  metaEl.textContent = `${describePage(page)} · `;
+  const original = document.createElement('a');
+  original.href = page.url;
+  original.textContent = 'Open on the wiki';
+  metaEl.appendChild(original);
+
+  const parsed = new DOMParser().parseFromString(`<div>${content.html}</div>`, 'text/html');
+  const root = parsed.body.firstElementChild;
+  attachImages(root, content.images);
+  contentEl.replaceChildren(...Array.from(root.childNodes).map(node => document.importNode(node, true)));
+  articleSection.hidden = false;
+}
+
+searchInput.addEventListener('input', renderList);
+clearButton.addEventListener('click', async () => {
+  if (!confirm('Delete every saved article?')) return;
+  try {
+    await archive.clear();
+    savedPages = [];
+    renderList();
+  } catch (error) {
+    console.error('Error clearing the archive:', error);
+    showError('Failed to clear the archive');
+  }
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  const url = new URLSearchParams(location.search).get('url');
+  browser.storage.local.get('theme').then((result) => {
+    if (result && result.theme === 'light') document.body.classList.add('light-theme');
+  }).catch(() => {});
+  (url ? showArticle(url) : showList()).catch((error) => {
+    console.error('Error loading the offline archive:', error);
+    showError('The offline archive could not be opened.');
+  });
+});
@@ -0,0 +1,258 @@
+// Event dashboard for SCP Tracker
+// Lists, filters, charts and exports the analytics events stored by the background
+// (analytics-events.js) and sets how long they are kept. Everything stays in storage.local; the
+// page only reads it, deleting and retention changes go through the background.
+
+// Ensure browser.* API in Chrome via polyfill
+import browserPolyfill from 'webextension-polyfill';
+if (typeof globalThis.browser === 'undefined') {
+  globalThis.browser = browserPolyfill;
+}
+
+import { sendMessage, MESSAGE_ACTIONS } from '../../modules/message-client.js';
+import {
+  ANALYTICS_EVENTS_KEY,
+  EVENT_RETENTION_KEY,
+  normalizeRetention,
+  eventAction,
+  eventPage,
+  filterEvents,
+  groupEvents,
+  eventsToCSV
+} from '../../modules/analytics-events.js';
+
+// Rows rendered in the event table and days in the chart; exports include every match
+const MAX_ROWS = 200;
+const MAX_CHART_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const summaryEl = document.getElementById('eventsSummary');
+const filterAction = document.getElementById('filterAction');
+const filterUrl = document.getElementById('filterUrl');
+const filterFrom = document.getElementById('filterFrom');
+const filterTo = document.getElementById('filterTo');
+const filterReset = document.getElementById('filterReset');
+const dayChart = document.getElementById('dayChart');
+const actionCounts = document.getElementById('actionCounts');
+const urlCounts = document.getElementById('urlCounts');
+const shownEl = document.getElementById('eventsShown');
+const eventRows = document.getElementById('eventRows');
+const retentionMaxEvents = document.getElementById('retentionMaxEvents');
+const retentionMaxAgeDays = document.getElementById('retentionMaxAgeDays');
+const retentionSave = document.getElementById('retentionSave');
+const exportJson = document.getElementById('exportJson');
+const exportCsv = document.getElementById('exportCsv');
+const clearButton = document.getElementById('clearEvents');
+const statusEl = document.getElementById('eventsStatus');
+
+let allEvents = [];
+
+function showStatus(message) {
+  statusEl.textContent = message;
+}
+
+// Date inputs are local calendar days; `to` includes the whole day
+function currentFilter() {
+  const dayStart = value => (value ? new Date(`${value}T00:00:00`).getTime() : undefined);
+  const to = dayStart(filterTo.value);
+  return {
+    action: filterAction.value,
+    url: filterUrl.value,
+    from: dayStart(filterFrom.value),
+    to: to === undefined ? undefined : to + DAY_MS - 1
+  };
+}
+
+function fillActionOptions() {
+  const selected = filterAction.value;
+  filterAction.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  groupEvents(allEvents, 'action').forEach(({ key, count }) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = `${key} (${count})`;
+    filterAction.appendChild(option);
+  });
+  filterAction.value = Array.from(filterAction.options).some(o => o.value === selected) ? selected : '';
+}
+
+function localDay(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// One bar per day from the first to the last matching event (at most MAX_CHART_DAYS)
+function renderDayChart(events) {
+  dayChart.innerHTML = '';
+  const counts = new Map(groupEvents(events, 'day').map(({ key, count }) => [key, count]));
+  if (!events.length) {
+    dayChart.textContent = 'No events';
+    return;
+  }
+  const last = new Date(events[0].ts);
+  last.setHours(12, 0, 0, 0);
+  const first = Math.max(events[events.length - 1].ts, last.getTime() - (MAX_CHART_DAYS - 1) * DAY_MS);
+  const days = [];
+  for (let d = new Date(last); d.getTime() >= first - DAY_MS / 2; d.setDate(d.getDate() - 1)) {
+    days.unshift(localDay(d.getTime()));
+  }
+  const max = Math.max(...days.map(day => counts.get(day) || 0));
+  days.forEach((day) => {
+    const count = counts.get(day) || 0;
+    const bar = document.createElement('div');
+    bar.className = 'day-bar';
+    bar.title = `${day}: ${count} event${count === 1 ? '' : 's'}`;
+    const fill = document.createElement('span');
+    fill.style.height = `${max ? Math.round((count / max) * 100) : 0}%`;
+    bar.appendChild(fill);
+    dayChart.appendChild(bar);
+  });
+}
+
+// Top ten groups; clicking one filters by it
+function renderCounts(listEl, groups, onPick) {
+  listEl.innerHTML = '';
+  if (!groups.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No events';
+    listEl.appendChild(li);
+    return;
+  }
+  groups.slice(0, 10).forEach(({ key, count }) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'count-key';
+    button.textContent = key;
+    button.title = `Show only ${key}`;
+    button.addEventListener('click', () => onPick(key));
+    const value = document.createElement('span');
+    value.textContent = String(count);
+    li.append(button, value);
+    listEl.appendChild(li);
+  });
+}
+
+function renderRows(events) {
+  eventRows.innerHTML = '';
+  events.slice(0, MAX_ROWS).forEach((event) => {
+    const { ts, sender: _sender, ...data } = event;
+    const row = document.createElement('tr');
+    [new Date(ts).toLocaleString(), eventAction(event), eventPage(event) || '(extension page)', JSON.stringify(data)]
+      .forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+    eventRows.appendChild(row);
+  });
+  shownEl.textContent = events.length > MAX_ROWS
+    ? `Showing the latest ${MAX_ROWS} of ${events.length} matching events`
+    : `${events.length} matching event${events.length === 1 ? '' : 's'}`;
+}
+
+function render() {
+  const events = filterEvents(allEvents, currentFilter());
+  summaryEl.textContent = `${allEvents.length} event${allEvents.length === 1 ? '' : 's'} stored`;
+  renderDayChart(events);
+  renderCounts(actionCounts, groupEvents(events, 'action'), (key) => {
+    filterAction.value = key;
+    render();
+  });
+  renderCounts(urlCounts, groupEvents(events, 'url'), (key) => {
+    filterUrl.value = key === '(extension page)' ? '' : key;
+    render();
+  });
+  renderRows(events);
+  const empty = events.length === 0;
+  exportJson.disabled = empty;
+  exportCsv.disabled = empty;
+  clearButton.disabled = allEvents.length === 0;
+}
+
+async function load() {
+  const stored = await browser.storage.local.get([ANALYTICS_EVENTS_KEY, EVENT_RETENTION_KEY]);
+  allEvents = Array.isArray(stored[ANALYTICS_EVENTS_KEY]) ? stored[ANALYTICS_EVENTS_KEY] : [];
+  const retention = normalizeRetention(stored[EVENT_RETENTION_KEY]);
+  retentionMaxEvents.value = String(retention.maxEvents);
+  retentionMaxAgeDays.value = String(retention.maxAgeDays);
+  fillActionOptions();
+  render();
+}
+
+function downloadFile(content, mime, filename) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function exportEvents(format) {
+  const events = filterEvents(allEvents, currentFilter());
+  const date = new Date().toISOString().split('T')[0];
+  if (format === 'csv') {
+    downloadFile(eventsToCSV(events), 'text/csv', `scp-tracker-events-${date}.csv`);
+  } else {
+    downloadFile(JSON.stringify(events, null, 2), 'application/json', `scp-tracker-events-${date}.json`);
+  }
+  showStatus(`Exported ${events.length} event${events.length === 1 ? '' : 's'}`);
+}
+
+[filterAction, filterFrom, filterTo].forEach(input => input.addEventListener('change', render));
+filterUrl.addEventListener('input', render);
+filterReset.addEventListener('click', () => {
+  filterAction.value = '';
+  filterUrl.value = '';
+  filterFrom.value = '';
+  filterTo.value = '';
+  render();
+});
+
+retentionSave.addEventListener('click', async () => {
+  const retention = { maxEvents: retentionMaxEvents.value, maxAgeDays: retentionMaxAgeDays.value };
+  try {
+    const { removed } = await sendMessage(MESSAGE_ACTIONS.ANALYTICS_RETENTION_SET, { retention });
+    showStatus(removed ? `Retention saved, ${removed} old event${removed === 1 ? '' : 's'} deleted` : 'Retention saved');
+    await load();
+  } catch (error) {
+    console.error('Error saving event retention:', error);
+    showStatus('Failed to save the retention settings');
+  }
+});
+
+exportJson.addEventListener('click', () => exportEvents('json'));
+exportCsv.addEventListener('click', () => exportEvents('csv'));
+
+clearButton.addEventListener('click', async () => {
+  if (!confirm('Delete every stored event?')) return;
+  try {
+    await sendMessage(MESSAGE_ACTIONS.ANALYTICS_EVENTS_CLEAR);
+    showStatus('All events deleted');
+    await load();
+  } catch (error) {
+    console.error('Error deleting events:', error);
+    showStatus('Failed to delete the events');
+  }
+});
+
+// Events keep arriving while the page is open
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[ANALYTICS_EVENTS_KEY]) return;
+  allEvents = Array.isArray(changes[ANALYTICS_EVENTS_KEY].newValue) ? changes[ANALYTICS_EVENTS_KEY].newValue : [];
+  fillActionOptions();
+  render();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  browser.storage.local.get('theme').then((result) => {
+    if (result && result.theme === 'light') document.body.classList.add('light-theme');
+  }).catch(() => {});
+  load().catch((error) => {
+    console.error('Error loading analytics events:', error);
+    showStatus('The stored events could not be loaded.');
+  });
+});
@@ -7,15 +7,63 @@ if (typeof globalThis.browser === 'undefined') {
 // Import utilities
 import { StorageManager } from '../../utils/index.js';
 import { FEATURES, DEFAULTS, VALIDATION } from '../../config.js';
+import { extractImportedHistory, planHistoryImport } from '../../modules/history-import.js';
+import { filterHistory, buildHistoryExport } from '../../modules/history-export.js';
+import { createBackup, verifyBackup } from '../../modules/backup.js';
+import { sendMessage, MESSAGE_ACTIONS } from '../../modules/message-client.js';
+import { READING_GOALS_KEY, GOAL_PERIODS, normalizeGoals } from '../../modules/reading-goals.js';
 
 // Create global storage manager instance
 const storageManager = new StorageManager('local');
+// Reading history is kept in sync storage (maintained by the background)
+const historyStorageManager = new StorageManager('sync');
 
 // DOM elements
 const dictionaryEnabled = document.getElementById('dictionaryEnabled');
 const navigatorEnabled = document.getElementById('navigatorEnabled');
 const accessibilityEnabled = document.getElementById('accessibilityEnabled');
 const linkPreviewsEnabled = document.getElementById('linkPreviewsEnabled');
+const queueAddBehavior = document.getElementById('queueAddBehavior');
+const badgeMode = document.getElementById('badgeMode');
+const goalReminderEnabled = document.getElementById('goalReminderEnabled');
+const goalReminderHour = document.getElementById('goalReminderHour');
+const streakGraceDays = document.getElementById('streakGraceDays');
+
+// Goal inputs are named after their period: goalDailyTarget, goalDailyUnit, ...
+function goalInput(period, field) {
+  return document.getElementById(`goal${period.charAt(0).toUpperCase()}${period.slice(1)}${field}`);
+}
+
+function fillGoalInputs(goals) {
+  GOAL_PERIODS.forEach((period) => {
+    const target = goalInput(period, 'Target');
+    const unit = goalInput(period, 'Unit');
+    if (target) target.value = goals[period].target ? String(goals[period].target) : '';
+    if (unit) unit.value = goals[period].unit;
+  });
+  if (goalReminderEnabled) goalReminderEnabled.checked = goals.reminder.enabled;
+  if (goalReminderHour) goalReminderHour.value = String(goals.reminder.hour);
+  if (streakGraceDays) streakGraceDays.value = String(goals.streak.graceDays);
+}
+
+function readGoalInputs() {
+  const raw = {};
+  GOAL_PERIODS.forEach((period) => {
+    const target = goalInput(period, 'Target');
+    const unit = goalInput(period, 'Unit');
+    raw[period] = { target: target ? parseInt(target.value || '0', 10) : 0, unit: unit ? unit.value : 'articles' };
+  });
+  raw.reminder = {
+    enabled: !!goalReminderEnabled?.checked,
+    hour: parseInt(goalReminderHour?.value || '20', 10)
+  };
+  raw.streak = { graceDays: parseInt(streakGraceDays?.value || '0', 10) };
+  return normalizeGoals(raw);
+}
+const offlineArchiveGroup = document.getElementById('offlineArchiveGroup');
+const offlineArchiveEnabled = document.getElementById('offlineArchiveEnabled');
+const previewCacheStats = document.getElementById('previewCacheStats');
+const clearPreviewCache = document.getElementById('clearPreviewCache');
 const showProgress = document.getElementById('showProgress');
 const showReadingTime = document.getElementById('showReadingTime');
 const readerSection = document.getElementById('readingPreferences');
@@ -29,7 +77,20 @@ const resetReaderDefaults = document.getElementById('resetReaderDefaults');
 const saveSettings = document.getElementById('saveSettings');
 const closeSettings = document.getElementById('closeSettings');
 const exportData = document.getElementById('exportData');
+const exportFormat = document.getElementById('exportFormat');
+const exportFrom = document.getElementById('exportFrom');
+const exportTo = document.getElementById('exportTo');
+const exportSCPs = document.getElementById('exportSCPs');
+const exportTales = document.getElementById('exportTales');
+const exportTags = document.getElementById('exportTags');
 const clearData = document.getElementById('clearData');
+const importFile = document.getElementById('importFile');
+const importPreview = document.getElementById('importPreview');
+const applyImport = document.getElementById('applyImport');
+const createBackupButton = document.getElementById('createBackup');
+const restoreFile = document.getElementById('restoreFile');
+const restorePreview = document.getElementById('restorePreview');
+const applyRestore = document.getElementById('applyRestore');
 const scrollThresholdInput = document.getElementById('scrollThreshold');
 
 // Helper: enable/disable reader inputs based on toggle
@@ -93,8 +154,8 @@ async function loadSettings() {
     const settings = await storageManager.get([
       'dictionaryEnabled', 'navigatorEnabled',
       'accessibilityEnabled',
-      'linkPreviewsEnabled',
-      'showProgress', 'showReadingTime',
+      'linkPreviewsEnabled', 'queueAddBehavior', 'badgeMode', 'offlineArchiveEnabled',
+      'showProgress', 'showReadingTime', READING_GOALS_KEY,
       'scrollThreshold',
       'readerEnabled', 'readerTheme', 'readerTypography', 'readerCustomCSS'
     ]);
@@ -103,6 +164,21 @@ async function loadSettings() {
     if (settings.navigatorEnabled !== undefined) navigatorEnabled.checked = settings.navigatorEnabled;
     if (settings.accessibilityEnabled !== undefined) accessibilityEnabled.checked = settings.accessibilityEnabled;
     if (settings.linkPreviewsEnabled !== undefined) linkPreviewsEnabled.checked = settings.linkPreviewsEnabled;
+    if (queueAddBehavior) {
+      const allowed = VALIDATION?.SETTINGS?.QUEUE_ADD_BEHAVIOR || ['queue'];
+      queueAddBehavior.value = allowed.includes(settings.queueAddBehavior)
+        ? settings.queueAddBehavior
+        : (DEFAULTS?.SETTINGS?.QUEUE_ADD_BEHAVIOR ?? 'queue');
+    }
+    if (badgeMode) {
+      const allowed = VALIDATION?.SETTINGS?.BADGE_MODE || ['status'];
+      badgeMode.value = allowed.includes(settings.badgeMode)
+        ? settings.badgeMode
+        : (DEFAULTS?.SETTINGS?.BADGE_MODE ?? 'status');
+    }
+    fillGoalInputs(normalizeGoals(settings[READING_GOALS_KEY]));
+    if (offlineArchiveGroup) offlineArchiveGroup.style.display = FEATURES && FEATURES.ENABLE_OFFLINE ? '' : 'none';
+    if (offlineArchiveEnabled) offlineArchiveEnabled.checked = settings.offlineArchiveEnabled === true;
     if (showProgress && settings.showProgress !== undefined) showProgress.checked = settings.showProgress;
     if (showReadingTime && settings.showReadingTime !== undefined) showReadingTime.checked = settings.showReadingTime;
     if (scrollThresholdInput) {
@@ -162,8 +238,12 @@ async function saveSettingsHandler() {
       navigatorEnabled: navigatorEnabled.checked,
       accessibilityEnabled: accessibilityEnabled.checked,
       linkPreviewsEnabled: linkPreviewsEnabled.checked,
+      queueAddBehavior: queueAddBehavior?.value || (DEFAULTS?.SETTINGS?.QUEUE_ADD_BEHAVIOR ?? 'queue'),
+      badgeMode: badgeMode?.value || (DEFAULTS?.SETTINGS?.BADGE_MODE ?? 'status'),
+      offlineArchiveEnabled: !!offlineArchiveEnabled?.checked,
       showProgress: !!showProgress?.checked,
-      showReadingTime: !!showReadingTime?.checked
+      showReadingTime: !!showReadingTime?.checked,
+      [READING_GOALS_KEY]: readGoalInputs()
     };
     // Reader settings (only when feature is enabled)
     if (FEATURES && FEATURES.ENABLE_READER && readerEnabled) {
@@ -215,18 +295,66 @@ function closeSettingsHandler() {
   window.close();
 }
 
+// Export filters from the data management section
+function readExportFilter() {
+  const filter = {};
+  // Date inputs are local calendar days; `to` includes the whole day
+  if (exportFrom && exportFrom.value) filter.from = new Date(`${exportFrom.value}T00:00:00`).getTime();
+  if (exportTo && exportTo.value) filter.to = new Date(`${exportTo.value}T23:59:59.999`).getTime();
+  const types = [];
+  if (!exportSCPs || exportSCPs.checked) types.push('scp');
+  if (!exportTales || exportTales.checked) types.push('tale', 'series');
+  // An unknown kind matches nothing, so unchecking both types exports nothing
+  filter.types = types.length ? types : ['none'];
+  if (exportTags && exportTags.value.trim()) filter.tags = exportTags.value.split(',');
+  return filter;
+}
+
+function describeExportFilter(filter) {
+  const parts = [];
+  if (exportFrom && exportFrom.value) parts.push(`from ${exportFrom.value}`);
+  if (exportTo && exportTo.value) parts.push(`to ${exportTo.value}`);
+  if (filter.tags) parts.push(`tags: ${filter.tags.map(t => t.trim()).filter(Boolean).join(', ')}`);
+  return parts.join(' · ');
+}
+
+function downloadFile(content, mime, filename) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  URL.revokeObjectURL(url);
+}
+
 // Export reading data
 async function exportDataHandler() {
   try {
+    const history = await historyStorageManager.get(['readSCPs']);
+    const format = exportFormat ? exportFormat.value : 'json';
+    const filter = readExportFilter();
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format !== 'json') {
+      const file = buildHistoryExport(history.readSCPs, format, filter, { filterDescription: describeExportFilter(filter) });
+      downloadFile(file.content, file.mime, `scp-reading-data-${date}.${file.extension}`);
+      showSuccessMessage(`Exported ${file.count} entries`);
+      return;
+    }
+
     const data = await storageManager.get([
-      'readSCPs',
       'dictionaryEnabled', 'navigatorEnabled', 'showProgress', 'showReadingTime',
-      'accessibilityEnabled', 'linkPreviewsEnabled',
-      'readerEnabled', 'readerTheme', 'readerTypography', 'readerCustomCSS',
+      'accessibilityEnabled', 'linkPreviewsEnabled', 'queueAddBehavior', 'badgeMode', 'offlineArchiveEnabled',
+      READING_GOALS_KEY, 'readerEnabled', 'readerTheme', 'readerTypography', 'readerCustomCSS',
       'scrollThreshold'
     ]);
     const exportPayload = {
-      readSCPs: data.readSCPs || {},
+      readSCPs: Object.fromEntries(filterHistory(history.readSCPs, filter).map(row => [row.id, row.entry])),
       settings: {
         dictionaryEnabled: data.dictionaryEnabled ?? true,
         navigatorEnabled: data.navigatorEnabled ?? true,
@@ -234,6 +362,10 @@ async function exportDataHandler() {
         showReadingTime: data.showReadingTime ?? true,
         accessibilityEnabled: data.accessibilityEnabled ?? true,
         linkPreviewsEnabled: data.linkPreviewsEnabled ?? true,
+        queueAddBehavior: data.queueAddBehavior ?? (DEFAULTS?.SETTINGS?.QUEUE_ADD_BEHAVIOR ?? 'queue'),
+        badgeMode: data.badgeMode ?? (DEFAULTS?.SETTINGS?.BADGE_MODE ?? 'status'),
+        [READING_GOALS_KEY]: normalizeGoals(data[READING_GOALS_KEY]),
+        offlineArchiveEnabled: data.offlineArchiveEnabled ?? false,
         readerEnabled: data.readerEnabled ?? false,
         readerTheme: data.readerTheme ?? 'default',
         readerTypography: data.readerTypography ?? { fontSize: '100%', lineHeight: 1.6, maxWidth: '800px' },
@@ -241,19 +373,7 @@ async function exportDataHandler() {
         scrollThreshold: data.scrollThreshold ?? (DEFAULTS?.SETTINGS?.SCROLL_THRESHOLD ?? 0.8),
       }
     };
-    const jsonData = JSON.stringify(exportPayload, null, 2);
-    
-    const blob = new Blob([jsonData], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `scp-reading-data-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    
-    URL.revokeObjectURL(url);
+    downloadFile(JSON.stringify(exportPayload, null, 2), 'application/json', `scp-reading-data-${date}.json`);
     showSuccessMessage('Data exported successfully!');
     
   } catch (error) {
@@ -266,7 +386,8 @@ async function exportDataHandler() {
 async function clearDataHandler() {
   if (confirm('Are you sure you want to clear all reading data? This action cannot be undone.')) {
     try {
-      await storageManager.set({ readSCPs: {} });
+      // Synced history is tombstoned by the background so the clear propagates to other devices
+      await sendMessage(MESSAGE_ACTIONS.CLEAR_HISTORY);
       
       showSuccessMessage('All data cleared successfully!');
       
@@ -282,6 +403,225 @@ async function clearDataHandler() {
   }
 }
 
+// --- Import reading data ---
+// Parsed history of the selected file; the plan is rebuilt whenever the mode changes
+let importedHistory = null;
+let importPlan = null;
+
+const IMPORT_STATUS_LABELS = {
+  new: 'New',
+  updated: 'Updated (file is newer)',
+  conflicting: 'Conflicting (current is newer)',
+  removed: 'Removed (not in file)',
+  unchanged: 'Unchanged',
+  invalid: 'Invalid'
+};
+
+function selectedImportMode() {
+  const checked = document.querySelector('input[name="importMode"]:checked');
+  return checked && checked.value === 'replace' ? 'replace' : 'merge';
+}
+
+function renderImportPreview(plan) {
+  if (!importPreview) return;
+  importPreview.innerHTML = '';
+  importPreview.hidden = false;
+
+  const summary = document.createElement('p');
+  summary.textContent = Object.entries(plan.summary)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${IMPORT_STATUS_LABELS[status]}: ${count}`)
+    .join(' · ') || 'The file contains no entries';
+  importPreview.appendChild(summary);
+
+  // Details per status (capped so huge files stay readable)
+  ['new', 'updated', 'conflicting', 'removed', 'invalid'].forEach((status) => {
+    const items = plan.items.filter(i => i.status === status);
+    if (items.length === 0) return;
+    const details = document.createElement('details');
+    const title = document.createElement('summary');
+    title.textContent = `${IMPORT_STATUS_LABELS[status]} (${items.length})`;
+    details.appendChild(title);
+    const list = document.createElement('ul');
+    items.slice(0, 50).forEach((item) => {
+      const li = document.createElement('li');
+      const entry = item.after || item.before || {};
+      li.textContent = item.reason ? `${item.id}: ${item.reason}` : `${entry.title || item.id}`;
+      list.appendChild(li);
+    });
+    if (items.length > 50) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${items.length - 50} more`;
+      list.appendChild(more);
+    }
+    details.appendChild(list);
+    importPreview.appendChild(details);
+  });
+
+  if (applyImport) applyImport.disabled = Object.keys(plan.patch).length === 0;
+}
+
+// Rebuild the dry-run plan from the selected file and the current synced history
+async function refreshImportPlan() {
+  if (!importedHistory) return;
+  historyStorageManager.clearCache(['readSCPs']);
+  const current = await historyStorageManager.get(['readSCPs']);
+  importPlan = planHistoryImport(current.readSCPs || {}, importedHistory, { mode: selectedImportMode() });
+  renderImportPreview(importPlan);
+}
+
+async function importFileHandler() {
+  importedHistory = null;
+  importPlan = null;
+  if (applyImport) applyImport.disabled = true;
+  const file = importFile && importFile.files && importFile.files[0];
+  if (!file) {
+    if (importPreview) importPreview.hidden = true;
+    return;
+  }
+  try {
+    const json = JSON.parse(await file.text());
+    importedHistory = extractImportedHistory(json).readSCPs;
+    await refreshImportPlan();
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    if (importPreview) importPreview.hidden = true;
+    showErrorMessage(error instanceof SyntaxError ? 'Import file is not valid JSON' : error.message);
+  }
+}
+
+async function applyImportHandler() {
+  if (!importPlan) return;
+  const { mode, summary } = importPlan;
+  if (mode === 'replace' && summary.removed > 0
+    && !confirm(`Replace will remove ${summary.removed} entries that are not in the file. Continue?`)) {
+    return;
+  }
+  try {
+    if (applyImport) applyImport.disabled = true;
+    const { applied } = await sendMessage(MESSAGE_ACTIONS.HISTORY_IMPORT, { patch: importPlan.patch });
+    showSuccessMessage(`Imported ${applied} entries`);
+    await refreshImportPlan();
+  } catch (error) {
+    console.error('Error importing data:', error);
+    showErrorMessage('Failed to import data');
+    if (applyImport) applyImport.disabled = false;
+  }
+}
+
+// --- Full backup and restore ---
+// Verified bundle of the selected restore file
+let restoreBundle = null;
+
+async function createBackupHandler() {
+  try {
+    // Write pending settings first so the backup matches what is shown
+    await storageManager.flush();
+    const manifest = browser.runtime.getManifest ? browser.runtime.getManifest() : null;
+    const bundle = await createBackup({ extensionVersion: manifest ? manifest.version : null });
+    const date = new Date(bundle.createdAt).toISOString().split('T')[0];
+    downloadFile(JSON.stringify(bundle, null, 2), 'application/json', `scp-tracker-backup-${date}.json`);
+    showSuccessMessage(`Backup created (${bundle.manifest.sync.count + bundle.manifest.local.count} items)`);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    showErrorMessage('Failed to create backup');
+  }
+}
+
+function renderRestorePreview(bundle) {
+  if (!restorePreview) return;
+  const history = bundle.data.sync.readSCPs || {};
+  const queue = bundle.data.sync.readingQueue;
+  const parts = [
+    `Backup from ${new Date(bundle.createdAt).toLocaleString()}`,
+    bundle.extensionVersion ? `SCP Tracker ${bundle.extensionVersion}` : null,
+    `${Object.keys(history).length} history entries`,
+    Array.isArray(queue) ? `${queue.length} queue items` : null,
+    `${bundle.manifest.sync.count + bundle.manifest.local.count} stored items`
+  ];
+  restorePreview.textContent = `${parts.filter(Boolean).join(' · ')}. Checksum verified.`;
+  restorePreview.hidden = false;
+}
+
+async function restoreFileHandler() {
+  restoreBundle = null;
+  if (applyRestore) applyRestore.disabled = true;
+  const file = restoreFile && restoreFile.files && restoreFile.files[0];
+  if (!file) {
+    if (restorePreview) restorePreview.hidden = true;
+    return;
+  }
+  try {
+    const bundle = JSON.parse(await file.text());
+    const check = await verifyBackup(bundle);
+    if (!check.ok) throw new Error(check.error);
+    restoreBundle = bundle;
+    renderRestorePreview(bundle);
+    if (applyRestore) applyRestore.disabled = false;
+  } catch (error) {
+    console.error('Error reading backup file:', error);
+    if (restorePreview) restorePreview.hidden = true;
+    showErrorMessage(error instanceof SyntaxError ? 'Backup file is not valid JSON' : error.message);
+  }
+}
+
+async function applyRestoreHandler() {
+  if (!restoreBundle) return;
+  if (!confirm('Restoring replaces all settings, reading history and queue with the backup. Continue?')) return;
+  try {
+    if (applyRestore) applyRestore.disabled = true;
+    await sendMessage(MESSAGE_ACTIONS.BACKUP_RESTORE, { bundle: restoreBundle });
+    restoreBundle = null;
+    if (restoreFile) restoreFile.value = '';
+    if (restorePreview) restorePreview.hidden = true;
+    storageManager.clearCache();
+    historyStorageManager.clearCache();
+    await loadSettings();
+    await loadPreviewCacheStats();
+    showSuccessMessage('Backup restored');
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    showErrorMessage(`Failed to restore backup: ${error.message}`);
+    if (applyRestore) applyRestore.disabled = false;
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Link preview cache size and hit rate (kept by the background)
+async function loadPreviewCacheStats() {
+  if (!previewCacheStats) return;
+  try {
+    const stats = await sendMessage(MESSAGE_ACTIONS.PREVIEW_CACHE_STATS);
+    const parts = [
+      `${stats.entries} of ${stats.maxEntries} pages`,
+      `${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}`,
+    ];
+    if (stats.hitRate !== null) {
+      parts.push(`${Math.round(stats.hitRate * 100)}% hit rate (${stats.hits} hits, ${stats.misses} misses)`);
+    }
+    previewCacheStats.textContent = parts.join(' · ');
+  } catch (error) {
+    console.error('Error loading preview cache stats:', error);
+    previewCacheStats.textContent = 'Cache statistics unavailable';
+  }
+}
+
+async function clearPreviewCacheHandler() {
+  try {
+    const { removed } = await sendMessage(MESSAGE_ACTIONS.PREVIEW_CACHE_CLEAR);
+    await loadPreviewCacheStats();
+    showSuccessMessage(`Cleared ${removed} cached link ${removed === 1 ? 'preview' : 'previews'}`);
+  } catch (error) {
+    console.error('Error clearing preview cache:', error);
+    showErrorMessage(`Failed to clear preview cache: ${error.message}`);
+  }
+}
+
 // Reset reader settings to defaults
 async function resetReaderDefaultsHandler() {
   try {
@@ -320,6 +660,17 @@ saveSettings.addEventListener('click', saveSettingsHandler);
 closeSettings.addEventListener('click', closeSettingsHandler);
 if (exportData) exportData.addEventListener('click', exportDataHandler);
 if (clearData) clearData.addEventListener('click', clearDataHandler);
+if (importFile) importFile.addEventListener('change', importFileHandler);
+if (applyImport) applyImport.addEventListener('click', applyImportHandler);
+if (createBackupButton) createBackupButton.addEventListener('click', createBackupHandler);
+if (restoreFile) restoreFile.addEventListener('change', restoreFileHandler);
+if (applyRestore) applyRestore.addEventListener('click', applyRestoreHandler);
+if (clearPreviewCache) clearPreviewCache.addEventListener('click', clearPreviewCacheHandler);
+document.querySelectorAll('input[name="importMode"]').forEach((radio) => {
+  radio.addEventListener('change', () => {
+    refreshImportPlan().catch(error => console.error('Error planning import:', error));
+  });
+});
 if (resetReaderDefaults && FEATURES && FEATURES.ENABLE_READER) {
   resetReaderDefaults.addEventListener('click', resetReaderDefaultsHandler);
 }
@@ -350,4 +701,5 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   } catch (_) {}
   loadSettings();
+  loadPreviewCacheStats();
 });
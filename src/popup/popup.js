@@ -7,10 +7,21 @@ if (typeof globalThis.browser === 'undefined') {
 // Import utilities
 import { StorageManager } from '../utils/index.js';
 import { FEATURES } from '../config.js';
-import { computeAnalytics } from '../modules/analytics.js';
+import { computeAnalytics, computeTimePatterns, describeCalendarDay } from '../modules/analytics.js';
+import { READING_GOALS_KEY, describeGoalProgress } from '../modules/reading-goals.js';
+import { computeSeriesProgress } from '../modules/series-progress.js';
+import { resolvePageIdentity, parsePageId, formatPageLabel, pageUrlFromId, isWikiUrl } from '../modules/page-identity.js';
+import { liveEntries } from '../modules/history-merge.js';
+import { readCountOf, activeSecondsOf, READING_LOG_KEY } from '../modules/reading-log.js';
+import { formatDuration, pendingSecondsOf, READING_TIME_KEY } from '../modules/reading-timer.js';
+import { filterHistory, buildHistoryExport } from '../modules/history-export.js';
+import { sendMessage, MESSAGE_ACTIONS } from '../modules/message-client.js';
+import { OfflineArchive } from '../modules/offline-archive.js';
 
 // Create global storage manager instance
 const storageManager = new StorageManager();
+// The reading event log stays on this device
+const localStorageManager = new StorageManager('local');
 document.addEventListener('DOMContentLoaded', function() {
   const scpList = document.getElementById('scpList');
   const readCount = document.getElementById('readCount');
@@ -18,6 +29,8 @@ document.addEventListener('DOMContentLoaded', function() {
   const markUnreadButton = document.getElementById('markUnread');
   const clearAllButton = document.getElementById('clearAll');
   const exportBtn = document.getElementById('exportBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportFiltered = document.getElementById('exportFiltered');
   const refreshBtn = document.getElementById('refreshBtn');
   const themeToggle = document.getElementById('themeToggle');
   const showSCPs = document.getElementById('showSCPs');
@@ -31,12 +44,25 @@ document.addEventListener('DOMContentLoaded', function() {
   const lastReadStat = document.getElementById('lastReadStat');
   const typeSplitStats = document.getElementById('typeSplitStats');
   const tagStatsList = document.getElementById('tagStatsList');
+  const goalRings = document.getElementById('goalRings');
+  const streakStat = document.getElementById('streakStat');
+  const readingHeatmap = document.getElementById('readingHeatmap');
+  const heatmapRange = document.getElementById('heatmapRange');
+  const patternFilter = document.getElementById('patternFilter');
+  const patternWeight = document.getElementById('patternWeight');
+  const hourChart = document.getElementById('hourChart');
+  const weekdayChart = document.getElementById('weekdayChart');
+  const seriesProgress = document.getElementById('seriesProgress');
 
   // Reading preference controls
   const dictionaryEnabled = document.getElementById('dictionaryEnabled');
   const navigatorEnabled = document.getElementById('navigatorEnabled');
 
   let currentSCPs = {};
+  let currentGoals = null;
+  let currentLog = [];
+  let currentReadingTime = {};
+  let heatmapWeeks = 12;
 
   let currentTabUrl = '';
 
@@ -96,8 +122,17 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Load and display SCPs
   function loadSCPs() {
-    storageManager.get(['readSCPs']).then(result => {
-      currentSCPs = (result && result.readSCPs) || {};
+    // History may have been changed by the background (or another device) since it was cached
+    storageManager.clearCache(['readSCPs', READING_GOALS_KEY]);
+    localStorageManager.clearCache([READING_LOG_KEY, READING_TIME_KEY]);
+    Promise.all([
+      storageManager.get(['readSCPs', READING_GOALS_KEY]),
+      localStorageManager.get([READING_LOG_KEY, READING_TIME_KEY])
+    ]).then(([result, local]) => {
+      currentSCPs = liveEntries(result && result.readSCPs);
+      currentGoals = (result && result[READING_GOALS_KEY]) || null;
+      currentLog = (local && Array.isArray(local[READING_LOG_KEY])) ? local[READING_LOG_KEY] : [];
+      currentReadingTime = (local && local[READING_TIME_KEY]) || {};
       updateSCPList(currentSCPs);
       readCount.textContent = Object.keys(currentSCPs).length;
 
@@ -116,9 +151,16 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // --- Analytics rendering (new) ---
   function renderAnalytics() {
-    const analytics = computeAnalytics(currentSCPs);
+    const analytics = computeAnalytics(currentSCPs, currentGoals, { weeks: heatmapWeeks, readingLog: currentLog, readingTime: currentReadingTime });
     if (!analytics) return;
 
+    if (goalRings) renderGoalRings(analytics.goals || []);
+    if (streakStat) renderStreak(analytics.streak);
+    if (readingHeatmap) renderHeatmap(analytics.calendar);
+    if (patternFilter) fillPatternTags((analytics.tagStats && analytics.tagStats.counts) || []);
+    if (hourChart && weekdayChart) renderTimePatterns(analytics.patterns);
+    if (seriesProgress) renderSeriesProgress(computeSeriesProgress(currentSCPs));
+
     // Last read timestamp
     if (lastReadStat) {
       const ts = analytics.lastReadTs;
@@ -133,6 +175,13 @@ document.addEventListener('DOMContentLoaded', function() {
       parts.push(`<div>SCPs: ${scp || 0} (${scpPercent || 0}%)</div>`);
       parts.push(`<div>Tales: ${tale || 0} (${talePercent || 0}%)</div>`);
       if (unknown) parts.push(`<div>Unknown: ${unknown}</div>`);
+      const { totalReads, rereadArticles } = analytics.rereads || {};
+      if (rereadArticles) parts.push(`<div>Reads: ${totalReads} (${rereadArticles} re-read)</div>`);
+      const { totalSeconds, averageSeconds } = analytics.readingTime || {};
+      if (totalSeconds) {
+        const average = averageSeconds ? ` (${formatDuration(averageSeconds)} per article read)` : '';
+        parts.push(`<div>Reading time: ${formatDuration(totalSeconds)}${average}</div>`);
+      }
       typeSplitStats.innerHTML = parts.join('');
     }
 
@@ -155,34 +204,229 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  // Update the SCP list display
-  function updateSCPList(scps) {
-    scpList.innerHTML = '';
+  // One progress ring per active goal (set up in the settings page)
+  function renderGoalRings(goals) {
+    goalRings.innerHTML = '';
+    goalRings.hidden = goals.length === 0;
+    const SVG = 'http://www.w3.org/2000/svg';
+    const radius = 16;
+    const circumference = 2 * Math.PI * radius;
+    goals.forEach((goal) => {
+      const ring = document.createElement('div');
+      ring.className = `goal-ring${goal.done ? ' done' : ''}`;
+      ring.title = describeGoalProgress(goal);
+
+      const svg = document.createElementNS(SVG, 'svg');
+      svg.setAttribute('viewBox', '0 0 40 40');
+      svg.setAttribute('width', '40');
+      svg.setAttribute('height', '40');
+      svg.setAttribute('aria-hidden', 'true');
+      const track = document.createElementNS(SVG, 'circle');
+      const bar = document.createElementNS(SVG, 'circle');
+      [track, bar].forEach((circle) => {
+        circle.setAttribute('cx', '20');
+        circle.setAttribute('cy', '20');
+        circle.setAttribute('r', String(radius));
+        svg.appendChild(circle);
+      });
+      track.setAttribute('class', 'goal-ring-track');
+      bar.setAttribute('class', 'goal-ring-bar');
+      bar.setAttribute('stroke-dasharray', `${(goal.percent / 100) * circumference} ${circumference}`);
+      bar.setAttribute('transform', 'rotate(-90 20 20)');
+
+      const value = document.createElement('span');
+      value.className = 'goal-ring-value';
+      value.textContent = `${goal.value}/${goal.target}`;
+      const label = document.createElement('span');
+      label.className = 'goal-ring-label';
+      label.textContent = `${{ daily: 'Today', weekly: 'Week', monthly: 'Month' }[goal.period]}${goal.unit === 'minutes' ? ' (min)' : ''}`;
+
+      ring.setAttribute('role', 'img');
+      ring.setAttribute('aria-label', describeGoalProgress(goal));
+      ring.appendChild(svg);
+      ring.appendChild(value);
+      ring.appendChild(label);
+      goalRings.appendChild(ring);
+    });
+  }
 
-    const searchTerm = (searchInput.value || '').toLowerCase();
-    const showSCPsChecked = showSCPs.checked;
-    const showTalesChecked = showTales.checked;
+  function renderStreak({ current, longest, graceDays }) {
+    const days = n => `${n} ${n === 1 ? 'day' : 'days'}`;
+    streakStat.textContent = `Streak: ${days(current)} · Longest: ${days(longest)}`;
+    streakStat.title = graceDays
+      ? `Up to ${days(graceDays)} without reading in a row don't break a streak`
+      : 'Read every day to keep the streak going';
+  }
 
-    const filteredSCPs = Object.entries(scps).filter(([identifier, data = {}]) => {
-      const titleLower = (data.title || '').toLowerCase();
-      const matchesSearch = (identifier || '').toLowerCase().includes(searchTerm) || titleLower.includes(searchTerm);
+  // GitHub-style calendar: one column per week, Monday on top
+  function renderHeatmap(calendar) {
+    readingHeatmap.innerHTML = '';
+    readingHeatmap.classList.toggle('wide', calendar.weeks > 12);
+    readingHeatmap.style.gridTemplateColumns = `repeat(${calendar.weeks}, 1fr)`;
+    calendar.grid.forEach((week) => {
+      week.forEach((day) => {
+        const cell = document.createElement('div');
+        cell.className = `heatmap-cell level-${day.level}${day.future ? ' future' : ''}`;
+        if (!day.future) cell.title = describeCalendarDay(day);
+        readingHeatmap.appendChild(cell);
+      });
+    });
+  }
+
+  // Top tags as extra "Reading times" filters, keeping the current choice
+  function fillPatternTags(tagCounts) {
+    const selected = patternFilter.value;
+    patternFilter.querySelectorAll('option[value^="tag:"]').forEach(option => option.remove());
+    tagCounts.slice(0, 10).forEach(({ tag }) => {
+      const option = document.createElement('option');
+      option.value = `tag:${tag}`;
+      option.textContent = `Tag: ${tag}`;
+      patternFilter.appendChild(option);
+    });
+    patternFilter.value = Array.from(patternFilter.options).some(o => o.value === selected) ? selected : '';
+  }
 
-      const isSCP = data.type === 'scp' || /^\d+$/.test(identifier);
-      const isTale = data.type === 'tale' || !/^\d+$/.test(identifier);
+  // Hour-of-day and weekday bars; the unfiltered counts come with the analytics
+  function renderTimePatterns(allPages) {
+    const [field, value] = (patternFilter?.value || '').split(/:(.*)/);
+    const weight = patternWeight?.value === 'minutes' ? 'minutes' : 'reads';
+    const patterns = field || weight !== 'reads'
+      ? computeTimePatterns(currentLog, currentSCPs, { [field]: value, weight, readingTime: currentReadingTime })
+      : allPages;
+    const describe = n => (weight === 'minutes' ? `${n} min` : `${n} ${n === 1 ? 'read' : 'reads'}`);
+    const hourLabel = h => `${String(h).padStart(2, '0')}:00`;
+    renderBarChart(hourChart, patterns.hours, patterns.hours.map((_, h) => hourLabel(h)), h => (h % 6 === 0 ? String(h) : ''), describe);
+    const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    renderBarChart(weekdayChart, patterns.weekdays, days, d => days[d].charAt(0), describe);
+  }
 
-      const typeFilter = (isSCP && showSCPsChecked) || (isTale && showTalesChecked);
+  function renderBarChart(container, values, names, axisLabel, describe) {
+    container.innerHTML = '';
+    const max = Math.max(0, ...values);
+    values.forEach((value, i) => {
+      const bar = document.createElement('div');
+      bar.className = 'bar';
+      bar.title = `${names[i]}: ${describe(value)}`;
+      const fill = document.createElement('span');
+      fill.className = 'bar-fill';
+      // 36px of bar above the 12px axis label (see .bar-chart)
+      fill.style.height = `${max ? Math.round((value / max) * 36) : 0}px`;
+      const label = document.createElement('small');
+      label.textContent = axisLabel(i);
+      bar.appendChild(fill);
+      bar.appendChild(label);
+      container.appendChild(bar);
+    });
+  }
 
-      return matchesSearch && typeFilter;
+  // One collapsible row per series and list; a series opens into a grid of its numbers
+  function renderSeriesProgress({ series, lists }) {
+    // Keep the rows the user has opened across refreshes
+    const open = new Set(Array.from(seriesProgress.querySelectorAll('details[open]')).map(d => d.dataset.key));
+    seriesProgress.innerHTML = '';
+    series.forEach((item) => {
+      const row = seriesRow(`series:${item.series}`, item.label, `${item.read}/${item.total}`, item.percent);
+      // Up to 1000 cells per series, so the grid is only built when it is opened
+      row.addEventListener('toggle', () => {
+        if (row.open && !row.querySelector('.series-grid')) row.appendChild(seriesGrid(item));
+      });
+      seriesProgress.appendChild(row);
+      if (open.has(row.dataset.key)) row.open = true;
     });
+    lists.forEach((item) => {
+      const row = seriesRow(`list:${item.list}`, item.label, `${item.read} read`, null);
+      const list = document.createElement('ul');
+      list.className = 'series-list';
+      item.pages.forEach((page) => {
+        const li = document.createElement('li');
+        li.textContent = page.label;
+        li.title = page.title;
+        list.appendChild(li);
+      });
+      if (!item.pages.length) {
+        const li = document.createElement('li');
+        li.textContent = 'None read yet';
+        list.appendChild(li);
+      }
+      row.appendChild(list);
+      seriesProgress.appendChild(row);
+      if (open.has(row.dataset.key)) row.open = true;
+    });
+  }
+
+  function seriesRow(key, label, count, percent) {
+    const row = document.createElement('details');
+    row.className = 'series-row';
+    row.dataset.key = key;
+    const summary = document.createElement('summary');
+    const name = document.createElement('span');
+    name.className = 'series-name';
+    name.textContent = label;
+    summary.appendChild(name);
+    if (percent !== null) {
+      const bar = document.createElement('span');
+      bar.className = 'series-bar';
+      const fill = document.createElement('span');
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+      summary.appendChild(bar);
+    }
+    const value = document.createElement('span');
+    value.className = 'series-count';
+    value.textContent = count;
+    summary.appendChild(value);
+    row.appendChild(summary);
+    return row;
+  }
+
+  function seriesGrid({ start, end, readNumbers }) {
+    const read = new Set(readNumbers);
+    const grid = document.createElement('div');
+    grid.className = 'series-grid';
+    for (let number = start; number <= end; number++) {
+      const id = `en:scp:${String(number).padStart(3, '0')}`;
+      const cell = document.createElement('span');
+      cell.className = read.has(number) ? 'series-cell read' : 'series-cell';
+      cell.title = `${formatPageLabel(id)}${read.has(number) ? ' (read)' : ''}`;
+      cell.addEventListener('click', () => browser.tabs.create({ url: pageUrlFromId(id) }));
+      grid.appendChild(cell);
+    }
+    return grid;
+  }
+
+  // Current search/type filter of the list, in history-export filter form
+  function currentFilter() {
+    const types = [];
+    if (showSCPs.checked) types.push('scp');
+    if (showTales.checked) types.push('tale', 'series');
+    // An unknown kind matches nothing, so unchecking both types shows nothing
+    return { search: searchInput.value || '', types: types.length ? types : ['none'] };
+  }
+
+  // Update the SCP list display
+  function updateSCPList(scps) {
+    scpList.innerHTML = '';
+
+    // Same filter the export uses for "Only what's shown"
+    const filteredSCPs = filterHistory(scps, currentFilter()).map(row => [row.id, row.entry]);
 
     // Apply sorting
     const sortField = sortBy.value;
     const ascending = sortAsc.checked;
 
+    const numberOf = (id) => {
+      const p = parsePageId(id);
+      return p && p.kind === 'scp' && p.number !== null ? p.number : Number.POSITIVE_INFINITY;
+    };
+
+    // Time measured on this device since a page's last read is not in its entry yet
+    const activeTimeOf = (id, data) => activeSecondsOf(data) + pendingSecondsOf(currentReadingTime, id);
+
     filteredSCPs.sort(([aKey, aData = {}], [bKey, bData = {}]) => {
       if (sortField === 'number') {
-        const aNum = /^\d+$/.test(aKey) ? parseInt(aKey, 10) : Number.POSITIVE_INFINITY;
-        const bNum = /^\d+$/.test(bKey) ? parseInt(bKey, 10) : Number.POSITIVE_INFINITY;
+        const aNum = numberOf(aKey);
+        const bNum = numberOf(bKey);
+        if (aNum === bNum) return ascending ? aKey.localeCompare(bKey) : bKey.localeCompare(aKey);
         return ascending ? aNum - bNum : bNum - aNum;
       }
       if (sortField === 'date') {
@@ -190,6 +434,10 @@ document.addEventListener('DOMContentLoaded', function() {
         const bTs = typeof bData.timestamp === 'number' ? bData.timestamp : 0;
         return ascending ? aTs - bTs : bTs - aTs;
       }
+      if (sortField === 'time') {
+        const diff = activeTimeOf(aKey, aData) - activeTimeOf(bKey, bData);
+        return ascending ? diff : -diff;
+      }
       // title
       const aTitle = (aData.title || '').toString();
       const bTitle = (bData.title || '').toString();
@@ -202,12 +450,8 @@ document.addEventListener('DOMContentLoaded', function() {
       const numberSpan = document.createElement('span');
       numberSpan.className = 'scp-number';
 
-      const isSCP = data.type === 'scp' || /^\d+$/.test(identifier);
-      if (isSCP) {
-        numberSpan.textContent = `SCP-${identifier}`;
-      } else {
-        numberSpan.textContent = identifier;
-      }
+      const isSCP = ((parsePageId(identifier) || {}).kind || data.type) === 'scp';
+      numberSpan.textContent = formatPageLabel(identifier);
 
       // Add visual indicator for read status
       if (!data.read) {
@@ -220,7 +464,7 @@ document.addEventListener('DOMContentLoaded', function() {
       typeSpan.textContent = isSCP ? 'SCP' : 'TALE';
 
       const titleSpan = document.createElement('span');
-      titleSpan.textContent = data.title || (isSCP ? `SCP-${identifier}` : identifier);
+      titleSpan.textContent = data.title || formatPageLabel(identifier);
       titleSpan.className = 'scp-title';
 
       const dateSpan = document.createElement('span');
@@ -228,28 +472,62 @@ document.addEventListener('DOMContentLoaded', function() {
       dateSpan.textContent = ts ? new Date(ts).toLocaleDateString() : '';
       dateSpan.className = 'scp-date';
 
+      // Re-read history: "×N" badge and first read / last re-read dates on hover
+      const reads = readCountOf(data);
+      let countSpan = null;
+      if (reads > 1) {
+        countSpan = document.createElement('span');
+        countSpan.className = 'scp-read-count';
+        countSpan.textContent = `×${reads}`;
+      }
+      if (data.read) {
+        const first = data.firstReadAt || data.timestamp;
+        const last = data.lastReadAt || data.timestamp;
+        const lines = [];
+        if (first) lines.push(`First read: ${new Date(first).toLocaleString()}`);
+        if (reads > 1 && last) lines.push(`Last re-read: ${new Date(last).toLocaleString()}`);
+        li.title = lines.join('\n');
+      }
+
+      // Active reading time over every visit (reading-timer.js)
+      const activeSeconds = activeTimeOf(identifier, data);
+      let timeSpan = null;
+      if (activeSeconds) {
+        timeSpan = document.createElement('span');
+        timeSpan.className = 'scp-reading-time';
+        timeSpan.textContent = formatDuration(activeSeconds);
+        timeSpan.title = `Active reading time: ${formatDuration(activeSeconds)}`;
+      }
+
+      // Rewritten since it was read (revision-check.js)
+      let changedSpan = null;
+      if (data.read && data.changed) {
+        changedSpan = document.createElement('span');
+        changedSpan.className = 'scp-changed';
+        changedSpan.textContent = 'Changed';
+        const details = ['Changed since you read it'];
+        if (data.changed.retitled && data.changed.title) details.push(`Now titled: ${data.changed.title}`);
+        if (data.changed.revision !== null && data.changed.revision !== undefined) details.push(`Revision ${data.changed.revision}`);
+        if (data.changed.lastEditedAt) details.push(`Last edited: ${new Date(data.changed.lastEditedAt).toLocaleString()}`);
+        changedSpan.title = details.join('\n');
+      }
+
       li.setAttribute('role', 'listitem');
       li.tabIndex = 0;
 
       li.appendChild(numberSpan);
       li.appendChild(typeSpan);
       li.appendChild(titleSpan);
+      if (countSpan) li.appendChild(countSpan);
+      if (timeSpan) li.appendChild(timeSpan);
+      if (changedSpan) li.appendChild(changedSpan);
       li.appendChild(dateSpan);
 
       // Add click to open the SCP
       li.addEventListener('click', () => {
-        if (data.url) {
-          browser.tabs.create({
-            url: data.url
-          });
-        } else if (isSCP) {
-          browser.tabs.create({
-            url: `https://scp-wiki.wikidot.com/scp-${identifier}`
-          });
-        } else {
-          browser.tabs.create({
-            url: `https://scp-wiki.wikidot.com/${identifier}`
-          });
+        const url = data.url || pageUrlFromId(identifier);
+        if (url) {
+          browser.tabs.create({ url });
         }
       });
 
@@ -272,10 +550,6 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  // Legacy series progress and general statistics removed
-  
-  
-  
   // Toggle theme
   function toggleTheme() {
     document.body.classList.toggle('light-theme');
@@ -286,13 +560,12 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Update reading preferences
   function updateReadingPreference(setting, value) {
-    browser.runtime.sendMessage({
-      action: "saveSettings",
+    sendMessage(MESSAGE_ACTIONS.SAVE_SETTINGS, {
       settings: { [setting]: value }
     }).then(() => {
       // Send message to content script to apply the setting
       browser.tabs.query({active: true, currentWindow: true}).then(tabs => {
-        if (tabs[0] && tabs[0].url.includes('scp-wiki.wikidot.com')) {
+        if (tabs[0] && isWikiUrl(tabs[0].url)) {
           browser.tabs.sendMessage(tabs[0].id, {
             action: "applySetting",
             setting: setting,
@@ -305,31 +578,22 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Mark current SCP as unread
   markUnreadButton.addEventListener('click', () => {
-    // Extract identifier from current tab URL
-    const scpMatch = currentTabUrl.match(/scp-(\d+)/i);
-    const taleMatch = currentTabUrl.match(/scp-wiki\.wikidot\.com\/(.*?)$/i);
-    
-    let identifier = null;
+    // Resolve the current tab URL to its canonical page ID
+    const identity = resolvePageIdentity(currentTabUrl);
     
-    if (scpMatch && scpMatch[1]) {
-      identifier = scpMatch[1];
-    } else if (taleMatch && taleMatch[1] && !taleMatch[1].includes('/')) {
-      identifier = taleMatch[1];
-    }
-    
-    if (identifier) {
-      storageManager.get(['readSCPs']).then(result => {
-        const readSCPs = (result && result.readSCPs) || {};
-        if (readSCPs[identifier]) {
-          delete readSCPs[identifier];
-          storageManager.set({ readSCPs }).then(() => {
-            loadSCPs();
-            showToast('Marked as unread', 'success');
-          });
+    if (identity) {
+      // The background records a tombstone so the change syncs to other devices
+      sendMessage(MESSAGE_ACTIONS.MARK_UNREAD, { id: identity.id }).then(({ changed }) => {
+        if (changed) {
+          loadSCPs();
+          showToast('Marked as unread', 'success');
         } else {
           showToast('This page is not marked as read.', 'error');
         }
-      }).catch((e) => console.error('markUnread error', e));
+      }).catch((e) => {
+        console.error('markUnread error', e);
+        showToast('Failed to mark as unread', 'error');
+      });
     } else {
       showToast('Not on an SCP or Tale page', 'error');
     }
@@ -340,10 +604,11 @@ document.addEventListener('DOMContentLoaded', function() {
     const hide = showActionToast('Clear all read items?', [
       { label: 'Cancel' },
       { label: 'Clear', variant: 'danger', onClick: () => {
-          storageManager.set({ readSCPs: {} }).then(() => {
-            loadSCPs();
+          sendMessage(MESSAGE_ACTIONS.CLEAR_HISTORY).then(() => {
             showToast('Cleared', 'success');
-          });
+          }, () => {
+            showToast('Failed to clear', 'error');
+          }).then(loadSCPs);
         } }
     ]);
     // Auto-hide after 6s if no action
@@ -353,16 +618,24 @@ document.addEventListener('DOMContentLoaded', function() {
   // Export data
   exportBtn.addEventListener('click', () => {
     storageManager.get(['readSCPs']).then(result => {
-      const data = JSON.stringify(result.readSCPs || {}, null, 2);
-      const blob = new Blob([data], {type: 'application/json'});
+      const format = (exportFormat && exportFormat.value) || 'json';
+      const filtered = !!(exportFiltered && exportFiltered.checked);
+      const { content, mime, extension, count } = buildHistoryExport(
+        result.readSCPs,
+        format,
+        filtered ? currentFilter() : {},
+        { filterDescription: filtered && searchInput.value ? `Search: "${searchInput.value}"` : '' }
+      );
+      const blob = new Blob([content], {type: mime});
       const url = URL.createObjectURL(blob);
       
       const a = document.createElement('a');
       a.href = url;
-      a.download = 'scp-reading-data.json';
+      a.download = `scp-reading-data.${extension}`;
       a.click();
       
       URL.revokeObjectURL(url);
+      showToast(`Exported ${count} entries`, 'success');
     });
   });
   
@@ -384,7 +657,8 @@ document.addEventListener('DOMContentLoaded', function() {
       showSCPs: showSCPs.checked,
       showTales: showTales.checked,
       sortBy: sortBy.value,
-      sortAsc: sortAsc.checked
+      sortAsc: sortAsc.checked,
+      heatmapWeeks
     } });
   }, 200);
   searchInput.addEventListener('input', debouncedUpdate);
@@ -398,6 +672,27 @@ document.addEventListener('DOMContentLoaded', function() {
   sortBy.addEventListener('change', debouncedUpdate);
   
   sortAsc.addEventListener('change', debouncedUpdate);
+
+  [patternFilter, patternWeight].forEach((select) => {
+    // Analytics are memoized, only the filtered patterns are recomputed
+    if (select) select.addEventListener('change', renderAnalytics);
+  });
+
+  // Heatmap range: the last 12 or 52 weeks
+  function setHeatmapWeeks(weeks) {
+    heatmapWeeks = weeks === 52 ? 52 : 12;
+    if (heatmapRange) {
+      heatmapRange.textContent = heatmapWeeks === 52 ? '12 weeks' : '52 weeks';
+      heatmapRange.setAttribute('aria-pressed', String(heatmapWeeks === 52));
+    }
+  }
+  if (heatmapRange) {
+    heatmapRange.addEventListener('click', () => {
+      setHeatmapWeeks(heatmapWeeks === 52 ? 12 : 52);
+      if (FEATURES.ENABLE_ANALYTICS) renderAnalytics();
+      debouncedUpdate();
+    });
+  }
   
   // Reading preference changes
   dictionaryEnabled.addEventListener('change', () => {
@@ -434,7 +729,11 @@ document.addEventListener('DOMContentLoaded', function() {
     if (typeof popupState.showTales === 'boolean') showTales.checked = popupState.showTales;
     if (typeof popupState.sortBy === 'string') sortBy.value = popupState.sortBy;
     if (typeof popupState.sortAsc === 'boolean') sortAsc.checked = popupState.sortAsc;
-  }).finally(() => updateSCPList(currentSCPs));
+    if (popupState.heatmapWeeks) setHeatmapWeeks(popupState.heatmapWeeks);
+  }).finally(() => {
+    updateSCPList(currentSCPs);
+    if (FEATURES.ENABLE_ANALYTICS) renderAnalytics();
+  });
 
   // Open settings page
   if (openSettingsBtn) {
@@ -448,6 +747,236 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
   
+  // --- Reading queue tab ---
+  const historyTab = document.getElementById('historyTab');
+  const queueTab = document.getElementById('queueTab');
+  const historyView = document.getElementById('historyView');
+  const queueView = document.getElementById('queueView');
+  const queueList = document.getElementById('queueList');
+  const queueCount = document.getElementById('queueCount');
+  const queueDoneList = document.getElementById('queueDoneList');
+  const queueDoneCount = document.getElementById('queueDoneCount');
+  const queueOpenNext = document.getElementById('queueOpenNext');
+  const queueClearDone = document.getElementById('queueClearDone');
+  let draggedQueueId = null;
+
+  const offlineTab = document.getElementById('offlineTab');
+  const offlineView = document.getElementById('offlineView');
+  const views = {
+    history: [historyTab, historyView],
+    queue: [queueTab, queueView],
+    offline: [offlineTab, offlineView],
+  };
+
+  function showView(view) {
+    Object.entries(views).forEach(([name, [tab, panel]]) => {
+      const active = name === view;
+      if (panel) panel.hidden = !active;
+      if (tab) tab.setAttribute('aria-selected', String(active));
+    });
+  }
+
+  // Send a queue operation to the background and re-render with the resulting queue
+  function queueRequest(action, payload = {}) {
+    return sendMessage(action, payload).then((data) => {
+      renderQueue(data.queue, data.done);
+      return data;
+    }).catch((e) => {
+      console.error('Queue request failed', e);
+      showToast('Queue update failed', 'error');
+    });
+  }
+
+  function currentQueueOrder() {
+    return Array.from(queueList.querySelectorAll('li[data-id]')).map(li => li.dataset.id);
+  }
+
+  function clearDropMarkers() {
+    queueList.querySelectorAll('.drop-before, .drop-after').forEach((el) => {
+      el.classList.remove('drop-before', 'drop-after');
+    });
+  }
+
+  function buildQueueItem(item, done) {
+    const li = document.createElement('li');
+    li.dataset.id = item.id;
+    li.setAttribute('role', 'listitem');
+
+    if (!done) {
+      const handle = document.createElement('span');
+      handle.className = 'queue-handle';
+      handle.textContent = '⋮⋮';
+      handle.setAttribute('aria-hidden', 'true');
+      li.appendChild(handle);
+      li.draggable = true;
+    }
+
+    const main = document.createElement('div');
+    main.className = 'queue-item-main';
+    const title = document.createElement('span');
+    title.className = 'queue-item-title';
+    title.textContent = item.title || formatPageLabel(item.pageId);
+    title.title = item.url;
+    title.tabIndex = 0;
+    title.addEventListener('click', () => browser.tabs.create({ url: item.url }));
+    title.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') title.click();
+    });
+    main.appendChild(title);
+
+    if (!done) {
+      const note = document.createElement('input');
+      note.type = 'text';
+      note.className = 'queue-note';
+      note.placeholder = 'Add a note…';
+      note.maxLength = 280;
+      note.value = item.note || '';
+      note.setAttribute('aria-label', `Note for ${title.textContent}`);
+      note.addEventListener('change', () => {
+        queueRequest(MESSAGE_ACTIONS.QUEUE_NOTE, { itemId: item.id, note: note.value });
+      });
+      main.appendChild(note);
+    } else if (item.doneAt) {
+      const when = document.createElement('span');
+      when.className = 'scp-date';
+      when.textContent = new Date(item.doneAt).toLocaleDateString();
+      main.appendChild(when);
+    }
+    li.appendChild(main);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove ${title.textContent} from queue`);
+    remove.addEventListener('click', () => queueRequest(MESSAGE_ACTIONS.QUEUE_REMOVE, { itemId: item.id }));
+    li.appendChild(remove);
+
+    if (!done) {
+      li.addEventListener('dragstart', (e) => {
+        draggedQueueId = item.id;
+        li.classList.add('dragging');
+        if (e.dataTransfer) e.dataTransfer.effectAllowed = 'move';
+      });
+      li.addEventListener('dragend', () => {
+        draggedQueueId = null;
+        li.classList.remove('dragging');
+        clearDropMarkers();
+      });
+      li.addEventListener('dragover', (e) => {
+        if (!draggedQueueId || draggedQueueId === item.id) return;
+        e.preventDefault();
+        const rect = li.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        clearDropMarkers();
+        li.classList.add(after ? 'drop-after' : 'drop-before');
+      });
+      li.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const dragged = draggedQueueId && queueList.querySelector(`li[data-id="${draggedQueueId}"]`);
+        if (!dragged || dragged === li) return;
+        const after = li.classList.contains('drop-after');
+        clearDropMarkers();
+        queueList.insertBefore(dragged, after ? li.nextSibling : li);
+        queueRequest(MESSAGE_ACTIONS.QUEUE_REORDER, { order: currentQueueOrder() });
+      });
+      // Keyboard reordering
+      li.addEventListener('keydown', (e) => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        e.preventDefault();
+        const sibling = e.key === 'ArrowUp' ? li.previousElementSibling : li.nextElementSibling;
+        if (!sibling) return;
+        queueList.insertBefore(li, e.key === 'ArrowUp' ? sibling : sibling.nextSibling);
+        queueRequest(MESSAGE_ACTIONS.QUEUE_REORDER, { order: currentQueueOrder() }).then(() => {
+          const moved = queueList.querySelector(`li[data-id="${item.id}"] .queue-item-title`);
+          if (moved) moved.focus();
+        });
+      });
+    }
+    return li;
+  }
+
+  function renderQueue(queue, done) {
+    if (!queueList) return;
+    queueList.innerHTML = '';
+    queue.forEach(item => queueList.appendChild(buildQueueItem(item, false)));
+    if (queue.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'Queue is empty — add pages from link previews';
+      li.style.color = '#888';
+      queueList.appendChild(li);
+    }
+    if (queueCount) queueCount.textContent = queue.length;
+    if (queueOpenNext) queueOpenNext.disabled = queue.length === 0;
+
+    if (queueDoneList) {
+      queueDoneList.innerHTML = '';
+      done.forEach(item => queueDoneList.appendChild(buildQueueItem(item, true)));
+    }
+    if (queueDoneCount) queueDoneCount.textContent = done.length;
+    if (queueClearDone) queueClearDone.disabled = done.length === 0;
+  }
+
+  // --- Offline archive tab ---
+  const offlineList = document.getElementById('offlineList');
+  const offlineCount = document.getElementById('offlineCount');
+  const openArchive = document.getElementById('openArchive');
+  const archivePage = url => browser.runtime.getURL(`pages/archive/archive.html${url ? `?url=${encodeURIComponent(url)}` : ''}`);
+
+  function renderOffline(pages) {
+    if (!offlineList) return;
+    offlineList.innerHTML = '';
+    pages.forEach((page) => {
+      const li = document.createElement('li');
+      const title = document.createElement('span');
+      title.className = 'queue-item-title';
+      title.textContent = page.title || formatPageLabel(page.pageId);
+      title.title = page.url;
+      title.tabIndex = 0;
+      title.addEventListener('click', () => browser.tabs.create({ url: archivePage(page.url) }));
+      title.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') title.click();
+      });
+      const when = document.createElement('span');
+      when.className = 'scp-date';
+      when.textContent = new Date(page.savedAt).toLocaleDateString();
+      li.append(title, when);
+      offlineList.appendChild(li);
+    });
+    if (pages.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'No saved articles — turn on offline reading in Settings';
+      li.style.color = '#888';
+      offlineList.appendChild(li);
+    }
+    if (offlineCount) offlineCount.textContent = pages.length;
+  }
+
+  function loadOffline() {
+    new OfflineArchive().list().then(renderOffline).catch((e) => {
+      console.error('Failed to list offline articles', e);
+      renderOffline([]);
+    });
+  }
+
+  if (historyTab) historyTab.addEventListener('click', () => showView('history'));
+  if (queueTab) queueTab.addEventListener('click', () => showView('queue'));
+  if (offlineTab) offlineTab.addEventListener('click', () => showView('offline'));
+  if (openArchive) openArchive.addEventListener('click', () => browser.tabs.create({ url: archivePage() }));
+  if (queueOpenNext) {
+    queueOpenNext.addEventListener('click', () => {
+      sendMessage(MESSAGE_ACTIONS.QUEUE_OPEN_NEXT).catch((e) => {
+        showToast(e.code === 'queue_empty' ? 'Queue is empty' : 'Failed to open', 'error');
+      });
+    });
+  }
+  if (queueClearDone) queueClearDone.addEventListener('click', () => queueRequest(MESSAGE_ACTIONS.QUEUE_CLEAR_DONE));
+
   // Initial load
   loadSCPs();
+  queueRequest(MESSAGE_ACTIONS.QUEUE_LIST);
+  if (FEATURES.ENABLE_OFFLINE) {
+    loadOffline();
+  } else if (offlineTab) {
+    offlineTab.hidden = true;
+  }
 });
\ No newline at end of file
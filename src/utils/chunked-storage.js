@@ -0,0 +1,194 @@
+"use strict";
+
+// Transparent sharding for large map-shaped values (e.g. readSCPs) in storage.sync.
+//
+// storage.sync limits each item to QUOTA_BYTES_PER_ITEM (8 KB in Chrome), so a single
+// `readSCPs` object stops fitting after a few hundred entries. A chunked key is stored as:
+//   `<key>__manifest` -> { version: 1, count }
+//   `<key>__0` ... `<key>__<count-1>` -> plain objects holding a subset of the entries
+// Entries are assigned to shards by a stable hash of their key, so changing one entry only
+// rewrites the shard that holds it. The shard count doubles when any shard outgrows the limit.
+//
+// storage.sync also caps the whole area at QUOTA_BYTES (102,400 bytes in Chrome), so a chunked
+// value gets a total budget below that, leaving room for the other synced keys. A value over
+// its budget is not written at all: planChunkedWrite rejects with a ChunkQuotaError.
+
+const MANIFEST_VERSION = 1;
+
+const SYNC_QUOTA_BYTES = 102400;
+
+const CHUNK_DEFAULTS = {
+  maxShardBytes: 7168, // headroom below the 8192-byte per-item quota (key + JSON value)
+  maxShards: 64,
+  maxTotalBytes: SYNC_QUOTA_BYTES - 16384 // manifest and shards; the rest is left to the other keys
+};
+
+/**
+ * A chunked value does not fit its storage budget; nothing of it was written.
+ */
+class ChunkQuotaError extends Error {
+  /**
+   * @param {string} key
+   * @param {number} bytes - size the value needs (keys + JSON values)
+   * @param {number} limit - its budget
+   */
+  constructor(key, bytes, limit) {
+    super(`"${key}" is too large to store: ${bytes} bytes, over its budget of ${limit}`);
+    this.name = 'ChunkQuotaError';
+    this.code = 'quota_exceeded';
+    this.key = key;
+    this.bytes = bytes;
+    this.limit = limit;
+  }
+}
+
+function manifestKey(key) {
+  return `${key}__manifest`;
+}
+
+function shardKey(key, index) {
+  return `${key}__${index}`;
+}
+
+// True for the manifest and shard keys that make up a chunked key
+function isChunkPartKey(key, candidate) {
+  return candidate === manifestKey(key) || new RegExp(`^${key}__\\d+$`).test(candidate);
+}
+
+// 32-bit FNV-1a; stable across browsers so every device assigns entries identically
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+// UTF-8 byte length of a string (storage quotas count bytes)
+function utf8Length(str) {
+  let bytes = 0;
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    if (c < 0x80) bytes += 1;
+    else if (c < 0x800) bytes += 2;
+    else if (c >= 0xd800 && c <= 0xdbff) { bytes += 4; i++; }
+    else bytes += 3;
+  }
+  return bytes;
+}
+
+// JSON with sorted object keys, so equal shards compare equal regardless of insertion order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function splitIntoShards(map, count) {
+  const shards = Array.from({ length: count }, () => ({}));
+  Object.keys(map || {}).sort().forEach((k) => {
+    shards[hashString(k) % count][k] = map[k];
+  });
+  return shards;
+}
+
+/**
+ * Read a chunked key, reassembling its shards.
+ * Falls back to a legacy unsharded value stored directly under `key`.
+ * @param {Object} area - browser.storage.sync / local
+ * @param {string} key
+ * @returns {Promise<{value: Object|undefined, count: number, shards: Object[]}>}
+ */
+async function readChunked(area, key) {
+  const res = (await area.get([manifestKey(key), key])) || {};
+  const manifest = res[manifestKey(key)];
+  if (!manifest || !Number.isInteger(manifest.count) || manifest.count < 1) {
+    return { value: res[key], count: 0, shards: [] };
+  }
+  const keys = Array.from({ length: manifest.count }, (_, i) => shardKey(key, i));
+  const stored = (await area.get(keys)) || {};
+  const shards = keys.map(k => (stored[k] && typeof stored[k] === 'object') ? stored[k] : {});
+  const value = Object.assign({}, ...shards);
+  return { value, count: manifest.count, shards };
+}
+
+// Bytes an item counts towards the quota: its key plus its JSON value
+function itemBytes(key, value) {
+  return utf8Length(key) + utf8Length(JSON.stringify(value));
+}
+
+/**
+ * Compute the minimal set of writes/removals to store `value` under a chunked key.
+ * Only shards whose serialized content differs from what is stored are written.
+ * Rejects with a ChunkQuotaError when the value does not fit the budget.
+ * @param {Object} area
+ * @param {string} key
+ * @param {Object} value
+ * @param {Object} [options] - { maxShardBytes, maxShards, maxTotalBytes }
+ * @returns {Promise<{set: Object, remove: string[]}>}
+ */
+async function planChunkedWrite(area, key, value, options = {}) {
+  const { maxShardBytes, maxShards, maxTotalBytes } = { ...CHUNK_DEFAULTS, ...options };
+  const current = await readChunked(area, key);
+  const map = (value && typeof value === 'object') ? value : {};
+
+  let count = Math.max(1, current.count);
+  let shards = splitIntoShards(map, count);
+  const tooBig = s => utf8Length(JSON.stringify(s)) + utf8Length(shardKey(key, count)) > maxShardBytes;
+  while (count < maxShards && shards.some(tooBig)) {
+    count *= 2;
+    shards = splitIntoShards(map, count);
+  }
+  const manifest = { version: MANIFEST_VERSION, count };
+  const bytes = shards.reduce((sum, shard, i) => sum + itemBytes(shardKey(key, i), shard), itemBytes(manifestKey(key), manifest));
+  if (bytes > maxTotalBytes || shards.some(tooBig)) throw new ChunkQuotaError(key, bytes, maxTotalBytes);
+
+  const set = {};
+  const remove = [];
+  shards.forEach((shard, i) => {
+    const prev = current.count === count ? current.shards[i] : undefined;
+    if (!prev || stableStringify(prev) !== stableStringify(shard)) {
+      set[shardKey(key, i)] = shard;
+    }
+  });
+  if (current.count !== count) {
+    set[manifestKey(key)] = manifest;
+    for (let i = count; i < current.count; i++) remove.push(shardKey(key, i));
+  }
+  if (current.count === 0 && current.value !== undefined) {
+    // Legacy single-item value is superseded by the shards
+    remove.push(key);
+  }
+  return { set, remove };
+}
+
+/**
+ * Store a value under a chunked key, writing only changed shards.
+ * @param {Object} area
+ * @param {string} key
+ * @param {Object} value
+ * @param {Object} [options]
+ * @returns {Promise<{written: string[], removed: string[]}>}
+ */
+async function writeChunked(area, key, value, options = {}) {
+  const { set, remove } = await planChunkedWrite(area, key, value, options);
+  if (Object.keys(set).length) await area.set(set);
+  if (remove.length) await area.remove(remove);
+  return { written: Object.keys(set), removed: remove };
+}
+
+module.exports = {
+  CHUNK_DEFAULTS,
+  ChunkQuotaError,
+  manifestKey,
+  shardKey,
+  isChunkPartKey,
+  readChunked,
+  planChunkedWrite,
+  writeChunked,
+  stableStringify,
+  utf8Length
+};
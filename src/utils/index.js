@@ -3,6 +3,8 @@
  * Centralizes all shared utilities and functionality across the extension
  */
 
+const { readChunked, planChunkedWrite, isChunkPartKey, ChunkQuotaError } = require('./chunked-storage.js');
+
 // Logger utility for consistent logging across the extension
 class Logger {
   constructor() {
@@ -714,6 +716,8 @@ class StorageManager {
       retryDelay: 1000,
       compression: false,
       encryption: false,
+      // Map-shaped keys transparently sharded across several items (sync per-item quota)
+      chunkedKeys: type === 'sync' ? ['readSCPs'] : [],
       ...options
     };
 
@@ -759,7 +763,13 @@ class StorageManager {
       // Fetch missing keys from storage with retry
       if (missingKeys.length > 0) {
         const storage = this.config.type === 'sync' ? browser.storage.sync : browser.storage.local;
-        const storageResult = (await this._retry(() => storage.get(missingKeys))) || {};
+        const plainKeys = missingKeys.filter(k => !this._isChunked(k));
+        const storageResult = plainKeys.length ? ((await this._retry(() => storage.get(plainKeys))) || {}) : {};
+        // Chunked keys are reassembled from their shards
+        for (const key of missingKeys.filter(k => this._isChunked(k))) {
+          const { value } = await this._retry(() => readChunked(storage, key));
+          if (value !== undefined) storageResult[key] = value;
+        }
 
         // Decrypt/decompress if enabled
         const processed = {};
@@ -797,10 +807,10 @@ class StorageManager {
     
     // Add to pending writes
     Object.entries(items).forEach(([key, value]) => {
-      // Apply compression/encryption if enabled before writing
+      // Apply compression/encryption if enabled before writing (chunked keys are stored as-is)
       let val = value;
-      if (this.config.compression) val = this._compress(val);
-      if (this.config.encryption) val = this._encrypt(val);
+      if (this.config.compression && !this._isChunked(key)) val = this._compress(val);
+      if (this.config.encryption && !this._isChunked(key)) val = this._encrypt(val);
       this.pendingWrites.set(key, val);
       // Cache stores original value for fast reads
       this._cacheSet(key, value);
@@ -829,10 +839,24 @@ class StorageManager {
     const items = Object.fromEntries(this.pendingWrites);
     
     try {
-      await storage.set(items);
-      this.pendingWrites.clear();
+      const { set, remove } = await this._expandChunkedWrites(storage, items);
+      if (Object.keys(set).length) await storage.set(set);
+      if (remove.length) await storage.remove(remove);
+      // Keep writes queued while this flush was in progress
+      Object.entries(items).forEach(([key, value]) => {
+        if (this.pendingWrites.get(key) === value) this.pendingWrites.delete(key);
+      });
       return Promise.resolve();
     } catch (error) {
+      // A chunked value over its budget would fail the same way on every flush: drop it (and
+      // its cached copy) and write the rest
+      if (error instanceof ChunkQuotaError) {
+        if (this.pendingWrites.get(error.key) === items[error.key]) this.pendingWrites.delete(error.key);
+        this.cache.delete(error.key);
+        this.cacheTimes.delete(error.key);
+        await this.flush();
+        throw error;
+      }
       // Handle quota exceeded error
       if (error.name === 'QuotaExceededError') {
         await this.handleQuotaExceeded(items);
@@ -845,9 +869,9 @@ class StorageManager {
   async handleQuotaExceeded(items) {
     const storage = this.config.type === 'sync' ? browser.storage.sync : browser.storage.local;
     
-    // Get all keys to determine what to remove
+    // Get all keys to determine what to remove (never evict parts of chunked values)
     const allKeys = await storage.get(null);
-    const keys = Object.keys(allKeys);
+    const keys = Object.keys(allKeys).filter(k => !this._isChunked(k) && !this._isChunkPart(k));
     
     // No reliable timestamps; just remove a slice of keys
     keys.sort();
@@ -868,7 +892,9 @@ class StorageManager {
     const remainingItems = Object.fromEntries(
       Array.from(this.pendingWrites.entries()).slice(0, this.maxBatchSize)
     );
-    await storage.set(remainingItems);
+    const { set, remove } = await this._expandChunkedWrites(storage, remainingItems);
+    await storage.set(set);
+    if (remove.length) await storage.remove(remove);
     this.pendingWrites.clear();
   }
   
@@ -949,6 +975,30 @@ class StorageManager {
     s.total += s.last;
   }
 
+  _isChunked(key) {
+    return Array.isArray(this.config.chunkedKeys) && this.config.chunkedKeys.includes(key);
+  }
+
+  _isChunkPart(key) {
+    return (this.config.chunkedKeys || []).some(base => isChunkPartKey(base, key));
+  }
+
+  // Replace chunked keys in a write payload with their changed shards
+  async _expandChunkedWrites(storage, items) {
+    const set = {};
+    const remove = [];
+    for (const [key, value] of Object.entries(items)) {
+      if (!this._isChunked(key)) {
+        set[key] = value;
+        continue;
+      }
+      const plan = await planChunkedWrite(storage, key, value);
+      Object.assign(set, plan.set);
+      remove.push(...plan.remove);
+    }
+    return { set, remove };
+  }
+
   _cacheSet(key, value) {
     // Enforce cache size
     if (!this.cache.has(key) && this.cache.size >= this.config.cacheSize) {
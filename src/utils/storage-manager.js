@@ -2,6 +2,8 @@
 
 // StorageManager implementation aligned with tests in tests/utils/storage-manager.test.js
 
+const { readChunked, planChunkedWrite, isChunkPartKey, ChunkQuotaError } = require('./chunked-storage.js');
+
 class StorageManager {
   constructor(type = 'sync', options = {}) {
     this.config = Object.assign(
@@ -14,6 +16,8 @@ class StorageManager {
         retryDelay: 1000,
         compression: false,
         encryption: false,
+        // Map-shaped keys transparently sharded across several items (sync per-item quota)
+        chunkedKeys: (type || 'sync') === 'sync' ? ['readSCPs'] : [],
       },
       options
     );
@@ -130,6 +134,8 @@ class StorageManager {
         return await fn();
       } catch (e) {
         lastErr = e;
+        // A value over its budget fails the same way every time
+        if (e instanceof ChunkQuotaError) break;
         if (attempt < this.config.maxRetries - 1) {
           // Under Jest, avoid waiting on real timers which can hang when fake timers are active
           const isJest = typeof process !== 'undefined' && process.env && process.env.JEST_WORKER_ID;
@@ -192,7 +198,15 @@ class StorageManager {
       }
 
       if (missing.length > 0) {
-        const fetched = await this._retry(() => this._storage().get(missing));
+        const plain = missing.filter(k => !this._isChunked(k));
+        const fetched = plain.length ? ((await this._retry(() => this._storage().get(plain))) || {}) : {};
+        for (const k of missing.filter(m => this._isChunked(m))) {
+          const { value } = await this._retry(() => readChunked(this._storage(), k));
+          if (value !== undefined) {
+            results[k] = value;
+            this._touchCache(k, value);
+          }
+        }
         for (const [k, v] of Object.entries(fetched || {})) {
           let val = v;
           if (this.config.encryption) val = this._decrypt(val);
@@ -230,7 +244,7 @@ class StorageManager {
           for (const [k, v] of this.pendingWrites.entries()) payload[k] = v;
           await this._retry(async () => {
             if (this.pendingWrites.size === 0) return;
-            await this._storage().set(payload);
+            await this._writePayload(payload);
           });
           this.pendingWrites.clear();
         }
@@ -238,6 +252,11 @@ class StorageManager {
         resolve();
       } catch (e) {
         this._updateStats('set', start, false);
+        // Drop a chunked value over its budget so it does not fail every later batch
+        if (e instanceof ChunkQuotaError) {
+          this.pendingWrites.delete(e.key);
+          this._touchCache(e.key, undefined);
+        }
         reject(e);
       } finally {
         // allow future batches
@@ -265,6 +284,12 @@ class StorageManager {
     // Apply compression/encryption stubs and update cache immediately
     let idx = 1;
     for (const [k, v] of Object.entries(obj || {})) {
+      // Chunked keys are written as-is; their shards are derived at flush time
+      if (this._isChunked(k)) {
+        this.pendingWrites.set(k, v);
+        this._touchCache(k, v);
+        continue;
+      }
       let val = v;
       if (this.config.compression) val = this._compress(val);
       if (this.config.encryption) val = this._encrypt(val);
@@ -276,11 +301,39 @@ class StorageManager {
     return this._scheduleBatch();
   }
 
+  _isChunked(key) {
+    return Array.isArray(this.config.chunkedKeys) && this.config.chunkedKeys.includes(key);
+  }
+
+  // Write a payload, replacing chunked keys with their changed shards
+  async _writePayload(payload) {
+    const set = {};
+    const remove = [];
+    for (const [k, v] of Object.entries(payload)) {
+      if (!this._isChunked(k)) {
+        set[k] = v;
+        continue;
+      }
+      const plan = await planChunkedWrite(this._storage(), k, v);
+      Object.assign(set, plan.set);
+      remove.push(...plan.remove);
+    }
+    if (Object.keys(set).length) await this._storage().set(set);
+    if (remove.length) await this._storage().remove(remove);
+  }
+
   async remove(keys) {
     const start = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
     try {
-      await this._storage().remove(keys);
+      // Removing a chunked key removes its manifest and shards as well
       const keyArray = Array.isArray(keys) ? keys : [keys];
+      const chunked = keyArray.filter(k => this._isChunked(k));
+      if (chunked.length) {
+        const all = (await this._storage().get(null)) || {};
+        const parts = Object.keys(all).filter(k => chunked.some(base => isChunkPartKey(base, k)));
+        if (parts.length) await this._storage().remove(parts);
+      }
+      await this._storage().remove(keys);
       keyArray.forEach(k => this._touchCache(k, undefined));
       this._updateStats('remove', start, true);
     } catch (e) {
@@ -315,7 +368,7 @@ class StorageManager {
       const payload = {};
       for (const [k, v] of this.pendingWrites.entries()) payload[k] = v;
       this.pendingWrites.clear();
-      await this._storage().set(payload);
+      await this._writePayload(payload);
       this._updateStats('flush', start, true);
     } catch (e) {
       this._updateStats('flush', start, false);
@@ -0,0 +1,78 @@
+/* eslint-env jest */
+import {
+  ANALYTICS_EVENTS_KEY,
+  EVENT_RETENTION_KEY,
+  normalizeRetention,
+  applyRetention,
+  eventAction,
+  eventPage,
+  filterEvents,
+  groupEvents,
+  eventsToCSV,
+} from '../src/modules/analytics-events.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(2024, 4, 15, 15, 30).getTime();
+const at = (day, hour = 12) => new Date(2024, 4, day, hour).getTime();
+const event = (action, ts, url = 'https://scp-wiki.wikidot.com/scp-173?x=1#top', extra = {}) => ({ action, ts, sender: { tabId: 4, url }, ...extra });
+
+describe('analytics events', () => {
+  test('normalizes retention settings', () => {
+    expect([ANALYTICS_EVENTS_KEY, EVENT_RETENTION_KEY]).toEqual(['analyticsEvents', 'analyticsEventRetention']);
+    expect(normalizeRetention(undefined)).toEqual({ maxEvents: 500, maxAgeDays: 0 });
+    expect(normalizeRetention({ maxEvents: 10, maxAgeDays: '30' })).toEqual({ maxEvents: 50, maxAgeDays: 30 });
+    expect(normalizeRetention({ maxEvents: 1e6, maxAgeDays: -1 })).toEqual({ maxEvents: 5000, maxAgeDays: 0 });
+  });
+
+  test('retention drops old, malformed and surplus events', () => {
+    const events = [event('a', now - 40 * DAY), null, { action: 'no-ts' }];
+    for (let i = 0; i < 60; i++) events.push(event('b', now - (60 - i) * 1000));
+    expect(applyRetention(events, { maxEvents: 500, maxAgeDays: 30 }, now)).toHaveLength(60);
+    expect(applyRetention(events, { maxEvents: 500, maxAgeDays: 0 }, now)).toHaveLength(61);
+    const capped = applyRetention(events, { maxEvents: 50, maxAgeDays: 0 }, now);
+    expect(capped).toHaveLength(50);
+    expect(capped[49].ts).toBe(now - 1000);
+  });
+
+  test('derives the action and the tab page', () => {
+    expect(eventAction({ action: 'open' })).toBe('open');
+    expect(eventAction({ name: 'click' })).toBe('click');
+    expect(eventAction({})).toBe('unknown');
+    expect(eventPage(event('a', now))).toBe('https://scp-wiki.wikidot.com/scp-173');
+    expect(eventPage({ sender: { url: null } })).toBe('');
+  });
+
+  test('filters by action, URL and date, newest first', () => {
+    const events = [
+      event('open', at(13)),
+      event('open', at(14), 'https://scp-wiki.wikidot.com/scp-096'),
+      event('close', at(15)),
+    ];
+    expect(filterEvents(events).map(e => e.ts)).toEqual([at(15), at(14), at(13)]);
+    expect(filterEvents(events, { action: 'open' })).toHaveLength(2);
+    expect(filterEvents(events, { url: 'SCP-096' }).map(e => e.ts)).toEqual([at(14)]);
+    expect(filterEvents(events, { from: at(14, 0), to: at(14, 23) }).map(e => e.ts)).toEqual([at(14)]);
+  });
+
+  test('groups by action, URL and day', () => {
+    const events = [
+      event('open', at(14, 9)),
+      event('open', at(14, 20), null),
+      event('close', at(13)),
+    ];
+    expect(groupEvents(events, 'action')).toEqual([{ key: 'open', count: 2 }, { key: 'close', count: 1 }]);
+    expect(groupEvents(events, 'url')).toEqual([
+      { key: 'https://scp-wiki.wikidot.com/scp-173', count: 2 },
+      { key: '(extension page)', count: 1 },
+    ]);
+    expect(groupEvents(events, 'day')).toEqual([{ key: '2024-05-13', count: 1 }, { key: '2024-05-14', count: 2 }]);
+    expect(groupEvents(events, 'nope')).toEqual([]);
+  });
+
+  test('exports CSV with the event data as JSON', () => {
+    const csv = eventsToCSV([event('open', Date.UTC(2024, 4, 15, 12), 'https://scp-wiki.wikidot.com/scp-173', { label: '=x' })]);
+    const [header, row] = csv.trim().split('\r\n');
+    expect(header).toBe('time,action,tab_url,tab_id,data');
+    expect(row).toBe('2024-05-15T12:00:00.000Z,open,https://scp-wiki.wikidot.com/scp-173,4,"{""action"":""open"",""label"":""=x""}"');
+  });
+});
@@ -0,0 +1,191 @@
+/* eslint-env jest */
+import { computeAnalytics, computeTimePatterns, describeCalendarDay } from '../src/modules/analytics.js';
+
+// Wednesday 2024-05-15 15:30 UTC
+const now = Date.UTC(2024, 4, 15, 15, 30);
+const at = (day, hour = 12) => Date.UTC(2024, 4, day, hour);
+const utc = (readSCPs, options = {}, goals) => computeAnalytics(readSCPs, goals, { timeZone: 'UTC', now, ...options });
+
+function dayOf(calendar, date) {
+  return calendar.grid.flat().find(day => day.date === date);
+}
+
+describe('analytics streaks', () => {
+  test('counts the current and longest run of reading days', () => {
+    const readSCPs = {
+      'en:scp:001': { read: true, title: 'Past Streak', firstReadAt: at(1), lastReadAt: at(3) },
+      'en:scp:002': { read: true, title: 'Two', lastReadAt: at(2) },
+      'en:scp:173': { read: true, title: 'The Sculpture', lastReadAt: at(13) },
+      'en:scp:096': { read: true, title: 'The "Shy Guy"', lastReadAt: at(14) },
+      'en:scp:682': { read: true, title: 'Hard-to-Destroy Reptile', timestamp: at(15, 9) },
+    };
+    expect(utc(readSCPs).streak).toEqual({ current: 3, longest: 3, graceDays: 0 });
+  });
+
+  test('keeps the current streak alive until today is over', () => {
+    const readSCPs = {
+      'en:scp:173': { read: true, lastReadAt: at(13) },
+      'en:scp:096': { read: true, lastReadAt: at(14) },
+    };
+    expect(utc(readSCPs).streak.current).toBe(2);
+    expect(utc(readSCPs, { now: Date.UTC(2024, 4, 16, 8) }).streak).toMatchObject({ current: 0, longest: 2 });
+  });
+
+  test('grace days bridge missed days without counting them', () => {
+    const readSCPs = {
+      'en:scp:173': { read: true, lastReadAt: at(10) },
+      'en:scp:096': { read: true, lastReadAt: at(12) },
+      'en:scp:682': { read: true, lastReadAt: at(13) },
+    };
+    expect(utc(readSCPs).streak).toMatchObject({ current: 0, longest: 2 });
+    expect(utc(readSCPs, {}, { streak: { graceDays: 1 } }).streak).toEqual({ current: 3, longest: 3, graceDays: 1 });
+  });
+
+  test('counts days in the given time zone', () => {
+    // 23:30 UTC on the 13th is already the 14th in Tokyo
+    const readSCPs = {
+      'en:scp:173': { read: true, lastReadAt: Date.UTC(2024, 4, 13, 23, 30) },
+      'en:scp:096': { read: true, lastReadAt: at(15, 2) },
+    };
+    expect(utc(readSCPs).streak.current).toBe(1);
+    expect(computeAnalytics(readSCPs, null, { timeZone: 'Asia/Tokyo', now }).streak.current).toBe(2);
+  });
+
+  test('ignores unread and deleted entries', () => {
+    const readSCPs = {
+      'en:scp:173': { read: false, detected: true, timestamp: at(15) },
+      'en:scp:096': { read: true, deleted: true, lastReadAt: at(15) },
+    };
+    expect(utc(readSCPs).streak).toMatchObject({ current: 0, longest: 0 });
+  });
+});
+
+describe('analytics calendar', () => {
+  const readSCPs = {
+    'en:scp:173': { read: true, title: 'The Sculpture', firstReadAt: at(6), lastReadAt: at(15) },
+    'en:scp:096': { read: true, title: 'The "Shy Guy"', lastReadAt: at(15) },
+    'en:scp:682': { read: true, lastReadAt: at(14) },
+  };
+
+  test('builds a Monday-first grid ending with the current week', () => {
+    const { calendar } = utc(readSCPs);
+    expect(calendar.weeks).toBe(12);
+    expect(calendar.grid).toHaveLength(12);
+    expect(calendar.grid.every(week => week.length === 7)).toBe(true);
+    expect(calendar.labels[11]).toBe('2024-05-13');
+    expect(calendar.grid[11][2].date).toBe('2024-05-15');
+    expect(calendar.grid[11][3].future).toBe(true);
+    expect(calendar.max).toBe(2);
+
+    expect(utc(readSCPs, { weeks: 52 }).calendar.grid).toHaveLength(52);
+  });
+
+  test('lists the pages read on each day, first and latest reads included', () => {
+    const { calendar } = utc(readSCPs);
+    expect(dayOf(calendar, '2024-05-15')).toMatchObject({ count: 2, level: 4 });
+    expect(dayOf(calendar, '2024-05-06').pages).toEqual([{ id: 'en:scp:173', title: 'The Sculpture' }]);
+    expect(dayOf(calendar, '2024-05-14')).toMatchObject({ count: 1, level: 2, pages: [{ id: 'en:scp:682', title: 'SCP-682' }] });
+    expect(dayOf(calendar, '2024-05-07')).toMatchObject({ count: 0, level: 0 });
+  });
+
+  test('describes a day for its tooltip', () => {
+    const { calendar } = utc(readSCPs);
+    expect(describeCalendarDay(dayOf(calendar, '2024-05-15'))).toBe('2024-05-15: 2 pages\n• The Sculpture\n• The "Shy Guy"');
+    expect(describeCalendarDay(dayOf(calendar, '2024-05-07'))).toBe('2024-05-07: nothing read');
+    expect(describeCalendarDay(dayOf(calendar, '2024-05-15'), { limit: 1 })).toBe('2024-05-15: 2 pages\n• The Sculpture\n…and 1 more');
+  });
+});
+
+describe('analytics time patterns', () => {
+  const readSCPs = {
+    'en:scp:173': { read: true, type: 'scp', tags: ['euclid'], lastReadAt: at(15, 9) },
+    'en:scp:096': { read: true, type: 'scp', tags: ['Euclid', 'humanoid'], firstReadAt: at(12, 22), lastReadAt: at(13, 22), minutes: 15 },
+    'en:tale:foo': { read: true, type: 'tale', lastReadAt: at(14, 9) },
+  };
+  const readingLog = [
+    { id: 'en:scp:173', type: 'visit', ts: at(15, 8) },
+    { id: 'en:scp:173', type: 'read', ts: at(13, 8), minutes: 10 },
+    { id: 'en:scp:173', type: 'reread', ts: at(15, 9), minutes: 12 },
+    { id: 'en:tale:foo', type: 'manual', kind: 'tale', ts: at(14, 9) },
+  ];
+
+  test('counts logged reads and falls back to synced read dates', () => {
+    const { hours, weekdays, total } = computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC' });
+    expect(total).toBe(5);
+    expect(hours[8]).toBe(1);
+    expect(hours[9]).toBe(2);
+    expect(hours[22]).toBe(2);
+    // Sunday 12th, Monday 13th (x2), Tuesday 14th, Wednesday 15th
+    expect(weekdays).toEqual([2, 1, 1, 0, 0, 0, 1]);
+  });
+
+  test('filters by type or tag and weights by minutes', () => {
+    expect(computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC', type: 'tale' }).total).toBe(1);
+    expect(computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC', tag: 'euclid' }).total).toBe(4);
+    expect(computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC', tag: 'humanoid' }).hours[22]).toBe(2);
+    const minutes = computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC', weight: 'minutes' });
+    expect(minutes.total).toBe(37);
+    expect(minutes.hours[22]).toBe(15);
+  });
+
+  test('weights by measured active time where there is one', () => {
+    const readingTime = {
+      'en:scp:173': { pending: 30, hours: { [at(15, 20)]: 90, [at(15, 21)]: 30 } },
+      // Not tracked: left out
+      'en:scp:999': { pending: 60, hours: { [at(15, 20)]: 60 } },
+    };
+    const minutes = computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC', weight: 'minutes', readingTime });
+    // SCP-173's estimates (10 + 12) are replaced by its 2 measured minutes
+    expect(minutes.total).toBe(17);
+    expect(minutes.hours[20]).toBe(1.5);
+    expect(minutes.hours[21]).toBe(0.5);
+    expect(computeTimePatterns(readingLog, readSCPs, { timeZone: 'UTC', readingTime }).total).toBe(5);
+  });
+
+  test('ignores logged reads of pages cleared or marked unread since', () => {
+    const history = {
+      'en:scp:173': { deleted: true },
+      'en:scp:096': { read: true, firstReadAt: at(15, 9), lastReadAt: at(15, 9) },
+    };
+    const log = [
+      { id: 'en:scp:173', type: 'read', ts: at(13, 8) },
+      { id: 'en:scp:049', type: 'read', ts: at(13, 8) },
+      { id: 'en:scp:096', type: 'read', ts: at(12, 22) },
+      { id: 'en:scp:096', type: 'reread', ts: at(15, 9) },
+    ];
+    const { hours, total } = computeTimePatterns(log, history, { timeZone: 'UTC' });
+    expect(total).toBe(1);
+    expect(hours[9]).toBe(1);
+  });
+
+  test('are part of the analytics', () => {
+    const analytics = utc(readSCPs, { readingLog });
+    expect(analytics.patterns.total).toBe(5);
+    expect(analytics.hours).toBe(analytics.patterns.hours);
+    expect(computeTimePatterns([], {}).hours).toEqual(new Array(24).fill(0));
+  });
+});
+
+describe('analytics reading time', () => {
+  test('totals active time and averages it over read pages', () => {
+    const { readingTime } = utc({
+      'en:scp:173': { read: true, title: 'The Sculpture', lastReadAt: at(15), activeSeconds: 600 },
+      'en:scp:096': { read: true, lastReadAt: at(14), activeSeconds: 300 },
+      'en:scp:682': { read: false, detected: true, timestamp: at(15), activeSeconds: 1200 },
+      'en:scp:049': { read: true, lastReadAt: at(13) },
+    });
+    expect(readingTime).toMatchObject({ totalSeconds: 2100, pages: 3, averageSeconds: 450 });
+    expect(readingTime.longest.map(p => [p.id, p.seconds])).toEqual([['en:scp:682', 1200], ['en:scp:173', 600], ['en:scp:096', 300]]);
+    expect(readingTime.longest[1].title).toBe('The Sculpture');
+  });
+
+  test('adds time measured on this device since the last read', () => {
+    const history = {
+      'en:scp:173': { read: true, lastReadAt: at(15), activeSeconds: 600 },
+      'en:scp:096': { deleted: true },
+    };
+    const local = { 'en:scp:173': { pending: 120, hours: {} }, 'en:scp:096': { pending: 300, hours: {} } };
+    const { readingTime } = utc(history, { readingTime: local });
+    expect(readingTime).toMatchObject({ totalSeconds: 720, pages: 1, averageSeconds: 720 });
+  });
+});
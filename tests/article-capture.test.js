@@ -0,0 +1,69 @@
+/* eslint-env jest */
+import { captureArticle } from '../src/modules/article-capture.js';
+
+const URL_173 = 'https://scp-wiki.wikidot.com/scp-173';
+
+// Wikidot markup for the parts the capture rewrites
+const PAGE = `
+  <div id="page-title">SCP-173</div>
+  <div id="page-content">
+    <div class="page-rate-widget-box"><span class="number">+5832</span></div>
+    <p><strong>Object Class:</strong> Euclid<sup class="footnoteref"><a id="footnoteref-1" href="javascript:;" class="footnoteref" onclick="WIKIDOT.page.utils.scrollToReference('footnote-1')">1</a></sup></p>
+    <p><img src="/local--files/scp-173/173.jpg" alt="SCP-173" onerror="alert(1)"> <img src="http://scp-wiki.wdfiles.com/local--files/scp-173/173.jpg"></p>
+    <div class="collapsible-block">
+      <div class="collapsible-block-folded"><a class="collapsible-block-link" href="javascript:;">+ Addendum</a></div>
+      <div class="collapsible-block-unfolded" style="display:none">
+        <div class="collapsible-block-unfolded-link"><a class="collapsible-block-link" href="javascript:;">- Addendum</a></div>
+        <div class="collapsible-block-content"><p>Hidden text.</p></div>
+      </div>
+    </div>
+    <p><a href="/scp-172">Previous</a> <a href="#toc">Top</a> <a href="javascript:alert(1)">Bad</a></p>
+    <script>alert('x')</script>
+    <iframe src="https://example.com/frame"></iframe>
+    <div class="footnotes-footer"><div class="footnote-footer" id="footnote-1">1. A footnote.</div></div>
+  </div>`;
+
+function capture(html = PAGE, url = URL_173) {
+  document.body.innerHTML = html;
+  return captureArticle(document, url);
+}
+
+function parse(html) {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return root;
+}
+
+describe('captureArticle', () => {
+  test('records identity, title and referenced images', () => {
+    const result = capture();
+    expect(result).toMatchObject({ url: URL_173, pageId: 'en:scp:173', title: 'SCP-173' });
+    expect(result.images).toEqual(['https://scp-wiki.wikidot.com/local--files/scp-173/173.jpg', 'http://scp-wiki.wdfiles.com/local--files/scp-173/173.jpg']);
+    const imgs = parse(result.html).querySelectorAll('img');
+    expect(Array.from(imgs).map(img => img.getAttribute('data-archive-image'))).toEqual(['0', '1']);
+    expect(imgs[0].hasAttribute('src')).toBe(false);
+    expect(result.textLength).toBeGreaterThan(20);
+  });
+
+  test('expands collapsibles and wires footnote references', () => {
+    const root = parse(capture().html);
+    expect(root.querySelector('.collapsible-block-folded')).toBeNull();
+    expect(root.querySelector('.collapsible-block-unfolded').style.display).toBe('');
+    expect(root.querySelector('.collapsible-block-unfolded strong').textContent).toBe('- Addendum');
+    expect(root.textContent).toContain('Hidden text.');
+    expect(root.querySelector('a.footnoteref').getAttribute('href')).toBe('#footnote-1');
+    expect(root.querySelector('#footnote-1').textContent).toContain('A footnote.');
+  });
+
+  test('strips scripts, frames, handlers and unsafe links; makes links absolute', () => {
+    const root = parse(capture().html);
+    expect(root.querySelector('script, iframe, .page-rate-widget-box')).toBeNull();
+    expect(root.querySelector('[onclick], [onerror]')).toBeNull();
+    const links = Array.from(root.querySelectorAll('p a:not(.footnoteref)')).map(a => a.getAttribute('href'));
+    expect(links).toEqual(['https://scp-wiki.wikidot.com/scp-172', '#toc', null]);
+  });
+
+  test('returns null without article content', () => {
+    expect(capture('<div id="page-title">Nothing</div>')).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import { BACKUP_FORMAT, BACKUP_VERSION, checksumBackupData, createBackup, verifyBackup, restoreBackup } from '../src/modules/backup.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/modules/storage-migrations.js';
+import { readChunked, writeChunked } from '../src/utils/chunked-storage.js';
+import { createArea } from './helpers/storage-area.js';
+
+const silentLogger = { info() {}, warn() {} };
+
+async function installedStorage() {
+  const sync = createArea({ dictionaryEnabled: false, readingQueue: [{ url: 'https://scp-wiki.wikidot.com/scp-049' }] });
+  await writeChunked(sync, 'readSCPs', { 'en:scp:173': { read: true, timestamp: 1 } });
+  const local = createArea({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    schemaBackup: { big: true },
+    linkPreviewCache: { a: 1 },
+    popupState: { search: 'x' },
+  });
+  return { sync, local };
+}
+
+describe('createBackup', () => {
+  test('bundles every key with reassembled history, a manifest and a checksum', async () => {
+    const storage = await installedStorage();
+    const bundle = await createBackup({ storage, extensionVersion: '1.2.3', now: 42 });
+
+    expect(bundle).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: 42, schemaVersion: CURRENT_SCHEMA_VERSION });
+    expect(bundle.manifest.sync.keys).toEqual(['dictionaryEnabled', 'readSCPs', 'readingQueue']);
+    expect(bundle.manifest.local.keys).toEqual(['linkPreviewCache', 'popupState']);
+    expect(bundle.data.sync.readSCPs).toEqual({ 'en:scp:173': { read: true, timestamp: 1 } });
+    expect(bundle.checksum).toBe(await checksumBackupData(bundle.data));
+    expect(await verifyBackup(bundle)).toEqual({ ok: true, error: null });
+  });
+});
+
+describe('verifyBackup', () => {
+  test('rejects edited, incomplete and future bundles', async () => {
+    const bundle = await createBackup({ storage: await installedStorage(), now: 42 });
+    const edited = JSON.parse(JSON.stringify(bundle));
+    edited.data.sync.dictionaryEnabled = true;
+    expect((await verifyBackup(edited)).error).toMatch('checksum');
+
+    const missingKey = JSON.parse(JSON.stringify(bundle));
+    delete missingKey.data.local.popupState;
+    expect((await verifyBackup(missingKey)).error).toMatch('manifest');
+
+    expect((await verifyBackup({ ...bundle, version: BACKUP_VERSION + 1 })).error).toMatch('newer');
+    expect((await verifyBackup({ ...bundle, schemaVersion: CURRENT_SCHEMA_VERSION + 1 })).error).toMatch('newer');
+    expect((await verifyBackup({ readSCPs: {} })).ok).toBe(false);
+  });
+});
+
+describe('restoreBackup', () => {
+  test('replaces both areas, keeps synced history for the caller and migrates old bundles', async () => {
+    const data = {
+      sync: { navigatorEnabled: false, readSCPs: { 173: { read: true, timestamp: 5 } } },
+      local: { readSCPs: { 49: { read: true, timestamp: 3 } } },
+    };
+    const bundle = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: 7,
+      schemaVersion: 0,
+      manifest: { sync: { keys: ['navigatorEnabled', 'readSCPs'], count: 2 }, local: { keys: ['readSCPs'], count: 1 } },
+      checksum: await checksumBackupData(data),
+      data,
+    };
+    const storage = await installedStorage();
+
+    const result = await restoreBackup(bundle, { storage, logger: silentLogger });
+
+    expect(result.history).toEqual({ 173: { read: true, timestamp: 5 } });
+    expect(result.migrations.applied).toContain('canonical-page-ids');
+    const sync = storage.sync.dump();
+    expect(sync.navigatorEnabled).toBe(false);
+    expect(sync.dictionaryEnabled).toBeUndefined();
+    expect(sync.readingQueue).toBeUndefined();
+    // Current synced history stays until the caller merges the restored one
+    expect((await readChunked(storage.sync, 'readSCPs')).value).toHaveProperty('en:scp:173');
+    const local = storage.local.dump();
+    expect(Object.keys(local.readSCPs)).toEqual(['en:scp:049']);
+    expect(local.linkPreviewCache).toBeUndefined();
+    expect(local.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test('refuses to restore a damaged bundle and leaves storage untouched', async () => {
+    const storage = await installedStorage();
+    const before = JSON.stringify([storage.sync.dump(), storage.local.dump()]);
+    const bundle = await createBackup({ storage: await installedStorage() });
+    bundle.checksum = 'sha256:0';
+    await expect(restoreBackup(bundle, { storage, logger: silentLogger })).rejects.toThrow('checksum');
+    expect(JSON.stringify([storage.sync.dump(), storage.local.dump()])).toBe(before);
+  });
+});
@@ -0,0 +1,68 @@
+/* eslint-env jest */
+import { readChunked, writeChunked, manifestKey, shardKey, ChunkQuotaError } from '../src/utils/chunked-storage.js';
+import { createArea } from './helpers/storage-area.js';
+
+function makeHistory(n) {
+  const out = {};
+  for (let i = 1; i <= n; i++) {
+    const id = `en:scp:${String(i).padStart(3, '0')}`;
+    out[id] = { read: true, timestamp: 1700000000000 + i, url: `https://scp-wiki.wikidot.com/scp-${i}`, title: `SCP-${i}` };
+  }
+  return out;
+}
+
+describe('chunked storage', () => {
+  test('splits a large map into shards under the per-item limit and reassembles it', async () => {
+    const area = createArea();
+    const history = makeHistory(400);
+
+    await writeChunked(area, 'readSCPs', history);
+
+    const { count } = area.dump()[manifestKey('readSCPs')];
+    expect(count).toBeGreaterThan(1);
+    for (let i = 0; i < count; i++) {
+      const key = shardKey('readSCPs', i);
+      expect(JSON.stringify(area.dump()[key]).length + key.length).toBeLessThanOrEqual(7168);
+    }
+    expect((await readChunked(area, 'readSCPs')).value).toEqual(history);
+  });
+
+  test('rewrites only the shard holding a changed entry', async () => {
+    const area = createArea();
+    const history = makeHistory(400);
+    await writeChunked(area, 'readSCPs', history);
+
+    const updated = { ...history, 'en:scp:173': { ...history['en:scp:173'], read: false } };
+    const { written, removed } = await writeChunked(area, 'readSCPs', updated);
+
+    expect(written).toHaveLength(1);
+    expect(removed).toEqual([]);
+    expect((await readChunked(area, 'readSCPs')).value['en:scp:173'].read).toBe(false);
+  });
+
+  test('replaces a legacy single-item value with shards', async () => {
+    const legacy = makeHistory(3);
+    const area = createArea({ readSCPs: legacy });
+
+    expect((await readChunked(area, 'readSCPs')).value).toEqual(legacy);
+    await writeChunked(area, 'readSCPs', legacy);
+
+    expect(area.dump().readSCPs).toBeUndefined();
+    expect((await readChunked(area, 'readSCPs')).value).toEqual(legacy);
+  });
+
+  test('rejects a value over the sync quota budget without writing any of it', async () => {
+    const area = createArea();
+    await writeChunked(area, 'readSCPs', makeHistory(10));
+    area.writes.length = 0;
+
+    const error = await writeChunked(area, 'readSCPs', makeHistory(1000)).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChunkQuotaError);
+    expect(error).toMatchObject({ key: 'readSCPs', limit: 102400 - 16384 });
+    expect(error.bytes).toBeGreaterThan(error.limit);
+    expect(area.writes).toEqual([]);
+    expect((await readChunked(area, 'readSCPs')).value).toEqual(makeHistory(10));
+    await expect(writeChunked(area, 'readSCPs', makeHistory(10), { maxTotalBytes: 100 })).rejects.toThrow('too large');
+  });
+});
@@ -0,0 +1,32 @@
+/* eslint-env jest */
+import { buildContextMenuItems, parseContextMenuClick } from '../src/modules/context-menus.js';
+
+const patterns = ['*://scp-wiki.wikidot.com/*', '*://scp-jp.wikidot.com/*'];
+
+describe('context menus', () => {
+  test('page and link entries are limited to wiki hosts', () => {
+    const items = buildContextMenuItems(patterns);
+    expect(items.map(i => i.id)).toEqual([
+      'page:markRead', 'page:markUnread', 'page:queueAdd', 'page:openReader', 'page:copyId',
+      'link:markRead', 'link:markUnread', 'link:queueAdd', 'link:openReader', 'link:copyId',
+    ]);
+    items.forEach(item => expect(item.documentUrlPatterns).toBe(patterns));
+    expect(items.find(i => i.id === 'link:copyId')).toMatchObject({ contexts: ['link'], targetUrlPatterns: patterns });
+    expect(items.find(i => i.id === 'page:copyId').targetUrlPatterns).toBeUndefined();
+  });
+
+  test('reader entries can be left out', () => {
+    expect(buildContextMenuItems(patterns, { reader: false }).map(i => i.id)).not.toContain('page:openReader');
+  });
+
+  test('clicks resolve to the link or the page', () => {
+    const tab = { id: 3, url: 'https://scp-wiki.wikidot.com/scp-173', title: 'SCP-173 - SCP Foundation' };
+    expect(parseContextMenuClick({ menuItemId: 'link:queueAdd', linkUrl: 'https://scp-wiki.wikidot.com/scp-096', linkText: ' SCP-096\n' }, tab))
+      .toEqual({ action: 'queueAdd', context: 'link', url: 'https://scp-wiki.wikidot.com/scp-096', title: 'SCP-096' });
+    expect(parseContextMenuClick({ menuItemId: 'page:copyId', pageUrl: tab.url }, tab))
+      .toEqual({ action: 'copyId', context: 'page', url: tab.url, title: tab.title });
+    expect(parseContextMenuClick({ menuItemId: 'link:markRead', linkUrl: tab.url }, tab).title).toBeNull();
+    expect(parseContextMenuClick({ menuItemId: 'other-extension-item' }, tab)).toBeNull();
+    expect(parseContextMenuClick({ menuItemId: 'page:bogus' }, tab)).toBeNull();
+  });
+});
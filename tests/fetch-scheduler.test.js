@@ -0,0 +1,152 @@
+/* eslint-env jest */
+import { FetchScheduler, HttpError, parseRetryAfter } from '../src/modules/fetch-scheduler.js';
+
+// Manual clock: timers fire only when the test advances time
+function createClock() {
+  let now = 0;
+  let timers = [];
+  return {
+    now: () => now,
+    setTimer(fn, ms) {
+      const timer = { fn, at: now + ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer(timer) { timers = timers.filter(t => t !== timer); },
+    async advance(ms) {
+      now += ms;
+      const due = timers.filter(t => t.at <= now);
+      timers = timers.filter(t => t.at > now);
+      due.forEach(t => t.fn());
+      await flush();
+    },
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Worker whose fetches the test resolves by hand
+function createWorker() {
+  const calls = [];
+  const worker = jest.fn((url, signal) => new Promise((resolve, reject) => {
+    const call = { url, signal, resolve, reject };
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    calls.push(call);
+  }));
+  return { worker, calls };
+}
+
+const page = n => `https://scp-wiki.wikidot.com/scp-${n}`;
+
+describe('FetchScheduler', () => {
+  test('caps concurrency, spaces requests per host and prefers interactive requests', async () => {
+    const clock = createClock();
+    const { worker, calls } = createWorker();
+    const scheduler = new FetchScheduler(worker, { concurrency: 2, hostIntervalMs: 100, ...clock });
+
+    scheduler.request(page(1));
+    scheduler.request(page(2));
+    scheduler.request('https://scp-int.wikidot.com/fr:scp-1');
+    scheduler.request(page(3), { priority: 'high' });
+    await flush();
+    // One per host until the interval passes
+    expect(calls.map(c => c.url)).toEqual([page(1), 'https://scp-int.wikidot.com/fr:scp-1']);
+
+    await clock.advance(100);
+    expect(calls).toHaveLength(2); // pool is full
+    calls[0].resolve('one');
+    await flush();
+    expect(calls.map(c => c.url)).toEqual([page(1), 'https://scp-int.wikidot.com/fr:scp-1', page(3)]);
+  });
+
+  test('coalesces concurrent requests for the same URL', async () => {
+    const clock = createClock();
+    const { worker, calls } = createWorker();
+    const scheduler = new FetchScheduler(worker, clock);
+    const a = scheduler.request(page(173));
+    const b = scheduler.request(page(173), { priority: 'high' });
+    await flush();
+    calls[0].resolve({ title: 'SCP-173' });
+    await expect(Promise.all([a, b])).resolves.toEqual([{ title: 'SCP-173' }, { title: 'SCP-173' }]);
+    expect(worker).toHaveBeenCalledTimes(1);
+  });
+
+  test('tells the worker when a request must bypass caches', async () => {
+    const clock = createClock();
+    const { worker } = createWorker();
+    const scheduler = new FetchScheduler(worker, clock);
+    scheduler.request(page(173));
+    scheduler.request(page(173), { fresh: true });
+    scheduler.request('https://scp-int.wikidot.com/fr:scp-1');
+    await flush();
+    expect(worker.mock.calls.map(([url, , options]) => [url, options.fresh])).toEqual([[page(173), true], ['https://scp-int.wikidot.com/fr:scp-1', false]]);
+  });
+
+  test('aborts a run only when every caller has cancelled', async () => {
+    const clock = createClock();
+    const { worker, calls } = createWorker();
+    const scheduler = new FetchScheduler(worker, clock);
+    const first = new AbortController();
+    const second = new AbortController();
+    const a = scheduler.request(page(173), { signal: first.signal });
+    const b = scheduler.request(page(173), { signal: second.signal });
+    await flush();
+
+    first.abort();
+    await expect(a).rejects.toMatchObject({ name: 'AbortError' });
+    expect(calls[0].signal.aborted).toBe(false);
+    second.abort();
+    await expect(b).rejects.toMatchObject({ name: 'AbortError' });
+    expect(calls[0].signal.aborted).toBe(true);
+
+    // Cancelling a queued request drops it without fetching
+    const queued = new AbortController();
+    const busy = new FetchScheduler(worker, { concurrency: 1, ...clock });
+    busy.request(page(1));
+    const c = busy.request(page(2), { signal: queued.signal });
+    queued.abort();
+    await expect(c).rejects.toMatchObject({ name: 'AbortError' });
+    calls[calls.length - 1].resolve('done');
+    await flush();
+    expect(calls.map(call => call.url)).not.toContain(page(2));
+  });
+
+  test('backs off exponentially on 429/5xx and gives up on other errors', async () => {
+    const clock = createClock();
+    const { worker, calls } = createWorker();
+    const scheduler = new FetchScheduler(worker, { backoffBaseMs: 1000, maxRetries: 2, hostIntervalMs: 0, ...clock });
+    const result = scheduler.request(page(173));
+    await flush();
+    calls[0].reject(new HttpError(503));
+    await flush();
+    await clock.advance(999);
+    expect(calls).toHaveLength(1);
+    await clock.advance(1);
+    expect(calls).toHaveLength(2);
+
+    // Retry-After wins over a shorter backoff, and the whole host waits
+    calls[1].reject(new HttpError(429, 5000));
+    await flush();
+    scheduler.request(page(2));
+    await clock.advance(4999);
+    expect(calls).toHaveLength(2);
+    await clock.advance(1);
+    expect(calls.map(c => c.url)).toEqual([page(173), page(173), page(173), page(2)]);
+
+    calls[2].reject(new HttpError(500));
+    await expect(result).rejects.toMatchObject({ status: 500 }); // retries exhausted
+
+    const notFound = scheduler.request(page(404));
+    calls[3].resolve('two');
+    await clock.advance(0);
+    calls.find(c => c.url === page(404)).reject(new HttpError(404));
+    await expect(notFound).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('parses Retry-After headers', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT', Date.parse('Wed, 21 Oct 2026 07:27:30 GMT'))).toBe(30000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
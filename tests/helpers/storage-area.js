@@ -0,0 +1,37 @@
+// In-memory stand-in for a browser.storage area (sync or local) shared by the storage tests.
+// Values are deep-copied on the way in and out, like the real API. Every `set` is recorded in
+// `writes` (the keys written); `failOnSet` makes any `set` that includes that key throw a quota
+// error, as storage.sync does when an item is too large.
+
+/**
+ * @param {Object} [initial] - initial contents
+ * @param {Object} [options]
+ * @param {string} [options.failOnSet] - key whose writes fail
+ * @returns {{writes: string[][], failOnSet: string|null, get: Function, set: Function, remove: Function, dump: Function}}
+ */
+export function createArea(initial = {}, { failOnSet = null } = {}) {
+  let data = JSON.parse(JSON.stringify(initial));
+  return {
+    writes: [],
+    failOnSet,
+    async get(keys) {
+      if (keys == null) return JSON.parse(JSON.stringify(data));
+      const out = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach((k) => {
+        if (k in data) out[k] = JSON.parse(JSON.stringify(data[k]));
+      });
+      return out;
+    },
+    async set(items) {
+      if (this.failOnSet && Object.keys(items).includes(this.failOnSet)) {
+        throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+      }
+      this.writes.push(Object.keys(items));
+      data = { ...data, ...JSON.parse(JSON.stringify(items)) };
+    },
+    async remove(keys) {
+      (Array.isArray(keys) ? keys : [keys]).forEach((k) => { delete data[k]; });
+    },
+    dump() { return data; },
+  };
+}
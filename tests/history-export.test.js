@@ -0,0 +1,74 @@
+/* eslint-env jest */
+import {
+  EXPORT_FORMATS,
+  filterHistory,
+  historyToCSV,
+  historyToMarkdown,
+  historyToHTML,
+  buildHistoryExport,
+} from '../src/modules/history-export.js';
+
+const MAR = new Date(2025, 2, 10, 12).getTime();
+const APR = new Date(2025, 3, 5, 9).getTime();
+
+const history = {
+  'en:scp:173': { read: true, timestamp: APR, title: 'The Sculpture', tags: ['euclid', 'statue'], readCount: 3 },
+  'en:scp:049': { read: true, timestamp: MAR, title: 'Plague Doctor', tags: ['euclid'] },
+  'en:tale:a-tale': { read: false, timestamp: MAR - 1000, detected: true, title: '=HYPERLINK("x")' },
+  'en:scp:999': { deleted: true, updatedAt: APR },
+};
+
+describe('filterHistory', () => {
+  test('omits tombstones and sorts newest first', () => {
+    expect(filterHistory(history).map(r => r.id)).toEqual(['en:scp:173', 'en:scp:049', 'en:tale:a-tale']);
+  });
+
+  test('filters by date range, type, tags, search and read state', () => {
+    const ids = filter => filterHistory(history, filter).map(r => r.id);
+    expect(ids({ from: MAR + 1 })).toEqual(['en:scp:173']);
+    expect(ids({ to: MAR })).toEqual(['en:scp:049', 'en:tale:a-tale']);
+    expect(ids({ types: ['tale'] })).toEqual(['en:tale:a-tale']);
+    expect(ids({ tags: [' Euclid', 'statue'] })).toEqual(['en:scp:173']);
+    expect(ids({ search: 'plague' })).toEqual(['en:scp:049']);
+    expect(ids({ readOnly: true })).toEqual(['en:scp:173', 'en:scp:049']);
+  });
+});
+
+describe('formatters', () => {
+  const rows = filterHistory(history);
+
+  test('CSV quotes cells and neutralizes formulas', () => {
+    const lines = historyToCSV(rows).trim().split('\r\n');
+    expect(lines[0]).toBe('id,label,title,type,branch,read,first_read,last_read,read_count,url,tags');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toContain(',3,');
+    expect(lines[3]).toContain(`"'=HYPERLINK(""x"")"`);
+  });
+
+  test('Markdown journal groups entries by month', () => {
+    const md = historyToMarkdown(rows, { generatedAt: APR });
+    expect(md.indexOf('## April 2025')).toBeLessThan(md.indexOf('## March 2025'));
+    expect(md.match(/^## /gm)).toHaveLength(2);
+    expect(md).toContain('read 3×');
+    expect(md).toContain('_(not finished)_');
+  });
+
+  test('Markdown links escape parentheses and spaces in URLs', () => {
+    const md = historyToMarkdown([{ label: 'A Tale', title: '', url: 'https://scp-wiki.wikidot.com/a-tale-(part one)', timestamp: APR, read: true, tags: [] }]);
+    expect(md).toContain('](https://scp-wiki.wikidot.com/a-tale-%28part%20one%29)');
+  });
+
+  test('HTML report escapes page content', () => {
+    const html = historyToHTML(filterHistory({ 'en:scp:173': { read: true, timestamp: APR, title: '<script>x</script>' } }));
+    expect(html).toContain('&lt;script&gt;x&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('buildHistoryExport reports mime type, extension and count', () => {
+    const csv = buildHistoryExport(history, 'csv', { readOnly: true });
+    expect(csv).toMatchObject({ mime: EXPORT_FORMATS.csv.mime, extension: 'csv', count: 2 });
+    const json = buildHistoryExport(history, 'json', { types: ['scp'] });
+    expect(Object.keys(JSON.parse(json.content)).sort()).toEqual(['en:scp:049', 'en:scp:173']);
+    expect(buildHistoryExport(history, 'markdown').extension).toBe('md');
+  });
+});
@@ -0,0 +1,66 @@
+/* eslint-env jest */
+import { extractImportedHistory, validateImportedEntry, planHistoryImport } from '../src/modules/history-import.js';
+import { isTombstone } from '../src/modules/history-merge.js';
+
+const NOW = 1760000000000;
+
+describe('extractImportedHistory', () => {
+  test('accepts popup exports, settings exports and versioned backups', () => {
+    const history = { 'en:scp:173': { read: true, timestamp: 1 } };
+    expect(extractImportedHistory(history).format).toBe('history-export');
+    expect(extractImportedHistory({ readSCPs: history, settings: {} }).readSCPs).toBe(history);
+    const backup = extractImportedHistory({ format: 'scp-tracker-backup', version: 3, data: { sync: { readSCPs: history } } });
+    expect(backup).toEqual({ readSCPs: history, format: 'scp-tracker-backup', version: 3 });
+    expect(() => extractImportedHistory([1, 2])).toThrow('export');
+    expect(() => extractImportedHistory({ format: 'x', data: {} })).toThrow('reading history');
+  });
+});
+
+describe('validateImportedEntry', () => {
+  test('normalizes fields and rejects malformed entries', () => {
+    const { entry } = validateImportedEntry('en:scp:173', {
+      read: true, timestamp: 5, title: '  The Sculpture ', tags: ['Euclid', 'euclid', 3], type: 'bogus', extra: 'x'
+    }, NOW);
+    expect(entry).toEqual({ read: true, timestamp: 5, title: 'The Sculpture', tags: ['euclid'] });
+
+    expect(validateImportedEntry('a', 'nope', NOW).error).toBe('not an object');
+    expect(validateImportedEntry('a', { read: 'yes', timestamp: 5 }, NOW).error).toBe('missing read flag');
+    expect(validateImportedEntry('a', { read: true, timestamp: NOW * 2 }, NOW).error).toBe('invalid timestamp');
+    expect(validateImportedEntry('a', { read: true, timestamp: 5, url: 'https://example.com/x' }, NOW).error).toMatch('URL');
+    expect(validateImportedEntry('a', { deleted: true, updatedAt: 5 }, NOW).error).toBe('removed entry');
+  });
+});
+
+describe('planHistoryImport', () => {
+  const current = {
+    'en:scp:001': { read: true, timestamp: 100, title: 'Same' },
+    'en:scp:002': { read: true, timestamp: 100, title: 'Old' },
+    'en:scp:003': { read: true, timestamp: 900, title: 'Newer here' },
+    'en:scp:004': { read: true, timestamp: 100, title: 'Only here' },
+    'en:scp:005': { deleted: true, updatedAt: 100 },
+  };
+  const file = {
+    'en:scp:001': { read: true, timestamp: 100, title: 'Same' },
+    'en:scp:002': { read: true, timestamp: 500, title: 'New title' },
+    'en:scp:003': { read: true, timestamp: 200, title: 'Older in file' },
+    '5': { read: true, timestamp: 300, title: 'Legacy key' },
+    'en:scp:006': { read: 'maybe', timestamp: 1 },
+  };
+
+  test('dry-run merge classifies entries and only patches new and newer ones', () => {
+    const plan = planHistoryImport(current, file, { mode: 'merge', now: NOW });
+    expect(plan.summary).toEqual({ new: 1, updated: 1, conflicting: 1, unchanged: 1, invalid: 1, removed: 0 });
+    expect(plan.items.find(i => i.status === 'new').id).toBe('en:scp:005');
+    expect(Object.keys(plan.patch).sort()).toEqual(['en:scp:002', 'en:scp:005']);
+    // Stamped so the import wins over the tombstone and on other devices
+    expect(plan.patch['en:scp:005'].updatedAt).toBe(NOW);
+  });
+
+  test('replace overwrites conflicts and tombstones entries missing from the file', () => {
+    const plan = planHistoryImport(current, file, { mode: 'replace', now: NOW });
+    expect(plan.summary.removed).toBe(1);
+    expect(plan.patch['en:scp:003'].title).toBe('Older in file');
+    expect(isTombstone(plan.patch['en:scp:004'])).toBe(true);
+    expect(plan.patch['en:scp:001']).toBeUndefined();
+  });
+});
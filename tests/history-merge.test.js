@@ -0,0 +1,58 @@
+/* eslint-env jest */
+import { mergeHistories, stampEntry, makeTombstone, isTombstone, liveEntries } from '../src/modules/history-merge.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1760000000000;
+
+describe('mergeHistories', () => {
+  test('keeps entries written independently on two devices', () => {
+    const base = { 'en:scp:173': { read: true, timestamp: 1, updatedAt: 10 } };
+    const laptop = { ...base, 'en:scp:049': { read: true, timestamp: 2, updatedAt: 20 } };
+    const phone = { ...base, 'en:scp:096': { read: true, timestamp: 3, updatedAt: 30 } };
+
+    const a = mergeHistories(laptop, phone, { now: NOW });
+    const b = mergeHistories(phone, laptop, { now: NOW });
+
+    expect(Object.keys(a.merged).sort()).toEqual(['en:scp:049', 'en:scp:096', 'en:scp:173']);
+    expect(a.merged).toEqual(b.merged);
+    expect(a.changed).toBe(true);
+    expect(mergeHistories(a.merged, phone, { now: NOW }).changed).toBe(false);
+  });
+
+  test('a tombstone beats older reads and loses to newer ones', () => {
+    const read = { read: true, timestamp: 100, updatedAt: NOW - 1000 };
+    const unread = makeTombstone(read, NOW - 500);
+    const reread = stampEntry({ read: true, timestamp: NOW }, unread, NOW);
+
+    const stale = mergeHistories({ 'en:scp:173': unread }, { 'en:scp:173': read }, { now: NOW });
+    expect(isTombstone(stale.merged['en:scp:173'])).toBe(true);
+    expect(stale.changed).toBe(false);
+
+    const fresh = mergeHistories({ 'en:scp:173': unread }, { 'en:scp:173': reread }, { now: NOW });
+    expect(fresh.merged['en:scp:173']).toEqual(reread);
+  });
+
+  test('resolves equal clocks deterministically', () => {
+    const x = { read: true, timestamp: 5, updatedAt: 50, title: 'A' };
+    const y = { read: true, timestamp: 5, updatedAt: 50, title: 'B' };
+    expect(mergeHistories({ id: x }, { id: y }).merged).toEqual(mergeHistories({ id: y }, { id: x }).merged);
+  });
+
+  test('legacy entries without updatedAt fall back to their timestamp', () => {
+    const legacy = { read: true, timestamp: 500 };
+    const tomb = makeTombstone(legacy, 400);
+    expect(tomb.updatedAt).toBe(501);
+    expect(isTombstone(mergeHistories({ id: legacy }, { id: tomb }, { now: 600 }).merged.id)).toBe(true);
+  });
+
+  test('drops expired tombstones and hides tombstones from views', () => {
+    const history = {
+      'en:scp:001': { read: true, timestamp: NOW },
+      'en:scp:002': { deleted: true, updatedAt: NOW - DAY },
+      'en:scp:003': { deleted: true, updatedAt: NOW - 400 * DAY },
+    };
+    const { merged } = mergeHistories(history, {}, { now: NOW });
+    expect(Object.keys(merged).sort()).toEqual(['en:scp:001', 'en:scp:002']);
+    expect(Object.keys(liveEntries(merged))).toEqual(['en:scp:001']);
+  });
+});
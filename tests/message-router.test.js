@@ -0,0 +1,70 @@
+/* eslint-env jest */
+import { createMessageRouter, senderKind, validatePayload } from '../src/modules/message-router.js';
+import { sendMessage, MessageError, MESSAGE_ACTIONS } from '../src/modules/message-client.js';
+
+const ORIGIN = 'chrome-extension://abc/';
+const popup = { id: 'abc', url: `${ORIGIN}popup/popup.html` };
+const contentScript = { id: 'abc', url: 'https://scp-wiki.wikidot.com/scp-173', tab: { id: 3 } };
+const silentLogger = { warn() {}, info() {} };
+
+function makeRouter(onError = null) {
+  return createMessageRouter({ extensionOrigin: ORIGIN, logger: silentLogger, onError })
+    .register('echo', { schema: { text: 'string', count: 'number?' }, handler: m => ({ text: m.text }) })
+    .register('settingsOnly', { from: ['extension'], handler: () => 'ok' })
+    .register('expected', { handler: () => { throw new MessageError('Queue is empty', 'queue_empty'); } })
+    .register('broken', { errorContext: 'broken_op', handler: async () => { throw new Error('boom'); } });
+}
+
+describe('message router', () => {
+  test('answers with a uniform envelope', async () => {
+    const router = makeRouter();
+    expect(await router.dispatch({ action: 'echo', text: 'hi' }, contentScript))
+      .toEqual({ ok: true, data: { text: 'hi' }, error: null });
+    expect(await router.dispatch({ action: 'nope' }, popup))
+      .toEqual({ ok: false, data: null, error: { code: 'unknown_action', message: 'Unknown action: nope' } });
+    expect((await router.dispatch({ action: 'expected' }, popup)).error.code).toBe('queue_empty');
+  });
+
+  test('checks senders and payloads before running handlers', async () => {
+    const router = makeRouter();
+    expect((await router.dispatch({ action: 'settingsOnly' }, contentScript)).error.code).toBe('forbidden');
+    expect((await router.dispatch({ action: 'settingsOnly' }, popup)).data).toBe('ok');
+    expect((await router.dispatch({ action: 'echo', text: 5 }, popup)).error)
+      .toEqual({ code: 'invalid_payload', message: 'text must be string' });
+  });
+
+  test('reports unexpected errors with the route context', async () => {
+    const onError = jest.fn();
+    const res = await makeRouter(onError).dispatch({ action: 'broken' }, popup);
+    expect(res.error).toEqual({ code: 'internal_error', message: 'boom' });
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), { action: 'broken_op' });
+  });
+
+  test('rejects duplicate registrations', () => {
+    expect(() => makeRouter().register('echo', { handler: () => null })).toThrow('Duplicate');
+  });
+
+  test('helpers classify senders and validate schemas', () => {
+    expect(senderKind(popup, ORIGIN)).toBe('extension');
+    expect(senderKind(contentScript, ORIGIN)).toBe('content');
+    expect(senderKind({ id: 'abc' }, ORIGIN)).toBeNull();
+    expect(validatePayload({ urls: 'string[]', note: 'string?' }, { urls: ['a'], note: null })).toBeNull();
+    expect(validatePayload({ urls: 'string[]' }, { urls: ['a', 1] })).toBe('urls must be string[]');
+    expect(validatePayload({ patch: 'object' }, {})).toBe('patch is required');
+  });
+});
+
+describe('sendMessage', () => {
+  test('routes through the router and unwraps the envelope', async () => {
+    const router = makeRouter();
+    const runtime = { sendMessage: message => router.dispatch(message, popup) };
+    await expect(sendMessage('echo', { text: 'hi' }, { runtime })).resolves.toEqual({ text: 'hi' });
+    await expect(sendMessage('expected', {}, { runtime })).rejects.toMatchObject({ name: 'MessageError', code: 'queue_empty' });
+    await expect(sendMessage(MESSAGE_ACTIONS.QUEUE_LIST, {}, { runtime })).rejects.toMatchObject({ code: 'unknown_action' });
+  });
+
+  test('fails clearly when there is no envelope', async () => {
+    await expect(sendMessage('echo', {}, { runtime: { sendMessage: async () => undefined } }))
+      .rejects.toMatchObject({ code: 'no_response' });
+  });
+});
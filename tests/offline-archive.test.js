@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import { buildArchiveRecord, fetchArchiveImages, ARCHIVE_LIMITS } from '../src/modules/offline-archive.js';
+
+const capture = {
+  url: 'https://scp-wiki.wikidot.com/scp-173',
+  pageId: 'en:scp:173',
+  title: 'SCP-173',
+  html: '<p>Moved to Site-19 1993.</p>',
+  images: ['https://scp-wiki.wdfiles.com/a.jpg', 'https://scp-wiki.wdfiles.com/b.jpg'],
+};
+
+function fakeFetch(responses) {
+  return jest.fn(async (url) => {
+    const body = responses[url];
+    if (body instanceof Error) throw body;
+    if (body === undefined) return { ok: false, status: 404 };
+    return { ok: true, blob: async () => new Blob([body]) };
+  });
+}
+
+describe('offline archive records', () => {
+  test('fetches images within the limits and records missing ones', async () => {
+    const fetch = fakeFetch({
+      'https://scp-wiki.wdfiles.com/a.jpg': 'x'.repeat(10),
+      'https://scp-wiki.wdfiles.com/big.jpg': 'x'.repeat(50),
+      'https://scp-wiki.wdfiles.com/err.jpg': new Error('offline'),
+    });
+    const urls = ['a.jpg', 'big.jpg', 'err.jpg', 'gone.jpg'].map(n => `https://scp-wiki.wdfiles.com/${n}`);
+    const images = await fetchArchiveImages(urls, { fetch, limits: { ...ARCHIVE_LIMITS, maxImageBytes: 20 } });
+    expect(images.map(img => (img.blob ? img.blob.size : null))).toEqual([10, null, null, null]);
+    expect(fetch).toHaveBeenCalledWith(urls[0], { credentials: 'omit' });
+
+    const capped = await fetchArchiveImages(urls, { fetch, limits: { ...ARCHIVE_LIMITS, maxImages: 0 } });
+    expect(capped.every(img => img.blob === null)).toBe(true);
+  });
+
+  test('builds the listing and content records', async () => {
+    const images = [{ url: capture.images[0], blob: new Blob(['1234']) }, { url: capture.images[1], blob: null }];
+    const { page, content } = buildArchiveRecord(capture, images, { reason: 'queued', now: 42 });
+    expect(page).toEqual({
+      url: capture.url,
+      pageId: 'en:scp:173',
+      title: 'SCP-173',
+      savedAt: 42,
+      reason: 'queued',
+      bytes: capture.html.length + 4,
+      imageCount: 2,
+      missingImages: 1,
+    });
+    expect(content).toEqual({ url: capture.url, html: capture.html, images });
+  });
+});
@@ -0,0 +1,47 @@
+/* eslint-env jest */
+import { parseOmniboxInput, describeReadingStatus, searchOmnibox, formatOmniboxDescription } from '../src/modules/omnibox.js';
+
+describe('omnibox', () => {
+  test('numbers open articles, optionally on another branch', () => {
+    expect(parseOmniboxInput('173')).toMatchObject({ id: 'en:scp:173', url: 'https://scp-wiki.wikidot.com/scp-173' });
+    expect(parseOmniboxInput(' 173 ru ')).toMatchObject({ id: 'ru:scp:173', url: 'https://scp-ru.wikidot.com/scp-173' });
+    expect(parseOmniboxInput('SCP-049-J')).toMatchObject({ id: 'en:scp:049:j' });
+    expect(parseOmniboxInput('1001-ru ru').id).toBe('ru:scp:1001-ru');
+    expect(parseOmniboxInput('173 xx')).toBeNull();
+    expect(parseOmniboxInput('173 wl')).toBeNull();
+    expect(parseOmniboxInput('the sculpture')).toBeNull();
+  });
+
+  test('describes the reading status', () => {
+    expect(describeReadingStatus(undefined)).toBe('not read');
+    expect(describeReadingStatus({ read: false, detected: true })).toBe('in progress');
+    expect(describeReadingStatus({ read: true, readCount: 3 }, true)).toBe('read 3×, in reading queue');
+    expect(describeReadingStatus({ deleted: true, updatedAt: 1 })).toBe('not read');
+  });
+
+  test('searches history and queue titles', () => {
+    const readSCPs = {
+      'en:scp:173': { read: true, title: 'The Sculpture', lastReadAt: 10 },
+      'en:scp:096': { read: true, title: 'The "Shy Guy"', lastReadAt: 30 },
+      'en:tale:old-sculpture': { deleted: true, updatedAt: 5 },
+      'en:tale:a-sculpture-story': { read: false, detected: true, title: 'A Sculpture Story', timestamp: 20 },
+    };
+    const queue = [
+      { url: 'https://scp-wiki.wikidot.com/scp-3000', title: 'Anantashesha', addedAt: 40 },
+      { url: 'https://scp-wiki.wikidot.com/scp-173', title: 'The Sculpture', addedAt: 50 },
+    ];
+    const results = searchOmnibox('sculpture', { readSCPs, queue });
+    expect(results.map(r => r.id)).toEqual(['en:tale:a-sculpture-story', 'en:scp:173']);
+    expect(results[1]).toMatchObject({ url: 'https://scp-wiki.wikidot.com/scp-173', label: 'SCP-173', status: 'read, in reading queue' });
+    expect(searchOmnibox('anant', { readSCPs, queue })[0]).toMatchObject({ id: 'en:scp:3000', status: 'not read, in reading queue' });
+    expect(searchOmnibox('scp-096 shy', { readSCPs, queue }).map(r => r.id)).toEqual(['en:scp:096']);
+    expect(searchOmnibox('  ', { readSCPs, queue })).toEqual([]);
+  });
+
+  test('escapes descriptions for markup', () => {
+    const page = { label: 'SCP-096', title: 'The "Shy Guy" & co', status: 'read' };
+    expect(formatOmniboxDescription(page)).toBe('SCP-096 – The "Shy Guy" & co (read)');
+    expect(formatOmniboxDescription(page, { markup: true })).toBe('SCP-096 – The &quot;Shy Guy&quot; &amp; co <dim>(read)</dim>');
+    expect(formatOmniboxDescription({ label: 'SCP-173', title: 'SCP-173', status: 'not read' })).toBe('SCP-173 (not read)');
+  });
+});
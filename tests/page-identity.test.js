@@ -0,0 +1,82 @@
+/* eslint-env jest */
+import {
+  resolvePageIdentity,
+  parsePageId,
+  formatPageLabel,
+  pageUrlFromId,
+  branchPageUrl,
+  migrateReadSCPsKeys,
+} from '../src/modules/page-identity.js';
+
+describe('resolvePageIdentity', () => {
+  test('qualifies SCP articles by branch', () => {
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/scp-173').id).toBe('en:scp:173');
+    expect(resolvePageIdentity('http://scp-ru.wikidot.com/scp-173').id).toBe('ru:scp:173');
+    expect(resolvePageIdentity('https://scp-ru.wikidot.com/scp-1001-ru').id).toBe('ru:scp:1001-ru');
+  });
+
+  test('pads numbers and splits variants', () => {
+    const j = resolvePageIdentity('https://scp-wiki.wikidot.com/SCP-049-J');
+    expect(j).toMatchObject({ id: 'en:scp:049:j', kind: 'scp', name: '049', variant: 'j', number: 49 });
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/scp-5000-ex').id).toBe('en:scp:5000:ex');
+  });
+
+  test('ignores Wikidot options, query and fragment', () => {
+    const id = resolvePageIdentity('https://scp-wiki.wikidot.com/scp-173/norender/true?x=1#footnote-1');
+    expect(id.id).toBe('en:scp:173');
+    expect(id.url).toBe('https://scp-wiki.wikidot.com/scp-173');
+  });
+
+  test('resolves tales and series hubs, rejects system pages and foreign hosts', () => {
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/some-tale').id).toBe('en:tale:some-tale');
+    expect(resolvePageIdentity('https://wanderers-library.wikidot.com/a-story').id).toBe('wl:tale:a-story');
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/scp-series-2').id).toBe('en:series:2');
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/series-iii').id).toBe('en:series:3');
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/system:recent-changes')).toBeNull();
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/')).toBeNull();
+    expect(resolvePageIdentity('https://example.com/scp-173')).toBeNull();
+  });
+
+  test('returns null for malformed percent-escapes', () => {
+    expect(resolvePageIdentity('https://scp-wiki.wikidot.com/%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('page id helpers', () => {
+  test('parse, label and URL round-trip', () => {
+    expect(parsePageId('en:scp:049:j')).toMatchObject({ branch: 'en', kind: 'scp', variant: 'j', number: 49 });
+    expect(parsePageId('173')).toBeNull();
+    expect(formatPageLabel('en:scp:049:j')).toBe('SCP-049-J');
+    expect(formatPageLabel('ru:scp:173')).toBe('SCP-173 (RU)');
+    expect(pageUrlFromId('ru:scp:173')).toBe('https://scp-ru.wikidot.com/scp-173');
+    expect(resolvePageIdentity(pageUrlFromId('en:series:1')).id).toBe('en:series:1');
+    expect(branchPageUrl('zh-tr', 'scp-173')).toBe('https://scp-zh-tr.wikidot.com/scp-173');
+    expect(branchPageUrl('xx', 'scp-173')).toBeNull();
+  });
+});
+
+describe('migrateReadSCPsKeys', () => {
+  test('re-keys legacy entries without losing timestamps or tags', () => {
+    const legacy = {
+      173: { read: true, timestamp: 100, title: 'SCP-173', url: 'https://scp-wiki.wikidot.com/scp-173', type: 'scp', tags: ['euclid'] },
+      'some-tale': { read: true, timestamp: 200, title: 'A Tale', type: 'tale', tags: ['tale'] },
+      '049': { read: false, timestamp: 300, url: 'https://scp-ru.wikidot.com/scp-049', type: 'scp' },
+    };
+    const { readSCPs, changed } = migrateReadSCPsKeys(legacy);
+    expect(changed).toBe(true);
+    expect(readSCPs['en:scp:173']).toMatchObject({ timestamp: 100, tags: ['euclid'] });
+    expect(readSCPs['en:tale:some-tale']).toMatchObject({ timestamp: 200, url: 'https://scp-wiki.wikidot.com/some-tale' });
+    expect(readSCPs['ru:scp:049']).toMatchObject({ timestamp: 300 });
+  });
+
+  test('merges colliding legacy keys and is idempotent', () => {
+    const legacy = {
+      49: { read: false, timestamp: 500, tags: ['a'] },
+      '049': { read: true, timestamp: 100, tags: ['b'] },
+    };
+    const first = migrateReadSCPsKeys(legacy).readSCPs;
+    expect(Object.keys(first)).toEqual(['en:scp:049']);
+    expect(first['en:scp:049']).toMatchObject({ read: true, timestamp: 100, tags: ['a', 'b'] });
+    expect(migrateReadSCPsKeys(first).changed).toBe(false);
+  });
+});
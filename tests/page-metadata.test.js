@@ -0,0 +1,74 @@
+/* eslint-env jest */
+import fs from 'fs';
+import path from 'path';
+import { PAGE_METADATA_VERSION, parsePageMetadata, extractPageMetadata, isCurrentMetadata } from '../src/modules/page-metadata.js';
+
+// Saved wiki pages, trimmed to the markup the extractor looks at
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', name), 'utf8');
+}
+
+describe('extractPageMetadata', () => {
+  test('classic SCP article with credit module', () => {
+    const meta = parsePageMetadata(fixture('scp-173.html'), 'https://scp-wiki.wikidot.com/scp-173');
+    expect(meta).toMatchObject({
+      version: PAGE_METADATA_VERSION,
+      pageId: 'en:scp:173',
+      type: 'scp',
+      title: 'SCP-173',
+      altTitle: null,
+      objectClass: 'Euclid',
+      author: 'Moto42',
+      tags: ['autonomous', 'euclid', 'scp', 'sculpture'],
+      rating: 5832,
+      createdAt: 1215057000000,
+      lastEditedAt: 1704708000000,
+      revision: 159,
+    });
+    expect(meta.summary).toMatch(/^Moved to Site-19 1993\./);
+  });
+
+  test('anomaly classification bar, folded credits and alternate title', () => {
+    const meta = parsePageMetadata(fixture('scp-6001.html'), 'https://scp-wiki.wikidot.com/scp-6001');
+    expect(meta.objectClass).toBe('keter');
+    expect(meta.author).toBe('Example Author');
+    expect(meta.altTitle).toBe('SCP-6001 - Corridor');
+    expect(meta.rating).toBeNull();
+    // Revision 0: created when last edited
+    expect(meta.createdAt).toBe(1609459200000);
+    expect(meta.summary).toMatch(/^SCP-6001 is a corridor of indeterminate length located beneath Site-19\./);
+    expect(meta.tags).toContain('_cc');
+  });
+
+  test('tale with nested title markup, byline and negative rating', () => {
+    const meta = parsePageMetadata(fixture('tale.html'), 'https://scp-wiki.wikidot.com/tale-of-the-nested-title');
+    expect(meta).toMatchObject({ type: 'tale', title: 'Tale of the Nested Title', author: 'Tale Writer', rating: -3, objectClass: null, createdAt: null });
+    expect(meta.summary).toMatch(/^The rain had not stopped.*another door\.$/);
+  });
+
+  test('branch page with localized field labels', () => {
+    const meta = parsePageMetadata(fixture('ru-scp-173.html'), 'https://scp-ru.wikidot.com/scp-173');
+    expect(meta).toMatchObject({ pageId: 'ru:scp:173', objectClass: 'Евклид', altTitle: 'SCP-173 - Скульптура', tags: ['евклид', 'скульптура'] });
+    expect(meta.summary).toMatch(/^Перемещён в Зону-19/);
+  });
+
+  test('works on a live document and copes with empty pages', () => {
+    document.body.innerHTML = '<div id="page-title">SCP-049</div><div id="page-content"><p>Object Class: Euclid.</p></div>';
+    expect(extractPageMetadata(document, 'https://scp-wiki.wikidot.com/scp-049'))
+      .toMatchObject({ title: 'SCP-049', objectClass: 'Euclid', summary: 'Object Class: Euclid.' });
+
+    const empty = parsePageMetadata('', 'https://scp-wiki.wikidot.com/scp-002');
+    expect(empty).toMatchObject({ title: 'SCP-002', tags: [], author: null, summary: '' });
+    expect(isCurrentMetadata(empty)).toBe(true);
+    expect(isCurrentMetadata({ title: 'legacy cache entry' })).toBe(false);
+  });
+
+  test('fingerprints the article text, not the rating or spacing', () => {
+    const url = 'https://scp-wiki.wikidot.com/scp-173';
+    const html = fixture('scp-173.html');
+    const { fingerprint } = parsePageMetadata(html, url);
+    expect(fingerprint).toMatch(/^[0-9a-f]{8}$/);
+    expect(parsePageMetadata(html.replace('+5832', '+6001').replace('Moved to', 'Moved  to'), url).fingerprint).toBe(fingerprint);
+    expect(parsePageMetadata(html.replace('Moved to Site-19', 'Moved to Site-17'), url).fingerprint).not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,104 @@
+/* eslint-env jest */
+import { PreviewCache, PREVIEW_CACHE_INDEX_KEY, PREVIEW_CACHE_ENTRY_PREFIX } from '../src/modules/preview-cache.js';
+import { createArea } from './helpers/storage-area.js';
+
+const HOUR = 60 * 60 * 1000;
+const url = n => `https://scp-wiki.wikidot.com/scp-${n}`;
+
+function makeCache(area, options = {}) {
+  let clock = 1000;
+  const cache = new PreviewCache(area, { now: () => clock, ...options });
+  cache.tick = (ms) => { clock += ms; };
+  return cache;
+}
+
+describe('PreviewCache', () => {
+  test('stores each entry under its own key and counts hits and misses', async () => {
+    const area = createArea();
+    const cache = makeCache(area);
+    await cache.set(url(173), { title: 'SCP-173' });
+    expect(area.writes[0]).toEqual([`${PREVIEW_CACHE_ENTRY_PREFIX}1`]);
+
+    expect(await cache.get(url(173))).toEqual({ title: 'SCP-173' });
+    expect(await cache.get(url(999))).toBeNull();
+    const stats = await cache.stats();
+    expect(stats).toMatchObject({ entries: 1, hits: 1, misses: 1, hitRate: 0.5 });
+    expect(stats.bytes).toBe(JSON.stringify({ title: 'SCP-173' }).length);
+  });
+
+  test('lookups write the index later, not on every hit', async () => {
+    jest.useFakeTimers();
+    try {
+      const area = createArea();
+      const cache = makeCache(area, { indexFlushMs: 1000 });
+      await cache.set(url(173), { title: 'SCP-173' });
+      const writes = area.writes.length;
+      await cache.get(url(173));
+      await cache.get(url(173));
+      await cache.get(url(999));
+      expect(area.writes).toHaveLength(writes);
+
+      jest.advanceTimersByTime(1000);
+      await cache.stats();
+      expect(area.writes).toHaveLength(writes + 1);
+      expect(area.dump()[PREVIEW_CACHE_INDEX_KEY].stats).toMatchObject({ hits: 2, misses: 1 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('expires entries after the TTL', async () => {
+    const area = createArea();
+    const cache = makeCache(area, { ttlMs: HOUR });
+    await cache.set(url(173), { title: 'SCP-173' });
+    cache.tick(HOUR);
+    expect(await cache.get(url(173))).toBeNull();
+    expect(area.dump()[`${PREVIEW_CACHE_ENTRY_PREFIX}1`]).toBeUndefined();
+  });
+
+  test('evicts the least recently used entries beyond the count and size limits', async () => {
+    const area = createArea();
+    const cache = makeCache(area, { maxEntries: 2 });
+    await cache.set(url(1), { n: 1 });
+    cache.tick(1);
+    await cache.set(url(2), { n: 2 });
+    cache.tick(1);
+    await cache.get(url(1));
+    cache.tick(1);
+    await cache.set(url(3), { n: 3 });
+    expect(await cache.get(url(2))).toBeNull();
+    expect(await cache.get(url(1))).toEqual({ n: 1 });
+    expect((await cache.stats()).evictions).toBe(1);
+
+    const small = makeCache(createArea(), { maxBytes: 30 });
+    await small.set(url(1), { text: 'x'.repeat(10) });
+    small.tick(1);
+    await small.set(url(2), { text: 'y'.repeat(10) });
+    expect(await small.stats()).toMatchObject({ entries: 1, evictions: 1 });
+    expect(await small.get(url(2))).toEqual({ text: 'y'.repeat(10) });
+  });
+
+  test('cleanup prunes expired entries and the index survives a reload', async () => {
+    const area = createArea();
+    const cache = makeCache(area, { ttlMs: HOUR });
+    await cache.set(url(1), { n: 1 });
+    cache.tick(HOUR / 2);
+    await cache.set(url(2), { n: 2 });
+    cache.tick(HOUR / 2);
+    expect(await cache.cleanup()).toBe(1);
+
+    cache.invalidate();
+    expect(await cache.stats()).toMatchObject({ entries: 1 });
+    expect(area.dump()[PREVIEW_CACHE_INDEX_KEY].entries).toHaveProperty([url(2)]);
+  });
+
+  test('clear removes every entry, including ones missing from the index', async () => {
+    const area = createArea({ [`${PREVIEW_CACHE_ENTRY_PREFIX}99`]: { stray: true }, theme: 'light' });
+    const cache = makeCache(area);
+    await cache.set(url(1), { n: 1 });
+    await cache.get(url(1));
+    expect(await cache.clear()).toBe(1);
+    expect(Object.keys(area.dump()).sort()).toEqual([PREVIEW_CACHE_INDEX_KEY, 'theme']);
+    expect(await cache.stats()).toMatchObject({ entries: 0, bytes: 0, hits: 0, hitRate: null });
+  });
+});
@@ -0,0 +1,70 @@
+/* eslint-env jest */
+import {
+  GOAL_PERIODS,
+  normalizeGoals,
+  periodStart,
+  computeGoalProgress,
+  describeGoalProgress,
+  buildReminderMessage,
+  nextReminderAt,
+} from '../src/modules/reading-goals.js';
+
+// Wednesday 2024-05-15 15:30 local time
+const now = new Date(2024, 4, 15, 15, 30).getTime();
+const at = (day, hour = 12) => new Date(2024, 4, day, hour).getTime();
+
+describe('reading goals', () => {
+  test('normalizes stored goals', () => {
+    expect(normalizeGoals(undefined)).toEqual({
+      daily: { target: 0, unit: 'articles' },
+      weekly: { target: 0, unit: 'articles' },
+      monthly: { target: 0, unit: 'articles' },
+      reminder: { enabled: false, hour: 20 },
+      streak: { graceDays: 0 },
+    });
+    const goals = normalizeGoals({ daily: { target: '3.7', unit: 'minutes' }, weekly: { target: -2, unit: 'pages' }, reminder: { enabled: true, hour: 25 } });
+    expect(goals.daily).toEqual({ target: 3, unit: 'minutes' });
+    expect(goals.weekly).toEqual({ target: 0, unit: 'articles' });
+    expect(goals.reminder).toEqual({ enabled: true, hour: 20 });
+    expect(normalizeGoals({ streak: { graceDays: 9 } }).streak).toEqual({ graceDays: 3 });
+    expect(normalizeGoals({ streak: { graceDays: '1' } }).streak).toEqual({ graceDays: 1 });
+    expect(GOAL_PERIODS).toEqual(['daily', 'weekly', 'monthly']);
+  });
+
+  test('periods start at midnight, on Monday and on the 1st', () => {
+    expect(periodStart('daily', now)).toBe(new Date(2024, 4, 15).getTime());
+    expect(periodStart('weekly', now)).toBe(new Date(2024, 4, 13).getTime());
+    expect(periodStart('monthly', now)).toBe(new Date(2024, 4, 1).getTime());
+  });
+
+  test('counts pages by their latest read in each period', () => {
+    const readSCPs = {
+      'en:scp:173': { read: true, lastReadAt: at(15, 9), minutes: 12 },
+      'en:scp:096': { read: true, timestamp: at(14), minutes: 20 },
+      'en:scp:049': { read: true, lastReadAt: at(2), minutes: 7 },
+      'en:scp:682': { read: true, lastReadAt: at(10) },
+      'en:tale:a': { read: false, detected: true, timestamp: at(15, 10) },
+      'en:tale:b': { deleted: true, updatedAt: at(15, 11) },
+    };
+    const goals = normalizeGoals({ daily: { target: 2 }, weekly: { target: 30, unit: 'minutes' }, monthly: { target: 4 } });
+    expect(computeGoalProgress(readSCPs, goals, now)).toEqual([
+      { period: 'daily', unit: 'articles', target: 2, value: 1, percent: 50, done: false },
+      { period: 'weekly', unit: 'minutes', target: 30, value: 32, percent: 100, done: true },
+      { period: 'monthly', unit: 'articles', target: 4, value: 4, percent: 100, done: true },
+    ]);
+    expect(computeGoalProgress(readSCPs, normalizeGoals({}), now)).toEqual([]);
+  });
+
+  test('reminds only about open goals', () => {
+    const open = { period: 'daily', unit: 'articles', target: 3, value: 1, percent: 33, done: false };
+    const done = { period: 'weekly', unit: 'minutes', target: 30, value: 45, percent: 100, done: true };
+    expect(describeGoalProgress(done)).toBe('45 of 30 minutes this week');
+    expect(buildReminderMessage([open, done])).toBe('1 of 3 articles today (2 to go)');
+    expect(buildReminderMessage([done])).toBeNull();
+  });
+
+  test('next reminder is today or tomorrow at the hour', () => {
+    expect(nextReminderAt(20, now)).toBe(new Date(2024, 4, 15, 20).getTime());
+    expect(nextReminderAt(9, now)).toBe(new Date(2024, 4, 16, 9).getTime());
+  });
+});
@@ -0,0 +1,92 @@
+/* eslint-env jest */
+import {
+  createReadingEvent,
+  classifyReadEvent,
+  applyReadingEvent,
+  deriveEntry,
+  appendReadingEvents,
+  readCountOf,
+  activeSecondsOf,
+} from '../src/modules/reading-log.js';
+
+const id = 'en:scp:173';
+const meta = { url: 'https://scp-wiki.wikidot.com/scp-173', title: 'The Sculpture', kind: 'scp' };
+
+describe('reading log', () => {
+  test('derives first read, last re-read and read count from events', () => {
+    const events = [
+      createReadingEvent({ id, type: 'visit', source: 'page', ts: 100, ...meta }),
+      createReadingEvent({ id, type: 'read', source: 'scroll', ts: 200, depth: 0.92, ...meta }),
+      createReadingEvent({ id, type: 'reread', source: 'scroll', ts: 900, depth: 1.4, ...meta }),
+    ];
+    const entry = deriveEntry(events);
+    expect(entry).toMatchObject({ read: true, firstReadAt: 200, lastReadAt: 900, timestamp: 900, readCount: 2, type: 'scp' });
+    expect(entry.detected).toBeUndefined();
+    // The scroll depth stays in the events, and the canonical URL is derived from the ID
+    expect(entry.lastDepth).toBeUndefined();
+    expect(entry.url).toBeUndefined();
+  });
+
+  test('classifies reads against the current entry', () => {
+    expect(classifyReadEvent(undefined, 'scroll')).toBe('read');
+    expect(classifyReadEvent({ deleted: true, updatedAt: 1 }, 'scroll')).toBe('read');
+    expect(classifyReadEvent({ read: true, timestamp: 1 }, 'scroll')).toBe('reread');
+    expect(classifyReadEvent({ read: true, timestamp: 1 }, 'manual')).toBe('manual');
+  });
+
+  test('legacy entries count as one read; manual re-marks do not inflate the count', () => {
+    const legacy = { read: true, timestamp: 50, title: 'Old' };
+    expect(readCountOf(legacy)).toBe(1);
+    const reread = applyReadingEvent(legacy, createReadingEvent({ id, type: 'reread', ts: 60 }));
+    expect(reread).toMatchObject({ firstReadAt: 50, readCount: 2 });
+    const manual = applyReadingEvent(reread, createReadingEvent({ id, type: 'manual', source: 'manual', ts: 70 }));
+    expect(manual.readCount).toBe(2);
+  });
+
+  test('unread ends the entry and a later read starts over', () => {
+    const entry = deriveEntry([
+      createReadingEvent({ id, type: 'read', ts: 1 }),
+      createReadingEvent({ id, type: 'unread', source: 'popup', ts: 2 }),
+    ]);
+    expect(entry).toEqual({ deleted: true });
+    expect(applyReadingEvent(entry, createReadingEvent({ id, type: 'read', ts: 3 }))).toMatchObject({ readCount: 1, firstReadAt: 3 });
+  });
+
+  test('visits only create an entry for untracked pages; invalid events are rejected', () => {
+    const read = { read: true, timestamp: 5 };
+    expect(applyReadingEvent(read, createReadingEvent({ id, type: 'visit', ts: 6 }))).toBe(read);
+    expect(createReadingEvent({ id, type: 'bogus' })).toBeNull();
+    expect(createReadingEvent({ type: 'read' })).toBeNull();
+    expect(appendReadingEvents([{ id, type: 'read', ts: 1 }], [null, { id, type: 'reread', ts: 2 }])).toHaveLength(2);
+  });
+
+  test('a read clears the changed flag and a snapshot left on the entry', () => {
+    const entry = { read: true, timestamp: 100, firstReadAt: 100, lastReadAt: 100, readCount: 1, snapshot: { fingerprint: 'deadbeef' }, changed: { fingerprint: '0badf00d', detectedAt: 800 } };
+    const next = applyReadingEvent(entry, createReadingEvent({ id, type: 'reread', source: 'scroll', ts: 900, ...meta }));
+    expect(next.snapshot).toBeUndefined();
+    expect(next.changed).toBeUndefined();
+  });
+
+  test('reads keep the page reading time for minute goals', () => {
+    const event = createReadingEvent({ id, type: 'read', source: 'scroll', ts: 5, minutes: 7.4, ...meta });
+    expect(event.minutes).toBe(7);
+    expect(applyReadingEvent(undefined, event).minutes).toBe(7);
+    expect(createReadingEvent({ id, type: 'read', minutes: 5000 }).minutes).toBe(600);
+    expect(createReadingEvent({ id, type: 'read', minutes: 0 }).minutes).toBeUndefined();
+  });
+
+  test('active reading time measured before a read adds up on the entry', () => {
+    const visit = applyReadingEvent(undefined, createReadingEvent({ id, type: 'visit', ts: 1, ...meta }));
+    const read = applyReadingEvent(visit, createReadingEvent({ id, type: 'read', source: 'scroll', ts: 2, seconds: 90.4, ...meta }));
+    expect(read.activeSeconds).toBe(90);
+    const again = applyReadingEvent(read, createReadingEvent({ id, type: 'reread', source: 'scroll', ts: 3, seconds: 30 }));
+    expect(again).toMatchObject({ read: true, activeSeconds: 120, readCount: 2 });
+    expect(activeSecondsOf(again)).toBe(120);
+    expect(activeSecondsOf({ deleted: true, activeSeconds: 5 })).toBe(0);
+
+    // Only reads carry time, and empty amounts are left out
+    expect(createReadingEvent({ id, type: 'visit', seconds: 30 }).seconds).toBeUndefined();
+    expect(createReadingEvent({ id, type: 'read', seconds: 0 }).seconds).toBeUndefined();
+    expect(createReadingEvent({ id, type: 'time', seconds: 30 })).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+/* eslint-env jest */
+import {
+  normalizeQueue,
+  pendingQueueItems,
+  doneQueueItems,
+  addToQueue,
+  removeFromQueue,
+  reorderQueue,
+  setQueueNote,
+  completeQueueItem,
+  queuedTabProperties,
+} from '../src/modules/reading-queue.js';
+
+function queueOf(...urls) {
+  return urls.reduce((q, url, i) => addToQueue(q, { url, title: url }, 1000 + i).queue, []);
+}
+
+describe('reading queue', () => {
+  test('dedupes by canonical page ID across hosts and Wikidot options', () => {
+    let q = queueOf('https://scp-wiki.wikidot.com/scp-173');
+    const again = addToQueue(q, { url: 'http://scpwiki.com/scp-173/norender/true' });
+    expect(again.added).toBe(false);
+    expect(again.queue).toHaveLength(1);
+
+    q = addToQueue(q, { url: 'https://scp-ru.wikidot.com/scp-173' }).queue;
+    expect(q.map(i => i.pageId)).toEqual(['en:scp:173', 'ru:scp:173']);
+  });
+
+  test('rejects URLs that are not wiki pages', () => {
+    const q = queueOf('https://scp-wiki.wikidot.com/scp-173');
+    ['https://example.com/x', 'javascript:alert(1)'].forEach((url) => {
+      const result = addToQueue(q, { url });
+      expect(result).toMatchObject({ item: null, added: false });
+      expect(result.queue.map(i => i.pageId)).toEqual(['en:scp:173']);
+    });
+  });
+
+  test('normalizes legacy items and merges stored duplicates', () => {
+    const legacy = [
+      { id: 'a', url: 'https://scp-wiki.wikidot.com/scp-049', title: 'Plague Doctor', addedAt: 1 },
+      { id: 'b', url: 'https://scp-wiki.wikidot.com/SCP-049', addedAt: 2, note: 'from forum' },
+      { url: 42 },
+      { id: 'c', url: 'javascript:alert(1)', addedAt: 3 },
+    ];
+    const q = normalizeQueue(legacy);
+    expect(q).toHaveLength(1);
+    expect(q[0]).toMatchObject({ id: 'a', pageId: 'en:scp:049', status: 'queued', note: 'from forum' });
+  });
+
+  test('reorders queued items and keeps unknown IDs after the listed ones', () => {
+    const q = queueOf('https://scp-wiki.wikidot.com/scp-001', 'https://scp-wiki.wikidot.com/scp-002', 'https://scp-wiki.wikidot.com/scp-003');
+    const [a, b, c] = q.map(i => i.id);
+    expect(reorderQueue(q, [c, a]).map(i => i.id)).toEqual([c, a, b]);
+  });
+
+  test('notes can be set and cleared; items can be removed', () => {
+    const q = queueOf('https://scp-wiki.wikidot.com/scp-001', 'https://scp-wiki.wikidot.com/scp-002');
+    const noted = setQueueNote(q, q[0].id, '  read after 001-J  ');
+    expect(noted[0].note).toBe('read after 001-J');
+    expect(setQueueNote(noted, q[0].id, '')[0].note).toBeUndefined();
+    expect(removeFromQueue(q, q[0].id).map(i => i.pageId)).toEqual(['en:scp:002']);
+  });
+
+  test('reading a queued page moves it to done; queuing it again restores it', () => {
+    const q = queueOf('https://scp-wiki.wikidot.com/scp-001', 'https://scp-wiki.wikidot.com/scp-002');
+    const { queue, completed } = completeQueueItem(q, 'en:scp:001', 5000);
+    expect(completed).toMatchObject({ pageId: 'en:scp:001', status: 'done', doneAt: 5000 });
+    expect(pendingQueueItems(queue).map(i => i.pageId)).toEqual(['en:scp:002']);
+    expect(doneQueueItems(queue).map(i => i.pageId)).toEqual(['en:scp:001']);
+    expect(completeQueueItem(queue, 'en:scp:999').completed).toBeNull();
+
+    const requeued = addToQueue(queue, { url: 'https://scp-wiki.wikidot.com/scp-001' }, 6000);
+    expect(requeued.added).toBe(true);
+    expect(pendingQueueItems(requeued.queue).map(i => i.pageId)).toEqual(['en:scp:002', 'en:scp:001']);
+    expect(doneQueueItems(requeued.queue)).toEqual([]);
+  });
+
+  test('opens newly queued items only when the setting asks for it', () => {
+    const item = { url: 'https://scp-wiki.wikidot.com/scp-173' };
+    expect(queuedTabProperties(item, 'queue', { id: 4, index: 2 })).toBeNull();
+    expect(queuedTabProperties(item, undefined)).toBeNull();
+    expect(queuedTabProperties(item, 'background', { id: 4, index: 2 })).toEqual({ url: item.url, active: false });
+    expect(queuedTabProperties(item, 'adjacent', { id: 4, index: 2, windowId: 9 }))
+      .toEqual({ url: item.url, active: false, index: 3, windowId: 9, openerTabId: 4 });
+  });
+});
@@ -0,0 +1,112 @@
+/* eslint-env jest */
+import { ActiveReadingTimer, DEFAULT_IDLE_TIMEOUT_MS, formatDuration, addReadingTime, takePendingTime, pendingSecondsOf, timeBucketsOf } from '../src/modules/reading-timer.js';
+
+function createTimer(options = {}) {
+  let now = 0;
+  const timer = new ActiveReadingTimer({ idleTimeoutMs: 60000, now: () => now, ...options });
+  const advance = (ms) => { now += ms; };
+  return { timer, advance };
+}
+
+describe('active reading timer', () => {
+  test('counts time after activity until the idle timeout', () => {
+    const { timer, advance } = createTimer();
+    advance(5000);
+    expect(timer.totalSeconds()).toBe(0);
+    timer.activity();
+    advance(30000);
+    expect(timer.isActive()).toBe(true);
+    expect(timer.totalSeconds()).toBe(30);
+    advance(120000);
+    expect(timer.isActive()).toBe(false);
+    expect(timer.totalSeconds()).toBe(60);
+    timer.activity();
+    advance(10000);
+    expect(timer.totalSeconds()).toBe(70);
+    expect(DEFAULT_IDLE_TIMEOUT_MS).toBe(60000);
+  });
+
+  test('pauses while the page is hidden or the window unfocused', () => {
+    const { timer, advance } = createTimer();
+    timer.activity();
+    advance(10000);
+    timer.setVisible(false);
+    advance(50000);
+    timer.activity();
+    advance(10000);
+    expect(timer.totalSeconds()).toBe(10);
+    timer.setVisible(true);
+    advance(20000);
+    timer.setFocused(false);
+    advance(20000);
+    expect(timer.totalSeconds()).toBe(30);
+    timer.setFocused(true);
+    advance(5000);
+    expect(timer.totalSeconds()).toBe(35);
+  });
+
+  test('does not count a page opened in the background until it is shown', () => {
+    const { timer, advance } = createTimer({ visible: false });
+    timer.activity();
+    advance(30000);
+    expect(timer.totalSeconds()).toBe(0);
+    timer.setVisible(true);
+    advance(30000);
+    expect(timer.totalSeconds()).toBe(30);
+  });
+
+  test('reports whole seconds once, carrying the remainder', () => {
+    const { timer, advance } = createTimer();
+    timer.activity();
+    advance(1500);
+    expect(timer.takeUnreported()).toBe(1);
+    advance(1700);
+    expect(timer.takeUnreported()).toBe(2);
+    expect(timer.takeUnreported()).toBe(0);
+    expect(timer.totalSeconds()).toBe(3);
+  });
+
+  test('formats durations', () => {
+    expect(formatDuration(45)).toBe('45 s');
+    expect(formatDuration(720)).toBe('12 min');
+    expect(formatDuration(3600)).toBe('1 h');
+    expect(formatDuration(7500)).toBe('2 h 5 min');
+    expect(formatDuration(-1)).toBe('0 s');
+  });
+});
+
+describe('reading time store', () => {
+  const id = 'en:scp:173';
+  const hour = Date.UTC(2024, 4, 15, 20);
+
+  test('adds up pending time and hourly buckets', () => {
+    let store = addReadingTime({}, id, 90.4, hour + 60 * 1000);
+    store = addReadingTime(store, id, 30, hour + 30 * 60 * 1000);
+    store = addReadingTime(store, id, 1e9, hour + 61 * 60 * 1000);
+    expect(pendingSecondsOf(store, id)).toBe(120 + 4 * 60 * 60);
+    expect(timeBucketsOf(store, id)).toEqual([[hour, 120], [hour + 60 * 60 * 1000, 4 * 60 * 60]]);
+    expect(addReadingTime(store, id, 0)).toBeNull();
+    expect(addReadingTime(store, '', 30)).toBeNull();
+    expect(pendingSecondsOf(store, 'en:scp:096')).toBe(0);
+  });
+
+  test('takes pending time once, keeping time reported since', () => {
+    const store = addReadingTime({}, id, 90, hour);
+    const taken = takePendingTime(addReadingTime(store, id, 30, hour), id, 90);
+    expect(taken.seconds).toBe(90);
+    expect(pendingSecondsOf(taken.store, id)).toBe(30);
+    // The hourly buckets stay for the time patterns
+    expect(timeBucketsOf(taken.store, id)).toEqual([[hour, 120]]);
+    expect(takePendingTime(taken.store, id).seconds).toBe(30);
+    expect(takePendingTime({}, id).seconds).toBe(0);
+  });
+
+  test('drops the oldest buckets beyond the cap', () => {
+    const full = {};
+    for (let i = 0; i < 5000; i += 1) full[`en:scp:${i}`] = { pending: 10, hours: { [hour + i * 60 * 60 * 1000]: 10 } };
+    const store = addReadingTime(full, 'en:scp:5000', 10, hour + 5000 * 60 * 60 * 1000);
+    expect(store['en:scp:0']).toBeUndefined();
+    expect(timeBucketsOf(store, 'en:scp:1')).toEqual([[hour + 60 * 60 * 1000, 10]]);
+    expect(Object.keys(store)).toHaveLength(5000);
+  });
+});
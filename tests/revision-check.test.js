@@ -0,0 +1,70 @@
+/* eslint-env jest */
+import { PAGE_METADATA_VERSION } from '../src/modules/page-metadata.js';
+import { snapshotFromMetadata, applyRevisionCheck, pickRevisionChecks, sanitizeRevisionFields } from '../src/modules/revision-check.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function metadata(overrides = {}) {
+  return { version: PAGE_METADATA_VERSION, title: 'SCP-173', fingerprint: 'aaaaaaaa', revision: 10, lastEditedAt: 1000, ...overrides };
+}
+
+const read = (extra = {}) => ({ read: true, timestamp: 100, ...extra });
+
+describe('revision checks', () => {
+  test('snapshots current metadata only', () => {
+    expect(snapshotFromMetadata(metadata(), 5)).toEqual({ fingerprint: 'aaaaaaaa', revision: 10, lastEditedAt: 1000, title: 'SCP-173', takenAt: 5 });
+    expect(snapshotFromMetadata({ title: 'legacy cache entry' })).toBeNull();
+    expect(snapshotFromMetadata(metadata({ fingerprint: null }))).toBeNull();
+  });
+
+  test('reads without a snapshot get a baseline; detected-only entries are ignored', () => {
+    expect(applyRevisionCheck(read(), null, metadata(), 7)).toEqual({ entry: null, snapshot: snapshotFromMetadata(metadata(), 7) });
+    expect(applyRevisionCheck({ read: false, detected: true }, null, metadata())).toEqual({ entry: null, snapshot: null });
+    expect(applyRevisionCheck({ deleted: true, updatedAt: 1 }, null, metadata())).toEqual({ entry: null, snapshot: null });
+  });
+
+  test('flags a rewrite or a new title once', () => {
+    const snapshot = snapshotFromMetadata(metadata(), 1);
+    const entry = read();
+    expect(applyRevisionCheck(entry, snapshot, metadata({ revision: 11 }))).toEqual({ entry: null, snapshot: null });
+
+    const rewritten = applyRevisionCheck(entry, snapshot, metadata({ fingerprint: 'bbbbbbbb', revision: 14 }), 50);
+    expect(rewritten.entry.changed).toEqual({ fingerprint: 'bbbbbbbb', revision: 14, lastEditedAt: 1000, title: 'SCP-173', retitled: false, detectedAt: 50 });
+    expect(rewritten.snapshot).toBeNull();
+    expect(applyRevisionCheck(rewritten.entry, snapshot, metadata({ fingerprint: 'bbbbbbbb', revision: 15 }), 60).entry).toBeNull();
+
+    expect(applyRevisionCheck(entry, snapshot, metadata({ title: 'SCP-173 - The Sculpture' })).entry.changed).toMatchObject({ retitled: true, title: 'SCP-173 - The Sculpture' });
+  });
+
+  test('moves a snapshot stored on the synced entry to the device', () => {
+    const entry = read({ snapshot: { fingerprint: 'aaaaaaaa', title: 'SCP-173', takenAt: 3 } });
+    expect(applyRevisionCheck(entry, null, metadata(), 9)).toEqual({
+      entry: null,
+      snapshot: { fingerprint: 'aaaaaaaa', revision: null, lastEditedAt: null, title: 'SCP-173', takenAt: 3 },
+    });
+    const rewritten = applyRevisionCheck(entry, null, metadata({ fingerprint: 'bbbbbbbb' }), 9);
+    expect(rewritten.entry.changed.fingerprint).toBe('bbbbbbbb');
+    expect(rewritten.entry.snapshot).toBeUndefined();
+    expect(rewritten.snapshot.fingerprint).toBe('aaaaaaaa');
+  });
+
+  test('picks the least recently checked reads that are due', () => {
+    const history = {
+      'en:scp:1': read({ lastReadAt: 30 }),
+      'en:scp:2': read({ lastReadAt: 10 }),
+      'en:scp:3': read({ lastReadAt: 20 }),
+      'en:scp:4': { read: false, detected: true },
+    };
+    const now = 10 * DAY;
+    expect(pickRevisionChecks(history, {}, { budget: 2, now })).toEqual(['en:scp:2', 'en:scp:3']);
+    expect(pickRevisionChecks(history, { 'en:scp:2': now - DAY, 'en:scp:3': 1 }, { budget: 3, now })).toEqual(['en:scp:1', 'en:scp:3']);
+  });
+
+  test('keeps a valid imported changed flag and drops malformed ones', () => {
+    const changed = { fingerprint: 'bbbbbbbb', revision: 'nope', title: 'Y', retitled: true, detectedAt: 11, extra: 1 };
+    expect(sanitizeRevisionFields({ snapshot: { fingerprint: 'aaaaaaaa' }, changed })).toEqual({
+      changed: { fingerprint: 'bbbbbbbb', revision: null, lastEditedAt: null, title: 'Y', retitled: true, detectedAt: 11 },
+    });
+    expect(sanitizeRevisionFields({ changed: { fingerprint: '<script>' } })).toEqual({});
+  });
+});
@@ -0,0 +1,56 @@
+/* eslint-env jest */
+import { LATEST_SERIES, seriesOfNumber, seriesRange, computeSeriesProgress } from '../src/modules/series-progress.js';
+
+describe('series progress', () => {
+  test('maps numbers to series, five-digit numbers included', () => {
+    expect(seriesOfNumber(1)).toBe(1);
+    expect(seriesOfNumber(999)).toBe(1);
+    expect(seriesOfNumber(1000)).toBe(2);
+    expect(seriesOfNumber(9999)).toBe(10);
+    expect(seriesOfNumber(10000)).toBe(11);
+    expect(seriesOfNumber(0)).toBe(0);
+    expect(seriesRange(1)).toEqual({ start: 1, end: 999 });
+    expect(seriesRange(11)).toEqual({ start: 10000, end: 10999 });
+  });
+
+  test('counts each main-list number once, on any branch', () => {
+    const { series } = computeSeriesProgress({
+      'en:scp:173': { read: true },
+      'ru:scp:173': { read: true },
+      'en:scp:002': { read: true },
+      'en:scp:1000': { read: true },
+      'ru:scp:1001-ru': { read: true },
+      'en:scp:049:j': { read: true },
+      'en:scp:096': { read: false, detected: true },
+      'en:scp:682': { read: true, deleted: true },
+      'en:tale:some-tale': { read: true },
+    });
+    expect(series).toHaveLength(LATEST_SERIES);
+    expect(series[0]).toMatchObject({ series: 1, label: 'Series I', total: 999, read: 2, readNumbers: [2, 173], percent: 0.2 });
+    expect(series[1]).toMatchObject({ label: 'Series II', start: 1000, end: 1999, total: 1000, read: 1, readNumbers: [1000] });
+    expect(series[9]).toMatchObject({ label: 'Series X', read: 0 });
+  });
+
+  test('adds series beyond the latest once one of their articles is read', () => {
+    const { series } = computeSeriesProgress({ 'en:scp:10001': { read: true } });
+    expect(series).toHaveLength(11);
+    expect(series[10]).toMatchObject({ label: 'Series XI', read: 1, readNumbers: [10001] });
+    expect(computeSeriesProgress({}, { latestSeries: 4 }).series.map(s => s.label)).toEqual(['Series I', 'Series II', 'Series III', 'Series IV']);
+  });
+
+  test('lists joke, explained and archived articles', () => {
+    const { lists } = computeSeriesProgress({
+      'en:scp:1000:j': { read: true, title: 'Bigfoot' },
+      'en:scp:049:j': { read: true },
+      'en:scp:4000:ex': { read: true },
+      'en:scp:106:arc': { read: true },
+      'en:scp:173:d': { read: true },
+      'en:scp:055:j': { read: false },
+    });
+    expect(lists.map(l => [l.list, l.read])).toEqual([['joke', 2], ['explained', 1], ['archived', 1]]);
+    expect(lists[0].pages).toEqual([
+      { id: 'en:scp:049:j', label: 'SCP-049-J', title: 'SCP-049-J' },
+      { id: 'en:scp:1000:j', label: 'SCP-1000-J', title: 'Bigfoot' },
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+/* eslint-env jest */
+import { runMigrations } from '../src/modules/storage-migrations.js';
+import { readChunked } from '../src/utils/chunked-storage.js';
+import { createArea } from './helpers/storage-area.js';
+
+const silentLogger = { info() {}, warn() {} };
+
+describe('runMigrations', () => {
+  test('migrates legacy data, records the schema version and keeps a backup', async () => {
+    const sync = createArea({ readSCPs: { 173: { read: true, timestamp: 1, tags: ['euclid'] } } });
+    const local = createArea({
+      firstRun: true,
+      readingLog: [{ id: 'en:scp:173', type: 'read', ts: 1 }],
+      linkPreviewCache: { 'https://scp-wiki.wikidot.com/scp-173': { data: {}, ts: 1 } }
+    });
+
+    const result = await runMigrations({ storage: { sync, local }, logger: silentLogger, reason: 'update' });
+
+    expect(result.from).toBe(0);
+    expect(result.applied).toEqual(['canonical-page-ids', 'chunked-read-history', 'bounded-preview-cache']);
+    const { value, count } = await readChunked(sync, 'readSCPs');
+    expect(count).toBeGreaterThan(0);
+    expect(Object.keys(value)).toEqual(['en:scp:173']);
+    expect(sync.dump().readSCPs).toBeUndefined();
+    expect(local.dump().linkPreviewCache).toBeUndefined();
+    expect(local.dump().schemaVersion).toBe(result.to);
+    expect(local.dump().schemaBackup.sync.readSCPs).toHaveProperty('173');
+    // Only what the steps write is backed up, not logs or caches
+    expect(Object.keys(local.dump().schemaBackup.local)).toEqual([]);
+  });
+
+  test('is a no-op once up to date, apart from dropping the backup', async () => {
+    const sync = createArea({ readSCPs: { 'en:scp:173': { read: true, timestamp: 1 } } });
+    const local = createArea();
+    const first = await runMigrations({ storage: { sync, local }, logger: silentLogger });
+    expect(local.dump().schemaBackup).toBeDefined();
+    const second = await runMigrations({ storage: { sync, local }, logger: silentLogger });
+    expect(second).toEqual({ from: first.to, to: first.to, applied: [] });
+    expect(local.dump().schemaBackup).toBeUndefined();
+  });
+
+  test('rolls back both areas when a step throws', async () => {
+    const original = { 173: { read: true, timestamp: 1 } };
+    const sync = createArea({ readSCPs: original, dictionaryEnabled: false }, { failOnSet: 'readSCPs' });
+    const local = createArea({ readSCPs: { 999: { read: true, timestamp: 2 } } });
+
+    await expect(runMigrations({ storage: { sync, local }, logger: silentLogger })).rejects.toThrow('quota');
+
+    expect(sync.dump().readSCPs).toEqual(original);
+    expect(sync.dump().dictionaryEnabled).toBe(false);
+    expect(local.dump().readSCPs).toEqual({ 999: { read: true, timestamp: 2 } });
+    expect(local.dump().schemaVersion).toBeUndefined();
+  });
+});
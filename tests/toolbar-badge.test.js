@@ -0,0 +1,26 @@
+/* eslint-env jest */
+import { pageBadgeState, badgeForPage, badgeForQueue } from '../src/modules/toolbar-badge.js';
+
+describe('toolbar badge', () => {
+  test('page state follows the reading history entry', () => {
+    expect(pageBadgeState(undefined)).toBe('unread');
+    expect(pageBadgeState({ deleted: true, updatedAt: 5 })).toBe('unread');
+    expect(pageBadgeState({ read: false, detected: true, timestamp: 1 })).toBe('progress');
+    expect(pageBadgeState({ read: true, timestamp: 1 })).toBe('read');
+  });
+
+  test('page badges differ per state and name the state in the title', () => {
+    const badges = [undefined, { read: false, detected: true }, { read: true }].map(badgeForPage);
+    expect(new Set(badges.map(b => b.text)).size).toBe(3);
+    expect(badges[2].title).toBe('SCP Tracker: Read');
+    badges.forEach(b => expect(b.color).toMatch(/^#[0-9a-f]{6}$/));
+  });
+
+  test('queue badge shows the pending count, capped', () => {
+    expect(badgeForQueue(0).text).toBe('');
+    expect(badgeForQueue(1)).toMatchObject({ text: '1', title: 'SCP Tracker: 1 page in the reading queue' });
+    expect(badgeForQueue(42).text).toBe('42');
+    expect(badgeForQueue(250).text).toBe('99+');
+    expect(badgeForQueue('bogus').text).toBe('');
+  });
+});